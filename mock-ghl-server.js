@@ -0,0 +1,185 @@
+/**
+ * Mock GoHighLevel (LeadConnector) API for local development and testing
+ * Serves the parts of API v2 the CRM sync uses - contact search, opportunity search, calendar events, and
+ * contact tasks and notes - from in-memory sample data for one location. Run the assistant with
+ * GHL_API_URL=http://localhost:4060, GHL_API_KEY=mock-ghl-key, GHL_LOCATION_ID=mock-location and
+ * GHL_CALENDAR_ID=mock-calendar. The /__mock routes edit records as if someone changed them in GoHighLevel.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+const MOCK_KEY = process.env.MOCK_GHL_KEY || 'mock-ghl-key';
+const MOCK_LOCATION_ID = process.env.MOCK_GHL_LOCATION_ID || 'mock-location';
+const MOCK_CALENDAR_ID = process.env.MOCK_GHL_CALENDAR_ID || 'mock-calendar';
+
+function id() {
+    return crypto.randomBytes(10).toString('hex');
+}
+
+function hoursFromNow(hours) {
+    return new Date(Date.now() + hours * 60 * 60 * 1000).toISOString();
+}
+
+function seedState() {
+    const updated = hoursFromNow(-48);
+    return {
+        contacts: [
+            { id: 'ghl-contact-1', type: 'lead', firstName: 'Renee', lastName: 'Broussard', email: 'renee@broussardcatering.com', phone: '+15045550111', companyName: 'Broussard Catering', source: 'Facebook Lead Ad', tags: ['commercial'], dateAdded: updated, dateUpdated: updated },
+            { id: 'ghl-contact-2', type: 'lead', firstName: 'Marcus', lastName: 'Thibodeaux', email: 'marcus.t@example.com', phone: '+15045550122', source: 'Website Form', tags: [], dateAdded: updated, dateUpdated: updated },
+            { id: 'ghl-contact-3', type: 'customer', firstName: 'Denise', lastName: 'Landry', email: 'denise@landrydental.com', phone: '+15045550133', companyName: 'Landry Dental', source: 'Referral', tags: ['client'], dateAdded: updated, dateUpdated: updated }
+        ],
+        opportunities: [
+            { id: 'ghl-opp-1', name: 'Broussard Catering - BOP', contactId: 'ghl-contact-1', pipelineId: 'mock-pipeline', pipelineStageId: 'quoted', status: 'open', monetaryValue: 2400, createdAt: updated, updatedAt: updated },
+            { id: 'ghl-opp-2', name: 'Thibodeaux - Auto', contactId: 'ghl-contact-2', pipelineId: 'mock-pipeline', pipelineStageId: 'new', status: 'open', monetaryValue: 0, createdAt: updated, updatedAt: updated }
+        ],
+        appointments: [
+            { id: 'ghl-appt-1', calendarId: MOCK_CALENDAR_ID, contactId: 'ghl-contact-1', title: 'BOP quote review - Broussard Catering', startTime: hoursFromNow(48), endTime: hoursFromNow(49), appointmentStatus: 'confirmed', address: 'Zoom', dateAdded: updated, dateUpdated: updated },
+            { id: 'ghl-appt-2', calendarId: MOCK_CALENDAR_ID, contactId: 'ghl-contact-3', title: 'Annual review - Landry Dental', startTime: hoursFromNow(72), endTime: hoursFromNow(72.5), appointmentStatus: 'new', dateAdded: updated, dateUpdated: updated }
+        ],
+        tasks: [],
+        notes: []
+    };
+}
+
+function ghlError(res, status, message) {
+    res.status(status).json({ statusCode: status, message });
+}
+
+// Applies a partial edit the way GoHighLevel would, bumping the record's update time
+function touch(record, changes, field) {
+    Object.assign(record, changes, { id: record.id, [field]: new Date().toISOString() });
+    return record;
+}
+
+function createMockGhlServer({ apiKey = MOCK_KEY, locationId = MOCK_LOCATION_ID } = {}) {
+    const app = express();
+    let state = seedState();
+
+    app.use(express.json());
+
+    // Test helpers: inspect state, reset, and edit records as if they changed in GoHighLevel
+    app.get('/__mock/state', (req, res) => res.json(state));
+    app.post('/__mock/reset', (req, res) => {
+        state = seedState();
+        res.json({ success: true });
+    });
+
+    app.post('/__mock/contacts', (req, res) => {
+        const now = new Date().toISOString();
+        const contact = { type: 'lead', tags: [], ...req.body, id: id(), dateAdded: now, dateUpdated: now };
+        state.contacts.push(contact);
+        res.status(201).json({ contact });
+    });
+
+    for (const [collection, field] of [['contacts', 'dateUpdated'], ['opportunities', 'updatedAt'], ['appointments', 'dateUpdated']]) {
+        app.put(`/__mock/${collection}/:id`, (req, res) => {
+            const record = state[collection].find(r => r.id === req.params.id);
+            if (!record) return ghlError(res, 404, 'Not found');
+            res.json(touch(record, req.body, field));
+        });
+    }
+
+    const api = express.Router();
+    api.use((req, res, next) => {
+        if (req.get('Authorization') !== `Bearer ${apiKey}`) return ghlError(res, 401, 'Invalid JWT');
+        if (!req.get('Version')) return ghlError(res, 400, 'Version header was not found');
+        next();
+    });
+
+    // Sorted by dateUpdated then id; `searchAfter` on each contact continues the listing after it
+    api.post('/contacts/search', (req, res) => {
+        const { locationId: location, pageLimit = 20, filters = [], searchAfter } = req.body || {};
+        if (location !== locationId) return ghlError(res, 403, 'The token does not have access to this location');
+
+        const range = filters.find(filter => filter.field === 'dateUpdated' && filter.operator === 'range');
+        const key = contact => [new Date(contact.dateUpdated).getTime(), contact.id];
+        const after = ([time, contactId]) => !searchAfter || time > searchAfter[0] || (time === searchAfter[0] && contactId > searchAfter[1]);
+
+        const matching = state.contacts
+            .filter(contact => !range || ((!range.value.gte || contact.dateUpdated >= range.value.gte) && (!range.value.gt || contact.dateUpdated > range.value.gt)))
+            .sort((a, b) => a.dateUpdated.localeCompare(b.dateUpdated) || a.id.localeCompare(b.id));
+        const contacts = matching
+            .filter(contact => after(key(contact)))
+            .slice(0, Math.min(Number(pageLimit), 500))
+            .map(contact => ({ ...contact, contactName: `${contact.firstName || ''} ${contact.lastName || ''}`.trim(), searchAfter: key(contact) }));
+        res.json({ contacts, total: matching.length });
+    });
+
+    // Paged oldest first with startAfter (epoch ms of createdAt) and startAfterId, like the real search's cursor
+    api.get('/opportunities/search', (req, res) => {
+        if (req.query.location_id !== locationId) return ghlError(res, 403, 'The token does not have access to this location');
+        const limit = Math.min(Number(req.query.limit) || 20, 100);
+        const startAfter = Number(req.query.startAfter) || 0;
+        const sorted = [...state.opportunities]
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.id.localeCompare(b.id));
+        const start = startAfter
+            ? sorted.findIndex(o => new Date(o.createdAt).getTime() > startAfter || (new Date(o.createdAt).getTime() === startAfter && o.id > req.query.startAfterId))
+            : 0;
+        const opportunities = start === -1 ? [] : sorted.slice(start, start + limit);
+        const last = opportunities[opportunities.length - 1];
+        const more = start !== -1 && start + limit < sorted.length;
+
+        res.json({
+            opportunities,
+            meta: {
+                total: sorted.length,
+                startAfter: last ? new Date(last.createdAt).getTime() : null,
+                startAfterId: last ? last.id : null,
+                nextPageUrl: more ? `/opportunities/search?location_id=${locationId}&limit=${limit}&startAfter=${new Date(last.createdAt).getTime()}&startAfterId=${last.id}` : null
+            }
+        });
+    });
+
+    api.get('/calendars/events', (req, res) => {
+        const { locationId: location, calendarId, startTime, endTime } = req.query;
+        if (location !== locationId) return ghlError(res, 403, 'The token does not have access to this location');
+        if (!calendarId) return ghlError(res, 422, 'calendarId, groupId or userId is required');
+
+        const from = Number(startTime) || 0;
+        const to = Number(endTime) || Infinity;
+        const events = state.appointments.filter(event => event.calendarId === calendarId &&
+            new Date(event.startTime).getTime() >= from && new Date(event.startTime).getTime() < to);
+        res.json({ events });
+    });
+
+    api.post('/contacts/:contactId/tasks', (req, res) => {
+        if (!state.contacts.some(c => c.id === req.params.contactId)) return ghlError(res, 400, 'Contact not found');
+        const { title, body, dueDate, completed = false } = req.body || {};
+        const missing = [!title && 'title should not be empty', !dueDate && 'dueDate should not be empty'].filter(Boolean);
+        if (missing.length) return ghlError(res, 422, missing);
+
+        const task = { id: id(), contactId: req.params.contactId, title, body: body || '', dueDate, completed: !!completed };
+        state.tasks.push(task);
+        res.status(201).json({ task });
+    });
+
+    api.put('/contacts/:contactId/tasks/:taskId', (req, res) => {
+        const task = state.tasks.find(t => t.id === req.params.taskId && t.contactId === req.params.contactId);
+        if (!task) return ghlError(res, 404, 'Task not found');
+        const { title, body, dueDate, completed } = req.body || {};
+        Object.assign(task, { title: title || task.title, body: body !== undefined ? body : task.body, dueDate: dueDate || task.dueDate, completed: completed !== undefined ? !!completed : task.completed });
+        res.json({ task });
+    });
+
+    api.post('/contacts/:contactId/notes', (req, res) => {
+        if (!state.contacts.some(c => c.id === req.params.contactId)) return ghlError(res, 400, 'Contact not found');
+        if (!req.body || !req.body.body) return ghlError(res, 422, ['body should not be empty']);
+
+        const note = { id: id(), contactId: req.params.contactId, body: req.body.body, dateAdded: new Date().toISOString() };
+        state.notes.push(note);
+        res.status(201).json({ note });
+    });
+
+    app.use('/', api);
+    return app;
+}
+
+if (require.main === module) {
+    const port = process.env.MOCK_GHL_PORT || 4060;
+    createMockGhlServer().listen(port, () => {
+        console.log(`📇 Mock GoHighLevel API on http://localhost:${port} (key: ${MOCK_KEY}, location: ${MOCK_LOCATION_ID}, calendar: ${MOCK_CALENDAR_ID})`);
+    });
+}
+
+module.exports = { createMockGhlServer };
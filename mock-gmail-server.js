@@ -0,0 +1,279 @@
+/**
+ * Mock Gmail API for local development and testing
+ * Serves the subset of the Gmail REST API the assistant uses (messages, threads, labels, send)
+ * from in-memory sample data, plus an OAuth token endpoint. Point GMAIL_API_URL at
+ * http://localhost:4010/gmail/v1, GMAIL_TOKEN_URL at http://localhost:4010/token and
+ * GMAIL_REFRESH_TOKEN at the mock refresh token to use it.
+ */
+
+const express = require('express');
+const crypto = require('crypto');
+
+const MOCK_TOKEN = process.env.MOCK_GMAIL_TOKEN || 'mock-access-token';
+const MOCK_REFRESH_TOKEN = process.env.MOCK_GMAIL_REFRESH_TOKEN || 'mock-refresh-token';
+const MOCK_AUTH_CODE = 'mock-code';
+
+function encode(text) {
+    return Buffer.from(text, 'utf8').toString('base64url');
+}
+
+function sampleMessage({ id, threadId, from, to = 'christina@molaison.com', subject, text, html, labelIds, minutesAgo, inReplyTo }) {
+    const sentAt = Date.now() - minutesAgo * 60 * 1000;
+    const headers = [
+        { name: 'From', value: from },
+        { name: 'To', value: to },
+        { name: 'Subject', value: subject },
+        { name: 'Date', value: new Date(sentAt).toUTCString() },
+        { name: 'Message-ID', value: `<${id}@mock.gmail>` },
+        ...(inReplyTo ? [{ name: 'In-Reply-To', value: inReplyTo }, { name: 'References', value: inReplyTo }] : [])
+    ];
+    const parts = [{ partId: '0', mimeType: 'text/plain', headers: [{ name: 'Content-Type', value: 'text/plain; charset="UTF-8"' }], body: { size: text.length, data: encode(text) } }];
+    if (html) {
+        parts.push({ partId: '1', mimeType: 'text/html', headers: [{ name: 'Content-Type', value: 'text/html; charset="UTF-8"' }], body: { size: html.length, data: encode(html) } });
+    }
+
+    return {
+        id,
+        threadId,
+        labelIds,
+        snippet: text.slice(0, 100),
+        internalDate: String(sentAt),
+        payload: { mimeType: 'multipart/alternative', headers, body: { size: 0 }, parts }
+    };
+}
+
+function seedState() {
+    return {
+        messages: [
+            sampleMessage({
+                id: 'msg-agency-1',
+                threadId: 'thread-agency-1',
+                from: 'Tom Jones <tom@jonesroofing.com>',
+                subject: 'Renewal quote for our general liability policy',
+                text: 'Hi Christina,\n\nOur general liability policy renews at the end of the month. Can you send us a renewal quote before Friday?\n\nThanks,\nTom',
+                labelIds: ['INBOX', 'UNREAD', 'IMPORTANT'],
+                minutesAgo: 45
+            }),
+            sampleMessage({
+                id: 'msg-ai-1',
+                threadId: 'thread-ai-1',
+                from: 'Priya Shah <priya@brightdental.com>',
+                subject: 'Question about the SEO Platform subscription',
+                text: 'Hello,\n\nWe are on the monthly SEO Platform plan. Could we switch to annual billing and keep our current keyword reports?\n\nPriya',
+                html: '<p>Hello,</p><p>We are on the monthly <b>SEO Platform</b> plan. Could we switch to annual billing and keep our current keyword reports?</p><p>Priya</p>',
+                labelIds: ['INBOX', 'UNREAD'],
+                minutesAgo: 120
+            }),
+            sampleMessage({
+                id: 'msg-news-1',
+                threadId: 'thread-news-1',
+                from: 'Marketing Weekly <newsletter@marketingweekly.com>',
+                subject: 'This week in marketing: 10 AI trends',
+                text: 'Your weekly digest of marketing news. Unsubscribe at any time.',
+                labelIds: ['INBOX', 'UNREAD', 'CATEGORY_PROMOTIONS'],
+                minutesAgo: 600
+            })
+        ],
+        labels: [
+            { id: 'INBOX', name: 'INBOX', type: 'system' },
+            { id: 'UNREAD', name: 'UNREAD', type: 'system' },
+            { id: 'IMPORTANT', name: 'IMPORTANT', type: 'system' },
+            { id: 'STARRED', name: 'STARRED', type: 'system' },
+            { id: 'SENT', name: 'SENT', type: 'system' },
+            { id: 'CATEGORY_PROMOTIONS', name: 'CATEGORY_PROMOTIONS', type: 'system' }
+        ],
+        sent: []
+    };
+}
+
+function headerValue(message, name) {
+    const header = message.payload.headers.find(h => h.name.toLowerCase() === name.toLowerCase());
+    return header ? header.value : '';
+}
+
+// Supports the query terms the assistant uses: is:unread, is:starred, in:<label>, from:, subject:, plus free text
+function matchesQuery(message, q) {
+    const terms = (q || '').match(/(\w+:"[^"]*"|\w+:\S+|"[^"]*"|\S+)/g) || [];
+    const text = `${headerValue(message, 'From')} ${headerValue(message, 'Subject')} ${message.snippet}`.toLowerCase();
+
+    return terms.every(term => {
+        const [key, ...rest] = term.split(':');
+        const value = rest.join(':').replace(/"/g, '').toLowerCase();
+        if (!rest.length) return text.includes(term.replace(/"/g, '').toLowerCase());
+
+        switch (key.toLowerCase()) {
+            case 'is': return message.labelIds.includes(value.toUpperCase());
+            case 'in': return value === 'anywhere' || message.labelIds.includes(value.toUpperCase());
+            case 'from': return headerValue(message, 'From').toLowerCase().includes(value);
+            case 'subject': return headerValue(message, 'Subject').toLowerCase().includes(value);
+            default: return text.includes(term.toLowerCase());
+        }
+    });
+}
+
+// Turns a raw RFC 2822 message from messages.send into a stored message
+function parseRawMessage(raw) {
+    const text = Buffer.from(raw, 'base64url').toString('utf8');
+    const [head, ...bodyParts] = text.split(/\r?\n\r?\n/);
+    const headers = head.split(/\r?\n(?![ \t])/).map(line => {
+        const index = line.indexOf(':');
+        return { name: line.slice(0, index).trim(), value: line.slice(index + 1).trim() };
+    });
+    const rawBody = bodyParts.join('\r\n\r\n');
+    const isBase64 = headers.some(h => h.name.toLowerCase() === 'content-transfer-encoding' && /base64/i.test(h.value));
+    const body = isBase64 ? Buffer.from(rawBody.replace(/\s+/g, ''), 'base64').toString('utf8') : rawBody;
+
+    return { headers, body, raw: text };
+}
+
+function createMockGmailServer({ token = MOCK_TOKEN, refreshToken = MOCK_REFRESH_TOKEN } = {}) {
+    const app = express();
+    let state = seedState();
+    let accessToken = token;
+
+    app.use(express.json({ limit: '30mb' }));
+    app.use(express.urlencoded({ extended: false }));
+
+    // Test helpers: inspect sent mail, reset to the sample inbox, and invalidate the current access token
+    app.get('/__mock/sent', (req, res) => res.json({ sent: state.sent }));
+    app.post('/__mock/reset', (req, res) => {
+        state = seedState();
+        accessToken = token;
+        res.json({ success: true });
+    });
+    app.post('/__mock/expire-token', (req, res) => {
+        accessToken = `${token}-${crypto.randomBytes(4).toString('hex')}`;
+        res.json({ success: true });
+    });
+
+    // OAuth token endpoint: the mock refresh token and authorization code both yield the current access token
+    app.post('/token', (req, res) => {
+        const { grant_type: grantType, refresh_token: refresh, code } = req.body;
+        const valid = (grantType === 'refresh_token' && refresh === refreshToken) ||
+            (grantType === 'authorization_code' && code === MOCK_AUTH_CODE);
+        if (!valid) {
+            return res.status(400).json({ error: 'invalid_grant', error_description: 'Token has been expired or revoked.' });
+        }
+
+        res.json({
+            access_token: accessToken,
+            expires_in: 3600,
+            token_type: 'Bearer',
+            scope: 'https://www.googleapis.com/auth/gmail.modify https://www.googleapis.com/auth/gmail.send',
+            ...(grantType === 'authorization_code' ? { refresh_token: refreshToken } : {})
+        });
+    });
+
+    app.post('/revoke', (req, res) => res.json({}));
+
+    const api = express.Router();
+    api.use((req, res, next) => {
+        if (req.get('Authorization') !== `Bearer ${accessToken}`) {
+            return res.status(401).json({ error: { code: 401, message: 'Request had invalid authentication credentials.' } });
+        }
+        next();
+    });
+
+    const findMessage = (req, res) => {
+        const message = state.messages.find(m => m.id === req.params.id);
+        if (!message) res.status(404).json({ error: { code: 404, message: 'Requested entity was not found.' } });
+        return message;
+    };
+
+    api.get('/profile', (req, res) => res.json({
+        emailAddress: 'christina@molaison.com',
+        messagesTotal: state.messages.length,
+        threadsTotal: new Set(state.messages.map(m => m.threadId)).size
+    }));
+
+    api.get('/messages', (req, res) => {
+        const labelIds = [].concat(req.query.labelIds || []);
+        const matching = state.messages
+            .filter(m => labelIds.every(label => m.labelIds.includes(label)) && matchesQuery(m, req.query.q))
+            .sort((a, b) => Number(b.internalDate) - Number(a.internalDate));
+
+        const start = Number(req.query.pageToken) || 0;
+        const maxResults = Math.min(Number(req.query.maxResults) || 100, 500);
+        const page = matching.slice(start, start + maxResults);
+
+        res.json({
+            messages: page.map(({ id, threadId }) => ({ id, threadId })),
+            nextPageToken: start + maxResults < matching.length ? String(start + maxResults) : undefined,
+            resultSizeEstimate: matching.length
+        });
+    });
+
+    api.get('/messages/:id', (req, res) => {
+        const message = findMessage(req, res);
+        if (message) res.json(message);
+    });
+
+    api.post('/messages/:id/modify', (req, res) => {
+        const message = findMessage(req, res);
+        if (!message) return;
+
+        const { addLabelIds = [], removeLabelIds = [] } = req.body;
+        message.labelIds = [...new Set([...message.labelIds, ...addLabelIds])].filter(id => !removeLabelIds.includes(id));
+        res.json({ id: message.id, threadId: message.threadId, labelIds: message.labelIds });
+    });
+
+    api.post('/messages/send', (req, res) => {
+        if (!req.body.raw) {
+            return res.status(400).json({ error: { code: 400, message: "'raw' RFC822 payload message string or uploading message via /upload/* URL required" } });
+        }
+
+        const parsed = parseRawMessage(req.body.raw);
+        const id = `sent-${crypto.randomBytes(6).toString('hex')}`;
+        const threadId = req.body.threadId || id;
+        const message = {
+            id,
+            threadId,
+            labelIds: ['SENT'],
+            snippet: parsed.body.slice(0, 100),
+            internalDate: String(Date.now()),
+            payload: {
+                mimeType: 'text/plain',
+                headers: [...parsed.headers, { name: 'Message-ID', value: `<${id}@mock.gmail>` }],
+                body: { size: parsed.body.length, data: encode(parsed.body) }
+            }
+        };
+
+        state.messages.push(message);
+        state.sent.push({ id, threadId, headers: parsed.headers, body: parsed.body, raw: parsed.raw });
+        res.json({ id, threadId, labelIds: message.labelIds });
+    });
+
+    api.get('/threads/:id', (req, res) => {
+        const messages = state.messages
+            .filter(m => m.threadId === req.params.id)
+            .sort((a, b) => Number(a.internalDate) - Number(b.internalDate));
+        if (messages.length === 0) {
+            return res.status(404).json({ error: { code: 404, message: 'Requested entity was not found.' } });
+        }
+        res.json({ id: req.params.id, messages });
+    });
+
+    api.get('/labels', (req, res) => res.json({ labels: state.labels }));
+
+    api.post('/labels', (req, res) => {
+        const { name } = req.body;
+        if (state.labels.some(label => label.name.toLowerCase() === String(name).toLowerCase())) {
+            return res.status(409).json({ error: { code: 409, message: 'Label name exists or conflicts' } });
+        }
+        const label = { id: `Label_${state.labels.length + 1}`, name, type: 'user' };
+        state.labels.push(label);
+        res.json(label);
+    });
+
+    app.use('/gmail/v1/users/me', api);
+    return app;
+}
+
+if (require.main === module) {
+    const port = process.env.MOCK_GMAIL_PORT || 4010;
+    createMockGmailServer().listen(port, () => {
+        console.log(`📬 Mock Gmail API on http://localhost:${port}/gmail/v1 (token: ${MOCK_TOKEN})`);
+    });
+}
+
+module.exports = { createMockGmailServer };
@@ -0,0 +1,140 @@
+/**
+ * Fixture website for testing the web scraper
+ * Serves a robots.txt (with a disallowed /private section and a Crawl-delay), a competitor pricing page whose
+ * prices can be changed to trigger change alerts, and a paginated insurance agent directory to build lead
+ * lists from. Every request is logged with its time and User-Agent so rate limiting can be checked.
+ * Point scrapers at http://localhost:4050 (PORT or MOCK_SCRAPE_PORT) and start the assistant with
+ * SCRAPER_ALLOW_PRIVATE_HOSTS=true, since localhost is otherwise refused.
+ */
+
+const express = require('express');
+
+const MOCK_CRAWL_DELAY = process.env.MOCK_SCRAPE_CRAWL_DELAY || '1';
+
+function seedState() {
+    return {
+        plans: [
+            { id: 'starter', name: 'Starter', price: 49 },
+            { id: 'pro', name: 'Pro', price: 99 },
+            { id: 'agency', name: 'Agency', price: 249 }
+        ],
+        headline: 'SEO that ranks local businesses',
+        requests: []
+    };
+}
+
+const AGENTS = [
+    { name: 'Marie Broussard', agency: 'Broussard Insurance', email: 'marie@broussardins.com', phone: '504-555-0111' },
+    { name: 'Luc Fontenot', agency: 'Fontenot & Sons', email: 'luc@fontenotsons.com', phone: '504-555-0112' },
+    { name: 'Dana Guidry', agency: 'Guidry Risk Partners', email: 'dana@guidryrisk.com', phone: '504-555-0113' },
+    { name: 'Paul Hebert', agency: 'Hebert Agency', email: 'paul@hebertagency.com', phone: '504-555-0114' },
+    { name: 'Renee Landry', agency: 'Landry Benefits', email: null, phone: '504-555-0115' },
+    { name: 'Sam Arceneaux', agency: 'Arceneaux Insurance', email: 'sam@arceneauxins.com', phone: '504-555-0116' }
+];
+const AGENTS_PER_PAGE = 3;
+
+function page(title, body, description = '') {
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+    <meta charset="UTF-8">
+    <title>${title}</title>
+    ${description ? `<meta name="description" content="${description}">` : ''}
+</head>
+<body>
+${body}
+</body>
+</html>`;
+}
+
+function createMockScrapeServer({ crawlDelay = MOCK_CRAWL_DELAY } = {}) {
+    const app = express();
+    let state = seedState();
+
+    app.use(express.json());
+
+    // Test helpers: change the pricing page, inspect the request log, and reset
+    app.get('/__mock/requests', (req, res) => res.json({ requests: state.requests }));
+    app.post('/__mock/pricing', (req, res) => {
+        const { plan, price, headline } = req.body;
+        const match = state.plans.find(p => p.id === plan);
+        if (plan && !match) return res.status(404).json({ error: `No plan ${plan}` });
+        if (match && price !== undefined) match.price = Number(price);
+        if (headline) state.headline = headline;
+        res.json({ plans: state.plans, headline: state.headline });
+    });
+    app.post('/__mock/reset', (req, res) => {
+        state = seedState();
+        res.json({ success: true });
+    });
+
+    app.use((req, res, next) => {
+        state.requests.push({ path: req.originalUrl, at: Date.now(), userAgent: req.get('User-Agent') || null });
+        next();
+    });
+
+    app.get('/robots.txt', (req, res) => {
+        res.type('text/plain').send([
+            'User-agent: BadBot',
+            'Disallow: /',
+            '',
+            'User-agent: *',
+            'Disallow: /private',
+            'Allow: /private/press',
+            `Crawl-delay: ${crawlDelay}`
+        ].join('\n'));
+    });
+
+    app.get('/', (req, res) => {
+        res.send(page('Bayou SEO', `
+    <h1>${state.headline}</h1>
+    <p>See our <a href="/pricing">pricing</a> or browse the <a href="/agents">agent directory</a>.</p>
+    <p>Questions? <a href="mailto:hello@bayouseo.test">Email us</a>.</p>`, 'Local SEO for New Orleans businesses'));
+    });
+
+    app.get('/pricing', (req, res) => {
+        const plans = state.plans.map(plan => `
+        <div class="plan" data-plan="${plan.id}">
+            <h2 class="plan-name">${plan.name}</h2>
+            <span class="price">$${plan.price.toFixed(2)}/mo</span>
+        </div>`).join('');
+        res.send(page('Pricing - Bayou SEO', `
+    <h1>${state.headline}</h1>
+    <section class="plans">${plans}
+    </section>`));
+    });
+
+    app.get('/agents', (req, res) => {
+        const pageNumber = Math.max(1, Number(req.query.page) || 1);
+        const pageCount = Math.ceil(AGENTS.length / AGENTS_PER_PAGE);
+        const agents = AGENTS.slice((pageNumber - 1) * AGENTS_PER_PAGE, pageNumber * AGENTS_PER_PAGE);
+        const cards = agents.map(agent => `
+        <div class="agent">
+            <h3 class="name">${agent.name}</h3>
+            <p class="agency">${agent.agency}</p>
+            ${agent.email ? `<a class="email" href="mailto:${agent.email}">${agent.email}</a>` : ''}
+            <a class="phone" href="tel:${agent.phone}">${agent.phone}</a>
+        </div>`).join('');
+        const next = pageNumber < pageCount ? `<a class="next" href="/agents?page=${pageNumber + 1}">Next</a>` : '';
+        res.send(page(`Agent directory - page ${pageNumber}`, `
+    <h1>Louisiana insurance agents</h1>
+    <div class="directory">${cards}
+    </div>
+    ${next}`));
+    });
+
+    app.get('/private/:page', (req, res) => {
+        res.send(page('Private', '<p>Robots should not see this.</p>'));
+    });
+
+    return app;
+}
+
+if (require.main === module) {
+    const port = process.env.PORT || process.env.MOCK_SCRAPE_PORT || 4050;
+    createMockScrapeServer().listen(port, () => {
+        console.log(`🕸️ Mock scrape site on http://localhost:${port} (Crawl-delay: ${MOCK_CRAWL_DELAY}s)`);
+    });
+}
+
+module.exports = { createMockScrapeServer };
@@ -0,0 +1,235 @@
+/**
+ * Mock Twilio API for local development and testing
+ * Accepts the Calls and Messages requests the phone assistant makes and records them in memory, and can
+ * play the part of Twilio's webhooks: simulated inbound texts and calls, status callbacks and the caller's
+ * side of a <Gather> conversation are posted to the assistant signed with the mock auth token. Run the
+ * assistant with TWILIO_API_URL at http://localhost:4020/2010-04-01, TWILIO_ACCOUNT_SID=ACmock,
+ * TWILIO_AUTH_TOKEN=mock-auth-token and a TWILIO_PHONE_NUMBER; MOCK_TWILIO_WEBHOOK_URL is where the
+ * assistant listens (default http://localhost:3003).
+ */
+
+const express = require('express');
+const axios = require('axios');
+const crypto = require('crypto');
+
+const MOCK_ACCOUNT_SID = process.env.MOCK_TWILIO_ACCOUNT_SID || 'ACmock';
+const MOCK_AUTH_TOKEN = process.env.MOCK_TWILIO_AUTH_TOKEN || 'mock-auth-token';
+const MOCK_WEBHOOK_URL = (process.env.MOCK_TWILIO_WEBHOOK_URL || 'http://localhost:3003').replace(/\/$/, '');
+const MOCK_NUMBER = process.env.MOCK_TWILIO_NUMBER || '+15045550100';
+
+// Same scheme as Twilio: HMAC-SHA1 over the URL plus the sorted form fields
+function sign(authToken, url, params) {
+    const payload = Object.keys(params).sort().reduce((text, key) => text + key + params[key], url);
+    return crypto.createHmac('sha1', authToken).update(payload, 'utf8').digest('base64');
+}
+
+function sid(prefix) {
+    return `${prefix}${crypto.randomBytes(16).toString('hex')}`;
+}
+
+// The <Gather> action the last TwiML response is waiting on, if any
+function gatherAction(twiml) {
+    const match = String(twiml || '').match(/<Gather\b[^>]*\baction="([^"]+)"/);
+    return match ? match[1].replace(/&amp;/g, '&').replace(/&quot;/g, '"') : null;
+}
+
+function twilioError(res, status, code, message) {
+    res.status(status).json({ code, message, status, more_info: `https://www.twilio.com/docs/errors/${code}` });
+}
+
+function createMockTwilioServer({ accountSid = MOCK_ACCOUNT_SID, authToken = MOCK_AUTH_TOKEN, webhookUrl = MOCK_WEBHOOK_URL } = {}) {
+    const app = express();
+    let state = { calls: [], messages: [], webhooks: [] };
+
+    app.use(express.json());
+    app.use(express.urlencoded({ extended: false }));
+
+    // Posts a signed webhook to the assistant; `url` is absolute (a StatusCallback) or a path under webhookUrl
+    async function postWebhook(url, params) {
+        const target = /^https?:/.test(url) ? url : `${webhookUrl}${url}`;
+        const entry = { url: target, params, status: null, response: null };
+        state.webhooks.push(entry);
+
+        try {
+            const response = await axios.post(target, new URLSearchParams(params).toString(), {
+                headers: {
+                    'Content-Type': 'application/x-www-form-urlencoded',
+                    'X-Twilio-Signature': sign(authToken, target, params)
+                },
+                responseType: 'text',
+                validateStatus: () => true
+            });
+            entry.status = response.status;
+            entry.response = response.data;
+        } catch (error) {
+            entry.status = 0;
+            entry.response = error.message;
+        }
+        return entry;
+    }
+
+    // Test helpers: inspect recorded requests and webhooks, and reset
+    app.get('/__mock/calls', (req, res) => res.json({ calls: state.calls }));
+    app.get('/__mock/messages', (req, res) => res.json({ messages: state.messages }));
+    app.get('/__mock/webhooks', (req, res) => res.json({ webhooks: state.webhooks }));
+    app.post('/__mock/reset', (req, res) => {
+        state = { calls: [], messages: [], webhooks: [] };
+        res.json({ success: true });
+    });
+
+    // Simulated inbound traffic: { from, body } texts the assistant's number, { from } calls it
+    app.post('/__mock/inbound-sms', async (req, res) => {
+        const { from, to = MOCK_NUMBER, body = '' } = req.body;
+        const params = { AccountSid: accountSid, MessageSid: sid('SM'), From: from, To: to, Body: body, NumMedia: '0' };
+        res.json(await postWebhook('/twilio/sms', params));
+    });
+
+    app.post('/__mock/inbound-call', async (req, res) => {
+        const { from, to = MOCK_NUMBER } = req.body;
+        const params = { AccountSid: accountSid, CallSid: sid('CA'), From: from, To: to, CallStatus: 'ringing', Direction: 'inbound' };
+        res.json(await postWebhook('/twilio/voice', params));
+    });
+
+    // Moves a call along (e.g. { status: "completed", duration: 95 }) and sends its StatusCallback
+    app.post('/__mock/calls/:sid/status', async (req, res) => {
+        const call = state.calls.find(c => c.sid === req.params.sid);
+        if (!call) return twilioError(res, 404, 20404, 'The requested resource was not found');
+
+        call.status = req.body.status || 'completed';
+        if (req.body.duration !== undefined) call.duration = String(req.body.duration);
+        if (!call.statusCallback) return res.json({ call });
+
+        const params = { AccountSid: accountSid, CallSid: call.sid, CallStatus: call.status, From: call.from, To: call.to };
+        if (call.duration !== null) params.CallDuration = call.duration;
+        res.json({ call, webhook: await postWebhook(call.statusCallback, params) });
+    });
+
+    // Picks up a call placed with a Url: { answeredBy: "human" | "machine_end_beep" } is passed as AnsweredBy
+    app.post('/__mock/calls/:sid/answer', async (req, res) => {
+        const call = state.calls.find(c => c.sid === req.params.sid);
+        if (!call) return twilioError(res, 404, 20404, 'The requested resource was not found');
+        if (!call.url) return twilioError(res, 400, 21205, 'Call was placed with inline TwiML');
+
+        call.status = 'in-progress';
+        const params = { AccountSid: accountSid, CallSid: call.sid, From: call.from, To: call.to, CallStatus: 'in-progress', AnsweredBy: req.body.answeredBy || 'human' };
+        const webhook = await postWebhook(call.url, params);
+        call.twiml = webhook.response;
+        res.json({ webhook, waitingForInput: !!gatherAction(call.twiml), hungUp: /<Hangup\s*\/>/.test(call.twiml) });
+    });
+
+    // The person on the call answers the current <Gather>: { speech } or { digits }; send neither for silence
+    app.post('/__mock/calls/:sid/reply', async (req, res) => {
+        const call = state.calls.find(c => c.sid === req.params.sid);
+        if (!call) return twilioError(res, 404, 20404, 'The requested resource was not found');
+        const action = gatherAction(call.twiml);
+        if (!action) return twilioError(res, 409, 21220, 'Call is not waiting for input');
+
+        const params = { AccountSid: accountSid, CallSid: call.sid, From: call.from, To: call.to, CallStatus: 'in-progress' };
+        if (req.body.speech) Object.assign(params, { SpeechResult: req.body.speech, Confidence: '0.92' });
+        if (req.body.digits) params.Digits = String(req.body.digits);
+        const webhook = await postWebhook(action, params);
+        call.twiml = webhook.response;
+        res.json({ webhook, waitingForInput: !!gatherAction(call.twiml), hungUp: /<Hangup\s*\/>/.test(call.twiml) });
+    });
+
+    app.post('/__mock/calls/:sid/recording', async (req, res) => {
+        const call = state.calls.find(c => c.sid === req.params.sid);
+        const params = {
+            AccountSid: accountSid,
+            CallSid: call ? call.sid : req.params.sid,
+            RecordingSid: sid('RE'),
+            RecordingUrl: `https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Recordings/${sid('RE')}`,
+            RecordingDuration: String(req.body.duration || 30)
+        };
+        res.json(await postWebhook('/twilio/voice/recording', params));
+    });
+
+    const api = express.Router({ mergeParams: true });
+    api.use((req, res, next) => {
+        const [scheme, encoded] = (req.get('Authorization') || '').split(' ');
+        const [user, password] = Buffer.from(encoded || '', 'base64').toString().split(':');
+        if (scheme !== 'Basic' || user !== accountSid || password !== authToken || req.params.accountSid !== accountSid) {
+            return twilioError(res, 401, 20003, 'Authenticate');
+        }
+        next();
+    });
+
+    api.post('/Calls.json', (req, res) => {
+        const { To: to, From: from, Url: url, Twiml: twiml, StatusCallback: statusCallback, MachineDetection: machineDetection } = req.body;
+        if (!to) return twilioError(res, 400, 21201, "No 'To' number is specified");
+        if (!from) return twilioError(res, 400, 21213, "No 'From' number is specified");
+        if (!url && !twiml) return twilioError(res, 400, 21205, 'Url or Twiml parameter is required');
+
+        const call = {
+            sid: sid('CA'),
+            account_sid: accountSid,
+            to,
+            from,
+            status: 'queued',
+            direction: 'outbound-api',
+            duration: null,
+            url: url || null,
+            twiml: twiml || null,
+            statusCallback: statusCallback || null,
+            machineDetection: machineDetection || null,
+            date_created: new Date().toUTCString()
+        };
+        state.calls.push(call);
+        res.status(201).json(call);
+    });
+
+    api.get('/Calls/:sid.json', (req, res) => {
+        const call = state.calls.find(c => c.sid === req.params.sid);
+        if (!call) return twilioError(res, 404, 20404, 'The requested resource was not found');
+        res.json(call);
+    });
+
+    // Messages are accepted as queued; the StatusCallback then reports them sent and delivered
+    api.post('/Messages.json', (req, res) => {
+        const { To: to, From: from, Body: body, StatusCallback: statusCallback } = req.body;
+        if (!to) return twilioError(res, 400, 21604, "A 'To' phone number is required");
+        if (!from) return twilioError(res, 400, 21603, "A 'From' phone number is required");
+        if (!body) return twilioError(res, 400, 21602, 'Message body is required');
+
+        const message = {
+            sid: sid('SM'),
+            account_sid: accountSid,
+            to,
+            from,
+            body,
+            status: 'queued',
+            direction: 'outbound-api',
+            num_segments: String(Math.ceil(body.length / 160)),
+            date_created: new Date().toUTCString()
+        };
+        state.messages.push(message);
+        res.status(201).json(message);
+
+        if (statusCallback) {
+            setImmediate(async () => {
+                for (const status of ['sent', 'delivered']) {
+                    message.status = status;
+                    await postWebhook(statusCallback, { AccountSid: accountSid, MessageSid: message.sid, MessageStatus: status, From: from, To: to });
+                }
+            });
+        }
+    });
+
+    api.get('/Messages/:sid.json', (req, res) => {
+        const message = state.messages.find(m => m.sid === req.params.sid);
+        if (!message) return twilioError(res, 404, 20404, 'The requested resource was not found');
+        res.json(message);
+    });
+
+    app.use('/2010-04-01/Accounts/:accountSid', api);
+    return app;
+}
+
+if (require.main === module) {
+    const port = process.env.MOCK_TWILIO_PORT || 4020;
+    createMockTwilioServer().listen(port, () => {
+        console.log(`📞 Mock Twilio API on http://localhost:${port}/2010-04-01 (account: ${MOCK_ACCOUNT_SID}, webhooks to ${MOCK_WEBHOOK_URL})`);
+    });
+}
+
+module.exports = { createMockTwilioServer };
@@ -10,15 +10,26 @@ const fs = require('fs').promises;
 const path = require('path');
 const jwt = require('jsonwebtoken');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+const dns = require('dns');
+const net = require('net');
 const { v4: uuidv4 } = require('uuid');
+const multer = require('multer');
+const cheerio = require('cheerio');
 
 class MolaisonExecutiveAssistant {
     constructor() {
         this.app = express();
         
-        // Add CORS headers
+        // Add CORS headers (restrict with ALLOWED_ORIGINS=https://a.com,https://b.com)
+        const allowedOrigins = (process.env.ALLOWED_ORIGINS || '').split(',').map(o => o.trim()).filter(Boolean);
         this.app.use((req, res, next) => {
-            res.header('Access-Control-Allow-Origin', '*');
+            if (allowedOrigins.length === 0) {
+                res.header('Access-Control-Allow-Origin', '*');
+            } else if (allowedOrigins.includes(req.get('Origin'))) {
+                res.header('Access-Control-Allow-Origin', req.get('Origin'));
+                res.header('Vary', 'Origin');
+            }
             res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
             res.header('Access-Control-Allow-Headers', 'Origin, X-Requested-With, Content-Type, Accept, Authorization');
             if (req.method === 'OPTIONS') {
@@ -28,6 +39,14 @@ class MolaisonExecutiveAssistant {
             }
         });
         
+        // Base64 voice uploads need a larger body limit than the rest of the API
+        this.app.use('/api/voice', express.json({ limit: '40mb' }));
+        this.app.use('/api/calendar/import', express.text({ type: ['text/calendar', 'text/plain'], limit: '5mb' }), express.json({ limit: '5mb' }));
+        this.app.use('/api/ai/revenue/import', express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }), express.json({ limit: '5mb' }));
+        // Twilio posts webhooks form-encoded
+        this.app.use('/twilio', express.urlencoded({ extended: false }));
+        // Website forms post leads form-encoded
+        this.app.use('/leads', express.urlencoded({ extended: false }));
         this.app.use(express.json());
         this.app.use(express.static('.'));
 
@@ -53,26 +72,243 @@ class MolaisonExecutiveAssistant {
                     key: process.env.OPENAI_API_KEY,
                     baseUrl: 'https://api.openai.com/v1'
                 },
+                anthropic: {
+                    key: process.env.ANTHROPIC_API_KEY,
+                    baseUrl: 'https://api.anthropic.com/v1',
+                    model: process.env.ANTHROPIC_MODEL
+                },
+                gemini: {
+                    key: process.env.GEMINI_API_KEY,
+                    baseUrl: 'https://generativelanguage.googleapis.com/v1beta',
+                    model: process.env.GEMINI_MODEL
+                },
                 perplexity: {
                     key: process.env.PERPLEXITY_API_KEY,
-                    baseUrl: 'https://api.perplexity.ai'
+                    baseUrl: process.env.PERPLEXITY_API_URL || 'https://api.perplexity.ai',
+                    model: process.env.PERPLEXITY_MODEL || 'sonar',
+                    timeoutMs: 120 * 1000
                 },
                 whispr: {
                     key: process.env.WHISPR_API_KEY,
-                    enabled: process.env.WHISPR_ENABLED === 'true'
+                    enabled: process.env.WHISPR_ENABLED === 'true',
+                    baseUrl: process.env.WHISPR_API_URL || 'https://api.wisprflow.ai/v1'
                 },
                 twilio: {
                     accountSid: process.env.TWILIO_ACCOUNT_SID,
                     authToken: process.env.TWILIO_AUTH_TOKEN,
-                    phoneNumber: process.env.TWILIO_PHONE_NUMBER
+                    phoneNumber: process.env.TWILIO_PHONE_NUMBER,
+                    baseUrl: process.env.TWILIO_API_URL || 'https://api.twilio.com/2010-04-01',
+                    // Public base URL Twilio calls back on; webhook signatures are computed over it
+                    webhookUrl: (process.env.TWILIO_WEBHOOK_URL || process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3003}`).replace(/\/$/, ''),
+                    // Inbound calls ring through to this number; without it callers go to voicemail
+                    forwardTo: process.env.TWILIO_FORWARD_TO,
+                    voice: process.env.TWILIO_VOICE || 'Polly.Joanna'
+                },
+                vapi: {
+                    key: process.env.VAPI_API_KEY,
+                    publicKey: process.env.VAPI_PUBLIC_KEY,
+                    phoneNumberId: process.env.VAPI_PHONE_NUMBER_ID,
+                    // Vapi echoes this in X-Vapi-Secret on every event it posts back
+                    webhookSecret: process.env.VAPI_WEBHOOK_SECRET,
+                    baseUrl: process.env.VAPI_API_URL || 'https://api.vapi.ai',
+                    model: process.env.VAPI_MODEL || 'gpt-4o-mini'
                 },
                 gmail: {
                     clientId: process.env.GMAIL_CLIENT_ID,
                     clientSecret: process.env.GMAIL_CLIENT_SECRET,
-                    refreshToken: process.env.GMAIL_REFRESH_TOKEN
+                    refreshToken: process.env.GMAIL_REFRESH_TOKEN,
+                    accessToken: process.env.GMAIL_ACCESS_TOKEN,
+                    baseUrl: process.env.GMAIL_API_URL || 'https://gmail.googleapis.com/gmail/v1',
+                    tokenUrl: process.env.GMAIL_TOKEN_URL || 'https://oauth2.googleapis.com/token',
+                    revokeUrl: process.env.GMAIL_REVOKE_URL || 'https://oauth2.googleapis.com/revoke',
+                    // Refresh access tokens this long before Google expires them
+                    refreshMarginMs: 2 * 60 * 1000,
+                    // Message detail requests in flight at once when listing
+                    fetchConcurrency: Number(process.env.GMAIL_FETCH_CONCURRENCY) || 5
+                },
+                ghl: {
+                    key: process.env.GHL_API_KEY,
+                    locationId: process.env.GHL_LOCATION_ID,
+                    // Appointments are read from this calendar; without it they aren't synced
+                    calendarId: process.env.GHL_CALENDAR_ID,
+                    baseUrl: process.env.GHL_API_URL || 'https://services.leadconnectorhq.com',
+                    version: '2021-07-28'
+                }
+            },
+
+            // Authentication
+            auth: {
+                jwtSecret: process.env.JWT_SECRET,
+                // Encrypts stored OAuth tokens; generated into the data directory when unset
+                tokenEncryptionKey: process.env.TOKEN_ENCRYPTION_KEY,
+                tokenExpiry: process.env.JWT_EXPIRES_IN || '12h',
+                ownerEmail: process.env.OWNER_EMAIL,
+                ownerPassword: process.env.OWNER_PASSWORD
+            },
+
+            // Language models: providers are tried in order, each task picks its own model per provider.
+            // LLM_PROVIDER_ORDER=local runs the deterministic offline stub; LLM_MODELS (JSON) overrides models.
+            llm: {
+                order: (process.env.LLM_PROVIDER_ORDER || 'openai,anthropic,gemini').split(',').map(p => p.trim()),
+                // Per-request limit; a provider that doesn't answer in time counts as failed and the next one is tried
+                timeoutMs: Number(process.env.LLM_TIMEOUT_MS) || 30000,
+                models: mergeModelConfig({
+                    intent: { openai: 'gpt-4o-mini', anthropic: 'claude-3-5-haiku-latest', gemini: 'gemini-1.5-flash' },
+                    summary: { openai: 'gpt-4o-mini', anthropic: 'claude-3-5-haiku-latest', gemini: 'gemini-1.5-flash' },
+                    triage: { openai: 'gpt-4o-mini', anthropic: 'claude-3-5-haiku-latest', gemini: 'gemini-1.5-flash' },
+                    chat: { openai: 'gpt-4o', anthropic: 'claude-3-5-sonnet-latest', gemini: 'gemini-1.5-pro' },
+                    agent: { openai: 'gpt-4o', anthropic: 'claude-3-5-sonnet-latest', gemini: 'gemini-1.5-pro' },
+                    drafting: { openai: 'gpt-4o', anthropic: 'claude-3-5-sonnet-latest', gemini: 'gemini-1.5-pro' }
+                }, process.env.LLM_MODELS)
+            },
+
+            // Intent classification: below this confidence the assistant asks a clarifying question
+            intent: {
+                clarifyBelow: Number(process.env.INTENT_CONFIDENCE_THRESHOLD) || 0.55
+            },
+
+            // Speech-to-text: providers are tried in order; `local` returns LOCAL_TRANSCRIPT for offline testing
+            transcription: {
+                order: (process.env.TRANSCRIPTION_PROVIDER_ORDER || 'whispr,openai').split(',').map(p => p.trim()),
+                openaiModel: process.env.TRANSCRIPTION_MODEL || 'whisper-1',
+                localTranscript: process.env.LOCAL_TRANSCRIPT || 'What tasks do I have today?',
+                maxBytes: 25 * 1024 * 1024
+            },
+
+            // Research jobs: search providers are tried in order; `local` returns a canned cited answer for offline testing
+            research: {
+                order: (process.env.RESEARCH_PROVIDER_ORDER || 'perplexity').split(',').map(p => p.trim()),
+                defaultLocation: process.env.RESEARCH_LOCATION || 'New Orleans, Louisiana',
+                // Jobs run at the same time; the rest wait in the queue
+                concurrency: 2,
+                // How long chat waits for a report before answering that it's still running
+                waitMs: 45 * 1000
+            },
+
+            // Web scraping: robots.txt is always honoured and each host gets at most one request per `minDelayMs`
+            scraper: {
+                userAgent: process.env.SCRAPER_USER_AGENT || 'MolaisonBot/1.0 (+https://molaison.com/bot)',
+                minDelayMs: Number(process.env.SCRAPER_DELAY_MS) || 2000,
+                timeoutMs: 15 * 1000,
+                maxBytes: 5 * 1024 * 1024,
+                robotsCacheMs: 60 * 60 * 1000,
+                // Loopback, private and link-local hosts are refused unless this is set (e.g. for the local mock site)
+                allowPrivateHosts: process.env.SCRAPER_ALLOW_PRIVATE_HOSTS === 'true',
+                maxPages: 20,
+                keepRuns: 50,
+                checkIntervalMs: 60 * 1000
+            },
+
+            // Tool-calling agent
+            agent: {
+                maxSteps: 5
+            },
+
+            // Calendar: times without an offset are read in this timezone (US/Central)
+            calendar: {
+                timezone: process.env.CALENDAR_TIMEZONE || 'America/Chicago',
+                workingHours: {
+                    start: process.env.WORKING_HOURS_START || '09:00',
+                    end: process.env.WORKING_HOURS_END || '17:00'
+                },
+                // 0 = Sunday
+                workingDays: [1, 2, 3, 4, 5],
+                slotStepMinutes: 30,
+                bufferMinutes: Number(process.env.CALENDAR_BUFFER_MINUTES) || 0
+            },
+
+            // Tasks: due dates without an offset ("2026-10-25", "by Friday") are read in this timezone
+            tasks: {
+                timezone: process.env.CALENDAR_TIMEZONE || 'America/Chicago'
+            },
+
+            // Scripted outreach calls: `twilio` runs the conversation over TwiML <Gather>, `vapi` hands it to Vapi
+            voiceAgent: {
+                backend: process.env.VOICE_AGENT_BACKEND || 'twilio',
+                // Times the question is repeated when the answer isn't understood
+                maxRetries: 1
+            },
+
+            // Agency policies: renewal reminder tasks go out this many days before expiration
+            policies: {
+                timezone: process.env.CALENDAR_TIMEZONE || 'America/Chicago',
+                reminderDays: [60, 30, 7],
+                renewalWindowDays: 90,
+                reminderIntervalMs: 60 * 60 * 1000
+            },
+
+            // Agency leads: the public intake endpoint needs LEAD_INTAKE_SECRET; form posts can be redirected afterwards
+            leads: {
+                timezone: process.env.CALENDAR_TIMEZONE || 'America/Chicago',
+                intakeSecret: process.env.LEAD_INTAKE_SECRET,
+                intakeRedirectUrl: process.env.LEAD_INTAKE_REDIRECT_URL,
+                // Leads with no activity for longer than this lose score
+                staleDays: 30
+            },
+
+            // GoHighLevel sync: contacts, opportunities and appointments come in, tasks and notes go out.
+            // A field changed on both sides since the last sync is settled by `conflictPolicy`: newest, remote or local.
+            crm: {
+                intervalMinutes: Number(process.env.GHL_SYNC_INTERVAL_MINUTES) || 15,
+                conflictPolicy: GHL_CONFLICT_POLICIES.includes(process.env.GHL_CONFLICT_POLICY) ? process.env.GHL_CONFLICT_POLICY : 'newest',
+                pageSize: 100,
+                appointmentDaysBack: 30,
+                appointmentDaysAhead: 90,
+                keepRuns: 50
+            },
+
+            // Molaison AI subscriptions: billing dates that come due are recorded as revenue at startup and then hourly
+            subscriptions: {
+                timezone: process.env.CALENDAR_TIMEZONE || 'America/Chicago',
+                billingIntervalMs: 60 * 60 * 1000,
+                importMaxRows: 20000
+            },
+
+            // KPI dashboards: a value further from the last few periods' mean than both thresholds is flagged
+            analytics: {
+                timezone: process.env.CALENDAR_TIMEZONE || 'America/Chicago',
+                defaultPeriods: 12,
+                maxPeriods: 36,
+                anomalyLookback: 6,
+                anomalyZScore: 2,
+                anomalyMinChange: 0.25
+            },
+
+            // Activity feed: the newest entries are kept and the oldest dropped first
+            activity: {
+                maxEntries: 5000,
+                pageSize: 25,
+                maxPageSize: 100
+            },
+
+            // Client booking links; PUBLIC_URL is used for the reschedule/cancel links in emails
+            booking: {
+                publicUrl: (process.env.PUBLIC_URL || `http://localhost:${process.env.PORT || 3003}`).replace(/\/$/, ''),
+                reminderHours: [24, 1],
+                reminderIntervalMs: 60 * 1000,
+                defaultAvailability: {
+                    timezone: process.env.CALENDAR_TIMEZONE || 'America/Chicago',
+                    windows: [{ days: [1, 2, 3, 4, 5], start: '09:00', end: '17:00' }],
+                    minNoticeHours: 24,
+                    maxDaysAhead: 30,
+                    bufferMinutes: 15
                 }
             },
 
+            // Conversation memory (token counts are estimated at ~4 characters per token)
+            memory: {
+                contextTokenBudget: Number(process.env.CHAT_CONTEXT_TOKENS) || 3000,
+                summarizeAfterTurns: 20,
+                keepRecentTurns: 8,
+                maxConversations: 1000
+            },
+
+            // Persistent storage (point DATA_DIR at a mounted volume on Railway)
+            storage: {
+                dataDir: process.env.DATA_DIR || path.join(__dirname, '.data'),
+                fileName: 'molaison-db.json'
+            },
+
             // Assistant Modules
             assistants: {
                 emailManager: true,
@@ -88,7 +324,8 @@ class MolaisonExecutiveAssistant {
             }
         };
 
-        this.initializeSystem();
+        // Resolves once storage, auth, routes and assistants are up; tests wait on it before sending requests
+        this.ready = this.initializeSystem();
     }
 
     async initializeSystem() {
@@ -97,122 +334,353 @@ class MolaisonExecutiveAssistant {
         // Initialize databases
         await this.initializeDatabase();
         
+        // Initialize language model providers
+        this.initializeProviders();
+        
+        // Initialize user accounts and token signing
+        await this.initializeAuth();
+        
         // Setup API routes
         this.setupRoutes();
         
         // Initialize assistant modules
         await this.initializeAssistants();
-}
 
-  // --- Your HTML routes go here ---
-  setupHtmlRoutes() {
-    this.app.get('/', (req, res) => {
-      res.sendFile(path.join(__dirname, 'molaison-assistant-chat.html'));
-    });
+        console.log('✅ Molaison Executive Assistant ready!');
+    }
 
-    this.app.get('/molaison-assistant-chat.html', (req, res) => {
-      res.sendFile(path.join(__dirname, 'molaison-assistant-chat.html'));
-    });
+    // --- Your HTML routes go here ---
+    setupHtmlRoutes() {
+        this.app.get('/', (req, res) => {
+            res.sendFile(path.join(__dirname, 'molaison-assistant-chat.html'));
+        });
 
-    this.app.get('/assistant-configuration.html', (req, res) => {
-      res.sendFile(path.join(__dirname, 'assistant-configuration.html'));
-    });
-  }
+        this.app.get('/molaison-assistant-chat.html', (req, res) => {
+            res.sendFile(path.join(__dirname, 'molaison-assistant-chat.html'));
+        });
 
-  // --- Start method at the bottom ---
-  start() {
-    this.setupHtmlRoutes(); // make sure to call it!
-    this.app.listen(3000, () => {
-      console.log('Server running on http://localhost:3000');
-    });
-  }
-}
-        console.log('✅ Molaison Executive Assistant ready!');
+        this.app.get('/assistant-configuration.html', (req, res) => {
+            res.sendFile(path.join(__dirname, 'assistant-configuration.html'));
+        });
+    }
+
+    // --- Start method at the bottom ---
+    start() {
+        this.setupHtmlRoutes(); // make sure to call it!
+        this.app.listen(3000, () => {
+            console.log('Server running on http://localhost:3000');
+        });
+    }
+
+    initializeProviders() {
+        const { apis } = this.config;
+        this.llm = new LLMRouter({
+            openai: new OpenAIProvider(apis.openai),
+            anthropic: new AnthropicProvider(apis.anthropic),
+            gemini: new GeminiProvider(apis.gemini),
+            local: new LocalStubProvider()
+        }, this.config.llm);
+
+        const active = this.llm.activeProviders().map(p => p.name);
+        console.log(`🧠 Model providers: ${active.length ? active.join(' → ') : 'none configured (keyword fallback)'}`);
+
+        this.transcriber = new TranscriptionService({
+            whispr: new WhisprTranscriber(apis.whispr),
+            openai: new WhisperTranscriber(apis.openai, this.config.transcription),
+            local: new LocalTranscriber(this.config.transcription)
+        }, this.config.transcription);
+
+        this.researchSearch = new ResearchService({
+            perplexity: new PerplexitySearch(apis.perplexity),
+            local: new LocalSearch()
+        }, this.config.research);
     }
 
     async initializeDatabase() {
-        // Simple JSON-based storage for now
+        // File-backed JSON store; every route and assistant goes through the repositories below
+        const { dataDir, fileName } = this.config.storage;
+        this.store = new JsonFileStore(path.join(dataDir, fileName), SCHEMA_MIGRATIONS);
+        await this.store.load();
+
         this.db = {
             businesses: this.config.businesses,
-            clients: [],
-            projects: [],
-            tasks: [],
-            conversations: [],
-            businessData: {
-                molaisonAgency: {
-                    clients: [],
-                    policies: [],
-                    appointments: [],
-                    leads: []
-                },
-                molaisonAI: {
-                    customers: [],
-                    products: ['SEO Platform', 'NOLA Content Generator', 'Video Automation'],
-                    revenue: [],
-                    metrics: []
-                }
+            clients: new Repository(this.store, 'clients'),
+            projects: new Repository(this.store, 'projects'),
+            tasks: new Repository(this.store, 'tasks'),
+            events: new Repository(this.store, 'events'),
+            emailTriage: new Repository(this.store, 'emailTriage'),
+            emailDrafts: new Repository(this.store, 'emailDrafts'),
+            mailboxes: new Repository(this.store, 'mailboxes'),
+            calls: new Repository(this.store, 'calls'),
+            smsMessages: new Repository(this.store, 'smsMessages'),
+            researchReports: new Repository(this.store, 'researchReports'),
+            scrapers: new Repository(this.store, 'scrapers'),
+            scrapeRuns: new Repository(this.store, 'scrapeRuns'),
+            scrapeAlerts: new Repository(this.store, 'scrapeAlerts'),
+            crmSyncRuns: new Repository(this.store, 'crmSyncRuns'),
+            activity: new Repository(this.store, 'activity'),
+            conversations: new Repository(this.store, 'conversations'),
+            users: new Repository(this.store, 'users'),
+            agency: {
+                policies: new Repository(this.store, 'businessData.molaisonAgency.policies'),
+                appointments: new Repository(this.store, 'businessData.molaisonAgency.appointments'),
+                bookingLinks: new Repository(this.store, 'businessData.molaisonAgency.bookingLinks'),
+                leads: new Repository(this.store, 'businessData.molaisonAgency.leads')
+            },
+            ai: {
+                customers: new Repository(this.store, 'businessData.molaisonAI.customers'),
+                revenue: new Repository(this.store, 'businessData.molaisonAI.revenue'),
+                metrics: new Repository(this.store, 'businessData.molaisonAI.metrics'),
+                products: new Repository(this.store, 'businessData.molaisonAI.products')
             }
         };
+
+        console.log(`💾 Data store loaded (schema v${this.store.data.schemaVersion})`);
     }
 
     setupRoutes() {
+        // Health check for Railway (public)
+        this.app.get('/health', (req, res) => res.json({ success: true, status: 'ok' }));
+
+        // Authentication (login is the only public /api route)
+        this.app.post('/api/auth/login', this.login.bind(this));
+        this.app.use('/api', (req, res, next) => this.authenticate(req, res, next));
+
+        const ownerOnly = this.requireRole('owner');
+        const staff = this.requireRole('owner', 'staff');
+        const anyUser = this.requireRole('owner', 'staff', 'client');
+
+        this.app.get('/api/auth/me', anyUser, this.getCurrentUser.bind(this));
+        this.app.post('/api/auth/password', anyUser, this.changePassword.bind(this));
+        this.app.get('/api/auth/users', ownerOnly, this.listUsers.bind(this));
+        this.app.post('/api/auth/users', ownerOnly, this.createUser.bind(this));
+        this.app.get('/api/intent/evaluate', ownerOnly, this.evaluateIntentRules.bind(this));
+        this.app.delete('/api/auth/users/:id', ownerOnly, this.deleteUser.bind(this));
+
         // Chat Interface
-        this.app.post('/api/chat', this.handleChatMessage.bind(this));
+        this.app.post('/api/chat', staff, this.handleChatMessage.bind(this));
+        this.app.post('/api/chat/stream', staff, this.handleChatStream.bind(this));
+        this.app.post('/api/chat/actions/:actionId/confirm', staff, this.confirmChatAction.bind(this));
+        this.app.post('/api/chat/actions/:actionId/reject', staff, this.rejectChatAction.bind(this));
+        this.app.get('/api/conversations', staff, this.getConversations.bind(this));
+        this.app.get('/api/conversations/:id', staff, this.getConversation.bind(this));
+        this.app.delete('/api/conversations/:id', staff, this.deleteConversation.bind(this));
         
         // Business Management
-        this.app.get('/api/businesses', this.getBusinessOverview.bind(this));
-        this.app.post('/api/business/:businessId/task', this.createBusinessTask.bind(this));
+        this.app.get('/api/businesses', staff, this.getBusinessOverview.bind(this));
+        this.app.get('/api/activity', staff, this.getActivity.bind(this));
+        this.app.post('/api/business/:businessId/task', staff, this.createBusinessTask.bind(this));
+        this.app.get('/api/business/:businessId/tasks', staff, this.getBusinessTasks.bind(this));
+        
+        // Task Management
+        this.app.get('/api/tasks', staff, this.getTasks.bind(this));
+        this.app.get('/api/tasks/:id', staff, this.getTask.bind(this));
+        this.app.put('/api/tasks/:id', staff, this.updateTask.bind(this));
+        this.app.post('/api/tasks/:id/status', staff, this.changeTaskStatus.bind(this));
+        this.app.delete('/api/tasks/:id', staff, this.deleteTask.bind(this));
         
         // Email Management
-        this.app.get('/api/emails', this.getEmails.bind(this));
-        this.app.post('/api/emails/respond', this.respondToEmail.bind(this));
+        this.app.get('/api/emails', staff, this.getEmails.bind(this));
+        this.app.get('/api/emails/labels', staff, this.getEmailLabels.bind(this));
+        this.app.post('/api/emails/labels', staff, this.createEmailLabel.bind(this));
+        this.app.post('/api/emails/triage', staff, this.triageEmails.bind(this));
+        this.app.post('/api/emails/respond', staff, this.respondToEmail.bind(this));
+        this.app.get('/api/emails/mailboxes', staff, this.getMailboxes.bind(this));
+        this.app.delete('/api/emails/mailboxes/:business', ownerOnly, this.disconnectMailbox.bind(this));
+        this.app.get('/api/emails/drafts', staff, this.getEmailDrafts.bind(this));
+        this.app.put('/api/emails/drafts/:id', ownerOnly, this.updateEmailDraft.bind(this));
+        this.app.post('/api/emails/drafts/:id/approve', ownerOnly, this.approveEmailDraft.bind(this));
+        this.app.post('/api/emails/drafts/:id/reject', ownerOnly, this.rejectEmailDraft.bind(this));
+        this.app.get('/api/emails/:id', staff, this.getEmail.bind(this));
+        this.app.post('/api/emails/:id/labels', staff, this.modifyEmailLabels.bind(this));
         
         // Calendar & Reservations
-        this.app.get('/api/calendar', this.getCalendar.bind(this));
-        this.app.post('/api/reservations/make', this.makeReservation.bind(this));
+        this.app.get('/api/calendar', staff, this.getCalendar.bind(this));
+        this.app.post('/api/calendar/events', staff, this.createCalendarEvent.bind(this));
+        this.app.get('/api/calendar/events/:id', staff, this.getCalendarEvent.bind(this));
+        this.app.put('/api/calendar/events/:id', staff, this.updateCalendarEvent.bind(this));
+        this.app.delete('/api/calendar/events/:id', staff, this.deleteCalendarEvent.bind(this));
+        this.app.get('/api/calendar/freebusy', staff, this.getFreeBusy.bind(this));
+        this.app.get('/api/calendar/availability', staff, this.getAvailability.bind(this));
+        this.app.get('/api/calendar/export.ics', staff, this.exportCalendar.bind(this));
+        this.app.post('/api/calendar/import', staff, this.importCalendar.bind(this));
+        this.app.get('/api/calendar/feed', ownerOnly, this.getCalendarFeedUrl.bind(this));
+        this.app.post('/api/reservations/make', staff, this.makeReservation.bind(this));
+        this.app.get('/api/booking-links', staff, this.getBookingLinks.bind(this));
+        this.app.post('/api/booking-links', staff, this.createBookingLink.bind(this));
+        this.app.put('/api/booking-links/:id', staff, this.updateBookingLink.bind(this));
+        this.app.delete('/api/booking-links/:id', ownerOnly, this.deleteBookingLink.bind(this));
+        this.app.get('/api/appointments', staff, this.getAppointments.bind(this));
+        this.app.get('/api/appointments/:id', staff, this.getAppointment.bind(this));
+        this.app.post('/api/appointments/:id/reschedule', staff, this.rescheduleAppointment.bind(this));
+        this.app.post('/api/appointments/:id/cancel', staff, this.cancelAppointment.bind(this));
         
         // Phone Assistant
-        this.app.post('/api/call/make', this.makePhoneCall.bind(this));
+        this.app.post('/api/call/make', staff, this.makePhoneCall.bind(this));
+        this.app.post('/api/calls/script', staff, this.previewCallScript.bind(this));
+        this.app.get('/api/calls', staff, this.getCalls.bind(this));
+        this.app.get('/api/calls/:id', staff, this.getCall.bind(this));
+        this.app.post('/api/sms/send', staff, this.sendSms.bind(this));
+        this.app.get('/api/sms/threads', staff, this.getSmsThreads.bind(this));
+        this.app.get('/api/sms/threads/:number', staff, this.getSmsThread.bind(this));
         
         // Research Assistant
-        this.app.post('/api/research', this.performResearch.bind(this));
+        this.app.post('/api/research', staff, this.performResearch.bind(this));
+        this.app.get('/api/research', staff, this.getResearchReports.bind(this));
+        this.app.get('/api/research/templates', staff, this.getResearchTemplates.bind(this));
+        this.app.get('/api/research/:id', staff, this.getResearchReport.bind(this));
+        this.app.get('/api/research/:id/export', staff, this.exportResearchReport.bind(this));
+        this.app.delete('/api/research/:id', ownerOnly, this.deleteResearchReport.bind(this));
+
+        // Web Scraper
+        this.app.post('/api/scrape', staff, this.previewScrape.bind(this));
+        this.app.get('/api/scrapers', staff, this.getScrapers.bind(this));
+        this.app.post('/api/scrapers', staff, this.createScraper.bind(this));
+        this.app.get('/api/scrapers/:id', staff, this.getScraper.bind(this));
+        this.app.put('/api/scrapers/:id', staff, this.updateScraper.bind(this));
+        this.app.delete('/api/scrapers/:id', ownerOnly, this.deleteScraper.bind(this));
+        this.app.post('/api/scrapers/:id/run', staff, this.runScraper.bind(this));
+        this.app.get('/api/scrapers/:id/runs', staff, this.getScraperRuns.bind(this));
+        this.app.get('/api/scraper-alerts', staff, this.getScraperAlerts.bind(this));
+        this.app.post('/api/scraper-alerts/:id/acknowledge', staff, this.acknowledgeScraperAlert.bind(this));
         
         // Social Media Management
-        this.app.post('/api/social/post', this.createSocialPost.bind(this));
-        this.app.get('/api/social/analytics', this.getSocialAnalytics.bind(this));
+        this.app.post('/api/social/post', staff, this.createSocialPost.bind(this));
+        this.app.get('/api/social/analytics', staff, this.getSocialAnalytics.bind(this));
         
         // AI Prompt Generator (Billy Gene Style)
-        this.app.post('/api/prompts/generate', this.generatePrompts.bind(this));
-        this.app.get('/api/prompts/templates', this.getPromptTemplates.bind(this));
-        this.app.post('/api/content/calendar', this.generateContentCalendar.bind(this));
-        this.app.post('/api/content/viral-caption', this.generateViralCaption.bind(this));
-        this.app.get('/api/content/optimal-times', this.getOptimalPostingTimes.bind(this));
+        this.app.post('/api/prompts/generate', staff, this.generatePrompts.bind(this));
+        this.app.get('/api/prompts/templates', staff, this.getPromptTemplates.bind(this));
+        this.app.post('/api/content/calendar', staff, this.generateContentCalendar.bind(this));
+        this.app.post('/api/content/viral-caption', staff, this.generateViralCaption.bind(this));
+        this.app.get('/api/content/optimal-times', staff, this.getOptimalPostingTimes.bind(this));
         
         // Client Project Management
-        this.app.get('/api/clients', this.getClients.bind(this));
-        this.app.post('/api/projects', this.createProject.bind(this));
-        this.app.get('/api/projects/:id/status', this.getProjectStatus.bind(this));
+        this.app.get('/api/clients', staff, this.getClients.bind(this));
+        this.app.post('/api/clients', staff, this.createClient.bind(this));
+        this.app.get('/api/clients/:id', staff, this.getClient.bind(this));
+        this.app.put('/api/clients/:id', staff, this.updateClient.bind(this));
+        this.app.delete('/api/clients/:id', staff, this.deleteClient.bind(this));
+        this.app.get('/api/policies', staff, this.getPolicies.bind(this));
+        this.app.post('/api/policies', staff, this.createPolicy.bind(this));
+        this.app.get('/api/policies/renewals', staff, this.getRenewalPipeline.bind(this));
+        this.app.get('/api/policies/:id', staff, this.getPolicy.bind(this));
+        this.app.put('/api/policies/:id', staff, this.updatePolicy.bind(this));
+        this.app.delete('/api/policies/:id', ownerOnly, this.deletePolicy.bind(this));
+        this.app.post('/api/policies/:id/renewal', staff, this.advancePolicyRenewal.bind(this));
+        this.app.get('/api/leads', staff, this.getLeads.bind(this));
+        this.app.post('/api/leads', staff, this.createLead.bind(this));
+        this.app.get('/api/leads/pipeline', staff, this.getLeadPipeline.bind(this));
+        this.app.get('/api/leads/:id', staff, this.getLead.bind(this));
+        this.app.put('/api/leads/:id', staff, this.updateLead.bind(this));
+        this.app.delete('/api/leads/:id', ownerOnly, this.deleteLead.bind(this));
+        this.app.post('/api/leads/:id/stage', staff, this.advanceLeadStage.bind(this));
+        this.app.get('/api/crm/status', staff, this.getCrmStatus.bind(this));
+        this.app.post('/api/crm/sync', staff, this.runCrmSync.bind(this));
+        this.app.get('/api/crm/runs', staff, this.getCrmSyncRuns.bind(this));
+        this.app.get('/api/projects', staff, this.getProjects.bind(this));
+        this.app.post('/api/projects', staff, this.createProject.bind(this));
+        this.app.get('/api/projects/:id', staff, this.getProject.bind(this));
+        this.app.put('/api/projects/:id', staff, this.updateProject.bind(this));
+        this.app.delete('/api/projects/:id', staff, this.deleteProject.bind(this));
+        this.app.post('/api/projects/:id/status', staff, this.changeProjectStatus.bind(this));
+        this.app.post('/api/projects/:id/milestones', staff, this.addProjectMilestone.bind(this));
+        this.app.put('/api/projects/:id/milestones/:milestoneId', staff, this.updateProjectMilestone.bind(this));
+        this.app.get('/api/projects/:id/status', anyUser, this.getProjectStatus.bind(this));
+
+        // Molaison AI customers, subscriptions and revenue
+        this.app.get('/api/ai/products', staff, this.getAIProducts.bind(this));
+        this.app.post('/api/ai/products', staff, this.createAIProduct.bind(this));
+        this.app.put('/api/ai/products/:id', staff, this.updateAIProduct.bind(this));
+        this.app.get('/api/ai/customers', staff, this.getAICustomers.bind(this));
+        this.app.post('/api/ai/customers', staff, this.createAICustomer.bind(this));
+        this.app.get('/api/ai/customers/:id', staff, this.getAICustomer.bind(this));
+        this.app.put('/api/ai/customers/:id', staff, this.updateAICustomer.bind(this));
+        this.app.delete('/api/ai/customers/:id', ownerOnly, this.deleteAICustomer.bind(this));
+        this.app.post('/api/ai/customers/:id/subscriptions', staff, this.addAISubscription.bind(this));
+        this.app.put('/api/ai/customers/:id/subscriptions/:subscriptionId', staff, this.updateAISubscription.bind(this));
+        this.app.post('/api/ai/customers/:id/subscriptions/:subscriptionId/cancel', staff, this.cancelAISubscription.bind(this));
+        this.app.get('/api/ai/revenue', staff, this.getAIRevenue.bind(this));
+        this.app.post('/api/ai/revenue', staff, this.recordAIRevenue.bind(this));
+        this.app.post('/api/ai/revenue/import', staff, this.importAIRevenue.bind(this));
+        this.app.delete('/api/ai/revenue/:id', ownerOnly, this.deleteAIRevenue.bind(this));
+        this.app.get('/api/ai/metrics', staff, this.getAIMetrics.bind(this));
+
+        // Business analytics: KPIs per period with comparisons and anomaly flags, and series for charts
+        this.app.get('/api/analytics/kpis', staff, this.getKpis.bind(this));
+        this.app.get('/api/analytics/series', staff, this.getKpiSeries.bind(this));
         
         // Life Coaching & Productivity
-        this.app.get('/api/productivity/dashboard', this.getProductivityDashboard.bind(this));
-        this.app.post('/api/goals/set', this.setGoal.bind(this));
+        this.app.get('/api/productivity/dashboard', staff, this.getProductivityDashboard.bind(this));
+        this.app.post('/api/goals/set', staff, this.setGoal.bind(this));
         
         // Voice Integration
-        this.app.post('/api/voice/process', this.processVoiceInput.bind(this));
+        // Accepts multipart/form-data (field "audio") or JSON { audioData: <base64>, format }
+        const audioUpload = multer({ storage: multer.memoryStorage(), limits: { fileSize: this.config.transcription.maxBytes } }).single('audio');
+        const parseAudio = (req, res, next) => audioUpload(req, res, error => {
+            if (!error) return next();
+            this.sendError(res, new RequestError(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400, error.message), 'Voice upload', 'Upload failed');
+        });
+        this.app.post('/api/voice/process', staff, parseAudio, this.processVoiceInput.bind(this));
         
-        // Configuration Management
-        this.app.get('/api/config/status', this.getConfigStatus.bind(this));
-        this.app.post('/api/config/openai', this.updateOpenAIConfig.bind(this));
-        this.app.post('/api/config/perplexity', this.updatePerplexityConfig.bind(this));
-        this.app.post('/api/config/twilio', this.updateTwilioConfig.bind(this));
-        this.app.post('/api/config/gmail', this.updateGmailConfig.bind(this));
-        this.app.post('/api/config/whispr', this.updateWhisprConfig.bind(this));
-        this.app.post('/api/config/social', this.updateSocialConfig.bind(this));
-        this.app.post('/api/config/mcp', this.updateMCPConfig.bind(this));
+        // Configuration Management (owner only - these write API keys to .env)
+        this.app.get('/api/config/status', ownerOnly, this.getConfigStatus.bind(this));
+        // A settings change that succeeds goes into the activity feed, naming the fields but never their values
+        this.app.post('/api/config/:service', (req, res, next) => {
+            const { service } = req.params;
+            res.on('finish', () => {
+                if (res.statusCode >= 400) return;
+                this.activityLog.record({
+                    type: 'config',
+                    action: `${CONFIG_SERVICE_LABELS[service] || service} settings updated`,
+                    userId: req.user ? req.user.id : null,
+                    details: { service, fields: Object.keys(req.body || {}).filter(field => ![undefined, null, ''].includes(req.body[field])) }
+                });
+            });
+            next();
+        });
+        this.app.post('/api/config/openai', ownerOnly, this.updateOpenAIConfig.bind(this));
+        this.app.post('/api/config/anthropic', ownerOnly, this.updateAnthropicConfig.bind(this));
+        this.app.post('/api/config/gemini', ownerOnly, this.updateGeminiConfig.bind(this));
+        this.app.post('/api/config/perplexity', ownerOnly, this.updatePerplexityConfig.bind(this));
+        this.app.post('/api/config/twilio', ownerOnly, this.updateTwilioConfig.bind(this));
+        this.app.post('/api/config/vapi', ownerOnly, this.updateVapiConfig.bind(this));
+        this.app.post('/api/config/ghl', ownerOnly, this.updateGHLConfig.bind(this));
+        this.app.post('/api/config/gmail', ownerOnly, this.updateGmailConfig.bind(this));
+        this.app.post('/api/config/whispr', ownerOnly, this.updateWhisprConfig.bind(this));
+        this.app.post('/api/config/social', ownerOnly, this.updateSocialConfig.bind(this));
+        this.app.post('/api/config/mcp', ownerOnly, this.updateMCPConfig.bind(this));
         
         // Gmail OAuth Flow
-        this.app.get('/auth/gmail', this.initiateGmailAuth.bind(this));
+        this.app.get('/auth/gmail', (req, res, next) => this.authenticate(req, res, next, { allowQueryToken: true }), ownerOnly, this.initiateGmailAuth.bind(this));
         this.app.get('/auth/gmail/callback', this.handleGmailCallback.bind(this));
+
+        // Public booking pages and the JSON they use; manage links carry a signed per-appointment token
+        this.app.get(['/book/manage/:token', '/book/:slug'], (req, res) => res.sendFile(path.join(__dirname, 'molaison-booking.html')));
+        this.app.get('/booking/manage/:token', this.getManagedBooking.bind(this));
+        this.app.post('/booking/manage/:token/reschedule', this.rescheduleManagedBooking.bind(this));
+        this.app.post('/booking/manage/:token/cancel', this.cancelManagedBooking.bind(this));
+        this.app.get('/booking/:slug', this.getPublicBookingLink.bind(this));
+        this.app.post('/booking/:slug', this.createPublicBooking.bind(this));
+
+        // Lead intake for website forms and other lead sources, authenticated by LEAD_INTAKE_SECRET
+        this.app.post('/leads/intake', this.handleLeadIntake.bind(this));
+
+        // Twilio webhooks; every request must carry a valid X-Twilio-Signature
+        const twilioSigned = this.validateTwilioSignature.bind(this);
+        this.app.post('/twilio/sms', twilioSigned, this.handleInboundSms.bind(this));
+        this.app.post('/twilio/sms/status', twilioSigned, this.handleSmsStatus.bind(this));
+        this.app.post('/twilio/voice', twilioSigned, this.handleInboundCall.bind(this));
+        this.app.post('/twilio/voice/status', twilioSigned, this.handleCallStatus.bind(this));
+        this.app.post('/twilio/voice/recording', twilioSigned, this.handleCallRecording.bind(this));
+        this.app.post('/twilio/voice/agent/:id', twilioSigned, this.handleAgentCallAnswer.bind(this));
+        this.app.post('/twilio/voice/agent/:id/reply', twilioSigned, this.handleAgentCallReply.bind(this));
+
+        // Vapi call events, authenticated by the shared secret in X-Vapi-Secret
+        this.app.post('/vapi/events', this.handleVapiEvent.bind(this));
+
+        // Subscribable .ics feed; calendar apps can't send headers, so the signed token is in the URL
+        this.app.get('/calendar/feed.ics', this.serveCalendarFeed.bind(this));
         
         // Static file serving for frontend
         this.app.get('/', (req, res) => {
@@ -227,81 +695,300 @@ class MolaisonExecutiveAssistant {
     }
 
     async initializeAssistants() {
+        this.intentClassifier = new IntentClassifier(this.llm, this.db, this.config.intent);
+
+        this.gmailTokens = new GmailTokenManager(this.db, this.config.apis.gmail, await this.loadEncryptionKey());
+        await this.gmailTokens.importLegacyTokens();
+
+        this.activityLog = new ActivityLog(this.db, this.config.activity);
         this.assistants = {
-            emailManager: new EmailManager(this.config.apis.gmail),
-            calendarAssistant: new CalendarAssistant(),
-            phoneAssistant: new PhoneAssistant(this.config.apis.twilio),
-            researchAssistant: new ResearchAssistant(this.config.apis.perplexity),
+            emailManager: new EmailManager(this.config.apis.gmail, this.db, this.llm, this.gmailTokens, this.activityLog),
+            calendarAssistant: new CalendarAssistant(this.db, this.config.calendar),
+            researchAssistant: new ResearchAssistant(this.db, this.researchSearch, this.config.research, this.config.businesses),
             lifeCoach: new LifeCoach(),
             socialMediaManager: new SocialMediaManager(),
-            webScraper: new WebScraper(),
-            taskManager: new TaskManager(),
-            clientProjectManager: new ClientProjectManager(),
-            businessIntelligence: new BusinessIntelligence()
+            taskManager: new TaskManager(this.db, this.activityLog, this.config.tasks),
+            clientProjectManager: new ClientProjectManager(this.db, this.activityLog),
+            conversationMemory: new ConversationMemory(this.db, this.config.memory, this.summarizeTurns.bind(this))
+        };
+        this.assistants.phoneAssistant = new PhoneAssistant(this.db, this.config.apis.twilio, {
+            vapiConfig: this.config.apis.vapi,
+            agentConfig: this.config.voiceAgent,
+            llm: this.llm,
+            taskManager: this.assistants.taskManager,
+            activityLog: this.activityLog
+        });
+        this.assistants.policyManager = new PolicyManager(this.db, this.assistants.taskManager, this.config.policies);
+        this.assistants.subscriptionManager = new SubscriptionManager(this.db, this.config.subscriptions);
+        this.assistants.businessIntelligence = new BusinessIntelligence(this.db, this.assistants.subscriptionManager, this.config.analytics);
+        this.assistants.leadManager = new LeadManager(this.db, this.assistants.clientProjectManager, this.config.leads);
+        this.assistants.crmSync = new GoHighLevelSync(this.db, new GoHighLevelClient(this.config.apis.ghl), {
+            leadManager: this.assistants.leadManager,
+            clientProjectManager: this.assistants.clientProjectManager,
+            calendar: this.assistants.calendarAssistant
+        }, this.config.crm);
+        this.assistants.webScraper = new WebScraper(this.db, new PoliteFetcher(this.config.scraper), {
+            taskManager: this.assistants.taskManager,
+            leadManager: this.assistants.leadManager
+        }, this.config.scraper);
+        this.assistants.bookingManager = new BookingManager(this.db, this.assistants.calendarAssistant, this.assistants.emailManager, this.assistants.leadManager, {
+            ...this.config.booking,
+            secret: this.config.auth.jwtSecret
+        });
+
+        // Appointment reminders go out on a timer; unref'd so it never keeps the process alive on its own
+        setInterval(() => {
+            this.assistants.bookingManager.sendDueReminders()
+                .catch(error => console.error('Booking reminders error:', error.message));
+        }, this.config.booking.reminderIntervalMs).unref();
+
+        // Policy renewal reminders: checked at startup and then hourly
+        const sendRenewalReminders = () => this.assistants.policyManager.sendRenewalReminders()
+            .catch(error => console.error('Renewal reminders error:', error.message));
+        sendRenewalReminders();
+        setInterval(sendRenewalReminders, this.config.policies.reminderIntervalMs).unref();
+
+        // Molaison AI subscriptions: billing dates that have come round are recorded at startup and then hourly
+        const billSubscriptions = () => this.assistants.subscriptionManager.billDue()
+            .catch(error => console.error('Subscription billing error:', error.message));
+        billSubscriptions();
+        setInterval(billSubscriptions, this.config.subscriptions.billingIntervalMs).unref();
+
+        // GoHighLevel sync every GHL_SYNC_INTERVAL_MINUTES once an API key and location are set
+        setInterval(() => {
+            const crmSync = this.assistants.crmSync;
+            if (!crmSync.isConfigured() || crmSync.running) return;
+            crmSync.sync({ trigger: 'schedule' })
+                .catch(error => console.error('GoHighLevel sync error:', error.message));
+        }, this.config.crm.intervalMinutes * 60 * 1000).unref();
+
+        // Scheduled re-crawls; also unref'd
+        setInterval(() => {
+            this.assistants.webScraper.runDue()
+                .catch(error => console.error('Scheduled scrape error:', error.message));
+        }, this.config.scraper.checkIntervalMs).unref();
+
+        const resumed = this.assistants.researchAssistant.resumePending();
+        if (resumed > 0) console.log(`🔎 Resuming ${resumed} unfinished research report(s)`);
+
+        this.tools = this.buildToolRegistry();
+        this.agent = new ToolAgent(this.llm, this.tools, this.config.agent);
+    }
+
+    // Authentication & Access Control
+    async initializeAuth() {
+        if (!this.config.auth.jwtSecret) {
+            // Tokens signed with a random secret stop working on restart - set JWT_SECRET in production
+            this.config.auth.jwtSecret = crypto.randomBytes(32).toString('hex');
+            console.warn('⚠️ JWT_SECRET not set - using a temporary secret for this process');
+        }
+
+        if (this.db.users.count(u => u.role === 'owner') > 0) return;
+
+        const { ownerEmail, ownerPassword } = this.config.auth;
+        if (!ownerEmail || !ownerPassword) {
+            console.warn('⚠️ No owner account - set OWNER_EMAIL and OWNER_PASSWORD to create one');
+            return;
+        }
+
+        await this.db.users.insert({
+            email: ownerEmail.toLowerCase(),
+            name: 'Owner',
+            role: 'owner',
+            passwordHash: await bcrypt.hash(ownerPassword, 10)
+        });
+        console.log(`🔐 Owner account created for ${ownerEmail}`);
+    }
+
+    // 32-byte key for encrypting stored OAuth tokens: TOKEN_ENCRYPTION_KEY (hex or passphrase) or a generated key file
+    async loadEncryptionKey() {
+        const configured = this.config.auth.tokenEncryptionKey;
+        if (configured) {
+            return /^[0-9a-f]{64}$/i.test(configured)
+                ? Buffer.from(configured, 'hex')
+                : crypto.scryptSync(configured, 'molaison-token-store', 32);
+        }
+
+        const keyFile = path.join(this.config.storage.dataDir, 'token.key');
+        try {
+            return Buffer.from((await fs.readFile(keyFile, 'utf8')).trim(), 'hex');
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const key = crypto.randomBytes(32);
+        await fs.mkdir(this.config.storage.dataDir, { recursive: true });
+        await fs.writeFile(keyFile, key.toString('hex'), { mode: 0o600 });
+        console.warn(`⚠️ TOKEN_ENCRYPTION_KEY not set - generated ${keyFile}; back it up or stored tokens cannot be read`);
+        return key;
+    }
+
+    // Session tokens carry their own purpose so other tokens signed with JWT_SECRET (OAuth state, feed links) can't log in
+    issueToken(user) {
+        return jwt.sign(
+            { purpose: 'session', sub: user.id, role: user.role },
+            this.config.auth.jwtSecret,
+            { expiresIn: this.config.auth.tokenExpiry }
+        );
+    }
+
+    sanitizeUser(user) {
+        const { passwordHash, ...safeUser } = user;
+        return safeUser;
+    }
+
+    authenticate(req, res, next, { allowQueryToken = false } = {}) {
+        const header = req.get('Authorization') || '';
+        // Browser redirects (OAuth popups) can't set headers, so routes opened that way accept ?token= as well
+        const token = header.startsWith('Bearer ') ? header.slice(7) : allowQueryToken ? req.query.token : null;
+
+        if (!token) {
+            return res.status(401).json({ success: false, error: 'Authentication required' });
+        }
+
+        try {
+            const payload = jwt.verify(token, this.config.auth.jwtSecret);
+            if (payload.purpose !== 'session') throw new Error('Not a session token');
+            const user = this.db.users.findById(payload.sub);
+            if (!user) {
+                return res.status(401).json({ success: false, error: 'Account no longer exists' });
+            }
+
+            req.user = this.sanitizeUser(user);
+            next();
+        } catch (error) {
+            res.status(401).json({ success: false, error: 'Invalid or expired token' });
+        }
+    }
+
+    requireRole(...roles) {
+        return (req, res, next) => {
+            if (!req.user || !roles.includes(req.user.role)) {
+                return res.status(403).json({ success: false, error: 'Insufficient permissions' });
+            }
+            next();
         };
     }
 
+    async login(req, res) {
+        try {
+            const { email, password } = req.body;
+            if (!email || !password) {
+                return res.status(400).json({ success: false, error: 'Email and password are required' });
+            }
+
+            const user = this.db.users.findOne(u => u.email === String(email).toLowerCase());
+            if (!user || !(await bcrypt.compare(password, user.passwordHash))) {
+                return res.status(401).json({ success: false, error: 'Invalid email or password' });
+            }
+
+            await this.db.users.update(user.id, { lastLoginAt: new Date().toISOString() });
+
+            res.json({
+                success: true,
+                token: this.issueToken(user),
+                expiresIn: this.config.auth.tokenExpiry,
+                user: this.sanitizeUser(user)
+            });
+        } catch (error) {
+            console.error('Login error:', error);
+            res.status(500).json({ success: false, error: 'Failed to log in' });
+        }
+    }
+
+    async getCurrentUser(req, res) {
+        res.json({ success: true, user: req.user });
+    }
+
+    async changePassword(req, res) {
+        try {
+            const { currentPassword, newPassword } = req.body;
+            if (!newPassword || newPassword.length < 8) {
+                return res.status(400).json({ success: false, error: 'New password must be at least 8 characters' });
+            }
+
+            const user = this.db.users.findById(req.user.id);
+            if (!(await bcrypt.compare(currentPassword || '', user.passwordHash))) {
+                return res.status(401).json({ success: false, error: 'Current password is incorrect' });
+            }
+
+            await this.db.users.update(user.id, { passwordHash: await bcrypt.hash(newPassword, 10) });
+            res.json({ success: true, message: 'Password updated' });
+        } catch (error) {
+            console.error('Change password error:', error);
+            res.status(500).json({ success: false, error: 'Failed to change password' });
+        }
+    }
+
+    async listUsers(req, res) {
+        res.json({ success: true, users: this.db.users.all().map(u => this.sanitizeUser(u)) });
+    }
+
+    async createUser(req, res) {
+        try {
+            const { email, password, name, role = 'staff', clientId } = req.body;
+
+            if (!email || !password || password.length < 8) {
+                return res.status(400).json({ success: false, error: 'Email and a password of at least 8 characters are required' });
+            }
+            if (!USER_ROLES.includes(role)) {
+                return res.status(400).json({ success: false, error: `Role must be one of: ${USER_ROLES.join(', ')}` });
+            }
+            if (this.db.users.findOne(u => u.email === email.toLowerCase())) {
+                return res.status(409).json({ success: false, error: 'A user with that email already exists' });
+            }
+
+            const user = await this.db.users.insert({
+                email: email.toLowerCase(),
+                name: name || email,
+                role: role,
+                clientId: role === 'client' ? clientId || null : null,
+                passwordHash: await bcrypt.hash(password, 10)
+            });
+
+            res.status(201).json({ success: true, user: this.sanitizeUser(user) });
+        } catch (error) {
+            console.error('Create user error:', error);
+            res.status(500).json({ success: false, error: 'Failed to create user' });
+        }
+    }
+
+    async deleteUser(req, res) {
+        try {
+            if (req.params.id === req.user.id) {
+                return res.status(400).json({ success: false, error: 'You cannot delete your own account' });
+            }
+
+            const removed = await this.db.users.remove(req.params.id);
+            if (!removed) {
+                return res.status(404).json({ success: false, error: 'User not found' });
+            }
+
+            res.json({ success: true, message: 'User deleted' });
+        } catch (error) {
+            console.error('Delete user error:', error);
+            res.status(500).json({ success: false, error: 'Failed to delete user' });
+        }
+    }
+
     // Core Chat Interface
     async handleChatMessage(req, res) {
         try {
-            const { message, context, businessContext } = req.body;
-            
-            console.log(`💬 Processing message: "${message}"`);
-            
-            // Analyze intent using AI
-            const intent = await this.analyzeIntent(message, context);
+            const { message } = req.body;
             
-            let response;
-            
-            switch (intent.category) {
-                case 'email':
-                    response = await this.assistants.emailManager.handleRequest(intent, message);
-                    break;
-                case 'calendar':
-                    response = await this.assistants.calendarAssistant.handleRequest(intent, message);
-                    break;
-                case 'phone':
-                    response = await this.assistants.phoneAssistant.handleRequest(intent, message);
-                    break;
-                case 'research':
-                    response = await this.assistants.researchAssistant.handleRequest(intent, message);
-                    break;
-                case 'social':
-                    response = await this.assistants.socialMediaManager.handleRequest(intent, message);
-                    break;
-                case 'client_management':
-                    response = await this.assistants.clientProjectManager.handleRequest(intent, message);
-                    break;
-                case 'business_intelligence':
-                    response = await this.assistants.businessIntelligence.handleRequest(intent, message, businessContext);
-                    break;
-                case 'productivity':
-                    response = await this.assistants.lifeCoach.handleRequest(intent, message);
-                    break;
-                case 'prompts':
-                case 'content':
-                    response = await this.handlePromptRequest(message, context, businessContext);
-                    break;
-                case 'general':
-                default:
-                    response = await this.handleGeneralRequest(message, context);
-                    break;
+            if (!message || typeof message !== 'string') {
+                return res.status(400).json({ success: false, error: 'Message is required' });
             }
             
-            // Log conversation
-            this.logConversation(message, response, intent);
+            console.log(`💬 Processing message: "${message}"`);
             
-            res.json({
-                success: true,
-                response: typeof response === 'object' ? response.response : response,
-                prompts: response && response.prompts ? response.prompts : undefined,
-                calendar: response && response.calendar ? response.calendar : undefined,
-                caption: response && response.caption ? response.caption : undefined,
-                intent: intent.category,
-                timestamp: new Date()
-            });
+            const result = await this.runChatPipeline({ ...req.body, user: req.user });
+            res.json({ success: true, ...result });
             
         } catch (error) {
+            if (error instanceof RequestError) {
+                return this.sendError(res, error, 'Chat processing', 'Failed to process message');
+            }
             console.error('Chat processing error:', error);
             res.status(500).json({
                 success: false,
@@ -311,6 +998,199 @@ class MolaisonExecutiveAssistant {
         }
     }
 
+    // Same pipeline as /api/chat, delivered as Server-Sent Events:
+    // conversation, intent, tool and token events as they happen, then done (the /api/chat body) or error
+    async handleChatStream(req, res) {
+        const { message } = req.body;
+        
+        if (!message || typeof message !== 'string') {
+            return res.status(400).json({ success: false, error: 'Message is required' });
+        }
+        
+        console.log(`💬 Streaming message: "${message}"`);
+        
+        res.set({
+            'Content-Type': 'text/event-stream',
+            'Cache-Control': 'no-cache',
+            'Connection': 'keep-alive',
+            'X-Accel-Buffering': 'no'
+        });
+        res.flushHeaders();
+        
+        let closed = false;
+        res.on('close', () => { closed = true; });
+        const send = (event, data) => {
+            if (!closed) res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+        };
+        
+        try {
+            const result = await this.runChatPipeline({ ...req.body, user: req.user }, { emit: send, stream: true });
+            send('done', { success: true, ...result });
+        } catch (error) {
+            if (!(error instanceof RequestError)) console.error('Chat stream error:', error);
+            send('error', {
+                success: false,
+                status: error instanceof RequestError ? error.status : 500,
+                error: error instanceof RequestError ? error.message : 'Failed to process message',
+                fallback: "I'm having trouble processing that request. Could you please rephrase or try again?"
+            });
+        }
+        res.end();
+    }
+
+    /**
+     * The chat pipeline behind /api/chat, /api/chat/stream and voice input. Resumes or starts the
+     * conversation, settles pending confirmations, classifies intent, runs the agent or the matching
+     * assistant, and records the exchange. `emit(event, data)` receives progress as it happens; with
+     * `stream` set, model text is emitted token by token instead of once at the end.
+     */
+    async runChatPipeline({ user, message, context, businessContext, conversationId }, { emit = () => {}, stream = false } = {}) {
+        // Resume the conversation (or start a new one) and load prior turns within the token budget
+        const memory = this.assistants.conversationMemory;
+        const conversation = conversationId
+            ? memory.getConversation(conversationId, user.id)
+            : await memory.startConversation(user.id, message, businessContext);
+        const history = memory.buildContext(conversation);
+        emit('conversation', { conversationId: conversation.id });
+        
+        // Text that wasn't streamed from a model goes out as a single token event
+        let streamed = false;
+        const onToken = text => {
+            streamed = true;
+            emit('token', { text });
+        };
+        
+        // A yes/no reply settles the actions the agent queued on the previous turn; a mixed one is asked again
+        const pending = memory.pendingActions(conversation);
+        const decision = classifyConfirmation(message);
+        if (pending.length > 0 && decision === 'unclear') {
+            const actions = pending.map(action => action.tool.replace(/_/g, ' ')).join(', ');
+            const response = `Just to be sure - should I go ahead with ${actions}? Reply "yes" or "no".`;
+            await memory.recordExchange(conversation, message, response, { category: 'confirmation' });
+            onToken(response);
+            return {
+                conversationId: conversation.id,
+                response,
+                intent: 'confirmation',
+                toolTrace: [],
+                timestamp: new Date()
+            };
+        }
+        if (pending.length > 0 && decision) {
+            const outcome = await this.settlePendingActions(conversation, pending.map(a => a.id), decision, user);
+            await memory.recordExchange(conversation, message, outcome.response, { category: 'confirmation' });
+            onToken(outcome.response);
+            return {
+                conversationId: conversation.id,
+                response: outcome.response,
+                intent: 'confirmation',
+                toolTrace: outcome.trace,
+                timestamp: new Date()
+            };
+        }
+        
+        // Analyze intent using AI
+        const intent = await this.analyzeIntent(message, context, history);
+        emit('intent', {
+            category: intent.category,
+            confidence: intent.confidence,
+            entities: intent.entities,
+            needsClarification: intent.needsClarification || false
+        });
+        
+        let response;
+        let agentRun = null;
+        
+        // Ask instead of guessing when the classifier isn't sure
+        const category = intent.needsClarification ? 'clarify' : intent.category;
+        
+        // With a model available, let it act through tools; otherwise use the rule-based handlers below
+        if (this.llm.isAvailable() && !['clarify', 'prompts', 'content'].includes(category)) {
+            try {
+                agentRun = await this.runAgent(message, context, history, conversation, user, {
+                    onToken: stream ? onToken : null,
+                    onTool: step => emit('tool', step)
+                });
+                response = agentRun.text;
+            } catch (error) {
+                // Once text has reached the client there's no clean way to start over
+                if (streamed) throw error;
+                console.error('Agent loop error:', error.message);
+            }
+        }
+        
+        if (!agentRun) switch (category) {
+            case 'clarify':
+                response = intent.clarifyingQuestion;
+                break;
+            case 'email':
+                response = await this.assistants.emailManager.handleRequest(intent, message);
+                break;
+            case 'calendar':
+                response = await this.assistants.calendarAssistant.handleRequest(intent, message);
+                break;
+            case 'phone':
+                response = await this.assistants.phoneAssistant.handleRequest(intent, message);
+                break;
+            case 'research':
+                response = await this.assistants.researchAssistant.handleRequest(intent, message);
+                break;
+            case 'scraping':
+                response = await this.assistants.webScraper.handleRequest(intent, message);
+                break;
+            case 'policies':
+                response = await this.assistants.policyManager.handleRequest(intent, message);
+                break;
+            case 'leads':
+                response = await this.assistants.leadManager.handleRequest(intent, message);
+                break;
+            case 'social':
+                response = await this.assistants.socialMediaManager.handleRequest(intent, message);
+                break;
+            case 'client_management':
+                response = await this.assistants.clientProjectManager.handleRequest(intent, message);
+                break;
+            case 'business_intelligence':
+                response = await this.assistants.businessIntelligence.handleRequest(intent, message, businessContext);
+                break;
+            case 'task':
+                response = await this.assistants.taskManager.handleRequest(intent, message, businessContext);
+                break;
+            case 'productivity':
+                response = await this.assistants.lifeCoach.handleRequest(intent, message);
+                break;
+            case 'prompts':
+            case 'content':
+                response = await this.handlePromptRequest(message, context, businessContext);
+                break;
+            case 'general':
+            default:
+                response = await this.handleGeneralRequest(message, context, history, stream ? onToken : null);
+                break;
+        }
+        
+        // Store both turns and fold older ones into the running summary
+        await memory.recordExchange(conversation, message, response, intent);
+        
+        const text = typeof response === 'object' ? response.response : response;
+        if (!streamed && text) onToken(text);
+        
+        return {
+            conversationId: conversation.id,
+            response: text,
+            prompts: response && response.prompts ? response.prompts : undefined,
+            calendar: response && response.calendar ? response.calendar : undefined,
+            slots: response && response.slots ? response.slots : undefined,
+            caption: response && response.caption ? response.caption : undefined,
+            intent: intent.category,
+            entities: intent.entities,
+            needsClarification: intent.needsClarification || undefined,
+            toolTrace: agentRun ? agentRun.trace : undefined,
+            pendingActions: agentRun && agentRun.pendingActions.length ? agentRun.pendingActions : undefined,
+            timestamp: new Date()
+        };
+    }
+
     async handlePromptRequest(message, context, businessContext) {
         try {
             // Determine what type of prompt/content request
@@ -386,175 +1266,594 @@ class MolaisonExecutiveAssistant {
         }
     }
 
-    async analyzeIntent(message, context) {
-        const prompt = `
-Analyze this message to determine the user's intent for business management:
+    async analyzeIntent(message, context, history) {
+        return this.intentClassifier.classify(message, context, history);
+    }
 
-Message: "${message}"
-Context: ${JSON.stringify(context || {})}
+    async evaluateIntentRules(req, res) {
+        res.json({ success: true, evaluation: this.intentClassifier.evaluate(INTENT_CORPUS) });
+    }
 
-Business Context:
-- Molaison Agency: Insurance & Business Services
-- Molaison AI: AI Tools & SEO Platform  
-- Also builds custom solutions for clients
+    buildAssistantPrompt(context, history, extraInstructions = '') {
+        return `
+You are an AI Executive Assistant for Christina Molaison, who runs:
 
-Categorize the intent as one of:
-- email (email management, responses)
-- calendar (scheduling, reservations, appointments)
-- phone (making calls, client outreach)
-- research (business intelligence, competitive analysis)
-- social (social media management, content)
-- client_management (client projects, custom builds)
-- business_intelligence (business analysis, metrics)
-- productivity (life coaching, goal setting, optimization)
-- prompts (AI prompt generation, content creation)
-- content (content calendar, viral captions)
-- general (other requests)
-
-Return JSON with:
-{
-  "category": "category_name",
-  "confidence": 0.8,
-  "action": "specific_action_to_take",
-  "business": "agency|ai|both|client",
-  "priority": "low|medium|high|urgent"
-}`;
+1. **Molaison Agency**: Insurance and business services company
+2. **Molaison AI**: AI tools and SEO platform company
+3. **Custom Client Projects**: Builds solutions for other businesses
 
-        try {
-            // Check if OpenAI is configured
-            if (!this.config.apis.openai.key || this.config.apis.openai.key === 'test_key_placeholder') {
-                // Simple keyword-based intent analysis when OpenAI isn't available
-                const lowerMessage = message.toLowerCase();
-                if (lowerMessage.includes('email')) return { category: 'email', confidence: 0.7, action: 'email_management', business: 'both', priority: 'medium' };
-                if (lowerMessage.includes('calendar') || lowerMessage.includes('schedule')) return { category: 'calendar', confidence: 0.7, action: 'calendar_management', business: 'both', priority: 'medium' };
-                if (lowerMessage.includes('call') || lowerMessage.includes('phone')) return { category: 'phone', confidence: 0.7, action: 'phone_assistance', business: 'both', priority: 'medium' };
-                if (lowerMessage.includes('research') || lowerMessage.includes('analyze')) return { category: 'research', confidence: 0.7, action: 'research_task', business: 'both', priority: 'medium' };
-                if (lowerMessage.includes('social') || lowerMessage.includes('content')) return { category: 'social', confidence: 0.7, action: 'social_media', business: 'both', priority: 'medium' };
-                if (lowerMessage.includes('client') || lowerMessage.includes('project')) return { category: 'client_management', confidence: 0.7, action: 'client_assistance', business: 'both', priority: 'medium' };
-                if (lowerMessage.includes('prompt') || lowerMessage.includes('generate')) return { category: 'prompts', confidence: 0.7, action: 'prompt_generation', business: 'both', priority: 'medium' };
-                if (lowerMessage.includes('productive') || lowerMessage.includes('goal')) return { category: 'productivity', confidence: 0.7, action: 'productivity_coaching', business: 'both', priority: 'medium' };
-                return { category: 'general', confidence: 0.6, action: 'general_assistance', business: 'both', priority: 'medium' };
-            }
-
-            const response = await axios.post(`${this.config.apis.openai.baseUrl}/chat/completions`, {
-                model: 'gpt-4',
-                messages: [{ role: 'user', content: prompt }],
-                max_tokens: 300,
-                temperature: 0.3
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${this.config.apis.openai.key}`,
-                    'Content-Type': 'application/json'
+Your role is to be professional, efficient, and helpful. Provide clear, actionable responses.
+Today is ${new Date().toLocaleDateString('en-US', { weekday: 'long', year: 'numeric', month: 'long', day: 'numeric', timeZone: 'America/Chicago' })} (US/Central).
+${history.summary ? `\nSummary of the earlier conversation:\n${history.summary}\n` : ''}
+Context: ${JSON.stringify(context || {})}
+${extraInstructions}
+Respond as a professional executive assistant would, offering specific help and next steps.`;
+    }
+
+    // Tool-Calling Agent
+    buildToolRegistry() {
+        const { taskManager, clientProjectManager, calendarAssistant, researchAssistant, emailManager, phoneAssistant, webScraper, policyManager, leadManager, businessIntelligence } = this.assistants;
+        const phoneRecipient = ({ to, clientName }) => {
+            if (to || !clientName) return { to };
+            const client = clientProjectManager.findClientByName(clientName);
+            if (!client) throw new RequestError(404, `No client named "${clientName}"`);
+            return { clientId: client.id };
+        };
+
+        return new ToolRegistry()
+            .register({
+                name: 'create_task',
+                description: 'Create a task in the agency or ai queue.',
+                sideEffect: true,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        title: { type: 'string', description: 'Short imperative task title' },
+                        business: { type: 'string', enum: ['agency', 'ai'] },
+                        priority: { type: 'string', enum: TASK_PRIORITIES },
+                        dueDate: { type: 'string', description: 'ISO 8601 date' },
+                        assignee: { type: 'string' },
+                        description: { type: 'string' }
+                    },
+                    required: ['title']
+                },
+                handler: (args, { user }) => taskManager.createTask({ business: 'agency', ...args, source: 'chat', createdBy: user ? user.id : undefined }),
+                summarize: task => `Task created: ${taskManager.describeTask(task)}`
+            })
+            .register({
+                name: 'list_tasks',
+                description: 'List open tasks, optionally filtered by business, priority or assignee.',
+                sideEffect: false,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        business: { type: 'string', enum: ['agency', 'ai', 'client'] },
+                        priority: { type: 'string', enum: TASK_PRIORITIES },
+                        assignee: { type: 'string' }
+                    }
+                },
+                handler: args => taskManager.listTasks({ status: 'open', ...args }).slice(0, 20)
+                    .map(({ id, title, priority, dueDate, status, business, assignee }) => ({ id, title, priority, dueDate, status, business, assignee }))
+            })
+            .register({
+                name: 'list_policies',
+                description: 'List active agency insurance policies, e.g. which expire in a period. ' +
+                    'Pass the question as query ("auto policies expiring this month"); line narrows it by line of business.',
+                sideEffect: false,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string', description: 'Natural-language period and lines, e.g. "home policies expiring next month"' },
+                        line: { type: 'string', enum: Object.keys(POLICY_LINES) },
+                        clientName: { type: 'string' }
+                    }
+                },
+                handler: ({ query, line, clientName }) => {
+                    const parsed = parsePolicyQuery(query, policyManager.config.timezone);
+                    const client = clientName ? clientProjectManager.findClientByName(clientName) : null;
+                    if (clientName && !client) throw new RequestError(404, `No client found matching "${clientName}"`);
+                    return policyManager.listPolicies({
+                        status: 'active',
+                        line: line || parsed.line,
+                        clientId: client ? client.id : undefined,
+                        ...(parsed.window ? { from: parsed.window.from, to: parsed.window.to } : {})
+                    }).slice(0, 25).map(policy => ({ id: policy.id, summary: policyManager.describePolicy(policy), renewalStage: policy.renewalStage }));
+                }
+            })
+            .register({
+                name: 'list_leads',
+                description: 'Agency leads and the sales pipeline. Without filters it returns the pipeline summary ' +
+                    '(open leads by stage and grade, conversion by source, new/won/lost this month) plus the top leads.',
+                sideEffect: false,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        stage: { type: 'string', enum: LEAD_STAGES },
+                        source: { type: 'string', enum: LEAD_SOURCES },
+                        grade: { type: 'string', enum: ['hot', 'warm', 'cold'] },
+                        since: { type: 'string', description: 'Only leads that came in on or after this ISO 8601 date' }
+                    }
+                },
+                handler: ({ stage, source, grade, since }) => {
+                    if (!stage && !source && !grade && !since) return leadManager.pipeline();
+                    return leadManager.listLeads({ stage, source, grade, from: since }).slice(0, 25)
+                        .map(lead => ({ id: lead.id, summary: leadManager.describeLead(lead), email: lead.email, phone: lead.phone }));
+                }
+            })
+            .register({
+                name: 'get_kpis',
+                description: 'KPIs for the agency, Molaison AI or client projects for a month or quarter, compared with the period ' +
+                    'before and with unusual values flagged. Pass the question as query ("how did the agency do last month?").',
+                sideEffect: false,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string', description: 'Natural-language business and period, e.g. "Molaison AI last quarter"' },
+                        business: { type: 'string', enum: Object.keys(KPI_BUSINESSES) }
+                    }
+                },
+                handler: ({ query, business }) => {
+                    const parsed = parseKpiQuery(query, null, businessIntelligence.config.timezone);
+                    return businessIntelligence.kpis({ business: business || parsed.businesses.join(','), granularity: parsed.granularity, period: parsed.period });
+                }
+            })
+            .register({
+                name: 'create_project',
+                description: 'Create a project for an existing client.',
+                sideEffect: true,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        clientName: { type: 'string' },
+                        name: { type: 'string' },
+                        description: { type: 'string' },
+                        dueDate: { type: 'string', description: 'ISO 8601 date' },
+                        budget: { type: 'number' }
+                    },
+                    required: ['clientName', 'name']
+                },
+                handler: ({ clientName, ...project }, { user }) => {
+                    const client = clientProjectManager.findClientByName(clientName);
+                    if (!client) throw new RequestError(404, `No client named "${clientName}"`);
+                    return clientProjectManager.createProject({ ...project, clientId: client.id }, user);
+                },
+                summarize: project => `Project created: ${clientProjectManager.summarizeProject(project).headline}`
+            })
+            .register({
+                name: 'get_project_status',
+                description: 'Look up a client project by client and/or project name and return its status.',
+                sideEffect: false,
+                parameters: {
+                    type: 'object',
+                    properties: { query: { type: 'string', description: 'e.g. "Smith website build"' } },
+                    required: ['query']
+                },
+                handler: ({ query }) => {
+                    const project = clientProjectManager.matchProject(query);
+                    return project ? clientProjectManager.summarizeProject(project) : { found: false };
+                }
+            })
+            .register({
+                name: 'schedule_event',
+                description: 'Put an event on the calendar.',
+                sideEffect: true,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        title: { type: 'string' },
+                        start: { type: 'string', description: 'ISO 8601 date-time; without an offset it is US/Central local time' },
+                        durationMinutes: { type: 'integer' },
+                        attendees: { type: 'array', items: { type: 'string' } },
+                        business: { type: 'string', enum: ['agency', 'ai', 'client', 'personal'] },
+                        clientId: { type: 'string' },
+                        recurrence: { type: 'string', description: 'RFC 5545 RRULE, e.g. "FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10"' },
+                        location: { type: 'string' },
+                        notes: { type: 'string' }
+                    },
+                    required: ['title', 'start']
+                },
+                handler: args => calendarAssistant.scheduleEvent(args),
+                summarize: event => `Scheduled "${event.title}" for ${formatInZone(event.start, event.timezone)}${event.recurrence ? ` (repeats: ${event.recurrence})` : ''}`
+            })
+            .register({
+                name: 'find_free_time',
+                description: 'Find open slots in working hours across both business calendars, e.g. to propose meeting times to a client.',
+                sideEffect: false,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        durationMinutes: { type: 'integer' },
+                        range: { type: 'string', description: 'today, tomorrow, this week, next week, next 10 days or a weekday' },
+                        from: { type: 'string', description: 'ISO 8601 start, instead of range' },
+                        to: { type: 'string', description: 'ISO 8601 end, instead of range' },
+                        clientName: { type: 'string', description: 'Who the meeting is with' }
+                    }
+                },
+                handler: ({ durationMinutes, range, from, to, clientName }) => {
+                    const window = parseDateRange(range || '', this.config.calendar.timezone);
+                    const client = clientName ? clientProjectManager.findClientByName(clientName) : null;
+                    const result = calendarAssistant.findSlots({
+                        durationMinutes: durationMinutes || 30,
+                        from: from || window.from.toISOString(),
+                        to: to || window.to.toISOString()
+                    });
+                    return { ...result, client: client ? { id: client.id, name: client.name } : undefined };
+                }
+            })
+            .register({
+                name: 'list_events',
+                description: 'List calendar events (recurring events expanded) in a date range.',
+                sideEffect: false,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        range: { type: 'string', description: 'today, tomorrow, this week, next week, next 10 days or a weekday' },
+                        business: { type: 'string', enum: ['agency', 'ai', 'client', 'personal'] }
+                    }
+                },
+                handler: ({ range, business }) => {
+                    const window = parseDateRange(range || '', this.config.calendar.timezone);
+                    const { events } = calendarAssistant.listEvents({ from: window.from.toISOString(), to: window.to.toISOString(), business });
+                    return events.map(({ eventId, title, start, end, business, location, recurring }) => ({ eventId, title, start, end, business, location, recurring }));
+                }
+            })
+            .register({
+                name: 'list_emails',
+                description: 'Search Gmail (Gmail search syntax) and return matching messages tagged by business, urgency and suggested action.',
+                sideEffect: false,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string', description: 'e.g. "is:unread from:jones"' },
+                        maxResults: { type: 'integer' },
+                        mailbox: { type: 'string', enum: MAILBOX_BUSINESSES, description: 'Which business inbox; defaults to the first connected' }
+                    }
+                },
+                handler: async ({ query, maxResults, mailbox }) => {
+                    const { emails } = await emailManager.listMessages({ mailbox, q: query, maxResults: Math.min(maxResults || 10, 25), triage: true });
+                    return emails.map(({ id, threadId, mailbox, subject, from, date, snippet, triage }) => ({ id, threadId, mailbox, subject, from, date, snippet, triage }));
                 }
+            })
+            .register({
+                name: 'draft_reply',
+                description: 'Draft a reply to a Gmail message and put it in the approval queue (it is not sent until approved).',
+                sideEffect: false,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        emailId: { type: 'string', description: 'Gmail message id from list_emails' },
+                        mailbox: { type: 'string', enum: MAILBOX_BUSINESSES, description: 'Mailbox the message came from (from list_emails)' },
+                        instructions: { type: 'string', description: 'What the reply should say' }
+                    },
+                    required: ['emailId']
+                },
+                handler: async ({ emailId, mailbox, instructions }, { user }) => {
+                    const draft = await emailManager.draftReply(emailId, { mailbox, instructions }, user);
+                    return { draftId: draft.id, to: draft.to, subject: draft.subject, body: draft.body, status: draft.status };
+                }
+            })
+            .register({
+                name: 'draft_email',
+                description: 'Draft an email (nothing is sent).',
+                sideEffect: false,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        to: { type: 'string' },
+                        subject: { type: 'string' },
+                        purpose: { type: 'string', description: 'What the email should say or achieve' },
+                        business: { type: 'string', enum: ['agency', 'ai'] }
+                    },
+                    required: ['purpose']
+                },
+                handler: args => this.draftEmail(args)
+            })
+            .register({
+                name: 'run_research',
+                description: 'Research a question on the web and return an answer with numbered sources. The report is saved; ' +
+                    'use a template for competitor or market research on one of the businesses.',
+                sideEffect: false,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        query: { type: 'string', description: 'The question, or what a template should focus on' },
+                        template: { type: 'string', enum: Object.keys(RESEARCH_TEMPLATES) },
+                        business: { type: 'string', enum: ['agency', 'ai'] },
+                        subject: { type: 'string', description: 'A specific competitor or market segment' }
+                    }
+                },
+                handler: async (args, { user }) => {
+                    const created = await researchAssistant.createReport(args, user);
+                    const report = await researchAssistant.waitForReport(created.id);
+                    if (report.status === 'completed') {
+                        return { reportId: report.id, title: report.title, answer: report.answer, citations: report.citations };
+                    }
+                    return { reportId: report.id, title: report.title, status: report.status, error: report.error };
+                }
+            })
+            .register({
+                name: 'scrape_page',
+                description: 'Fetch a web page (respecting robots.txt) and extract its title, headings and emails, ' +
+                    'or the contacts on it with mode "leads". Nothing is saved.',
+                sideEffect: false,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        url: { type: 'string' },
+                        mode: { type: 'string', enum: ['monitor', 'leads'] }
+                    },
+                    required: ['url']
+                },
+                handler: args => webScraper.preview(args)
+            })
+            .register({
+                name: 'send_sms',
+                description: 'Text a client or phone number from the business Twilio number.',
+                sideEffect: true,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        to: { type: 'string', description: 'Phone number; omit to use the client\'s number on file' },
+                        clientName: { type: 'string' },
+                        body: { type: 'string', description: 'The text message itself' }
+                    },
+                    required: ['body']
+                },
+                handler: ({ body, ...recipient }, { user }) => phoneAssistant.sendSms({ ...phoneRecipient(recipient), body }, user),
+                summarize: sms => `Text sent to ${phoneAssistant.clientName(sms.clientId) || sms.to}`
+            })
+            .register({
+                name: 'make_call',
+                description: 'Call a client. With a purpose, a voice agent runs a scripted conversation and notes the outcome on the ' +
+                    'client record; otherwise the call just reads them a short message.',
+                sideEffect: true,
+                parameters: {
+                    type: 'object',
+                    properties: {
+                        to: { type: 'string', description: 'Phone number; omit to use the client\'s number on file' },
+                        clientName: { type: 'string' },
+                        purpose: { type: 'string', enum: Object.keys(CALL_PURPOSES), description: 'Scripted call type (needs clientName)' },
+                        notes: { type: 'string', description: 'Background for the script, e.g. which policy is renewing' },
+                        message: { type: 'string', description: 'What a plain (unscripted) call should say' }
+                    }
+                },
+                handler: ({ message, purpose, notes, ...recipient }, { user }) =>
+                    phoneAssistant.makeCall({ ...phoneRecipient(recipient), message, purpose, notes }, user),
+                summarize: call => `Calling ${phoneAssistant.clientName(call.clientId) || call.to}${call.purpose ? ` (${CALL_PURPOSES[call.purpose].label.toLowerCase()})` : ''}`
+            })
+            .register({
+                name: 'list_sms_threads',
+                description: 'List recent text conversations, newest first, with unread counts.',
+                sideEffect: false,
+                parameters: {
+                    type: 'object',
+                    properties: { unread: { type: 'boolean', description: 'Only threads with unread messages' } }
+                },
+                handler: ({ unread }) => phoneAssistant.listThreads({ unread }).slice(0, 20)
             });
+    }
 
-            return JSON.parse(response.data.choices[0].message.content);
-        } catch (error) {
-            console.error('Intent analysis error:', error);
-            return {
-                category: 'general',
-                confidence: 0.5,
-                action: 'general_assistance',
-                business: 'both',
-                priority: 'medium'
-            };
+    async runAgent(message, context, history, conversation, user, { onToken = null, onTool } = {}) {
+        const result = await this.agent.run({
+            system: this.buildAssistantPrompt(context, history,
+                'You can act through the provided tools. Tools that change data are queued until the user confirms; ' +
+                'when a tool returns awaiting_confirmation, say exactly what will happen and ask the user to confirm.'),
+            messages: [
+                ...history.messages.map(m => ({ role: m.role, content: m.content })),
+                { role: 'user', content: message }
+            ],
+            context: { user, conversation },
+            onToken,
+            onTool
+        });
+
+        if (result.pendingActions.length > 0) {
+            await this.assistants.conversationMemory.addPendingActions(conversation, result.pendingActions);
         }
+        return result;
     }
 
-    async handleGeneralRequest(message, context) {
-        // Check if OpenAI is configured
-        if (!this.config.apis.openai.key || this.config.apis.openai.key === 'test_key_placeholder') {
-            return `I understand you need assistance with: "${message}". As your executive assistant for Molaison Agency and Molaison AI, I'm ready to help with business management, client projects, and various tasks. However, advanced AI features require API configuration. Please let me know what specific assistance you need!`;
+    // Runs (confirm) or drops (reject) actions the agent queued for the user's approval
+    async settlePendingActions(conversation, actionIds, decision, user) {
+        const memory = this.assistants.conversationMemory;
+        const trace = [];
+        const lines = [];
+
+        // Claimed before anything is awaited, so a second confirmation (or a "yes" racing the button) finds nothing to run
+        const actions = memory.pendingActions(conversation).filter(action => actionIds.includes(action.id));
+        await Promise.all(actions.map(action =>
+            memory.settleAction(conversation, action.id, { status: decision === 'reject' ? 'rejected' : 'executing' })
+        ));
+
+        for (const action of actions) {
+            const actionId = action.id;
+            const tool = this.tools.get(action.tool);
+
+            if (decision === 'reject') {
+                trace.push({ tool: action.tool, arguments: action.arguments, status: 'rejected', actionId });
+                lines.push(`✖️ Skipped ${action.tool.replace(/_/g, ' ')}`);
+                continue;
+            }
+
+            try {
+                const result = await this.tools.execute(action.tool, action.arguments, { user, conversation });
+                await memory.settleAction(conversation, actionId, { status: 'completed', result });
+                trace.push({ tool: action.tool, arguments: action.arguments, status: 'ok', actionId, result });
+                lines.push(`✅ ${tool && tool.summarize ? tool.summarize(result) : `${action.tool.replace(/_/g, ' ')} done`}`);
+            } catch (error) {
+                await memory.settleAction(conversation, actionId, { status: 'failed', error: error.message });
+                trace.push({ tool: action.tool, arguments: action.arguments, status: 'error', actionId, error: error.message });
+                lines.push(`⚠️ ${action.tool.replace(/_/g, ' ')} failed: ${error.message}`);
+            }
         }
 
-        const prompt = `
-You are an AI Executive Assistant for Christina Molaison, who runs:
+        return { response: lines.join('\n'), trace };
+    }
 
-1. **Molaison Agency**: Insurance and business services company
-2. **Molaison AI**: AI tools and SEO platform company
-3. **Custom Client Projects**: Builds solutions for other businesses
+    async confirmChatAction(req, res) {
+        await this.handleChatActionDecision(req, res, 'confirm');
+    }
 
-Your role is to be professional, efficient, and helpful. Provide clear, actionable responses.
+    async rejectChatAction(req, res) {
+        await this.handleChatActionDecision(req, res, 'reject');
+    }
 
-User request: "${message}"
-Context: ${JSON.stringify(context || {})}
+    async handleChatActionDecision(req, res, decision) {
+        try {
+            const memory = this.assistants.conversationMemory;
+            const conversation = memory.getConversation(req.body.conversationId, req.user.id);
+            memory.getPendingAction(conversation, req.params.actionId);
 
-Respond as a professional executive assistant would, offering specific help and next steps.`;
+            const outcome = await this.settlePendingActions(conversation, [req.params.actionId], decision, req.user);
+            res.json({ success: true, response: outcome.response, toolTrace: outcome.trace });
+        } catch (error) {
+            this.sendError(res, error, 'Chat action', 'Failed to process action');
+        }
+    }
+
+    async draftEmail({ to, subject, purpose, business }) {
+        const businessName = business === 'ai' ? 'Molaison AI' : 'Molaison Agency';
+
+        if (!this.llm.isAvailable()) {
+            return {
+                to: to || '',
+                subject: subject || `Following up from ${businessName}`,
+                body: `Hi,\n\n${purpose}\n\nBest regards,\nChristina Molaison\n${businessName}`
+            };
+        }
+
+        const completion = await this.llm.complete('drafting', {
+            system: `You write concise, warm, professional emails for Christina Molaison of ${businessName}. ` +
+                `Reply with the subject on the first line as "Subject: ..." followed by a blank line and the body.`,
+            messages: [{ role: 'user', content: `To: ${to || 'recipient'}\n${subject ? `Subject: ${subject}\n` : ''}Purpose: ${purpose}` }],
+            maxTokens: 600,
+            temperature: 0.6
+        });
+
+        const match = completion.text.match(/^\s*Subject:\s*(.+)\n+([\s\S]*)$/i);
+        return {
+            to: to || '',
+            subject: match ? match[1].trim() : subject || `Following up from ${businessName}`,
+            body: match ? match[2].trim() : completion.text.trim()
+        };
+    }
+
+    async handleGeneralRequest(message, context, history = { summary: null, messages: [] }, onToken = null) {
+        // Check if a model provider is configured
+        if (!this.llm.isAvailable()) {
+            return `I understand you need assistance with: "${message}". As your executive assistant for Molaison Agency and Molaison AI, I'm ready to help with business management, client projects, and various tasks. However, advanced AI features require API configuration. Please let me know what specific assistance you need!`;
+        }
 
         try {
-            const response = await axios.post(`${this.config.apis.openai.baseUrl}/chat/completions`, {
-                model: 'gpt-4',
-                messages: [{ role: 'user', content: prompt }],
-                max_tokens: 500,
+            const request = {
+                system: this.buildAssistantPrompt(context, history),
+                messages: [
+                    ...history.messages.map(m => ({ role: m.role, content: m.content })),
+                    { role: 'user', content: message }
+                ],
+                maxTokens: 500,
                 temperature: 0.7
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${this.config.apis.openai.key}`,
-                    'Content-Type': 'application/json'
-                }
-            });
+            };
+            const completion = onToken
+                ? await this.llm.stream('chat', request, onToken)
+                : await this.llm.complete('chat', request);
 
-            return response.data.choices[0].message.content;
+            return completion.text;
         } catch (error) {
             console.error('General request error:', error);
             return "I understand you need assistance. Let me help you with that. Could you provide more specific details about what you'd like me to handle?";
         }
     }
 
-    // Voice Processing with Whispr Flow integration
+    // Voice Processing: transcribe, then run the transcript through the regular chat pipeline
     async processVoiceInput(req, res) {
         try {
-            const { audioData, format } = req.body;
-            
-            if (!this.config.apis.whispr.enabled) {
+            if (!this.transcriber.isAvailable()) {
                 return res.status(503).json({
                     success: false,
                     error: 'Voice processing not configured'
                 });
             }
             
-            // Process voice with Whispr Flow
-            const transcription = await this.transcribeAudio(audioData, format);
+            const audio = this.readAudioUpload(req);
+            const transcription = await this.transcriber.transcribe(audio);
+            
+            if (!transcription.text.trim()) {
+                throw new RequestError(422, 'No speech was detected in the recording');
+            }
+            console.log(`🎤 Transcribed ${audio.format} audio via ${transcription.provider}`);
             
-            // Process the transcribed text as a regular chat message
-            const chatResponse = await this.handleChatMessage({
-                body: { message: transcription, context: { source: 'voice' } }
-            }, { json: () => {} });
+            const result = await this.runChatPipeline({
+                user: req.user,
+                message: transcription.text,
+                context: { ...(req.body.context || {}), source: 'voice' },
+                businessContext: req.body.businessContext,
+                conversationId: req.body.conversationId
+            });
             
             res.json({
                 success: true,
-                transcription: transcription,
-                response: chatResponse.response,
-                timestamp: new Date()
+                transcription: transcription.text,
+                transcriptionProvider: transcription.provider,
+                ...result
             });
             
         } catch (error) {
-            console.error('Voice processing error:', error);
-            res.status(500).json({
-                success: false,
-                error: 'Voice processing failed'
-            });
+            this.sendError(res, error, 'Voice processing', 'Voice processing failed');
         }
     }
 
-    async transcribeAudio(audioData, format) {
-        // Placeholder for Whispr Flow integration
-        // This would integrate with the actual Whispr Flow API
-        return "Voice transcription would be processed here";
+    // Normalises a multipart file or base64 JSON body into { buffer, format, mimeType }
+    readAudioUpload(req) {
+        let buffer;
+        let declared;
+
+        if (req.file) {
+            buffer = req.file.buffer;
+            declared = req.body.format || req.file.mimetype;
+        } else if (typeof req.body.audioData === 'string') {
+            // Accept bare base64 or a data: URL from the browser
+            const match = req.body.audioData.match(/^data:([^;,]+)(?:;[^,]*)?,(.*)$/s);
+            buffer = Buffer.from(match ? match[2] : req.body.audioData, 'base64');
+            declared = req.body.format || (match && match[1]);
+        } else {
+            throw new RequestError(400, 'Audio is required (multipart field "audio" or base64 "audioData")');
+        }
+
+        if (buffer.length === 0) {
+            throw new RequestError(400, 'Audio is empty');
+        }
+        if (buffer.length > this.config.transcription.maxBytes) {
+            throw new RequestError(413, `Audio must be at most ${this.config.transcription.maxBytes / (1024 * 1024)} MB`);
+        }
+
+        const format = detectAudioFormat(buffer);
+        if (!format) {
+            throw new RequestError(400, `Unsupported audio format. Use one of: ${Object.keys(AUDIO_FORMATS).join(', ')}`);
+        }
+        const declaredFormat = declared && normalizeAudioFormat(declared);
+        if (declaredFormat && !GENERIC_CONTENT_TYPES.includes(declaredFormat) && declaredFormat !== format && !(AUDIO_FORMATS[format].aliases || []).includes(declaredFormat)) {
+            throw new RequestError(400, `Audio content is ${format} but was declared as ${declared}`);
+        }
+
+        return { buffer, format, mimeType: AUDIO_FORMATS[format].mimeType };
     }
 
     // Business Overview
     async getBusinessOverview(req, res) {
         try {
+            const molaisonAI = this.assistants.subscriptionManager.overview();
             const overview = {
                 businesses: this.config.businesses,
                 summary: {
-                    totalClients: this.db.businessData.molaisonAgency.clients.length,
-                    activeProjects: this.db.projects.filter(p => p.status === 'active').length,
-                    aiCustomers: this.db.businessData.molaisonAI.customers.length,
-                    pendingTasks: this.db.tasks.filter(t => t.status === 'pending').length
+                    totalClients: this.db.clients.count(c => c.business === 'agency'),
+                    activeProjects: this.db.projects.count(p => p.status === 'active'),
+                    aiCustomers: molaisonAI.customers,
+                    pendingTasks: this.db.tasks.count(t => t.status === 'pending')
                 },
-                recentActivity: this.getRecentActivity()
+                molaisonAI,
+                kpis: this.assistants.businessIntelligence.kpis(),
+                recentActivity: this.activityLog.recent()
             };
             
             res.json({
@@ -570,502 +1869,1887 @@ Respond as a professional executive assistant would, offering specific help and
         }
     }
 
-    getRecentActivity() {
-        // Mock recent activity - would pull from actual business data
-        return [
-            { type: 'email', action: 'New client inquiry - Molaison Agency', time: '2 hours ago' },
-            { type: 'project', action: 'AI platform feature completed', time: '4 hours ago' },
-            { type: 'appointment', action: 'Meeting scheduled with potential client', time: '6 hours ago' },
-            { type: 'social', action: 'LinkedIn post published - thought leadership', time: '8 hours ago' }
-        ];
+    async getActivity(req, res) {
+        try {
+            res.json({ success: true, ...this.activityLog.list(req.query) });
+        } catch (error) {
+            this.sendError(res, error, 'Activity feed', 'Failed to get activity');
+        }
     }
 
-    logConversation(message, response, intent) {
-        this.db.conversations.push({
-            id: uuidv4(),
-            message: message,
-            response: response,
-            intent: intent,
-            timestamp: new Date(),
-            business: intent.business || 'general'
-        });
-        
-        // Keep only last 1000 conversations
-        if (this.db.conversations.length > 1000) {
-            this.db.conversations = this.db.conversations.slice(-1000);
+    // Summarises older turns once a conversation outgrows its replay window
+    async summarizeTurns(previousSummary, turns) {
+        const transcript = turns.map(t => `${t.role === 'user' ? 'Christina' : 'Assistant'}: ${t.content}`).join('\n');
+
+        if (this.llm.isAvailable()) {
+            try {
+                const completion = await this.llm.complete('summary', {
+                    system: `Update this running summary of a conversation between Christina Molaison and her executive assistant. ` +
+                        `Keep names, decisions, dates and open follow-ups. Stay under 150 words.`,
+                    messages: [{
+                        role: 'user',
+                        content: `Current summary: ${previousSummary || '(none)'}\n\nNew turns:\n${transcript}`
+                    }],
+                    maxTokens: 250,
+                    temperature: 0.2
+                });
+
+                return completion.text.trim();
+            } catch (error) {
+                console.error('Conversation summary error:', error.message);
+            }
         }
+
+        // Offline fallback: keep the gist of each user request
+        const requests = turns
+            .filter(t => t.role === 'user')
+            .map(t => `- Asked: ${t.content.slice(0, 120)}`);
+        return [previousSummary, ...requests].filter(Boolean).join('\n').slice(-1500);
     }
 
-    // Placeholder methods for assistant modules
-    async getEmails(req, res) { res.json({ success: true, emails: [] }); }
-    async respondToEmail(req, res) { res.json({ success: true, message: 'Email response sent' }); }
-    async getCalendar(req, res) { res.json({ success: true, events: [] }); }
-    async makeReservation(req, res) { res.json({ success: true, message: 'Reservation made' }); }
-    async makePhoneCall(req, res) { res.json({ success: true, message: 'Call initiated' }); }
-    async performResearch(req, res) { res.json({ success: true, results: [] }); }
-    async createSocialPost(req, res) { res.json({ success: true, message: 'Post created' }); }
-    async getSocialAnalytics(req, res) { res.json({ success: true, analytics: {} }); }
-    async getClients(req, res) { res.json({ success: true, clients: [] }); }
-    async createProject(req, res) { res.json({ success: true, message: 'Project created' }); }
-    async getProjectStatus(req, res) { res.json({ success: true, status: 'active' }); }
-    async getProductivityDashboard(req, res) { res.json({ success: true, dashboard: {} }); }
-    async setGoal(req, res) { res.json({ success: true, message: 'Goal set' }); }
-    async createBusinessTask(req, res) { res.json({ success: true, message: 'Task created' }); }
+    // Conversation History
+    async getConversations(req, res) {
+        try {
+            const conversations = this.assistants.conversationMemory.listConversations(req.user.id, req.query);
+            res.json({ success: true, conversations, total: conversations.length });
+        } catch (error) {
+            this.sendError(res, error, 'List conversations', 'Failed to get conversations');
+        }
+    }
 
-    // Configuration Management Methods
-    async getConfigStatus(req, res) {
+    async getConversation(req, res) {
         try {
-            const status = {
-                openai: {
-                    configured: !!(this.config.apis.openai.key && this.config.apis.openai.key !== 'test_key_placeholder'),
-                    status: this.config.apis.openai.key && this.config.apis.openai.key !== 'test_key_placeholder' ? 'connected' : 'disconnected'
-                },
-                perplexity: {
-                    configured: !!(this.config.apis.perplexity.key && this.config.apis.perplexity.key !== 'test_key_placeholder'),
-                    status: this.config.apis.perplexity.key && this.config.apis.perplexity.key !== 'test_key_placeholder' ? 'connected' : 'disconnected'
-                },
-                twilio: {
-                    configured: !!(this.config.apis.twilio.accountSid && this.config.apis.twilio.authToken),
-                    status: this.config.apis.twilio.accountSid && this.config.apis.twilio.authToken ? 'connected' : 'disconnected'
-                },
-                gmail: {
-                    configured: !!(this.config.apis.gmail.clientId && this.config.apis.gmail.clientSecret),
-                    status: this.config.apis.gmail.clientId && this.config.apis.gmail.clientSecret ? 'connected' : 'disconnected'
-                },
-                whispr: {
-                    configured: !!(this.config.apis.whispr.key && this.config.apis.whispr.enabled),
-                    status: this.config.apis.whispr.key && this.config.apis.whispr.enabled ? 'connected' : 'disconnected'
-                },
-                mcp: {
-                    configured: true, // MCP is always available
-                    status: 'available'
-                }
-            };
-            
-            res.json({ success: true, status });
+            const conversation = this.assistants.conversationMemory.getConversation(req.params.id, req.user.id);
+            res.json({ success: true, conversation });
         } catch (error) {
-            console.error('Config status error:', error);
-            res.status(500).json({ success: false, error: 'Failed to get configuration status' });
+            this.sendError(res, error, 'Get conversation', 'Failed to get conversation');
         }
     }
 
-    async updateOpenAIConfig(req, res) {
+    async deleteConversation(req, res) {
         try {
-            const { api_key } = req.body;
-            if (!api_key || api_key.length < 10) {
-                return res.status(400).json({ success: false, error: 'Invalid API key' });
-            }
+            await this.assistants.conversationMemory.deleteConversation(req.params.id, req.user.id);
+            res.json({ success: true, message: 'Conversation deleted' });
+        } catch (error) {
+            this.sendError(res, error, 'Delete conversation', 'Failed to delete conversation');
+        }
+    }
 
-            // Update environment and config
-            await this.updateEnvFile('OPENAI_API_KEY', api_key);
-            this.config.apis.openai.key = api_key;
+    // Placeholder methods for assistant modules
+    async getCalendar(req, res) {
+        try {
+            const { from, to, business, clientId, includeCancelled } = req.query;
+            const result = this.assistants.calendarAssistant.listEvents({
+                from, to, business, clientId, includeCancelled: includeCancelled === 'true'
+            });
+            res.json({ success: true, ...result, total: result.events.length });
+        } catch (error) {
+            this.sendError(res, error, 'Get calendar', 'Failed to fetch calendar');
+        }
+    }
 
-            res.json({ success: true, message: 'OpenAI configuration updated. Restart required.' });
+    async createCalendarEvent(req, res) {
+        try {
+            const event = await this.assistants.calendarAssistant.scheduleEvent(req.body);
+            res.status(201).json({ success: true, event });
         } catch (error) {
-            console.error('OpenAI config error:', error);
-            res.status(500).json({ success: false, error: 'Failed to update OpenAI configuration' });
+            this.sendError(res, error, 'Create event', 'Failed to create event');
         }
     }
 
-    async updatePerplexityConfig(req, res) {
+    async getCalendarEvent(req, res) {
         try {
-            const { api_key } = req.body;
-            await this.updateEnvFile('PERPLEXITY_API_KEY', api_key);
-            this.config.apis.perplexity.key = api_key;
-            res.json({ success: true, message: 'Perplexity configuration updated. Restart required.' });
+            const event = this.assistants.calendarAssistant.getEvent(req.params.id);
+            res.json({ success: true, event });
         } catch (error) {
-            console.error('Perplexity config error:', error);
-            res.status(500).json({ success: false, error: 'Failed to update Perplexity configuration' });
+            this.sendError(res, error, 'Get event', 'Failed to fetch event');
         }
     }
 
-    async updateTwilioConfig(req, res) {
+    async updateCalendarEvent(req, res) {
         try {
-            const { account_sid, auth_token, phone_number } = req.body;
-            await this.updateEnvFile('TWILIO_ACCOUNT_SID', account_sid);
-            await this.updateEnvFile('TWILIO_AUTH_TOKEN', auth_token);
-            await this.updateEnvFile('TWILIO_PHONE_NUMBER', phone_number);
-            
-            this.config.apis.twilio.accountSid = account_sid;
-            this.config.apis.twilio.authToken = auth_token;
-            this.config.apis.twilio.phoneNumber = phone_number;
-            
-            res.json({ success: true, message: 'Twilio configuration updated. Restart required.' });
+            const event = await this.assistants.calendarAssistant.updateEvent(req.params.id, req.body);
+            res.json({ success: true, event });
         } catch (error) {
-            console.error('Twilio config error:', error);
-            res.status(500).json({ success: false, error: 'Failed to update Twilio configuration' });
+            this.sendError(res, error, 'Update event', 'Failed to update event');
         }
     }
 
-    async updateGmailConfig(req, res) {
+    // ?occurrence=<start> removes a single occurrence of a recurring event
+    async deleteCalendarEvent(req, res) {
         try {
-            const { client_id, client_secret, refresh_token } = req.body;
-            await this.updateEnvFile('GMAIL_CLIENT_ID', client_id);
-            await this.updateEnvFile('GMAIL_CLIENT_SECRET', client_secret);
-            if (refresh_token) await this.updateEnvFile('GMAIL_REFRESH_TOKEN', refresh_token);
-            
-            this.config.apis.gmail.clientId = client_id;
-            this.config.apis.gmail.clientSecret = client_secret;
-            this.config.apis.gmail.refreshToken = refresh_token;
-            
-            res.json({ success: true, message: 'Gmail configuration updated. Restart required.' });
+            const event = await this.assistants.calendarAssistant.deleteEvent(req.params.id, { occurrence: req.query.occurrence });
+            res.json({ success: true, event: event || undefined, message: event ? 'Occurrence removed' : 'Event deleted' });
         } catch (error) {
-            console.error('Gmail config error:', error);
-            res.status(500).json({ success: false, error: 'Failed to update Gmail configuration' });
+            this.sendError(res, error, 'Delete event', 'Failed to delete event');
         }
     }
 
-    async updateWhisprConfig(req, res) {
+    async getFreeBusy(req, res) {
         try {
-            const { api_key, enabled } = req.body;
-            await this.updateEnvFile('WHISPR_API_KEY', api_key);
-            await this.updateEnvFile('WHISPR_ENABLED', enabled ? 'true' : 'false');
-            
-            this.config.apis.whispr.key = api_key;
-            this.config.apis.whispr.enabled = enabled;
-            
-            res.json({ success: true, message: 'Whispr configuration updated. Restart required.' });
+            const { from, to, business } = req.query;
+            res.json({ success: true, ...this.assistants.calendarAssistant.freeBusy({ from, to, business }) });
         } catch (error) {
-            console.error('Whispr config error:', error);
-            res.status(500).json({ success: false, error: 'Failed to update Whispr configuration' });
+            this.sendError(res, error, 'Free/busy', 'Failed to compute free/busy');
         }
     }
 
-    async updateSocialConfig(req, res) {
+    async getAvailability(req, res) {
         try {
-            const { twitter_key, linkedin_id, facebook_token } = req.body;
-            if (twitter_key) await this.updateEnvFile('TWITTER_API_KEY', twitter_key);
-            if (linkedin_id) await this.updateEnvFile('LINKEDIN_CLIENT_ID', linkedin_id);
-            if (facebook_token) await this.updateEnvFile('FACEBOOK_ACCESS_TOKEN', facebook_token);
-            
-            res.json({ success: true, message: 'Social media configuration updated. Restart required.' });
+            const { durationMinutes, from, to, range, business, limit, perDay } = req.query;
+            const calendar = this.assistants.calendarAssistant;
+            // "range" takes the same phrases as chat: today, tomorrow, this week, next week, next 10 days
+            const window = range ? parseDateRange(range, this.config.calendar.timezone) : {};
+
+            const result = calendar.findSlots({
+                durationMinutes: durationMinutes ? Number(durationMinutes) : undefined,
+                from: from || (window.from && window.from.toISOString()),
+                to: to || (window.to && window.to.toISOString()),
+                business,
+                limit: Math.min(Number(limit) || 5, 50),
+                perDay: Number(perDay) || 2
+            });
+            res.json({ success: true, ...result });
         } catch (error) {
-            console.error('Social config error:', error);
-            res.status(500).json({ success: false, error: 'Failed to update social media configuration' });
+            this.sendError(res, error, 'Availability', 'Failed to find available slots');
         }
     }
 
-    async updateMCPConfig(req, res) {
+    async exportCalendar(req, res) {
         try {
-            const { server_url, enabled } = req.body;
-            await this.updateEnvFile('MCP_SERVER_URL', server_url || 'http://localhost:3001');
-            await this.updateEnvFile('MCP_ENABLED', enabled ? 'true' : 'false');
-            
-            res.json({ success: true, message: 'MCP configuration updated. Restart required.' });
+            const ics = this.assistants.calendarAssistant.exportICS({ business: req.query.business });
+            res.type('text/calendar').set('Content-Disposition', 'attachment; filename="molaison-calendar.ics"').send(ics);
         } catch (error) {
-            console.error('MCP config error:', error);
-            res.status(500).json({ success: false, error: 'Failed to update MCP configuration' });
+            this.sendError(res, error, 'Export calendar', 'Failed to export calendar');
         }
     }
 
-    async updateEnvFile(key, value) {
+    // Accepts a text/calendar body or JSON { ics, business }
+    async importCalendar(req, res) {
         try {
-            const fs = require('fs');
-            const path = require('path');
-            const envPath = path.join(process.cwd(), '.env');
-            
-            let envContent = '';
-            if (fs.existsSync(envPath)) {
-                envContent = fs.readFileSync(envPath, 'utf8');
-            }
-            
-            const lines = envContent.split('\n');
-            let found = false;
-            
-            for (let i = 0; i < lines.length; i++) {
-                if (lines[i].startsWith(`${key}=`)) {
-                    lines[i] = `${key}=${value}`;
-                    found = true;
-                    break;
-                }
-            }
-            
-            if (!found) {
-                lines.push(`${key}=${value}`);
+            const ics = typeof req.body === 'string' ? req.body : req.body.ics;
+            const business = (typeof req.body === 'object' && req.body.business) || req.query.business;
+            if (business && !EVENT_SCHEMA.business.enum.includes(business)) {
+                throw new RequestError(400, 'Validation failed', [`business must be one of: ${EVENT_SCHEMA.business.enum.join(', ')}`]);
             }
-            
-            fs.writeFileSync(envPath, lines.join('\n'));
-            
-            // Update process.env
-            process.env[key] = value;
-            
+
+            const result = await this.assistants.calendarAssistant.importICS(ics, { business });
+            res.json({ success: true, ...result });
         } catch (error) {
-            console.error('Error updating .env file:', error);
-            throw error;
+            this.sendError(res, error, 'Import calendar', 'Failed to import calendar');
         }
     }
 
-    // Gmail OAuth Implementation
-    async initiateGmailAuth(req, res) {
+    async getCalendarFeedUrl(req, res) {
         try {
-            const clientId = this.config.apis.gmail.clientId;
-            if (!clientId) {
-                return res.status(400).json({ error: 'Gmail client ID not configured' });
-            }
+            const { business } = req.query;
+            const token = jwt.sign({ purpose: 'calendar_feed', business }, this.config.auth.jwtSecret);
+            res.json({
+                success: true,
+                url: `${req.protocol}://${req.get('host')}/calendar/feed.ics?token=${encodeURIComponent(token)}`,
+                note: 'Anyone with this link can read the calendar. Changing JWT_SECRET revokes it.'
+            });
+        } catch (error) {
+            this.sendError(res, error, 'Calendar feed', 'Failed to create feed URL');
+        }
+    }
 
-            const scopes = [
-                'https://www.googleapis.com/auth/gmail.readonly',
-                'https://www.googleapis.com/auth/gmail.send',
-                'https://www.googleapis.com/auth/gmail.modify'
-            ].join(' ');
+    async serveCalendarFeed(req, res) {
+        let payload;
+        try {
+            payload = jwt.verify(String(req.query.token || ''), this.config.auth.jwtSecret);
+            if (payload.purpose !== 'calendar_feed') throw new Error('Wrong token purpose');
+        } catch (error) {
+            return res.status(401).json({ success: false, error: 'Invalid calendar feed token' });
+        }
 
-            const authUrl = `https://accounts.google.com/o/oauth2/v2/auth?` +
-                `client_id=${clientId}&` +
-                `redirect_uri=${encodeURIComponent(req.protocol + '://' + req.get('host') + '/auth/gmail/callback')}&` +
-                `response_type=code&` +
-                `scope=${encodeURIComponent(scopes)}&` +
-                `access_type=offline&` +
-                `prompt=consent`;
+        try {
+            res.type('text/calendar').send(this.assistants.calendarAssistant.exportICS({ business: payload.business }));
+        } catch (error) {
+            this.sendError(res, error, 'Calendar feed', 'Failed to build calendar feed');
+        }
+    }
+    // Staff booking on a client's behalf; with a bookingLinkId the link's availability applies
+    async makeReservation(req, res) {
+        try {
+            const { bookingLinkId, ...input } = req.body;
+            const bookings = this.assistants.bookingManager;
+            const link = bookingLinkId ? bookings.getLink(bookingLinkId) : null;
 
-            res.redirect(authUrl);
+            const appointment = await bookings.book({ ...input, link, source: 'staff', user: req.user });
+            res.status(201).json({ success: true, appointment, manageUrl: bookings.manageUrl(appointment), message: 'Appointment booked' });
         } catch (error) {
-            console.error('Gmail auth initiation error:', error);
-            res.status(500).json({ error: 'Failed to initiate Gmail authentication' });
+            this.sendError(res, error, 'Make reservation', 'Failed to book appointment');
         }
     }
 
-    async handleGmailCallback(req, res) {
+    async getBookingLinks(req, res) {
         try {
-            const { code, error } = req.query;
-            
-            if (error) {
-                return res.status(400).json({ error: 'Gmail authentication was denied' });
-            }
+            const links = this.assistants.bookingManager.listLinks();
+            const { publicUrl } = this.config.booking;
+            res.json({ success: true, links: links.map(link => ({ ...link, url: `${publicUrl}/book/${link.slug}` })) });
+        } catch (error) {
+            this.sendError(res, error, 'Get booking links', 'Failed to fetch booking links');
+        }
+    }
 
-            if (!code) {
-                return res.status(400).json({ error: 'No authorization code received' });
-            }
+    async createBookingLink(req, res) {
+        try {
+            const link = await this.assistants.bookingManager.createLink(req.body, req.user);
+            res.status(201).json({ success: true, link, url: `${this.config.booking.publicUrl}/book/${link.slug}` });
+        } catch (error) {
+            this.sendError(res, error, 'Create booking link', 'Failed to create booking link');
+        }
+    }
 
-            // Exchange code for tokens
-            const tokenResponse = await axios.post('https://oauth2.googleapis.com/token', {
-                client_id: this.config.apis.gmail.clientId,
-                client_secret: this.config.apis.gmail.clientSecret,
-                code: code,
-                grant_type: 'authorization_code',
-                redirect_uri: req.protocol + '://' + req.get('host') + '/auth/gmail/callback'
-            });
+    async updateBookingLink(req, res) {
+        try {
+            const link = await this.assistants.bookingManager.updateLink(req.params.id, req.body);
+            res.json({ success: true, link });
+        } catch (error) {
+            this.sendError(res, error, 'Update booking link', 'Failed to update booking link');
+        }
+    }
 
-            const { access_token, refresh_token } = tokenResponse.data;
+    async deleteBookingLink(req, res) {
+        try {
+            await this.assistants.bookingManager.deleteLink(req.params.id);
+            res.json({ success: true, message: 'Booking link deleted' });
+        } catch (error) {
+            this.sendError(res, error, 'Delete booking link', 'Failed to delete booking link');
+        }
+    }
 
-            // Store tokens securely
-            await this.updateEnvFile('GMAIL_ACCESS_TOKEN', access_token);
-            if (refresh_token) {
-                await this.updateEnvFile('GMAIL_REFRESH_TOKEN', refresh_token);
-            }
+    async getAppointments(req, res) {
+        try {
+            const appointments = this.assistants.bookingManager.listAppointments(req.query);
+            res.json({ success: true, appointments, total: appointments.length });
+        } catch (error) {
+            this.sendError(res, error, 'Get appointments', 'Failed to fetch appointments');
+        }
+    }
 
-            // Update config
-            this.config.apis.gmail.accessToken = access_token;
-            this.config.apis.gmail.refreshToken = refresh_token;
+    async getAppointment(req, res) {
+        try {
+            const appointment = this.assistants.bookingManager.getAppointment(req.params.id);
+            res.json({ success: true, appointment });
+        } catch (error) {
+            this.sendError(res, error, 'Get appointment', 'Failed to fetch appointment');
+        }
+    }
 
-            // Redirect back to config page with success
-            res.redirect('/config?gmail=connected');
+    async rescheduleAppointment(req, res) {
+        try {
+            const bookings = this.assistants.bookingManager;
+            const appointment = await bookings.reschedule(bookings.getAppointment(req.params.id), req.body.start, { user: req.user });
+            res.json({ success: true, appointment });
         } catch (error) {
-            console.error('Gmail callback error:', error);
-            res.status(500).json({ error: 'Failed to complete Gmail authentication' });
+            this.sendError(res, error, 'Reschedule appointment', 'Failed to reschedule appointment');
         }
     }
 
-    // Enhanced Email Manager with actual Gmail integration
-    async getEmails(req, res) {
+    async cancelAppointment(req, res) {
         try {
-            if (!this.config.apis.gmail.accessToken) {
-                return res.status(401).json({ 
-                    success: false, 
-                    error: 'Gmail not authenticated',
-                    authUrl: '/auth/gmail'
-                });
-            }
+            const bookings = this.assistants.bookingManager;
+            const appointment = await bookings.cancel(bookings.getAppointment(req.params.id), { reason: req.body.reason, user: req.user });
+            res.json({ success: true, appointment });
+        } catch (error) {
+            this.sendError(res, error, 'Cancel appointment', 'Failed to cancel appointment');
+        }
+    }
 
-            const response = await axios.get('https://gmail.googleapis.com/gmail/v1/users/me/messages', {
-                headers: {
-                    'Authorization': `Bearer ${this.config.apis.gmail.accessToken}`
-                },
-                params: {
-                    maxResults: 10,
-                    q: 'is:unread'
-                }
-            });
+    // Public booking endpoints: only the link's public fields and open slots are exposed, never other events
+    async getPublicBookingLink(req, res) {
+        try {
+            const bookings = this.assistants.bookingManager;
+            const link = bookings.findActiveLink(req.params.slug);
+            const { slots } = bookings.availability(link, { from: req.query.from, to: req.query.to });
+            res.json({ success: true, link: bookings.publicLink(link), slots });
+        } catch (error) {
+            this.sendError(res, error, 'Booking link', 'Failed to load booking link');
+        }
+    }
 
-            const messages = response.data.messages || [];
-            const emailDetails = [];
+    async createPublicBooking(req, res) {
+        try {
+            const bookings = this.assistants.bookingManager;
+            const link = bookings.findActiveLink(req.params.slug);
+            const { start, name, email, phone, notes } = req.body;
 
-            // Get details for each message
-            for (const message of messages.slice(0, 5)) {
-                try {
-                    const detailResponse = await axios.get(`https://gmail.googleapis.com/gmail/v1/users/me/messages/${message.id}`, {
-                        headers: {
-                            'Authorization': `Bearer ${this.config.apis.gmail.accessToken}`
-                        }
-                    });
+            const appointment = await bookings.book({ link, start, name, email, phone, notes });
+            res.status(201).json({ success: true, appointment: bookings.publicAppointment(appointment), manageUrl: bookings.manageUrl(appointment) });
+        } catch (error) {
+            this.sendError(res, error, 'Public booking', 'Failed to book appointment');
+        }
+    }
 
-                    const email = detailResponse.data;
-                    const headers = email.payload.headers;
-                    
-                    emailDetails.push({
-                        id: email.id,
-                        threadId: email.threadId,
-                        subject: headers.find(h => h.name === 'Subject')?.value || 'No Subject',
-                        from: headers.find(h => h.name === 'From')?.value || 'Unknown Sender',
-                        date: headers.find(h => h.name === 'Date')?.value || 'Unknown Date',
-                        snippet: email.snippet
-                    });
-                } catch (error) {
-                    console.error('Error fetching email details:', error);
-                }
-            }
+    async getManagedBooking(req, res) {
+        try {
+            const bookings = this.assistants.bookingManager;
+            const appointment = bookings.findByToken(req.params.token);
+            const link = appointment.bookingLinkId ? this.db.agency.bookingLinks.findById(appointment.bookingLinkId) : null;
+            const slots = link && appointment.status === 'confirmed'
+                ? bookings.availability(link, { excludeEventId: appointment.eventId }).slots
+                : [];
+            res.json({ success: true, appointment: bookings.publicAppointment(appointment), link: link ? bookings.publicLink(link) : null, slots });
+        } catch (error) {
+            this.sendError(res, error, 'Managed booking', 'Failed to load booking');
+        }
+    }
 
-            res.json({ 
-                success: true, 
-                emails: emailDetails,
-                total: messages.length 
-            });
+    async rescheduleManagedBooking(req, res) {
+        try {
+            const bookings = this.assistants.bookingManager;
+            const appointment = await bookings.reschedule(bookings.findByToken(req.params.token), req.body.start);
+            res.json({ success: true, appointment: bookings.publicAppointment(appointment) });
         } catch (error) {
-            console.error('Get emails error:', error);
-            if (error.response?.status === 401) {
-                res.status(401).json({ 
-                    success: false, 
-                    error: 'Gmail authentication expired',
-                    authUrl: '/auth/gmail'
-                });
-            } else {
-                res.status(500).json({ success: false, error: 'Failed to fetch emails' });
-            }
+            this.sendError(res, error, 'Reschedule booking', 'Failed to reschedule booking');
         }
     }
 
-    // AI Prompt Generator Methods
-    async generatePrompts(req, res) {
+    async cancelManagedBooking(req, res) {
         try {
-            const { promptType, business, audience, contentGoal, style, context } = req.body;
-            
-            const billyGeneTemplates = {
-                'high-end-image': [
-                    `Create a cinematic, high-budget commercial style image of ${business}. Shot with professional lighting, shallow depth of field, and dramatic color grading. Include luxury brand aesthetics, premium materials, and sophisticated composition that conveys exclusivity and high value for ${audience}.`,
-                    `Professional lifestyle photography showing ${audience} using ${business} in an aspirational setting. Clean, modern aesthetic with natural lighting. Show the transformation and elevated lifestyle this product enables. Include authentic human emotion and premium environment details.`,
-                    `Split-screen comparison image showing 'before and after' or 'problem vs solution' for ${audience}. Left side shows frustration/difficulty, right side shows ease/success with ${business}. Professional photography with clear visual storytelling and emotional impact.`,
-                    `Professional headshot/environment showing expertise and credibility around ${business}. Include certifications, awards, professional setting, and visual elements that establish authority for ${audience}. Warm, trustworthy lighting with confidence-inspiring composition.`,
-                    `Dynamic collage showing multiple happy ${audience} members using ${business}. Include diverse demographics, genuine expressions, and results/outcomes. Professional montage style with consistent branding and positive energy throughout.`
-                ],
-                'viral-video': [
-                    `Time-lapse video showing dramatic transformation using ${business}. Start with 'before' state, show process/journey, end with amazing 'after' results for ${audience}. Include uplifting music, smooth transitions, and emotional payoff that makes viewers want to share.`,
-                    `Authentic behind-the-scenes footage showing how ${business} is created or delivered. Include 'wow' moments, expertise in action, and personality for ${audience}. Raw, genuine feel that builds trust and showcases craftsmanship or process excellence.`,
-                    `Real ${audience} member testimonial in documentary-style format. Show their initial problem, how they found ${business} solution, and the amazing results. Include genuine emotion, specific details, and visual proof of transformation or success.`,
-                    `Educational content that hooks viewers with "Did you know..." or "Here's what [industry] doesn't want ${audience} to know about [topic]". Share valuable insights while positioning ${business} as the solution. Include visual aids and clear explanations.`,
-                    `Adapt current trending video format/challenge to showcase ${business}. Include popular music, trending effects, and format that ${audience} engages with, while naturally integrating your value proposition.`
-                ],
-                'billy-gene-ads': [
-                    `Give me 10 different types of audiences that would be interested in trading me money in exchange for ${business}. In this case ${business} is ${context || 'your product/service'}.`,
-                    `What are 10 problems that ${audience} specifically experience that ${business} can help solve, alleviate, or remedy.`,
-                    `Write a Facebook ad to sell ${business} for ${audience} who is experiencing [insert chosen problem above]. Write from the perspective of the business owner in a ${style} tone. Use urgency-based incentives and clear call to action.`,
-                    `What are 10 opinions that people argue about when it comes to ${business}. Create viral content around these controversial topics for ${audience}.`,
-                    `Give me 10 tips about ${business} that ${audience} probably doesn't know but would appreciate. Make this educational and valuable content that positions you as an authority.`
-                ]
-            };
+            const bookings = this.assistants.bookingManager;
+            const appointment = await bookings.cancel(bookings.findByToken(req.params.token), { reason: req.body.reason });
+            res.json({ success: true, appointment: bookings.publicAppointment(appointment) });
+        } catch (error) {
+            this.sendError(res, error, 'Cancel booking', 'Failed to cancel booking');
+        }
+    }
 
-            const prompts = billyGeneTemplates[promptType] || billyGeneTemplates['high-end-image'];
-            
-            res.json({
-                success: true,
-                prompts: prompts,
-                promptType: promptType,
-                generatedFor: { business, audience, contentGoal, style },
-                timestamp: new Date()
-            });
-            
+    // Phone: outbound calls and SMS go through Twilio and are logged against the matching client
+    async makePhoneCall(req, res) {
+        try {
+            const call = await this.assistants.phoneAssistant.makeCall(req.body, req.user);
+            res.status(201).json({ success: true, call, message: 'Call initiated' });
         } catch (error) {
-            console.error('Prompt generation error:', error);
-            res.status(500).json({
-                success: false,
-                error: 'Failed to generate prompts'
-            });
+            this.sendError(res, error, 'Make call', 'Failed to place call');
         }
     }
 
-    async getPromptTemplates(req, res) {
+    async previewCallScript(req, res) {
         try {
-            const templates = {
-                'Audience Research': {
-                    'Audience Discovery': 'Give me 10 different types of audiences that would be interested in trading me money in exchange for [INSERT PRODUCT OR SERVICE].',
-                    'Demographics Analysis': 'Tell me the typical demographics and characteristics of a [CHOSEN SPECIFIC AUDIENCE]',
-                    'Problem Identification': 'What are 10 problems that [INSERT SELECTED AUDIENCE] specifically experience that [INSERT SELECTED PRODUCT OR SERVICE] can help solve, alleviate, or remedy.'
-                },
-                'High-End Image Prompts': {
-                    'Cinematic Brand Story': 'Create a cinematic, high-budget commercial style image of [PRODUCT/SERVICE]. Shot with professional lighting, shallow depth of field, and dramatic color grading.',
-                    'Lifestyle Aspiration': 'Professional lifestyle photography showing [TARGET AUDIENCE] using [PRODUCT/SERVICE] in an aspirational setting. Clean, modern aesthetic with natural lighting.',
-                    'Problem-Solution Visual': 'Split-screen comparison image showing \'before and after\' or \'problem vs solution\' for [SPECIFIC PROBLEM]. Professional photography with clear visual storytelling.',
-                    'Authority Builder': 'Professional headshot/environment showing expertise and credibility around [INDUSTRY/SERVICE]. Include certifications, awards, professional setting.',
-                    'Social Proof Showcase': 'Dynamic collage showing multiple happy customers/testimonials using [PRODUCT/SERVICE]. Include diverse demographics and genuine expressions.'
-                },
-                'Viral Video Concepts': {
-                    'Transformation Journey': 'Time-lapse video showing dramatic transformation using [PRODUCT/SERVICE]. Start with \'before\' state, show process, end with amazing results.',
-                    'Behind-the-Scenes Magic': 'Authentic behind-the-scenes footage showing how [PRODUCT/SERVICE] is created. Include \'wow\' moments and expertise in action.',
-                    'Customer Success Story': 'Real customer testimonial in documentary-style format. Show initial problem, solution discovery, and amazing results.',
-                    'Educational Hook': 'Educational content: "What [INDUSTRY] doesn\'t want you to know about [TOPIC]." Share insights while positioning as solution.',
-                    'Trending Challenge': 'Adapt current trending video format to showcase [PRODUCT/SERVICE]. Include popular music and trending effects.'
-                },
-                'Viral Content Ideas': {
-                    'Drama & Controversy': 'What are 10 opinions that people argue about when it comes to [INSERT PRODUCT/SERVICE].',
-                    'Curiosity Generator': 'What are people wondering about before buying [INSERT PRODUCT/SERVICE].',
-                    'Trending Topics': 'Give me 10 currently trending talking points about [INSERT PRODUCT/SERVICE]',
-                    'Expert Tips': 'Give me 10 tips about [INSERT PRODUCT/SERVICE] that [SPECIFIC AUDIENCE] probably doesn\'t know but would appreciate.',
-                    'Contrarian Take': '[INSERT UNPOPULAR OPINION], give me 10 reasons why that\'s wrong.'
-                }
-            };
-            
-            res.json({
-                success: true,
-                templates: templates,
-                totalTemplates: Object.keys(templates).reduce((total, category) => total + Object.keys(templates[category]).length, 0)
-            });
-            
+            const script = await this.assistants.phoneAssistant.buildScript(req.body);
+            res.json({ success: true, script });
         } catch (error) {
-            console.error('Template fetch error:', error);
-            res.status(500).json({
-                success: false,
-                error: 'Failed to get templates'
-            });
+            this.sendError(res, error, 'Call script', 'Failed to build call script');
         }
     }
 
-    async generateContentCalendar(req, res) {
+    async getCalls(req, res) {
         try {
-            const { business, audience, weeks = 1 } = req.body;
-            
-            const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
-            const contentThemes = [
-                {
-                    day: 'Monday',
-                    theme: 'Motivation Monday',
-                    content: `Inspirational content and success stories for ${audience} using ${business}`,
-                    postIdeas: [
-                        `Success story: How ${audience} transformed their results with ${business}`,
-                        `Monday motivation: Why ${audience} choose ${business} for success`,
-                        `Weekly goal: What ${audience} can achieve this week with ${business}`
-                    ],
-                    optimalTime: '8:00 AM',
-                    hashtags: ['#MotivationMonday', '#Success', '#Transformation']
-                },
-                {
-                    day: 'Tuesday',
-                    theme: 'Tips Tuesday',
-                    content: `Educational content and industry insights for ${audience}`,
-                    postIdeas: [
-                        `5 tips ${audience} needs to know about ${business}`,
-                        `Common mistakes ${audience} makes (and how to fix them)`,
-                        `Expert advice: How ${business} solves ${audience} problems`
-                    ],
-                    optimalTime: '9:00 AM',
-                    hashtags: ['#TipsTuesday', '#Education', '#Expert']
-                },
-                {
-                    day: 'Wednesday',
-                    theme: 'Wisdom Wednesday',
-                    content: `Expert advice and problem-solving for ${audience}`,
-                    postIdeas: [
-                        `Industry secrets ${audience} should know about ${business}`,
-                        `Q&A: Top questions ${audience} asks about ${business}`,
-                        `Behind-the-scenes: How we help ${audience} succeed`
-                    ],
+            const calls = this.assistants.phoneAssistant.listCalls(req.query);
+            res.json({ success: true, calls, total: calls.length });
+        } catch (error) {
+            this.sendError(res, error, 'List calls', 'Failed to get calls');
+        }
+    }
+
+    async getCall(req, res) {
+        try {
+            res.json({ success: true, call: this.assistants.phoneAssistant.getCall(req.params.id) });
+        } catch (error) {
+            this.sendError(res, error, 'Get call', 'Failed to get call');
+        }
+    }
+
+    async sendSms(req, res) {
+        try {
+            const message = await this.assistants.phoneAssistant.sendSms(req.body, req.user);
+            res.status(201).json({ success: true, message });
+        } catch (error) {
+            this.sendError(res, error, 'Send SMS', 'Failed to send SMS');
+        }
+    }
+
+    async getSmsThreads(req, res) {
+        try {
+            const threads = this.assistants.phoneAssistant.listThreads(req.query);
+            res.json({ success: true, threads, total: threads.length });
+        } catch (error) {
+            this.sendError(res, error, 'List SMS threads', 'Failed to get SMS threads');
+        }
+    }
+
+    async getSmsThread(req, res) {
+        try {
+            const thread = await this.assistants.phoneAssistant.getThread(req.params.number);
+            res.json({ success: true, thread });
+        } catch (error) {
+            this.sendError(res, error, 'Get SMS thread', 'Failed to get SMS thread');
+        }
+    }
+
+    // Twilio signs the full webhook URL plus the sorted form fields with the account's auth token
+    validateTwilioSignature(req, res, next) {
+        const { authToken, webhookUrl } = this.config.apis.twilio;
+        if (!authToken) {
+            return res.status(503).json({ success: false, error: 'Twilio is not configured' });
+        }
+
+        const expected = Buffer.from(twilioSignature(authToken, `${webhookUrl}${req.originalUrl}`, req.body || {}));
+        const provided = Buffer.from(req.get('X-Twilio-Signature') || '');
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return res.status(403).json({ success: false, error: 'Invalid Twilio signature' });
+        }
+        next();
+    }
+
+    // Webhook failures are logged and answered with empty TwiML so Twilio doesn't read an error to the caller
+    async handleTwilioWebhook(res, label, work) {
+        try {
+            res.type('text/xml').send(await work());
+        } catch (error) {
+            console.error(`${label} webhook error:`, error);
+            res.type('text/xml').send(buildTwiML());
+        }
+    }
+
+    async handleInboundSms(req, res) {
+        await this.handleTwilioWebhook(res, 'Inbound SMS', () => this.assistants.phoneAssistant.receiveSms(req.body));
+    }
+
+    async handleSmsStatus(req, res) {
+        await this.handleTwilioWebhook(res, 'SMS status', () => this.assistants.phoneAssistant.updateSmsStatus(req.body));
+    }
+
+    async handleInboundCall(req, res) {
+        await this.handleTwilioWebhook(res, 'Inbound call', () => this.assistants.phoneAssistant.receiveCall(req.body));
+    }
+
+    async handleCallStatus(req, res) {
+        await this.handleTwilioWebhook(res, 'Call status', () => this.assistants.phoneAssistant.updateCallStatus(req.body));
+    }
+
+    async handleCallRecording(req, res) {
+        await this.handleTwilioWebhook(res, 'Call recording', () => this.assistants.phoneAssistant.saveRecording(req.body));
+    }
+
+    async handleAgentCallAnswer(req, res) {
+        await this.handleTwilioWebhook(res, 'Agent call', () => this.assistants.phoneAssistant.answerAgentCall(req.params.id, req.body));
+    }
+
+    async handleAgentCallReply(req, res) {
+        await this.handleTwilioWebhook(res, 'Agent call reply', () => this.assistants.phoneAssistant.replyToAgentCall(req.params.id, req.body));
+    }
+
+    async handleVapiEvent(req, res) {
+        const secret = this.config.apis.vapi.webhookSecret;
+        if (!secret) {
+            return res.status(503).json({ success: false, error: 'Vapi is not configured' });
+        }
+
+        const expected = Buffer.from(secret);
+        const provided = Buffer.from(req.get('X-Vapi-Secret') || '');
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return res.status(403).json({ success: false, error: 'Invalid Vapi secret' });
+        }
+
+        try {
+            res.json(await this.assistants.phoneAssistant.receiveVapiEvent(req.body));
+        } catch (error) {
+            this.sendError(res, error, 'Vapi event', 'Failed to process Vapi event');
+        }
+    }
+
+    // Starts a research job and answers 202 straight away; with { wait: true } it holds the request until the
+    // report finishes (or research.waitMs passes)
+    async performResearch(req, res) {
+        try {
+            const researchAssistant = this.assistants.researchAssistant;
+            let report = await researchAssistant.createReport(req.body, req.user);
+            if (req.body.wait === true) {
+                report = await researchAssistant.waitForReport(report.id);
+            }
+            const done = report.status === 'completed' || report.status === 'failed';
+            res.status(done ? 200 : 202).json({ success: true, report });
+        } catch (error) {
+            this.sendError(res, error, 'Research', 'Failed to start research');
+        }
+    }
+
+    async getResearchReports(req, res) {
+        try {
+            const reports = this.assistants.researchAssistant.listReports(req.query);
+            res.json({ success: true, reports, total: reports.length });
+        } catch (error) {
+            this.sendError(res, error, 'List research', 'Failed to get research reports');
+        }
+    }
+
+    async getResearchTemplates(req, res) {
+        res.json({ success: true, templates: this.assistants.researchAssistant.listTemplates() });
+    }
+
+    async getResearchReport(req, res) {
+        try {
+            res.json({ success: true, report: this.assistants.researchAssistant.getReport(req.params.id) });
+        } catch (error) {
+            this.sendError(res, error, 'Get research', 'Failed to get research report');
+        }
+    }
+
+    async exportResearchReport(req, res) {
+        try {
+            const file = this.assistants.researchAssistant.exportReport(req.params.id, req.query.format);
+            res.type(file.contentType).set('Content-Disposition', `attachment; filename="${file.fileName}"`).send(file.body);
+        } catch (error) {
+            this.sendError(res, error, 'Export research', 'Failed to export research report');
+        }
+    }
+
+    async deleteResearchReport(req, res) {
+        try {
+            await this.assistants.researchAssistant.deleteReport(req.params.id);
+            res.json({ success: true, message: 'Research report deleted' });
+        } catch (error) {
+            this.sendError(res, error, 'Delete research', 'Failed to delete research report');
+        }
+    }
+
+    async previewScrape(req, res) {
+        try {
+            res.json({ success: true, ...(await this.assistants.webScraper.preview(req.body)) });
+        } catch (error) {
+            this.sendError(res, error, 'Scrape', 'Failed to scrape page');
+        }
+    }
+
+    async getScrapers(req, res) {
+        try {
+            const scrapers = this.assistants.webScraper.listScrapers(req.query);
+            res.json({ success: true, scrapers, total: scrapers.length });
+        } catch (error) {
+            this.sendError(res, error, 'List scrapers', 'Failed to get scrapers');
+        }
+    }
+
+    async createScraper(req, res) {
+        try {
+            const scraper = await this.assistants.webScraper.createScraper(req.body, req.user);
+            res.status(201).json({ success: true, scraper });
+        } catch (error) {
+            this.sendError(res, error, 'Create scraper', 'Failed to create scraper');
+        }
+    }
+
+    async getScraper(req, res) {
+        try {
+            res.json({ success: true, scraper: this.assistants.webScraper.getScraper(req.params.id) });
+        } catch (error) {
+            this.sendError(res, error, 'Get scraper', 'Failed to get scraper');
+        }
+    }
+
+    async updateScraper(req, res) {
+        try {
+            res.json({ success: true, scraper: await this.assistants.webScraper.updateScraper(req.params.id, req.body) });
+        } catch (error) {
+            this.sendError(res, error, 'Update scraper', 'Failed to update scraper');
+        }
+    }
+
+    async deleteScraper(req, res) {
+        try {
+            await this.assistants.webScraper.deleteScraper(req.params.id);
+            res.json({ success: true, message: 'Scraper deleted' });
+        } catch (error) {
+            this.sendError(res, error, 'Delete scraper', 'Failed to delete scraper');
+        }
+    }
+
+    async runScraper(req, res) {
+        try {
+            res.json({ success: true, run: await this.assistants.webScraper.runScraper(req.params.id) });
+        } catch (error) {
+            this.sendError(res, error, 'Run scraper', 'Failed to run scraper');
+        }
+    }
+
+    async getScraperRuns(req, res) {
+        try {
+            const runs = this.assistants.webScraper.listRuns(req.params.id);
+            res.json({ success: true, runs, total: runs.length });
+        } catch (error) {
+            this.sendError(res, error, 'List scraper runs', 'Failed to get scraper runs');
+        }
+    }
+
+    async getScraperAlerts(req, res) {
+        try {
+            const alerts = this.assistants.webScraper.listAlerts(req.query);
+            res.json({ success: true, alerts, total: alerts.length });
+        } catch (error) {
+            this.sendError(res, error, 'List scraper alerts', 'Failed to get scraper alerts');
+        }
+    }
+
+    async acknowledgeScraperAlert(req, res) {
+        try {
+            res.json({ success: true, alert: await this.assistants.webScraper.acknowledgeAlert(req.params.id, req.user) });
+        } catch (error) {
+            this.sendError(res, error, 'Acknowledge alert', 'Failed to acknowledge alert');
+        }
+    }
+
+    async createSocialPost(req, res) {
+        const { platform, business, content } = req.body || {};
+        await this.activityLog.record({
+            type: 'social',
+            action: `Social post created${platform ? ` for ${String(platform).slice(0, 50)}` : ''}`,
+            business: business || null,
+            userId: req.user.id,
+            details: content ? { content: String(content).slice(0, 280) } : null
+        });
+        res.json({ success: true, message: 'Post created' });
+    }
+    async getSocialAnalytics(req, res) { res.json({ success: true, analytics: {} }); }
+    async getProductivityDashboard(req, res) { res.json({ success: true, dashboard: {} }); }
+    async setGoal(req, res) { res.json({ success: true, message: 'Goal set' }); }
+
+    // Sends RequestErrors with their own status; anything else is logged and reported as a 500
+    sendError(res, error, label, fallbackMessage) {
+        if (error instanceof RequestError) {
+            return res.status(error.status).json({ success: false, error: error.message, details: error.details });
+        }
+
+        console.error(`${label} error:`, error);
+        res.status(500).json({ success: false, error: fallbackMessage });
+    }
+
+    // Client & Project Management
+    async getClients(req, res) {
+        try {
+            const clients = this.assistants.clientProjectManager.listClients(req.query);
+            res.json({ success: true, clients, total: clients.length });
+        } catch (error) {
+            this.sendError(res, error, 'List clients', 'Failed to get clients');
+        }
+    }
+
+    async getClient(req, res) {
+        try {
+            const client = this.assistants.clientProjectManager.getClient(req.params.id);
+            const projects = this.assistants.clientProjectManager.listProjects({ clientId: client.id });
+            const phone = this.assistants.phoneAssistant.clientActivity(client.id);
+            const policies = this.assistants.policyManager.listPolicies({ clientId: client.id });
+            res.json({ success: true, client, projects, policies, phone });
+        } catch (error) {
+            this.sendError(res, error, 'Get client', 'Failed to get client');
+        }
+    }
+
+    async createClient(req, res) {
+        try {
+            const client = await this.assistants.clientProjectManager.createClient(req.body, req.user);
+            res.status(201).json({ success: true, client });
+        } catch (error) {
+            this.sendError(res, error, 'Create client', 'Failed to create client');
+        }
+    }
+
+    async updateClient(req, res) {
+        try {
+            const client = await this.assistants.clientProjectManager.updateClient(req.params.id, req.body);
+            res.json({ success: true, client });
+        } catch (error) {
+            this.sendError(res, error, 'Update client', 'Failed to update client');
+        }
+    }
+
+    async deleteClient(req, res) {
+        try {
+            await this.assistants.clientProjectManager.deleteClient(req.params.id, req.user);
+            res.json({ success: true, message: 'Client deleted' });
+        } catch (error) {
+            this.sendError(res, error, 'Delete client', 'Failed to delete client');
+        }
+    }
+
+    async getPolicies(req, res) {
+        try {
+            const policies = this.assistants.policyManager.listPolicies(req.query);
+            res.json({ success: true, policies, total: policies.length });
+        } catch (error) {
+            this.sendError(res, error, 'List policies', 'Failed to get policies');
+        }
+    }
+
+    async createPolicy(req, res) {
+        try {
+            const policy = await this.assistants.policyManager.createPolicy(req.body, req.user);
+            res.status(201).json({ success: true, policy: this.assistants.policyManager.withStatus(policy) });
+        } catch (error) {
+            this.sendError(res, error, 'Create policy', 'Failed to create policy');
+        }
+    }
+
+    async getRenewalPipeline(req, res) {
+        try {
+            res.json({ success: true, ...this.assistants.policyManager.renewalPipeline(req.query) });
+        } catch (error) {
+            this.sendError(res, error, 'Renewal pipeline', 'Failed to get renewal pipeline');
+        }
+    }
+
+    async getPolicy(req, res) {
+        try {
+            const policyManager = this.assistants.policyManager;
+            const policy = policyManager.withStatus(policyManager.getPolicy(req.params.id));
+            const tasks = this.assistants.taskManager.listTasks({ sort: 'dueDate' }).filter(task => task.policyId === policy.id);
+            res.json({ success: true, policy, tasks });
+        } catch (error) {
+            this.sendError(res, error, 'Get policy', 'Failed to get policy');
+        }
+    }
+
+    async updatePolicy(req, res) {
+        try {
+            const policy = await this.assistants.policyManager.updatePolicy(req.params.id, req.body);
+            res.json({ success: true, policy: this.assistants.policyManager.withStatus(policy) });
+        } catch (error) {
+            this.sendError(res, error, 'Update policy', 'Failed to update policy');
+        }
+    }
+
+    async deletePolicy(req, res) {
+        try {
+            await this.assistants.policyManager.deletePolicy(req.params.id);
+            res.json({ success: true, message: 'Policy deleted' });
+        } catch (error) {
+            this.sendError(res, error, 'Delete policy', 'Failed to delete policy');
+        }
+    }
+
+    async advancePolicyRenewal(req, res) {
+        try {
+            const result = await this.assistants.policyManager.advanceRenewal(req.params.id, req.body, req.user);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            this.sendError(res, error, 'Policy renewal', 'Failed to update renewal');
+        }
+    }
+
+    async getLeads(req, res) {
+        try {
+            const leads = this.assistants.leadManager.listLeads(req.query);
+            res.json({ success: true, leads, total: leads.length });
+        } catch (error) {
+            this.sendError(res, error, 'List leads', 'Failed to get leads');
+        }
+    }
+
+    // Staff-entered leads; a contact that's already a lead is merged into it and returned with duplicate: true
+    async createLead(req, res) {
+        try {
+            const leadManager = this.assistants.leadManager;
+            const { lead, created } = await leadManager.captureLead({ source: 'other', ...req.body }, {}, req.user);
+            res.status(created ? 201 : 200).json({ success: true, lead: leadManager.withScore(lead), duplicate: !created });
+        } catch (error) {
+            this.sendError(res, error, 'Create lead', 'Failed to create lead');
+        }
+    }
+
+    async getLeadPipeline(req, res) {
+        try {
+            res.json({ success: true, ...this.assistants.leadManager.pipeline(req.query) });
+        } catch (error) {
+            this.sendError(res, error, 'Lead pipeline', 'Failed to get lead pipeline');
+        }
+    }
+
+    async getLead(req, res) {
+        try {
+            const leadManager = this.assistants.leadManager;
+            const lead = leadManager.withScore(leadManager.getLead(req.params.id));
+            const appointments = this.assistants.bookingManager.listAppointments({ leadId: lead.id });
+            const phone = this.assistants.phoneAssistant.leadActivity(lead.id);
+            res.json({ success: true, lead, appointments, phone });
+        } catch (error) {
+            this.sendError(res, error, 'Get lead', 'Failed to get lead');
+        }
+    }
+
+    async updateLead(req, res) {
+        try {
+            const lead = await this.assistants.leadManager.updateLead(req.params.id, req.body);
+            res.json({ success: true, lead: this.assistants.leadManager.withScore(lead) });
+        } catch (error) {
+            this.sendError(res, error, 'Update lead', 'Failed to update lead');
+        }
+    }
+
+    async deleteLead(req, res) {
+        try {
+            await this.assistants.leadManager.deleteLead(req.params.id);
+            res.json({ success: true, message: 'Lead deleted' });
+        } catch (error) {
+            this.sendError(res, error, 'Delete lead', 'Failed to delete lead');
+        }
+    }
+
+    async advanceLeadStage(req, res) {
+        try {
+            const { lead, client } = await this.assistants.leadManager.advanceStage(req.params.id, req.body, req.user);
+            res.json({ success: true, lead: this.assistants.leadManager.withScore(lead), client });
+        } catch (error) {
+            this.sendError(res, error, 'Lead stage', 'Failed to update lead');
+        }
+    }
+
+    /**
+     * Public lead intake. The secret comes in X-Lead-Secret, or as ?key= since plain HTML forms can't set
+     * headers. The answer is the same for new and repeat contacts so the endpoint can't be used to probe the
+     * leads list; form posts are redirected to LEAD_INTAKE_REDIRECT_URL when it's set.
+     */
+    async handleLeadIntake(req, res) {
+        const { intakeSecret, intakeRedirectUrl } = this.config.leads;
+        if (!intakeSecret) {
+            return res.status(503).json({ success: false, error: 'Lead intake is not configured' });
+        }
+
+        const expected = Buffer.from(intakeSecret);
+        const provided = Buffer.from(req.get('X-Lead-Secret') || String(req.query.key || ''));
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return res.status(403).json({ success: false, error: 'Invalid lead intake secret' });
+        }
+
+        const accepted = () => req.is('application/x-www-form-urlencoded') && intakeRedirectUrl
+            ? res.redirect(303, intakeRedirectUrl)
+            : res.status(202).json({ success: true, message: 'Thanks - we\'ll be in touch soon.' });
+        try {
+            // Spam bots fill in every field, including the hidden _gotcha honeypot; they get the usual answer
+            if (req.body && req.body._gotcha) return accepted();
+            await this.assistants.leadManager.captureLead(normalizeLeadIntake(req.body));
+            accepted();
+        } catch (error) {
+            this.sendError(res, error, 'Lead intake', 'Failed to save lead');
+        }
+    }
+
+    async getCrmStatus(req, res) {
+        try {
+            res.json({ success: true, ...this.assistants.crmSync.status() });
+        } catch (error) {
+            this.sendError(res, error, 'CRM status', 'Failed to get CRM sync status');
+        }
+    }
+
+    // { full: true } ignores the cursors and re-reads everything
+    async runCrmSync(req, res) {
+        try {
+            const run = await this.assistants.crmSync.sync({ full: !!(req.body && req.body.full) });
+            res.json({ success: run.status !== 'failed', run });
+        } catch (error) {
+            this.sendError(res, error, 'CRM sync', 'Failed to sync with GoHighLevel');
+        }
+    }
+
+    async getCrmSyncRuns(req, res) {
+        try {
+            const runs = this.assistants.crmSync.listRuns();
+            res.json({ success: true, runs, total: runs.length });
+        } catch (error) {
+            this.sendError(res, error, 'List CRM sync runs', 'Failed to get CRM sync runs');
+        }
+    }
+
+    async getAIProducts(req, res) {
+        try {
+            res.json({ success: true, products: this.assistants.subscriptionManager.listProducts() });
+        } catch (error) {
+            this.sendError(res, error, 'List products', 'Failed to get products');
+        }
+    }
+
+    async createAIProduct(req, res) {
+        try {
+            const product = await this.assistants.subscriptionManager.createProduct(req.body);
+            res.status(201).json({ success: true, product });
+        } catch (error) {
+            this.sendError(res, error, 'Create product', 'Failed to create product');
+        }
+    }
+
+    async updateAIProduct(req, res) {
+        try {
+            const product = await this.assistants.subscriptionManager.updateProduct(req.params.id, req.body);
+            res.json({ success: true, product });
+        } catch (error) {
+            this.sendError(res, error, 'Update product', 'Failed to update product');
+        }
+    }
+
+    async getAICustomers(req, res) {
+        try {
+            const customers = this.assistants.subscriptionManager.listCustomers(req.query);
+            res.json({ success: true, customers, total: customers.length });
+        } catch (error) {
+            this.sendError(res, error, 'List customers', 'Failed to get customers');
+        }
+    }
+
+    async createAICustomer(req, res) {
+        try {
+            const subscriptionManager = this.assistants.subscriptionManager;
+            const customer = await subscriptionManager.createCustomer(req.body, req.user);
+            res.status(201).json({ success: true, customer: subscriptionManager.withStatus(customer) });
+        } catch (error) {
+            this.sendError(res, error, 'Create customer', 'Failed to create customer');
+        }
+    }
+
+    async getAICustomer(req, res) {
+        try {
+            const subscriptionManager = this.assistants.subscriptionManager;
+            const customer = subscriptionManager.withStatus(subscriptionManager.getCustomer(req.params.id));
+            const revenue = subscriptionManager.listRevenue({ customerId: customer.id });
+            const lifetimeRevenue = revenue.reduce((total, entry) => total + (entry.type === 'refund' ? -entry.amount : entry.amount), 0);
+            res.json({ success: true, customer, revenue, lifetimeRevenue: roundCents(lifetimeRevenue) });
+        } catch (error) {
+            this.sendError(res, error, 'Get customer', 'Failed to get customer');
+        }
+    }
+
+    async updateAICustomer(req, res) {
+        try {
+            const subscriptionManager = this.assistants.subscriptionManager;
+            const customer = await subscriptionManager.updateCustomer(req.params.id, req.body);
+            res.json({ success: true, customer: subscriptionManager.withStatus(customer) });
+        } catch (error) {
+            this.sendError(res, error, 'Update customer', 'Failed to update customer');
+        }
+    }
+
+    async deleteAICustomer(req, res) {
+        try {
+            await this.assistants.subscriptionManager.deleteCustomer(req.params.id);
+            res.json({ success: true, message: 'Customer deleted' });
+        } catch (error) {
+            this.sendError(res, error, 'Delete customer', 'Failed to delete customer');
+        }
+    }
+
+    async addAISubscription(req, res) {
+        try {
+            const result = await this.assistants.subscriptionManager.addSubscription(req.params.id, req.body, req.user);
+            res.status(201).json({ success: true, ...result });
+        } catch (error) {
+            this.sendError(res, error, 'Add subscription', 'Failed to add subscription');
+        }
+    }
+
+    async updateAISubscription(req, res) {
+        try {
+            const result = await this.assistants.subscriptionManager.updateSubscription(req.params.id, req.params.subscriptionId, req.body);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            this.sendError(res, error, 'Update subscription', 'Failed to update subscription');
+        }
+    }
+
+    async cancelAISubscription(req, res) {
+        try {
+            const result = await this.assistants.subscriptionManager.cancelSubscription(req.params.id, req.params.subscriptionId, req.body);
+            res.json({ success: true, ...result });
+        } catch (error) {
+            this.sendError(res, error, 'Cancel subscription', 'Failed to cancel subscription');
+        }
+    }
+
+    async getAIRevenue(req, res) {
+        try {
+            const revenue = this.assistants.subscriptionManager.listRevenue(req.query);
+            const total = revenue.reduce((sum, entry) => sum + (entry.type === 'refund' ? -entry.amount : entry.amount), 0);
+            res.json({ success: true, revenue, count: revenue.length, total: roundCents(total) });
+        } catch (error) {
+            this.sendError(res, error, 'List revenue', 'Failed to get revenue');
+        }
+    }
+
+    async recordAIRevenue(req, res) {
+        try {
+            const subscriptionManager = this.assistants.subscriptionManager;
+            const entry = await subscriptionManager.recordRevenue(req.body, req.user);
+            res.status(201).json({ success: true, entry: subscriptionManager.withNames(entry) });
+        } catch (error) {
+            this.sendError(res, error, 'Record revenue', 'Failed to record revenue');
+        }
+    }
+
+    // Takes the CSV as a text/csv body, or JSON { csv, productId, dryRun }; ?dryRun=true previews without saving
+    async importAIRevenue(req, res) {
+        try {
+            const body = typeof req.body === 'object' && req.body !== null ? req.body : {};
+            const csv = typeof req.body === 'string' ? req.body : body.csv;
+            const dryRun = body.dryRun === true || req.query.dryRun === 'true';
+            const result = await this.assistants.subscriptionManager.importRevenueCsv(csv, {
+                dryRun,
+                productId: body.productId || req.query.productId
+            }, req.user);
+            res.status(dryRun ? 200 : 201).json({ success: true, ...result });
+        } catch (error) {
+            this.sendError(res, error, 'Import revenue', 'Failed to import revenue');
+        }
+    }
+
+    async deleteAIRevenue(req, res) {
+        try {
+            await this.assistants.subscriptionManager.deleteRevenue(req.params.id);
+            res.json({ success: true, message: 'Revenue entry deleted' });
+        } catch (error) {
+            this.sendError(res, error, 'Delete revenue', 'Failed to delete revenue entry');
+        }
+    }
+
+    async getAIMetrics(req, res) {
+        try {
+            res.json({ success: true, ...this.assistants.subscriptionManager.metrics(req.query) });
+        } catch (error) {
+            this.sendError(res, error, 'Revenue metrics', 'Failed to get metrics');
+        }
+    }
+
+    async getKpis(req, res) {
+        try {
+            res.json({ success: true, ...this.assistants.businessIntelligence.kpis(req.query) });
+        } catch (error) {
+            this.sendError(res, error, 'KPIs', 'Failed to get KPIs');
+        }
+    }
+
+    async getKpiSeries(req, res) {
+        try {
+            res.json({ success: true, ...this.assistants.businessIntelligence.chartSeries(req.query) });
+        } catch (error) {
+            this.sendError(res, error, 'KPI series', 'Failed to get KPI series');
+        }
+    }
+
+    async getProjects(req, res) {
+        try {
+            const projects = this.assistants.clientProjectManager.listProjects(req.query);
+            res.json({ success: true, projects, total: projects.length });
+        } catch (error) {
+            this.sendError(res, error, 'List projects', 'Failed to get projects');
+        }
+    }
+
+    async getProject(req, res) {
+        try {
+            const project = this.assistants.clientProjectManager.getProject(req.params.id);
+            res.json({ success: true, project });
+        } catch (error) {
+            this.sendError(res, error, 'Get project', 'Failed to get project');
+        }
+    }
+
+    async createProject(req, res) {
+        try {
+            const project = await this.assistants.clientProjectManager.createProject(req.body, req.user);
+            res.status(201).json({ success: true, project });
+        } catch (error) {
+            this.sendError(res, error, 'Create project', 'Failed to create project');
+        }
+    }
+
+    async updateProject(req, res) {
+        try {
+            const project = await this.assistants.clientProjectManager.updateProject(req.params.id, req.body);
+            res.json({ success: true, project });
+        } catch (error) {
+            this.sendError(res, error, 'Update project', 'Failed to update project');
+        }
+    }
+
+    async deleteProject(req, res) {
+        try {
+            await this.assistants.clientProjectManager.deleteProject(req.params.id, req.user);
+            res.json({ success: true, message: 'Project deleted' });
+        } catch (error) {
+            this.sendError(res, error, 'Delete project', 'Failed to delete project');
+        }
+    }
+
+    async changeProjectStatus(req, res) {
+        try {
+            const { status, note } = req.body;
+            const project = await this.assistants.clientProjectManager.transitionProject(req.params.id, status, note, req.user);
+            res.json({ success: true, project });
+        } catch (error) {
+            this.sendError(res, error, 'Project status change', 'Failed to change project status');
+        }
+    }
+
+    async addProjectMilestone(req, res) {
+        try {
+            const project = await this.assistants.clientProjectManager.addMilestone(req.params.id, req.body);
+            res.status(201).json({ success: true, project });
+        } catch (error) {
+            this.sendError(res, error, 'Add milestone', 'Failed to add milestone');
+        }
+    }
+
+    async updateProjectMilestone(req, res) {
+        try {
+            const project = await this.assistants.clientProjectManager.updateMilestone(req.params.id, req.params.milestoneId, req.body, req.user);
+            res.json({ success: true, project });
+        } catch (error) {
+            this.sendError(res, error, 'Update milestone', 'Failed to update milestone');
+        }
+    }
+
+    async getProjectStatus(req, res) {
+        try {
+            const manager = this.assistants.clientProjectManager;
+            const project = manager.getProject(req.params.id);
+
+            // Client users may only see their own projects
+            if (req.user.role === 'client' && project.clientId !== req.user.clientId) {
+                throw new RequestError(404, 'Project not found');
+            }
+
+            res.json({ success: true, status: project.status, summary: manager.summarizeProject(project) });
+        } catch (error) {
+            this.sendError(res, error, 'Project status', 'Failed to get project status');
+        }
+    }
+
+    // Task Management
+    async createBusinessTask(req, res) {
+        try {
+            const task = await this.assistants.taskManager.createTask({
+                ...req.body,
+                ...this.assistants.taskManager.resolveScope(req.params.businessId),
+                createdBy: req.user.id
+            });
+            res.status(201).json({ success: true, task });
+        } catch (error) {
+            this.sendError(res, error, 'Create task', 'Failed to create task');
+        }
+    }
+
+    async getBusinessTasks(req, res) {
+        try {
+            const manager = this.assistants.taskManager;
+            const tasks = manager.listTasks({ status: 'open', ...req.query, ...manager.resolveScope(req.params.businessId) });
+            res.json({ success: true, tasks, total: tasks.length });
+        } catch (error) {
+            this.sendError(res, error, 'Business task queue', 'Failed to get tasks');
+        }
+    }
+
+    async getTasks(req, res) {
+        try {
+            const tasks = this.assistants.taskManager.listTasks(req.query);
+            res.json({ success: true, tasks, total: tasks.length });
+        } catch (error) {
+            this.sendError(res, error, 'List tasks', 'Failed to get tasks');
+        }
+    }
+
+    async getTask(req, res) {
+        try {
+            res.json({ success: true, task: this.assistants.taskManager.getTask(req.params.id) });
+        } catch (error) {
+            this.sendError(res, error, 'Get task', 'Failed to get task');
+        }
+    }
+
+    async updateTask(req, res) {
+        try {
+            const task = await this.assistants.taskManager.updateTask(req.params.id, req.body);
+            res.json({ success: true, task });
+        } catch (error) {
+            this.sendError(res, error, 'Update task', 'Failed to update task');
+        }
+    }
+
+    async changeTaskStatus(req, res) {
+        try {
+            const task = await this.assistants.taskManager.transitionTask(req.params.id, req.body.status, req.user);
+            res.json({ success: true, task });
+        } catch (error) {
+            this.sendError(res, error, 'Task status change', 'Failed to change task status');
+        }
+    }
+
+    async deleteTask(req, res) {
+        try {
+            await this.assistants.taskManager.deleteTask(req.params.id, req.user);
+            res.json({ success: true, message: 'Task deleted' });
+        } catch (error) {
+            this.sendError(res, error, 'Delete task', 'Failed to delete task');
+        }
+    }
+
+    // Configuration Management Methods
+    async getConfigStatus(req, res) {
+        try {
+            const status = {
+                openai: {
+                    configured: !!(this.config.apis.openai.key && this.config.apis.openai.key !== 'test_key_placeholder'),
+                    status: this.config.apis.openai.key && this.config.apis.openai.key !== 'test_key_placeholder' ? 'connected' : 'disconnected'
+                },
+                anthropic: {
+                    configured: this.llm.providers.anthropic.isConfigured(),
+                    status: this.llm.providers.anthropic.isConfigured() ? 'connected' : 'disconnected'
+                },
+                gemini: {
+                    configured: this.llm.providers.gemini.isConfigured(),
+                    status: this.llm.providers.gemini.isConfigured() ? 'connected' : 'disconnected'
+                },
+                llm: {
+                    order: this.config.llm.order,
+                    active: this.llm.activeProviders().map(p => p.name)
+                },
+                perplexity: {
+                    configured: !!(this.config.apis.perplexity.key && this.config.apis.perplexity.key !== 'test_key_placeholder'),
+                    status: this.config.apis.perplexity.key && this.config.apis.perplexity.key !== 'test_key_placeholder' ? 'connected' : 'disconnected'
+                },
+                twilio: {
+                    configured: !!(this.config.apis.twilio.accountSid && this.config.apis.twilio.authToken),
+                    status: this.config.apis.twilio.accountSid && this.config.apis.twilio.authToken ? 'connected' : 'disconnected',
+                    phoneNumber: this.config.apis.twilio.phoneNumber || null,
+                    webhooks: {
+                        sms: `${this.config.apis.twilio.webhookUrl}/twilio/sms`,
+                        voice: `${this.config.apis.twilio.webhookUrl}/twilio/voice`
+                    }
+                },
+                vapi: {
+                    configured: !!(this.config.apis.vapi.key && this.config.apis.vapi.phoneNumberId),
+                    status: this.config.apis.vapi.key && this.config.apis.vapi.phoneNumberId ? 'connected' : 'disconnected',
+                    voiceAgentBackend: this.config.voiceAgent.backend
+                },
+                gmail: {
+                    configured: !!(this.config.apis.gmail.clientId && this.config.apis.gmail.clientSecret),
+                    status: this.gmailTokens.connectedBusinesses().length > 0 ? 'connected' : 'disconnected',
+                    mailboxes: this.gmailTokens.list()
+                },
+                ghl: {
+                    configured: this.assistants.crmSync.isConfigured(),
+                    status: this.assistants.crmSync.isConfigured() ? 'connected' : 'disconnected',
+                    calendarId: this.config.apis.ghl.calendarId || null,
+                    lastSync: this.assistants.crmSync.lastRun()
+                },
+                whispr: {
+                    configured: !!(this.config.apis.whispr.key && this.config.apis.whispr.enabled),
+                    status: this.config.apis.whispr.key && this.config.apis.whispr.enabled ? 'connected' : 'disconnected'
+                },
+                mcp: {
+                    configured: true, // MCP is always available
+                    status: 'available'
+                }
+            };
+            
+            res.json({ success: true, status });
+        } catch (error) {
+            console.error('Config status error:', error);
+            res.status(500).json({ success: false, error: 'Failed to get configuration status' });
+        }
+    }
+
+    async updateOpenAIConfig(req, res) {
+        try {
+            const { api_key } = req.body;
+            if (!api_key || api_key.length < 10) {
+                return res.status(400).json({ success: false, error: 'Invalid API key' });
+            }
+
+            // Update environment and config
+            await this.updateEnvFile('OPENAI_API_KEY', api_key);
+            this.config.apis.openai.key = api_key;
+
+            res.json({ success: true, message: 'OpenAI configuration updated. Restart required.' });
+        } catch (error) {
+            console.error('OpenAI config error:', error);
+            res.status(500).json({ success: false, error: 'Failed to update OpenAI configuration' });
+        }
+    }
+
+    async updateAnthropicConfig(req, res) {
+        try {
+            const { api_key, model } = req.body;
+            if (!api_key || api_key.length < 10) {
+                return res.status(400).json({ success: false, error: 'Invalid API key' });
+            }
+
+            await this.updateEnvFile('ANTHROPIC_API_KEY', api_key);
+            this.config.apis.anthropic.key = api_key;
+            if (model) {
+                await this.updateEnvFile('ANTHROPIC_MODEL', model);
+                this.config.apis.anthropic.model = model;
+            }
+
+            res.json({ success: true, message: 'Anthropic configuration updated.' });
+        } catch (error) {
+            console.error('Anthropic config error:', error);
+            res.status(500).json({ success: false, error: 'Failed to update Anthropic configuration' });
+        }
+    }
+
+    async updateGeminiConfig(req, res) {
+        try {
+            const { api_key, model } = req.body;
+            if (!api_key || api_key.length < 10) {
+                return res.status(400).json({ success: false, error: 'Invalid API key' });
+            }
+
+            await this.updateEnvFile('GEMINI_API_KEY', api_key);
+            this.config.apis.gemini.key = api_key;
+            if (model) {
+                await this.updateEnvFile('GEMINI_MODEL', model);
+                this.config.apis.gemini.model = model;
+            }
+
+            res.json({ success: true, message: 'Gemini configuration updated.' });
+        } catch (error) {
+            console.error('Gemini config error:', error);
+            res.status(500).json({ success: false, error: 'Failed to update Gemini configuration' });
+        }
+    }
+
+    async updatePerplexityConfig(req, res) {
+        try {
+            const { api_key } = req.body;
+            await this.updateEnvFile('PERPLEXITY_API_KEY', api_key);
+            this.config.apis.perplexity.key = api_key;
+            res.json({ success: true, message: 'Perplexity configuration updated.' });
+        } catch (error) {
+            console.error('Perplexity config error:', error);
+            res.status(500).json({ success: false, error: 'Failed to update Perplexity configuration' });
+        }
+    }
+
+    async updateTwilioConfig(req, res) {
+        try {
+            const { account_sid, auth_token, phone_number } = req.body;
+            await this.updateEnvFile('TWILIO_ACCOUNT_SID', account_sid);
+            await this.updateEnvFile('TWILIO_AUTH_TOKEN', auth_token);
+            await this.updateEnvFile('TWILIO_PHONE_NUMBER', phone_number);
+            
+            this.config.apis.twilio.accountSid = account_sid;
+            this.config.apis.twilio.authToken = auth_token;
+            this.config.apis.twilio.phoneNumber = phone_number;
+            
+            // The phone assistant reads this same config object, so calls and texts use the new account right away
+            res.json({ success: true, message: 'Twilio configuration updated.' });
+        } catch (error) {
+            console.error('Twilio config error:', error);
+            res.status(500).json({ success: false, error: 'Failed to update Twilio configuration' });
+        }
+    }
+
+    async updateGmailConfig(req, res) {
+        try {
+            const { client_id, client_secret, refresh_token, business = 'agency' } = req.body;
+            if (refresh_token && !MAILBOX_BUSINESSES.includes(business)) {
+                throw new RequestError(400, `business must be one of: ${MAILBOX_BUSINESSES.join(', ')}`);
+            }
+
+            await this.updateEnvFile('GMAIL_CLIENT_ID', client_id);
+            await this.updateEnvFile('GMAIL_CLIENT_SECRET', client_secret);
+            
+            this.config.apis.gmail.clientId = client_id;
+            this.config.apis.gmail.clientSecret = client_secret;
+
+            // A pasted refresh token goes into the encrypted store, never .env
+            if (refresh_token) {
+                await this.gmailTokens.save(business, { refresh_token }, { userId: req.user.id });
+            }
+            
+            res.json({ success: true, message: 'Gmail configuration updated' });
+        } catch (error) {
+            this.sendError(res, error, 'Gmail config', 'Failed to update Gmail configuration');
+        }
+    }
+
+    async updateVapiConfig(req, res) {
+        try {
+            const { api_key, public_key, phone_number_id, webhook_secret } = req.body;
+            if (!api_key) throw new RequestError(400, 'api_key is required');
+
+            await this.updateEnvFile('VAPI_API_KEY', api_key);
+            if (public_key) await this.updateEnvFile('VAPI_PUBLIC_KEY', public_key);
+            if (phone_number_id) await this.updateEnvFile('VAPI_PHONE_NUMBER_ID', phone_number_id);
+            // Vapi events are rejected without a secret, so one is generated if none is given
+            const secret = webhook_secret || this.config.apis.vapi.webhookSecret || crypto.randomBytes(24).toString('hex');
+            await this.updateEnvFile('VAPI_WEBHOOK_SECRET', secret);
+
+            Object.assign(this.config.apis.vapi, {
+                key: api_key,
+                publicKey: public_key || this.config.apis.vapi.publicKey,
+                phoneNumberId: phone_number_id || this.config.apis.vapi.phoneNumberId,
+                webhookSecret: secret
+            });
+            res.json({ success: true, message: 'Vapi configuration updated.' });
+        } catch (error) {
+            this.sendError(res, error, 'Vapi config', 'Failed to update Vapi configuration');
+        }
+    }
+
+    async updateGHLConfig(req, res) {
+        try {
+            const { api_key, location_id, calendar_id } = req.body;
+            if (!api_key) throw new RequestError(400, 'api_key is required');
+            if (!location_id) throw new RequestError(400, 'location_id is required');
+
+            await this.updateEnvFile('GHL_API_KEY', api_key);
+            await this.updateEnvFile('GHL_LOCATION_ID', location_id);
+            if (calendar_id) await this.updateEnvFile('GHL_CALENDAR_ID', calendar_id);
+
+            // The sync reads this same config object, so the next run uses the new key
+            Object.assign(this.config.apis.ghl, {
+                key: api_key,
+                locationId: location_id,
+                calendarId: calendar_id || this.config.apis.ghl.calendarId
+            });
+            res.json({ success: true, message: 'GoHighLevel configuration updated.' });
+        } catch (error) {
+            this.sendError(res, error, 'GoHighLevel config', 'Failed to update GoHighLevel configuration');
+        }
+    }
+
+    async updateWhisprConfig(req, res) {
+        try {
+            const { api_key, enabled } = req.body;
+            await this.updateEnvFile('WHISPR_API_KEY', api_key);
+            await this.updateEnvFile('WHISPR_ENABLED', enabled ? 'true' : 'false');
+            
+            this.config.apis.whispr.key = api_key;
+            this.config.apis.whispr.enabled = enabled;
+            
+            res.json({ success: true, message: 'Whispr configuration updated. Restart required.' });
+        } catch (error) {
+            console.error('Whispr config error:', error);
+            res.status(500).json({ success: false, error: 'Failed to update Whispr configuration' });
+        }
+    }
+
+    async updateSocialConfig(req, res) {
+        try {
+            const { twitter_key, linkedin_id, facebook_token } = req.body;
+            if (twitter_key) await this.updateEnvFile('TWITTER_API_KEY', twitter_key);
+            if (linkedin_id) await this.updateEnvFile('LINKEDIN_CLIENT_ID', linkedin_id);
+            if (facebook_token) await this.updateEnvFile('FACEBOOK_ACCESS_TOKEN', facebook_token);
+            
+            res.json({ success: true, message: 'Social media configuration updated. Restart required.' });
+        } catch (error) {
+            console.error('Social config error:', error);
+            res.status(500).json({ success: false, error: 'Failed to update social media configuration' });
+        }
+    }
+
+    async updateMCPConfig(req, res) {
+        try {
+            const { server_url, enabled } = req.body;
+            await this.updateEnvFile('MCP_SERVER_URL', server_url || 'http://localhost:3001');
+            await this.updateEnvFile('MCP_ENABLED', enabled ? 'true' : 'false');
+            
+            res.json({ success: true, message: 'MCP configuration updated. Restart required.' });
+        } catch (error) {
+            console.error('MCP config error:', error);
+            res.status(500).json({ success: false, error: 'Failed to update MCP configuration' });
+        }
+    }
+
+    async updateEnvFile(key, value) {
+        try {
+            const fs = require('fs');
+            const path = require('path');
+            const envPath = path.join(process.cwd(), '.env');
+            
+            let envContent = '';
+            if (fs.existsSync(envPath)) {
+                envContent = fs.readFileSync(envPath, 'utf8');
+            }
+            
+            const lines = envContent.split('\n');
+            let found = false;
+            
+            for (let i = 0; i < lines.length; i++) {
+                if (lines[i].startsWith(`${key}=`)) {
+                    lines[i] = `${key}=${value}`;
+                    found = true;
+                    break;
+                }
+            }
+            
+            if (!found) {
+                lines.push(`${key}=${value}`);
+            }
+            
+            fs.writeFileSync(envPath, lines.join('\n'));
+            
+            // Update process.env
+            process.env[key] = value;
+            
+        } catch (error) {
+            console.error('Error updating .env file:', error);
+            throw error;
+        }
+    }
+
+    // Gmail OAuth Implementation
+    async initiateGmailAuth(req, res) {
+        try {
+            const clientId = this.config.apis.gmail.clientId;
+            if (!clientId) {
+                return res.status(400).json({ error: 'Gmail client ID not configured' });
+            }
+
+            const business = req.query.business || 'agency';
+            if (!MAILBOX_BUSINESSES.includes(business)) {
+                return res.status(400).json({ error: `business must be one of: ${MAILBOX_BUSINESSES.join(', ')}` });
+            }
+
+            // Signed state ties the callback to this owner session and the mailbox being connected
+            const state = jwt.sign({ purpose: 'gmail_oauth', sub: req.user.id, business }, this.config.auth.jwtSecret, { expiresIn: '10m' });
+
+            const scopes = [
+                'https://www.googleapis.com/auth/gmail.readonly',
+                'https://www.googleapis.com/auth/gmail.send',
+                'https://www.googleapis.com/auth/gmail.modify'
+            ].join(' ');
+
+            const authUrl = `https://accounts.google.com/o/oauth2/v2/auth?` +
+                `client_id=${clientId}&` +
+                `redirect_uri=${encodeURIComponent(req.protocol + '://' + req.get('host') + '/auth/gmail/callback')}&` +
+                `response_type=code&` +
+                `scope=${encodeURIComponent(scopes)}&` +
+                `access_type=offline&` +
+                `prompt=consent&` +
+                `state=${encodeURIComponent(state)}`;
+
+            res.redirect(authUrl);
+        } catch (error) {
+            console.error('Gmail auth initiation error:', error);
+            res.status(500).json({ error: 'Failed to initiate Gmail authentication' });
+        }
+    }
+
+    async handleGmailCallback(req, res) {
+        try {
+            const { code, error, state } = req.query;
+            
+            if (error) {
+                return res.status(400).json({ error: 'Gmail authentication was denied' });
+            }
+
+            let payload;
+            try {
+                payload = jwt.verify(state || '', this.config.auth.jwtSecret);
+                if (payload.purpose !== 'gmail_oauth') throw new Error('Wrong state purpose');
+            } catch (stateError) {
+                return res.status(400).json({ error: 'Invalid or expired OAuth state' });
+            }
+
+            if (!code) {
+                return res.status(400).json({ error: 'No authorization code received' });
+            }
+
+            const business = payload.business || 'agency';
+            const tokens = await this.gmailTokens.exchangeCode(code, req.protocol + '://' + req.get('host') + '/auth/gmail/callback');
+
+            // Record which address was connected so each business's mailbox is identifiable
+            const profile = await axios.get(`${this.config.apis.gmail.baseUrl}/users/me/profile`, {
+                headers: { 'Authorization': `Bearer ${tokens.access_token}` }
+            });
+
+            await this.gmailTokens.save(business, tokens, { email: profile.data.emailAddress, userId: payload.sub });
+
+            // Redirect back to config page with success
+            res.redirect(`/config?gmail=connected&mailbox=${business}`);
+        } catch (error) {
+            console.error('Gmail callback error:', error);
+            res.status(500).json({ error: 'Failed to complete Gmail authentication' });
+        }
+    }
+
+    // Email Management (Gmail)
+    async getEmails(req, res) {
+        try {
+            const { mailbox, q, labelIds, pageToken, maxResults, triage } = req.query;
+            const result = await this.assistants.emailManager.listMessages({
+                mailbox,
+                q,
+                labelIds: labelIds ? String(labelIds).split(',') : undefined,
+                pageToken,
+                maxResults,
+                triage: triage === 'true'
+            });
+            res.json({ success: true, ...result, total: result.emails.length });
+        } catch (error) {
+            this.sendGmailError(res, error, 'Get emails', 'Failed to fetch emails');
+        }
+    }
+
+    async getEmail(req, res) {
+        try {
+            const email = await this.assistants.emailManager.getMessage(req.params.id, { mailbox: req.query.mailbox, triage: req.query.triage === 'true' });
+            res.json({ success: true, email });
+        } catch (error) {
+            this.sendGmailError(res, error, 'Get email', 'Failed to fetch email');
+        }
+    }
+
+    async triageEmails(req, res) {
+        try {
+            const { mailbox, ids, q, maxResults, applyLabels } = req.body;
+            const manager = this.assistants.emailManager;
+            const emails = Array.isArray(ids) && ids.length > 0
+                ? await manager.getMessages(ids, { mailbox })
+                : (await manager.listMessages({ mailbox, q, maxResults })).emails;
+
+            await manager.triage(emails, { applyLabels: applyLabels === true });
+            res.json({
+                success: true,
+                emails: emails.map(({ id, threadId, mailbox, subject, from, date, triage }) => ({ id, threadId, mailbox, subject, from, date, triage }))
+            });
+        } catch (error) {
+            this.sendGmailError(res, error, 'Email triage', 'Failed to triage emails');
+        }
+    }
+
+    async getEmailLabels(req, res) {
+        try {
+            const labels = await this.assistants.emailManager.listLabels(req.query.mailbox);
+            res.json({ success: true, labels });
+        } catch (error) {
+            this.sendGmailError(res, error, 'Get labels', 'Failed to fetch labels');
+        }
+    }
+
+    async createEmailLabel(req, res) {
+        try {
+            const label = await this.assistants.emailManager.createLabel(req.body.name, req.body.mailbox);
+            res.status(201).json({ success: true, label });
+        } catch (error) {
+            this.sendGmailError(res, error, 'Create label', 'Failed to create label');
+        }
+    }
+
+    async modifyEmailLabels(req, res) {
+        try {
+            const { add, remove, mailbox } = req.body;
+            const email = await this.assistants.emailManager.modifyLabels(req.params.id, { add, remove, mailbox });
+            res.json({ success: true, email });
+        } catch (error) {
+            this.sendGmailError(res, error, 'Modify labels', 'Failed to update labels');
+        }
+    }
+
+    // Drafts a reply into the approval queue; nothing is sent until the owner approves it
+    async respondToEmail(req, res) {
+        try {
+            const { emailId, instructions, business, mailbox } = req.body;
+            if (!emailId) {
+                return res.status(400).json({ success: false, error: 'emailId is required' });
+            }
+
+            const draft = await this.assistants.emailManager.draftReply(emailId, { instructions, business, mailbox }, req.user);
+            res.status(201).json({ success: true, draft, message: 'Reply drafted and waiting for approval' });
+        } catch (error) {
+            this.sendGmailError(res, error, 'Draft reply', 'Failed to draft reply');
+        }
+    }
+
+    async getMailboxes(req, res) {
+        try {
+            const mailboxes = this.gmailTokens.list();
+            res.json({ success: true, mailboxes, businesses: MAILBOX_BUSINESSES });
+        } catch (error) {
+            this.sendError(res, error, 'Get mailboxes', 'Failed to fetch mailboxes');
+        }
+    }
+
+    async disconnectMailbox(req, res) {
+        try {
+            await this.gmailTokens.disconnect(req.params.business);
+            res.json({ success: true, message: `Gmail disconnected for ${req.params.business}` });
+        } catch (error) {
+            this.sendError(res, error, 'Disconnect mailbox', 'Failed to disconnect mailbox');
+        }
+    }
+
+    async getEmailDrafts(req, res) {
+        try {
+            const drafts = this.assistants.emailManager.listDrafts(req.query);
+            res.json({ success: true, drafts, total: drafts.length });
+        } catch (error) {
+            this.sendError(res, error, 'Get drafts', 'Failed to fetch drafts');
+        }
+    }
+
+    async updateEmailDraft(req, res) {
+        try {
+            const draft = await this.assistants.emailManager.updateDraft(req.params.id, req.body);
+            res.json({ success: true, draft });
+        } catch (error) {
+            this.sendError(res, error, 'Update draft', 'Failed to update draft');
+        }
+    }
+
+    async approveEmailDraft(req, res) {
+        try {
+            const draft = await this.assistants.emailManager.approveDraft(req.params.id, req.body, req.user);
+            res.json({ success: true, draft, message: 'Reply sent' });
+        } catch (error) {
+            this.sendGmailError(res, error, 'Approve draft', 'Failed to send reply');
+        }
+    }
+
+    async rejectEmailDraft(req, res) {
+        try {
+            const draft = await this.assistants.emailManager.rejectDraft(req.params.id, req.body.reason, req.user);
+            res.json({ success: true, draft });
+        } catch (error) {
+            this.sendError(res, error, 'Reject draft', 'Failed to reject draft');
+        }
+    }
+
+    // Gmail auth failures point the client at the OAuth flow
+    sendGmailError(res, error, label, fallbackMessage) {
+        if (error instanceof RequestError && error.status === 401) {
+            const mailbox = error.details && error.details.mailbox;
+            return res.status(401).json({ success: false, error: error.message, authUrl: mailbox ? `/auth/gmail?business=${mailbox}` : '/auth/gmail' });
+        }
+        this.sendError(res, error, label, fallbackMessage);
+    }
+
+    // AI Prompt Generator Methods
+    async generatePrompts(req, res) {
+        try {
+            const { promptType, business, audience, contentGoal, style, context } = req.body;
+            
+            const billyGeneTemplates = {
+                'high-end-image': [
+                    `Create a cinematic, high-budget commercial style image of ${business}. Shot with professional lighting, shallow depth of field, and dramatic color grading. Include luxury brand aesthetics, premium materials, and sophisticated composition that conveys exclusivity and high value for ${audience}.`,
+                    `Professional lifestyle photography showing ${audience} using ${business} in an aspirational setting. Clean, modern aesthetic with natural lighting. Show the transformation and elevated lifestyle this product enables. Include authentic human emotion and premium environment details.`,
+                    `Split-screen comparison image showing 'before and after' or 'problem vs solution' for ${audience}. Left side shows frustration/difficulty, right side shows ease/success with ${business}. Professional photography with clear visual storytelling and emotional impact.`,
+                    `Professional headshot/environment showing expertise and credibility around ${business}. Include certifications, awards, professional setting, and visual elements that establish authority for ${audience}. Warm, trustworthy lighting with confidence-inspiring composition.`,
+                    `Dynamic collage showing multiple happy ${audience} members using ${business}. Include diverse demographics, genuine expressions, and results/outcomes. Professional montage style with consistent branding and positive energy throughout.`
+                ],
+                'viral-video': [
+                    `Time-lapse video showing dramatic transformation using ${business}. Start with 'before' state, show process/journey, end with amazing 'after' results for ${audience}. Include uplifting music, smooth transitions, and emotional payoff that makes viewers want to share.`,
+                    `Authentic behind-the-scenes footage showing how ${business} is created or delivered. Include 'wow' moments, expertise in action, and personality for ${audience}. Raw, genuine feel that builds trust and showcases craftsmanship or process excellence.`,
+                    `Real ${audience} member testimonial in documentary-style format. Show their initial problem, how they found ${business} solution, and the amazing results. Include genuine emotion, specific details, and visual proof of transformation or success.`,
+                    `Educational content that hooks viewers with "Did you know..." or "Here's what [industry] doesn't want ${audience} to know about [topic]". Share valuable insights while positioning ${business} as the solution. Include visual aids and clear explanations.`,
+                    `Adapt current trending video format/challenge to showcase ${business}. Include popular music, trending effects, and format that ${audience} engages with, while naturally integrating your value proposition.`
+                ],
+                'billy-gene-ads': [
+                    `Give me 10 different types of audiences that would be interested in trading me money in exchange for ${business}. In this case ${business} is ${context || 'your product/service'}.`,
+                    `What are 10 problems that ${audience} specifically experience that ${business} can help solve, alleviate, or remedy.`,
+                    `Write a Facebook ad to sell ${business} for ${audience} who is experiencing [insert chosen problem above]. Write from the perspective of the business owner in a ${style} tone. Use urgency-based incentives and clear call to action.`,
+                    `What are 10 opinions that people argue about when it comes to ${business}. Create viral content around these controversial topics for ${audience}.`,
+                    `Give me 10 tips about ${business} that ${audience} probably doesn't know but would appreciate. Make this educational and valuable content that positions you as an authority.`
+                ]
+            };
+
+            const prompts = billyGeneTemplates[promptType] || billyGeneTemplates['high-end-image'];
+            
+            res.json({
+                success: true,
+                prompts: prompts,
+                promptType: promptType,
+                generatedFor: { business, audience, contentGoal, style },
+                timestamp: new Date()
+            });
+            
+        } catch (error) {
+            console.error('Prompt generation error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to generate prompts'
+            });
+        }
+    }
+
+    async getPromptTemplates(req, res) {
+        try {
+            const templates = {
+                'Audience Research': {
+                    'Audience Discovery': 'Give me 10 different types of audiences that would be interested in trading me money in exchange for [INSERT PRODUCT OR SERVICE].',
+                    'Demographics Analysis': 'Tell me the typical demographics and characteristics of a [CHOSEN SPECIFIC AUDIENCE]',
+                    'Problem Identification': 'What are 10 problems that [INSERT SELECTED AUDIENCE] specifically experience that [INSERT SELECTED PRODUCT OR SERVICE] can help solve, alleviate, or remedy.'
+                },
+                'High-End Image Prompts': {
+                    'Cinematic Brand Story': 'Create a cinematic, high-budget commercial style image of [PRODUCT/SERVICE]. Shot with professional lighting, shallow depth of field, and dramatic color grading.',
+                    'Lifestyle Aspiration': 'Professional lifestyle photography showing [TARGET AUDIENCE] using [PRODUCT/SERVICE] in an aspirational setting. Clean, modern aesthetic with natural lighting.',
+                    'Problem-Solution Visual': 'Split-screen comparison image showing \'before and after\' or \'problem vs solution\' for [SPECIFIC PROBLEM]. Professional photography with clear visual storytelling.',
+                    'Authority Builder': 'Professional headshot/environment showing expertise and credibility around [INDUSTRY/SERVICE]. Include certifications, awards, professional setting.',
+                    'Social Proof Showcase': 'Dynamic collage showing multiple happy customers/testimonials using [PRODUCT/SERVICE]. Include diverse demographics and genuine expressions.'
+                },
+                'Viral Video Concepts': {
+                    'Transformation Journey': 'Time-lapse video showing dramatic transformation using [PRODUCT/SERVICE]. Start with \'before\' state, show process, end with amazing results.',
+                    'Behind-the-Scenes Magic': 'Authentic behind-the-scenes footage showing how [PRODUCT/SERVICE] is created. Include \'wow\' moments and expertise in action.',
+                    'Customer Success Story': 'Real customer testimonial in documentary-style format. Show initial problem, solution discovery, and amazing results.',
+                    'Educational Hook': 'Educational content: "What [INDUSTRY] doesn\'t want you to know about [TOPIC]." Share insights while positioning as solution.',
+                    'Trending Challenge': 'Adapt current trending video format to showcase [PRODUCT/SERVICE]. Include popular music and trending effects.'
+                },
+                'Viral Content Ideas': {
+                    'Drama & Controversy': 'What are 10 opinions that people argue about when it comes to [INSERT PRODUCT/SERVICE].',
+                    'Curiosity Generator': 'What are people wondering about before buying [INSERT PRODUCT/SERVICE].',
+                    'Trending Topics': 'Give me 10 currently trending talking points about [INSERT PRODUCT/SERVICE]',
+                    'Expert Tips': 'Give me 10 tips about [INSERT PRODUCT/SERVICE] that [SPECIFIC AUDIENCE] probably doesn\'t know but would appreciate.',
+                    'Contrarian Take': '[INSERT UNPOPULAR OPINION], give me 10 reasons why that\'s wrong.'
+                }
+            };
+            
+            res.json({
+                success: true,
+                templates: templates,
+                totalTemplates: Object.keys(templates).reduce((total, category) => total + Object.keys(templates[category]).length, 0)
+            });
+            
+        } catch (error) {
+            console.error('Template fetch error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get templates'
+            });
+        }
+    }
+
+    async generateContentCalendar(req, res) {
+        try {
+            const { business, audience, weeks = 1 } = req.body;
+            
+            const days = ['Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday', 'Sunday'];
+            const contentThemes = [
+                {
+                    day: 'Monday',
+                    theme: 'Motivation Monday',
+                    content: `Inspirational content and success stories for ${audience} using ${business}`,
+                    postIdeas: [
+                        `Success story: How ${audience} transformed their results with ${business}`,
+                        `Monday motivation: Why ${audience} choose ${business} for success`,
+                        `Weekly goal: What ${audience} can achieve this week with ${business}`
+                    ],
+                    optimalTime: '8:00 AM',
+                    hashtags: ['#MotivationMonday', '#Success', '#Transformation']
+                },
+                {
+                    day: 'Tuesday',
+                    theme: 'Tips Tuesday',
+                    content: `Educational content and industry insights for ${audience}`,
+                    postIdeas: [
+                        `5 tips ${audience} needs to know about ${business}`,
+                        `Common mistakes ${audience} makes (and how to fix them)`,
+                        `Expert advice: How ${business} solves ${audience} problems`
+                    ],
+                    optimalTime: '9:00 AM',
+                    hashtags: ['#TipsTuesday', '#Education', '#Expert']
+                },
+                {
+                    day: 'Wednesday',
+                    theme: 'Wisdom Wednesday',
+                    content: `Expert advice and problem-solving for ${audience}`,
+                    postIdeas: [
+                        `Industry secrets ${audience} should know about ${business}`,
+                        `Q&A: Top questions ${audience} asks about ${business}`,
+                        `Behind-the-scenes: How we help ${audience} succeed`
+                    ],
                     optimalTime: '11:00 AM',
                     hashtags: ['#WisdomWednesday', '#Insights', '#QandA']
                 },
@@ -1082,274 +3766,9265 @@ Respond as a professional executive assistant would, offering specific help and
                     hashtags: ['#ThrowbackThursday', '#CaseStudy', '#Testimonial']
                 },
                 {
-                    day: 'Friday',
-                    theme: 'Feature Friday',
-                    content: `Product/service highlights and demos for ${audience}`,
-                    postIdeas: [
-                        `Feature spotlight: How ${business} helps ${audience}`,
-                        `Demo Friday: ${business} in action for ${audience}`,
-                        `Weekend prep: How ${audience} can use ${business}`
-                    ],
-                    optimalTime: '3:00 PM',
-                    hashtags: ['#FeatureFriday', '#Demo', '#ProductSpotlight']
-                },
+                    day: 'Friday',
+                    theme: 'Feature Friday',
+                    content: `Product/service highlights and demos for ${audience}`,
+                    postIdeas: [
+                        `Feature spotlight: How ${business} helps ${audience}`,
+                        `Demo Friday: ${business} in action for ${audience}`,
+                        `Weekend prep: How ${audience} can use ${business}`
+                    ],
+                    optimalTime: '3:00 PM',
+                    hashtags: ['#FeatureFriday', '#Demo', '#ProductSpotlight']
+                },
+                {
+                    day: 'Saturday',
+                    theme: 'Success Saturday',
+                    content: `Customer wins and social proof from ${audience}`,
+                    postIdeas: [
+                        `Success Saturday: ${audience} celebrating wins with ${business}`,
+                        `Weekend wins: How ${business} helps ${audience} succeed`,
+                        `Community spotlight: Amazing ${audience} using ${business}`
+                    ],
+                    optimalTime: '12:00 PM',
+                    hashtags: ['#SuccessSaturday', '#CustomerWins', '#Community']
+                },
+                {
+                    day: 'Sunday',
+                    theme: 'Sunday Stories',
+                    content: `Behind-the-scenes and personal touch for ${audience}`,
+                    postIdeas: [
+                        `Sunday story: Why we created ${business} for ${audience}`,
+                        `Behind-the-scenes: Our mission to help ${audience}`,
+                        `Sunday reflection: Impact we\'ve made for ${audience}`
+                    ],
+                    optimalTime: '1:00 PM',
+                    hashtags: ['#SundayStories', '#BehindTheScenes', '#Mission']
+                }
+            ];
+
+            const calendar = [];
+            for (let week = 0; week < weeks; week++) {
+                contentThemes.forEach(dayTheme => {
+                    calendar.push({
+                        ...dayTheme,
+                        week: week + 1,
+                        business: business,
+                        audience: audience
+                    });
+                });
+            }
+            
+            res.json({
+                success: true,
+                calendar: calendar,
+                totalPosts: calendar.length,
+                business: business,
+                audience: audience,
+                weeks: weeks
+            });
+            
+        } catch (error) {
+            console.error('Calendar generation error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to generate content calendar'
+            });
+        }
+    }
+
+    async generateViralCaption(req, res) {
+        try {
+            const { business, audience, postType, hook } = req.body;
+            
+            const viralFormulas = {
+                controversy: `🔥 Unpopular opinion about ${business}...\n\nMost ${audience} think [common belief], but here's why that's completely wrong:\n\n[3 reasons why]\n\nThat's exactly why ${business} works differently.\n\nAgree or disagree? 👇`,
+                
+                story: `I used to be just like every other ${audience}...\n\nStruggling with [problem] until I discovered something that changed everything.\n\n[Short transformation story]\n\nThat's when ${business} became a game-changer.\n\nCan you relate? Drop a 💯 if yes!`,
+                
+                curiosity: `Why do 90% of ${audience} fail at [goal]?\n\n(It's not what you think...)\n\nMost people blame [common excuse]\n\nBut the real reason is [insight]\n\nThat's exactly what ${business} solves.\n\nWant to know how? Link in bio 👆`,
+                
+                educational: `🧠 3 things about [topic] that ${audience} never consider:\n\n1️⃣ [Insight 1]\n2️⃣ [Insight 2] \n3️⃣ [Insight 3]\n\nThis is exactly why ${business} works when everything else fails.\n\nWhich one surprised you most? 🤔`,
+                
+                social_proof: `"I can't believe the results I got with ${business}!"\n\n- Real ${audience} member\n\n[Specific result/transformation]\n\nThis is exactly what happens when ${audience} finally try the right approach.\n\nReady for your transformation? 🚀`
+            };
+            
+            const selectedFormula = viralFormulas[postType] || viralFormulas.story;
+            
+            // Generate optimal posting times based on audience
+            const optimalTimes = {
+                'business-owners': ['9:00 AM', '1:00 PM', '7:00 PM'],
+                'consumers': ['8:00 AM', '12:00 PM', '6:00 PM'],
+                'professionals': ['7:00 AM', '12:00 PM', '5:00 PM']
+            };
+            
+            res.json({
+                success: true,
+                caption: selectedFormula,
+                postType: postType,
+                optimalTimes: optimalTimes,
+                engagement_tips: [
+                    'Post when your audience is most active',
+                    'Use 3-5 relevant hashtags',
+                    'Include a clear call-to-action',
+                    'Respond to comments within 1 hour',
+                    'Add engaging visual content'
+                ],
+                hashtag_suggestions: [
+                    `#${business.replace(/\s+/g, '')}`,
+                    `#${audience.replace(/\s+/g, '')}`,
+                    '#Success',
+                    '#Transformation',
+                    '#Results'
+                ]
+            });
+            
+        } catch (error) {
+            console.error('Viral caption error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to generate viral caption'
+            });
+        }
+    }
+
+    async getOptimalPostingTimes(req, res) {
+        try {
+            const { audience, platform, timezone = 'US/Central' } = req.query;
+            
+            const optimalTimes = {
+                'Facebook': {
+                    'business-owners': {
+                        'Monday': ['9:00 AM', '3:00 PM'],
+                        'Tuesday': ['9:00 AM', '3:00 PM'],
+                        'Wednesday': ['9:00 AM', '3:00 PM'],
+                        'Thursday': ['9:00 AM', '3:00 PM'],
+                        'Friday': ['9:00 AM', '1:00 PM'],
+                        'Saturday': ['12:00 PM', '2:00 PM'],
+                        'Sunday': ['12:00 PM', '2:00 PM']
+                    },
+                    'consumers': {
+                        'Monday': ['1:00 PM', '8:00 PM'],
+                        'Tuesday': ['1:00 PM', '8:00 PM'],
+                        'Wednesday': ['1:00 PM', '8:00 PM'],
+                        'Thursday': ['1:00 PM', '8:00 PM'],
+                        'Friday': ['1:00 PM', '8:00 PM'],
+                        'Saturday': ['12:00 PM', '6:00 PM'],
+                        'Sunday': ['12:00 PM', '6:00 PM']
+                    }
+                },
+                'Instagram': {
+                    'business-owners': {
+                        'Monday': ['6:00 AM', '12:00 PM', '7:00 PM'],
+                        'Tuesday': ['6:00 AM', '12:00 PM', '7:00 PM'],
+                        'Wednesday': ['6:00 AM', '12:00 PM', '7:00 PM'],
+                        'Thursday': ['6:00 AM', '12:00 PM', '7:00 PM'],
+                        'Friday': ['6:00 AM', '12:00 PM', '5:00 PM'],
+                        'Saturday': ['10:00 AM', '2:00 PM'],
+                        'Sunday': ['10:00 AM', '2:00 PM']
+                    }
+                }
+            };
+            
+            const platformTimes = optimalTimes[platform] || optimalTimes['Facebook'];
+            const audienceTimes = platformTimes[audience] || platformTimes['business-owners'];
+            
+            res.json({
+                success: true,
+                platform: platform,
+                audience: audience,
+                timezone: timezone,
+                optimal_times: audienceTimes,
+                engagement_insights: {
+                    peak_days: ['Tuesday', 'Wednesday', 'Thursday'],
+                    avoid_times: ['Before 6 AM', 'After 10 PM'],
+                    best_performers: ['Educational content on Tuesday', 'Behind-the-scenes on Friday', 'User-generated content on weekends']
+                }
+            });
+            
+        } catch (error) {
+            console.error('Optimal times error:', error);
+            res.status(500).json({
+                success: false,
+                error: 'Failed to get optimal posting times'
+            });
+        }
+    }
+}
+
+// Assistant Module Classes (Placeholders - would be fully implemented)
+class EmailManager {
+    constructor(gmailConfig, db, llm, tokens, activityLog) {
+        this.config = gmailConfig;
+        this.db = db;
+        this.llm = llm;
+        this.tokens = tokens;
+        this.activityLog = activityLog;
+        this.clients = new Map();
+    }
+
+    /**
+     * Gmail client for one business's mailbox. Without a mailbox the first connected one is used
+     * (agency before ai).
+     */
+    mailbox(business) {
+        const connected = this.tokens.connectedBusinesses();
+        if (business && !MAILBOX_BUSINESSES.includes(business)) {
+            throw new RequestError(400, `mailbox must be one of: ${MAILBOX_BUSINESSES.join(', ')}`);
+        }
+
+        const resolved = business || connected[0];
+        if (!resolved || !connected.includes(resolved)) {
+            throw new RequestError(401, business ? `No Gmail mailbox connected for ${business}` : 'Gmail not authenticated', { mailbox: business });
+        }
+
+        if (!this.clients.has(resolved)) {
+            this.clients.set(resolved, new GmailClient(this.config, {
+                getAccessToken: () => this.tokens.getAccessToken(resolved),
+                refreshAccessToken: () => this.tokens.refresh(resolved)
+            }));
+        }
+        return { business: resolved, gmail: this.clients.get(resolved) };
+    }
+    
+    async handleRequest(intent, message) {
+        const connected = this.tokens.connectedBusinesses();
+        if (connected.length === 0) {
+            return `I'll help you manage your emails for both Molaison Agency and Molaison AI. Connect Gmail on the configuration page (/auth/gmail) and I can triage your inbox.`;
+        }
+
+        const emails = [];
+        for (const business of connected) {
+            emails.push(...(await this.listMessages({ mailbox: business, maxResults: 15, triage: true })).emails);
+        }
+        if (emails.length === 0) {
+            return 'Inbox zero — no unread emails right now. 🎉';
+        }
+
+        const urgencyRank = { high: 0, medium: 1, low: 2 };
+        const lines = emails
+            .sort((a, b) => urgencyRank[a.triage.urgency] - urgencyRank[b.triage.urgency])
+            .map(email => `${email.triage.urgency === 'high' ? '🔴' : email.triage.urgency === 'medium' ? '🟡' : '⚪'} ` +
+                `[${email.triage.business}] ${email.subject} — ${email.from} (suggested: ${email.triage.action.replace('_', ' ')})`);
+        return `You have ${emails.length} unread email${emails.length === 1 ? '' : 's'}:\n${lines.join('\n')}`;
+    }
+
+    /**
+     * One page of messages matching a Gmail search query. Details are fetched in parallel, at most
+     * fetchConcurrency at a time; pass the returned nextPageToken to get the following page.
+     */
+    async listMessages({ mailbox, q, labelIds, pageToken, maxResults, triage = false } = {}) {
+        const { business, gmail } = this.mailbox(mailbox);
+        const page = await gmail.listMessages({
+            q: q || 'in:inbox is:unread',
+            labelIds,
+            pageToken,
+            maxResults: Math.min(Math.max(Number(maxResults) || 20, 1), 100)
+        });
+
+        const emails = await this.getMessages((page.messages || []).map(ref => ref.id), { mailbox: business, skipMissing: true });
+        if (triage) await this.triage(emails);
+
+        return {
+            mailbox: business,
+            emails,
+            nextPageToken: page.nextPageToken || null,
+            resultSizeEstimate: page.resultSizeEstimate || 0
+        };
+    }
+
+    async getMessages(ids, { mailbox, skipMissing = false } = {}) {
+        const { business, gmail } = this.mailbox(mailbox);
+        const emails = await mapWithConcurrency(ids, this.config.fetchConcurrency, async id => {
+            try {
+                return { ...parseGmailMessage(await gmail.getMessage(id)), mailbox: business };
+            } catch (error) {
+                // Auth problems fail the whole request; a message deleted mid-listing is just skipped
+                if (!skipMissing || (error instanceof RequestError && error.status === 401)) throw error;
+                console.error(`Failed to fetch email ${id}:`, error.message);
+                return null;
+            }
+        });
+        return emails.filter(Boolean);
+    }
+
+    async getMessage(id, { mailbox, triage = false } = {}) {
+        const { business, gmail } = this.mailbox(mailbox);
+        const email = { ...parseGmailMessage(await gmail.getMessage(id)), mailbox: business };
+        if (triage) await this.triage([email]);
+        return email;
+    }
+
+    async listLabels(mailbox) {
+        const { labels = [] } = await this.mailbox(mailbox).gmail.listLabels();
+        return labels.map(({ id, name, type }) => ({ id, name, type }));
+    }
+
+    async createLabel(name, mailbox) {
+        if (!name || typeof name !== 'string' || !name.trim()) {
+            throw new RequestError(400, 'Validation failed', ['name is required']);
+        }
+        const { id, type } = await this.mailbox(mailbox).gmail.createLabel(name.trim());
+        return { id, name: name.trim(), type };
+    }
+
+    // Labels may be given by id ("STARRED", "Label_12") or name; missing user labels are created when adding
+    async modifyLabels(id, { add = [], remove = [], mailbox } = {}) {
+        if (!Array.isArray(add) || !Array.isArray(remove) || add.length + remove.length === 0) {
+            throw new RequestError(400, 'Validation failed', ['add and/or remove must be non-empty arrays of label names or ids']);
+        }
+
+        const { business, gmail } = this.mailbox(mailbox);
+        const labels = await this.listLabels(business);
+        const resolve = async (value, create) => {
+            const label = labels.find(l => l.id === value || l.name.toLowerCase() === String(value).toLowerCase());
+            if (label) return label.id;
+            if (!create) throw new RequestError(400, `Unknown label: ${value}`);
+
+            const created = await this.createLabel(String(value), business);
+            labels.push(created);
+            return created.id;
+        };
+
+        const addLabelIds = [];
+        for (const value of add) addLabelIds.push(await resolve(value, true));
+        const removeLabelIds = [];
+        for (const value of remove) removeLabelIds.push(await resolve(value, false));
+
+        const message = await gmail.modifyMessage(id, { addLabelIds, removeLabelIds });
+        return { id: message.id, threadId: message.threadId, labelIds: message.labelIds, mailbox: business };
+    }
+
+    /**
+     * Tags each thread by business, urgency and suggested action (set on email.triage). Results are
+     * cached per thread and reused until a newer message arrives in it.
+     */
+    async triage(emails, { applyLabels = false } = {}) {
+        const newest = new Map();
+        for (const email of emails) {
+            const current = newest.get(email.threadId);
+            if (!current || email.internalDate > current.internalDate) newest.set(email.threadId, email);
+        }
+
+        const stale = [...newest.values()].filter(email => {
+            const cached = this.findTriage(email);
+            return !cached || cached.messageId !== email.id;
+        });
+
+        if (stale.length > 0) {
+            const tags = await this.classifyEmails(stale);
+            for (const email of stale) {
+                const record = { mailbox: email.mailbox, threadId: email.threadId, messageId: email.id, subject: email.subject, from: email.from, ...tags.get(email.id) };
+                const cached = this.findTriage(email);
+                if (cached) await this.db.emailTriage.update(cached.id, record);
+                else await this.db.emailTriage.insert(record);
+            }
+            await this.db.emailTriage.truncate(5000);
+
+            const urgent = stale.filter(email => tags.get(email.id).urgency === 'high').length;
+            await this.activityLog.record({
+                type: 'email',
+                action: `${stale.length} new email${stale.length === 1 ? '' : 's'} triaged${urgent ? `, ${urgent} urgent` : ''}`,
+                details: { mailboxes: [...new Set(stale.map(email => email.mailbox))], subjects: stale.slice(0, 5).map(email => email.subject) }
+            });
+        }
+
+        for (const email of emails) {
+            const record = this.findTriage(email);
+            email.triage = record
+                ? { business: record.business, urgency: record.urgency, action: record.action, reason: record.reason, source: record.source }
+                : null;
+        }
+
+        if (applyLabels) {
+            for (const email of newest.values()) {
+                const labelNames = [`Triage/${TRIAGE_LABELS[email.triage.business]}`];
+                if (email.triage.urgency === 'high') labelNames.push('Triage/Urgent');
+                await this.modifyLabels(email.id, { add: labelNames, mailbox: email.mailbox });
+            }
+        }
+        return emails;
+    }
+
+    /**
+     * Drafts a reply to a message in the voice of the business it belongs to, using the rest of the
+     * thread as context, and queues it for approval.
+     */
+    async draftReply(emailId, { instructions, business, mailbox } = {}, user) {
+        const email = await this.getMessage(emailId, { mailbox });
+        const thread = await this.mailbox(email.mailbox).gmail.getThread(email.threadId);
+        const history = (thread.messages || []).map(parseGmailMessage).slice(-5);
+
+        // Explicit business, then the thread's triage tag, then the mailbox it arrived in
+        const cached = this.findTriage(email);
+        const replyBusiness = EMAIL_TONES[business] ? business
+            : cached && EMAIL_TONES[cached.business] ? cached.business
+            : email.mailbox;
+        const voice = EMAIL_TONES[replyBusiness];
+
+        const body = await this.composeReply(email, history, voice, instructions);
+        const references = [email.references, email.messageId].filter(Boolean).join(' ');
+
+        const draft = await this.db.emailDrafts.insert({
+            mailbox: email.mailbox,
+            emailId: email.id,
+            threadId: email.threadId,
+            business: replyBusiness,
+            to: email.replyTo || email.from,
+            cc: null,
+            subject: /^re:/i.test(email.subject) ? email.subject : `Re: ${email.subject}`,
+            body,
+            inReplyTo: email.messageId,
+            references: references || null,
+            instructions: instructions || null,
+            status: 'pending',
+            createdBy: user ? user.id : null
+        });
+        await this.recordDraftActivity(draft, `Reply drafted to ${draft.to}: ${draft.subject}`, user);
+        return draft;
+    }
+
+    recordDraftActivity(draft, action, user) {
+        return this.activityLog.record({ type: 'email', action, business: draft.business, entityType: 'email_draft', entityId: draft.id, userId: user ? user.id : null });
+    }
+
+    async composeReply(email, history, voice, instructions) {
+        const firstName = (email.from.replace(/<.*>/, '').replace(/"/g, '').trim().split(/\s+/)[0]) || 'there';
+
+        if (!this.llm.isAvailable()) {
+            return `Hi ${firstName},\n\nThank you for your email about "${email.subject}". ` +
+                `${instructions || "I'm reviewing it now and will get back to you shortly."}\n\nBest regards,\n${voice.signature}`;
+        }
+
+        const transcript = history
+            .map(m => `From: ${m.from}\nDate: ${m.date}\n\n${(m.body.text || m.snippet).slice(0, 2000)}`)
+            .join('\n\n---\n\n');
+        const completion = await this.llm.complete('drafting', {
+            system: `You draft email replies for Christina Molaison of ${voice.name}. Tone: ${voice.tone}. ` +
+                `Reply to the latest message in the thread. Write only the reply body - no subject line and no quoted history - ` +
+                `and sign off as:\n${voice.signature}`,
+            messages: [{
+                role: 'user',
+                content: `Thread (oldest first):\n\n${transcript}` + (instructions ? `\n\nInstructions for this reply: ${instructions}` : '')
+            }],
+            maxTokens: 700,
+            temperature: 0.5
+        });
+        return completion.text.trim();
+    }
+
+    listDrafts({ status, mailbox } = {}) {
+        return this.db.emailDrafts
+            .find(draft => (!status || draft.status === status) && (!mailbox || draft.mailbox === mailbox))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    getDraft(id) {
+        const draft = this.db.emailDrafts.findById(id);
+        if (!draft) throw new RequestError(404, 'Draft not found');
+        return draft;
+    }
+
+    async updateDraft(id, input) {
+        const draft = this.getDraft(id);
+        if (draft.status !== 'pending') {
+            throw new RequestError(409, `Draft is already ${draft.status}`);
+        }
+        const changes = validateRecord(input, EMAIL_DRAFT_SCHEMA, { partial: true });
+        return this.db.emailDrafts.update(id, changes);
+    }
+
+    // Applies any last edits, sends the reply into the original thread and marks the original read
+    async approveDraft(id, edits = {}, user) {
+        const draft = this.getDraft(id);
+        if (draft.status !== 'pending') {
+            throw new RequestError(409, `Draft is already ${draft.status}`);
+        }
+        const changes = validateRecord(edits, EMAIL_DRAFT_SCHEMA, { partial: true });
+        // Claimed before anything is awaited, so a second approval of the same draft gets a 409 instead of a second send
+        await this.db.emailDrafts.update(id, { ...changes, status: 'sending', approvedBy: user ? user.id : null, approvedAt: new Date().toISOString() });
+
+        try {
+            const sent = await this.mailbox(draft.mailbox).gmail.sendMessage(buildReplyMime(draft), draft.threadId);
+            await this.db.emailDrafts.update(id, { status: 'sent', sentAt: new Date().toISOString(), sentMessageId: sent.id, error: null });
+            await this.recordDraftActivity(draft, `Reply sent to ${draft.to}: ${draft.subject}`, user);
+        } catch (error) {
+            await this.db.emailDrafts.update(id, { status: 'pending', error: error.message });
+            if (error instanceof RequestError) throw error;
+            throw new RequestError(502, `Gmail rejected the reply: ${error.message}`);
+        }
+
+        try {
+            await this.mailbox(draft.mailbox).gmail.modifyMessage(draft.emailId, { addLabelIds: [], removeLabelIds: ['UNREAD'] });
+        } catch (error) {
+            console.error(`Could not mark email ${draft.emailId} as read:`, error.message);
+        }
+        return draft;
+    }
+
+    // New outgoing message (not a reply), e.g. booking confirmations
+    async sendEmail({ mailbox, to, cc, subject, body }) {
+        const sent = await this.mailbox(mailbox).gmail.sendMessage(buildReplyMime({ to, cc, subject, body }));
+        await this.activityLog.record({ type: 'email', action: `Email sent to ${to}: ${subject}`, business: mailbox || null, details: { messageId: sent.id } });
+        return { id: sent.id, threadId: sent.threadId };
+    }
+
+    async rejectDraft(id, reason, user) {
+        const draft = this.getDraft(id);
+        if (draft.status !== 'pending') {
+            throw new RequestError(409, `Draft is already ${draft.status}`);
+        }
+        const rejected = await this.db.emailDrafts.update(id, {
+            status: 'rejected',
+            rejectedBy: user ? user.id : null,
+            rejectionReason: typeof reason === 'string' ? reason : null
+        });
+        await this.recordDraftActivity(rejected, `Draft reply rejected: ${rejected.subject}`, user);
+        return rejected;
+    }
+
+    findTriage(email) {
+        return this.db.emailTriage.findOne(t => t.threadId === email.threadId && (t.mailbox || 'agency') === email.mailbox);
+    }
+
+    // Model classification in batches of 10, with keyword rules for anything the model didn't cover
+    async classifyEmails(emails) {
+        const results = new Map(emails.map(email => [email.id, { ...triageByRules(email), source: 'rules' }]));
+        if (!this.llm.isAvailable()) return results;
+
+        for (let i = 0; i < emails.length; i += 10) {
+            const batch = emails.slice(i, i + 10);
+            try {
+                const completion = await this.llm.complete('triage', {
+                    system: TRIAGE_PROMPT,
+                    messages: [{
+                        role: 'user',
+                        content: JSON.stringify(batch.map(email => ({
+                            id: email.id,
+                            from: email.from,
+                            subject: email.subject,
+                            body: (email.body.text || email.snippet || '').slice(0, 1500)
+                        })))
+                    }],
+                    maxTokens: 150 + 80 * batch.length,
+                    temperature: 0
+                });
+                for (const { id, ...tags } of parseTriageOutput(completion.text)) {
+                    if (results.has(id)) results.set(id, { ...tags, source: completion.provider });
+                }
+            } catch (error) {
+                console.error('Email triage error:', error.message);
+            }
+        }
+        return results;
+    }
+}
+
+// Thin Gmail REST client for one mailbox. A 401 triggers one token refresh and retry.
+class GmailClient {
+    constructor(config, tokens) {
+        this.config = config;
+        this.tokens = tokens;
+    }
+
+    async request(method, resource, { params, data } = {}) {
+        const send = async token => (await axios({
+            method,
+            url: `${this.config.baseUrl}/users/me${resource}`,
+            params,
+            data,
+            // Gmail expects repeated keys (labelIds=A&labelIds=B), not labelIds[]=A
+            paramsSerializer: { indexes: null },
+            headers: { 'Authorization': `Bearer ${token}` }
+        })).data;
+
+        try {
+            try {
+                return await send(await this.tokens.getAccessToken());
+            } catch (error) {
+                // Access tokens can be revoked or expire early; refresh and try once more
+                if (!(error.response && error.response.status === 401)) throw error;
+                return await send(await this.tokens.refreshAccessToken());
+            }
+        } catch (error) {
+            const status = error.response && error.response.status;
+            if (status === 401) throw new RequestError(401, 'Gmail authentication expired');
+            if (status === 404) throw new RequestError(404, 'Email not found');
+            if (status === 409) throw new RequestError(409, 'A label with that name already exists');
+            throw error;
+        }
+    }
+
+    listMessages({ q, labelIds, pageToken, maxResults }) {
+        return this.request('get', '/messages', { params: { q, labelIds, pageToken, maxResults } });
+    }
+
+    getMessage(id) {
+        return this.request('get', `/messages/${encodeURIComponent(id)}`, { params: { format: 'full' } });
+    }
+
+    getThread(id) {
+        return this.request('get', `/threads/${encodeURIComponent(id)}`, { params: { format: 'full' } });
+    }
+
+    // raw is a complete RFC 2822 message; threadId keeps the reply in the original conversation
+    sendMessage(raw, threadId) {
+        return this.request('post', '/messages/send', { data: { raw: Buffer.from(raw).toString('base64url'), threadId } });
+    }
+
+    listLabels() {
+        return this.request('get', '/labels');
+    }
+
+    createLabel(name) {
+        return this.request('post', '/labels', { data: { name, labelListVisibility: 'labelShow', messageListVisibility: 'show' } });
+    }
+
+    modifyMessage(id, { addLabelIds, removeLabelIds }) {
+        return this.request('post', `/messages/${encodeURIComponent(id)}/modify`, { data: { addLabelIds, removeLabelIds } });
+    }
+}
+
+/**
+ * OAuth tokens for the connected Gmail mailboxes, one per business. Tokens are stored AES-256-GCM
+ * encrypted in the data store and refreshed shortly before they expire.
+ */
+class GmailTokenManager {
+    constructor(db, config, encryptionKey) {
+        this.db = db;
+        this.config = config;
+        this.key = encryptionKey;
+        this.refreshing = new Map();
+    }
+
+    // Mailboxes without their secrets, for status pages
+    list() {
+        return this.db.mailboxes.all().map(({ tokens, ...mailbox }) => mailbox);
+    }
+
+    find(business) {
+        return this.db.mailboxes.findOne(m => m.business === business);
+    }
+
+    connectedBusinesses() {
+        return MAILBOX_BUSINESSES.filter(business => {
+            const mailbox = this.find(business);
+            return mailbox && mailbox.status === 'connected';
+        });
+    }
+
+    readTokens(mailbox) {
+        return JSON.parse(decryptSecret(mailbox.tokens, this.key));
+    }
+
+    // Stores a token response from Google; refreshes usually omit refresh_token, so the old one is kept
+    async save(business, tokenResponse, { email, userId } = {}) {
+        const existing = this.find(business);
+        const previous = existing ? this.readTokens(existing) : {};
+        const tokens = {
+            accessToken: tokenResponse.access_token || null,
+            refreshToken: tokenResponse.refresh_token || previous.refreshToken || null
+        };
+
+        const record = {
+            business,
+            email: email || (existing && existing.email) || null,
+            status: 'connected',
+            scopes: tokenResponse.scope ? tokenResponse.scope.split(' ') : (existing && existing.scopes) || [],
+            tokens: encryptSecret(JSON.stringify(tokens), this.key),
+            expiresAt: tokenResponse.expires_in ? new Date(Date.now() + tokenResponse.expires_in * 1000).toISOString() : null,
+            connectedBy: userId || (existing && existing.connectedBy) || null,
+            lastError: null
+        };
+
+        return existing ? this.db.mailboxes.update(existing.id, record) : this.db.mailboxes.insert(record);
+    }
+
+    async getAccessToken(business) {
+        const mailbox = this.find(business);
+        if (!mailbox || mailbox.status !== 'connected') {
+            throw new RequestError(401, `Gmail for ${business} needs to be reconnected`, { mailbox: business });
+        }
+
+        const { accessToken } = this.readTokens(mailbox);
+        const expiresSoon = mailbox.expiresAt && new Date(mailbox.expiresAt).getTime() - Date.now() < this.config.refreshMarginMs;
+        return !accessToken || expiresSoon ? this.refresh(business) : accessToken;
+    }
+
+    // Concurrent callers share a single refresh per mailbox
+    refresh(business) {
+        if (!this.refreshing.has(business)) {
+            this.refreshing.set(business, this.requestRefresh(business).finally(() => this.refreshing.delete(business)));
+        }
+        return this.refreshing.get(business);
+    }
+
+    async requestRefresh(business) {
+        const mailbox = this.find(business);
+        const { refreshToken } = mailbox ? this.readTokens(mailbox) : {};
+        if (!refreshToken) {
+            throw new RequestError(401, `Gmail for ${business} has no refresh token - reconnect the mailbox`, { mailbox: business });
+        }
+
+        try {
+            const response = await axios.post(this.config.tokenUrl, new URLSearchParams({
+                client_id: this.config.clientId || '',
+                client_secret: this.config.clientSecret || '',
+                refresh_token: refreshToken,
+                grant_type: 'refresh_token'
+            }).toString(), {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+            });
+
+            await this.save(business, response.data);
+            await this.db.mailboxes.update(mailbox.id, { lastRefreshedAt: new Date().toISOString() });
+            console.log(`🔄 Refreshed Gmail access token for ${business}`);
+            return response.data.access_token;
+        } catch (error) {
+            // invalid_grant means the refresh token was revoked or expired; only a new consent fixes that
+            if (error.response && error.response.data && error.response.data.error === 'invalid_grant') {
+                await this.db.mailboxes.update(mailbox.id, { status: 'reauth_required', lastError: 'Refresh token revoked or expired' });
+                throw new RequestError(401, `Gmail access for ${business} was revoked - reconnect the mailbox`, { mailbox: business });
+            }
+            throw error;
+        }
+    }
+
+    async exchangeCode(code, redirectUri) {
+        const response = await axios.post(this.config.tokenUrl, new URLSearchParams({
+            client_id: this.config.clientId,
+            client_secret: this.config.clientSecret,
+            code,
+            grant_type: 'authorization_code',
+            redirect_uri: redirectUri
+        }).toString(), {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+        return response.data;
+    }
+
+    async disconnect(business) {
+        const mailbox = this.find(business);
+        if (!mailbox) throw new RequestError(404, `No Gmail mailbox connected for ${business}`);
+
+        const { refreshToken, accessToken } = this.readTokens(mailbox);
+        try {
+            await axios.post(this.config.revokeUrl, new URLSearchParams({ token: refreshToken || accessToken }).toString(), {
+                headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+            });
+        } catch (error) {
+            console.error(`Could not revoke Gmail token for ${business}:`, error.message);
+        }
+        await this.db.mailboxes.remove(mailbox.id);
+    }
+
+    // Tokens from the old .env setup move into the encrypted store once, as the agency mailbox
+    async importLegacyTokens() {
+        if (this.find('agency') || !(this.config.refreshToken || this.config.accessToken)) return;
+
+        await this.save('agency', { access_token: this.config.accessToken, refresh_token: this.config.refreshToken });
+        console.log('🔐 Moved Gmail tokens from the environment into the encrypted store - GMAIL_ACCESS_TOKEN and GMAIL_REFRESH_TOKEN can be removed from .env');
+    }
+}
+
+class CalendarAssistant {
+    constructor(db, config) {
+        this.db = db;
+        this.config = config;
+    }
+
+    // Occurrences between from and to, recurring events expanded; cancelled events only when asked for
+    listEvents({ from, to, business, clientId, includeCancelled = false } = {}) {
+        const range = this.resolveRange(from, to);
+        const occurrences = this.db.events
+            .find(event => (!business || event.business === business) &&
+                (!clientId || event.clientId === clientId) &&
+                (includeCancelled || event.status !== 'cancelled'))
+            .flatMap(event => this.safeExpand(event, range.from, range.to).map(({ start, end }) => ({
+                ...event,
+                eventId: event.id,
+                start: start.toISOString(),
+                end: end.toISOString(),
+                recurring: !!event.recurrence
+            })))
+            .sort((a, b) => a.start.localeCompare(b.start));
+
+        return { from: range.from.toISOString(), to: range.to.toISOString(), timezone: this.config.timezone, events: occurrences };
+    }
+
+    // One bad imported rule shouldn't take the whole calendar down
+    safeExpand(event, from, to) {
+        try {
+            return expandOccurrences(event, from, to);
+        } catch (error) {
+            console.error(`Skipping event ${event.id}: ${error.message}`);
+            return [];
+        }
+    }
+
+    resolveRange(from, to, defaultDays = 7) {
+        const start = from ? parseZonedDate(from, this.config.timezone) : new Date();
+        const end = to ? parseZonedDate(to, this.config.timezone) : new Date(start.getTime() + defaultDays * 86400000);
+        const errors = [];
+        if (Number.isNaN(start.getTime())) errors.push('from must be a valid date');
+        if (Number.isNaN(end.getTime())) errors.push('to must be a valid date');
+        else if (end <= start) errors.push('to must be after from');
+        else if (end - start > 366 * 86400000) errors.push('range can be at most a year');
+        if (errors.length) throw new RequestError(400, 'Validation failed', errors);
+        return { from: start, to: end };
+    }
+
+    getEvent(id) {
+        const event = this.db.events.findById(id);
+        if (!event) throw new RequestError(404, 'Event not found');
+        return event;
+    }
+
+    // Local times without an offset ("2026-10-20T09:00") are read in the event's timezone
+    normalizeEventInput(input, existing) {
+        const timezone = input.timezone || (existing && existing.timezone) || this.config.timezone;
+        if (!isValidTimeZone(timezone)) {
+            throw new RequestError(400, 'Validation failed', [`Unknown timezone: ${timezone}`]);
+        }
+
+        const data = { ...input, timezone };
+        for (const field of ['start', 'end']) {
+            if (typeof data[field] === 'string') {
+                const date = parseZonedDate(data[field], timezone);
+                if (!Number.isNaN(date.getTime())) data[field] = date.toISOString();
+            }
+        }
+        if (data.recurrence) parseRRule(data.recurrence);
+        return data;
+    }
+
+    async scheduleEvent(input) {
+        const data = validateRecord(this.normalizeEventInput(input), EVENT_SCHEMA);
+        const start = new Date(data.start);
+        const end = data.end ? new Date(data.end) : new Date(start.getTime() + (data.durationMinutes || 30) * 60 * 1000);
+
+        if (end <= start) {
+            throw new RequestError(400, 'Validation failed', ['end must be after start']);
+        }
+
+        const { durationMinutes, ...event } = data;
+        const created = await this.db.events.insert({
+            business: 'personal',
+            attendees: [],
+            status: 'confirmed',
+            transparency: 'busy',
+            exdates: [],
+            ...event,
+            end: end.toISOString()
+        });
+        return this.db.events.update(created.id, { uid: created.uid || `${created.id}@molaison` });
+    }
+
+    async updateEvent(id, input) {
+        const existing = this.getEvent(id);
+        const data = validateRecord(this.normalizeEventInput(input, existing), EVENT_SCHEMA, { partial: true });
+        const { durationMinutes, ...changes } = data;
+
+        // Moving the start keeps the event's length unless a new end or duration is given
+        const start = new Date(changes.start || existing.start);
+        const length = durationMinutes ? durationMinutes * 60 * 1000 : new Date(existing.end) - new Date(existing.start);
+        const end = changes.end ? new Date(changes.end) : changes.start || durationMinutes ? new Date(start.getTime() + length) : new Date(existing.end);
+
+        if (end <= start) {
+            throw new RequestError(400, 'Validation failed', ['end must be after start']);
+        }
+        return this.db.events.update(id, { ...changes, end: end.toISOString() });
+    }
+
+    // With an occurrence start, only that occurrence of a recurring event is removed
+    async deleteEvent(id, { occurrence } = {}) {
+        const event = this.getEvent(id);
+        if (occurrence && event.recurrence) {
+            const date = new Date(occurrence);
+            if (Number.isNaN(date.getTime())) {
+                throw new RequestError(400, 'Validation failed', ['occurrence must be a valid date']);
+            }
+            return this.db.events.update(id, { exdates: [...(event.exdates || []), date.toISOString()] });
+        }
+
+        await this.db.events.remove(id);
+        return null;
+    }
+
+    // Busy time across every business calendar unless one is named; events marked free and cancelled events don't count
+    freeBusy({ from, to, business, excludeEventId } = {}) {
+        const { events, ...range } = this.listEvents({ from, to, business });
+        const busy = mergeIntervals(events
+            .filter(event => event.transparency !== 'free' && event.eventId !== excludeEventId)
+            .map(event => ({ start: new Date(event.start), end: new Date(event.end) })));
+
+        return { ...range, busy: busy.map(({ start, end }) => ({ start: start.toISOString(), end: end.toISOString() })) };
+    }
+
+    /**
+     * Open slots of durationMinutes on the step grid inside availability windows (working hours by default).
+     * Chat proposals are capped at perDay and don't overlap, so they're spread across the range; booking
+     * pages ask for every free grid slot instead.
+     */
+    findSlots({
+        durationMinutes = 30, from, to, business, limit = 5, perDay = 2, overlapping = false, excludeEventId,
+        bufferMinutes = this.config.bufferMinutes, timezone = this.config.timezone,
+        windows = [{ days: this.config.workingDays, ...this.config.workingHours }]
+    } = {}) {
+        const duration = Number(durationMinutes);
+        if (!Number.isFinite(duration) || duration < 5 || duration > 8 * 60) {
+            throw new RequestError(400, 'Validation failed', ['durationMinutes must be between 5 and 480']);
+        }
+
+        const range = this.resolveRange(from, to, 14);
+        const buffer = Number(bufferMinutes || 0) * 60 * 1000;
+        const busy = this.freeBusy({ from: range.from.toISOString(), to: range.to.toISOString(), business, excludeEventId }).busy
+            .map(({ start, end }) => ({ start: new Date(start).getTime() - buffer, end: new Date(end).getTime() + buffer }));
+
+        const step = this.config.slotStepMinutes * 60 * 1000;
+        const length = duration * 60 * 1000;
+        const slots = [];
+
+        const first = zonedParts(range.from, timezone);
+        for (let day = addCalendarDays(first, 0); slots.length < limit; day = addCalendarDays(day, 1)) {
+            if (zonedTimeToUtc(day, timezone).getTime() >= range.to.getTime()) break;
+            let taken = 0;
+
+            for (const window of windows.filter(w => w.days.includes(day.weekday))) {
+                const [openHour, openMinute] = window.start.split(':').map(Number);
+                const [closeHour, closeMinute] = window.end.split(':').map(Number);
+                const open = zonedTimeToUtc({ ...day, hour: openHour, minute: openMinute }, timezone).getTime();
+                const close = Math.min(zonedTimeToUtc({ ...day, hour: closeHour, minute: closeMinute }, timezone).getTime(), range.to.getTime());
+
+                // First grid point at or after the range start
+                for (let cursor = open + Math.max(0, Math.ceil((range.from.getTime() - open) / step)) * step;
+                    cursor + length <= close && taken < perDay && slots.length < limit; cursor += step) {
+                    const end = cursor + length;
+                    if (busy.some(interval => interval.start < end && interval.end > cursor)) continue;
+
+                    slots.push({ start: new Date(cursor).toISOString(), end: new Date(end).toISOString(), label: formatInZone(cursor, timezone) });
+                    taken++;
+                    if (!overlapping) cursor = open + Math.ceil((end - open) / step) * step - step;
+                }
+            }
+        }
+
+        return { from: range.from.toISOString(), to: range.to.toISOString(), timezone, durationMinutes: duration, slots };
+    }
+
+    /**
+     * Imports the events of an .ics document. Events are matched on UID, so re-importing the same feed
+     * updates instead of duplicating. Recurrences this calendar can't expand are imported as single events.
+     */
+    async importICS(text, { business = 'personal' } = {}) {
+        if (!/BEGIN:VCALENDAR/i.test(String(text || ''))) {
+            throw new RequestError(400, 'Not an iCalendar document');
+        }
+        const parsed = parseICS(text, this.config.timezone);
+
+        const result = { created: 0, updated: 0, skipped: [], warnings: [] };
+        for (const item of parsed) {
+            if (!item.start || Number.isNaN(item.start.getTime())) {
+                result.skipped.push({ uid: item.uid, reason: 'missing or invalid DTSTART' });
+                continue;
+            }
+
+            const end = item.end && !Number.isNaN(item.end.getTime()) ? item.end
+                : new Date(item.start.getTime() + (item.durationMs != null ? item.durationMs : item.allDay ? 86400000 : 0));
+            let recurrence = item.recurrence;
+            if (recurrence) {
+                try {
+                    parseRRule(recurrence);
+                } catch (error) {
+                    result.warnings.push({ uid: item.uid, warning: `Imported first occurrence only: ${error.details.join('; ')}` });
+                    recurrence = undefined;
+                }
+            }
+
+            const event = {
+                uid: item.uid || `${uuidv4()}@import`,
+                title: (item.title || '(No title)').slice(0, 300),
+                start: item.start.toISOString(),
+                end: (end > item.start ? end : new Date(item.start.getTime() + 30 * 60000)).toISOString(),
+                allDay: item.allDay,
+                timezone: item.timezone || this.config.timezone,
+                recurrence,
+                exdates: item.exdates.filter(date => !Number.isNaN(date.getTime())).map(date => date.toISOString()),
+                status: ['confirmed', 'tentative', 'cancelled'].includes(item.status) ? item.status : 'confirmed',
+                transparency: item.transparency || 'busy',
+                location: item.location,
+                notes: item.notes && item.notes.slice(0, 5000),
+                attendees: item.attendees || []
+            };
+
+            const existing = this.db.events.findOne(e => e.uid === event.uid);
+            if (existing) {
+                await this.db.events.update(existing.id, event);
+                result.updated++;
+            } else {
+                await this.db.events.insert({ business, source: 'ics', ...event });
+                result.created++;
+            }
+        }
+        return result;
+    }
+
+    exportICS({ business } = {}) {
+        const events = this.db.events.find(event => !business || event.business === business);
+        const name = CALENDAR_NAMES[business] || 'Molaison Calendar';
+        return buildICS(events, { name, timeZone: this.config.timezone });
+    }
+
+    async handleRequest(intent, message) {
+        const lower = message.toLowerCase();
+        const range = parseDateRange(message, this.config.timezone);
+        const entities = intent.entities || {};
+
+        if (/\b(find|free|open|available|availability|slots?)\b/.test(lower) || parseDurationMinutes(message)) {
+            const durationMinutes = parseDurationMinutes(message) || 30;
+            const { slots } = this.findSlots({ durationMinutes, from: range.from.toISOString(), to: range.to.toISOString() });
+            const who = entities.clientName ? ` with ${entities.clientName}` : '';
+
+            if (slots.length === 0) {
+                return `I couldn't find ${durationMinutes} free minutes${who} ${range.label} during working hours.`;
+            }
+            return {
+                response: `Here are ${slots.length} open ${durationMinutes}-minute slot${slots.length === 1 ? '' : 's'}${who} ${range.label} (${this.config.timezone}):\n` +
+                    slots.map(slot => `• ${slot.label}`).join('\n'),
+                slots: slots.map(slot => ({ ...slot, clientId: entities.clientId }))
+            };
+        }
+
+        if (/\b(what'?s|what is|show|list|agenda|on my calendar|my schedule|my day|my week)\b/.test(lower)) {
+            const { events } = this.listEvents({ from: range.from.toISOString(), to: range.to.toISOString() });
+            if (events.length === 0) return `Your calendar is clear ${range.label}.`;
+
+            return `You have ${events.length} event${events.length === 1 ? '' : 's'} ${range.label}:\n` +
+                events.map(event => `• ${formatInZone(event.start, this.config.timezone)} — ${event.title}${event.business !== 'personal' ? ` [${event.business}]` : ''}`).join('\n');
+        }
+
+        return `I can help you schedule appointments, find open time and manage your calendar across both businesses. Try "find 30 minutes with the Jones client next week" or "what's on my calendar tomorrow".`;
+    }
+}
+
+/**
+ * Client appointment booking for the agency: public booking links with availability windows, appointments
+ * checked against the calendar, confirmation and reminder emails, and signed links clients use to reschedule
+ * or cancel. Every booking is tied to an agency lead, matched on email or phone.
+ */
+class BookingManager {
+    constructor(db, calendar, emailManager, leadManager, config) {
+        this.db = db;
+        this.calendar = calendar;
+        this.emailManager = emailManager;
+        this.leadManager = leadManager;
+        this.config = config;
+        this.queue = Promise.resolve();
+    }
+
+    // Bookings, reschedules and cancellations run one at a time, so two requests for a slot can't both pass the
+    // conflict check and a cancellation can't interleave with a move of the same appointment
+    exclusive(work) {
+        const run = this.queue.catch(() => {}).then(work);
+        this.queue = run;
+        return run;
+    }
+
+    listLinks() {
+        return this.db.agency.bookingLinks.all();
+    }
+
+    getLink(id) {
+        const link = this.db.agency.bookingLinks.findById(id);
+        if (!link) throw new RequestError(404, 'Booking link not found');
+        return link;
+    }
+
+    findActiveLink(slug) {
+        const link = this.db.agency.bookingLinks.findOne(l => l.slug === slug && l.active);
+        if (!link) throw new RequestError(404, 'Booking link not found');
+        return link;
+    }
+
+    async createLink(input, user) {
+        const data = validateRecord(input, BOOKING_LINK_SCHEMA);
+        const slug = data.slug || slugify(data.title);
+        if (!BOOKING_SLUG.test(slug)) {
+            throw new RequestError(400, 'Validation failed', ['slug may only contain lowercase letters, digits and dashes']);
+        }
+        if (this.db.agency.bookingLinks.findOne(l => l.slug === slug)) {
+            throw new RequestError(409, `A booking link with slug "${slug}" already exists`);
+        }
+
+        return this.db.agency.bookingLinks.insert({
+            durationMinutes: 30,
+            active: true,
+            ...data,
+            slug,
+            availability: this.normalizeAvailability(input.availability),
+            createdBy: user ? user.id : null
+        });
+    }
+
+    async updateLink(id, input) {
+        const link = this.getLink(id);
+        const data = validateRecord(input, BOOKING_LINK_SCHEMA, { partial: true });
+        if (data.slug && !BOOKING_SLUG.test(data.slug)) {
+            throw new RequestError(400, 'Validation failed', ['slug may only contain lowercase letters, digits and dashes']);
+        }
+        if (data.slug && data.slug !== link.slug && this.db.agency.bookingLinks.findOne(l => l.slug === data.slug)) {
+            throw new RequestError(409, `A booking link with slug "${data.slug}" already exists`);
+        }
+
+        const changes = input.availability ? { ...data, availability: this.normalizeAvailability(input.availability, link.availability) } : data;
+        return this.db.agency.bookingLinks.update(id, changes);
+    }
+
+    async deleteLink(id) {
+        this.getLink(id);
+        await this.db.agency.bookingLinks.remove(id);
+    }
+
+    // Fills in defaults and checks the windows ({ days: [1-5], start: "09:00", end: "12:00" }) are usable
+    normalizeAvailability(input = {}, current = {}) {
+        const availability = { ...this.config.defaultAvailability, ...current, ...input };
+        const errors = [];
+
+        if (!isValidTimeZone(availability.timezone)) errors.push(`Unknown timezone: ${availability.timezone}`);
+        if (!Array.isArray(availability.windows) || availability.windows.length === 0) {
+            errors.push('availability.windows must list at least one window');
+        } else {
+            availability.windows.forEach((window, index) => {
+                const time = /^([01]\d|2[0-3]):[0-5]\d$/;
+                if (!Array.isArray(window.days) || !window.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+                    errors.push(`windows[${index}].days must be weekday numbers 0 (Sunday) to 6`);
+                }
+                if (!time.test(window.start) || !time.test(window.end) || window.start >= window.end) {
+                    errors.push(`windows[${index}] needs start and end as HH:MM with start before end`);
+                }
+            });
+        }
+        for (const field of ['minNoticeHours', 'maxDaysAhead', 'bufferMinutes']) {
+            if (!Number.isFinite(availability[field]) || availability[field] < 0) errors.push(`availability.${field} must be a non-negative number`);
+        }
+
+        if (errors.length) throw new RequestError(400, 'Validation failed', errors);
+        return {
+            timezone: availability.timezone,
+            windows: availability.windows.map(({ days, start, end }) => ({ days, start, end })),
+            minNoticeHours: availability.minNoticeHours,
+            maxDaysAhead: availability.maxDaysAhead,
+            bufferMinutes: availability.bufferMinutes
+        };
+    }
+
+    publicLink(link) {
+        const { slug, title, description, durationMinutes, availability } = link;
+        return { slug, title, description, durationMinutes, timezone: availability.timezone };
+    }
+
+    // Open slots for a link, clamped to its notice period and booking horizon
+    availability(link, { from, to, excludeEventId } = {}) {
+        const { timezone, windows, minNoticeHours, maxDaysAhead, bufferMinutes } = link.availability;
+        const earliest = new Date(Date.now() + minNoticeHours * 3600000);
+        const latest = new Date(Date.now() + maxDaysAhead * 86400000);
+        const start = from ? parseZonedDate(from, timezone) : earliest;
+        const end = to ? parseZonedDate(to, timezone) : new Date(Math.min(latest, earliest.getTime() + 14 * 86400000));
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+            throw new RequestError(400, 'Validation failed', ['from and to must be valid dates']);
+        }
+
+        const rangeStart = new Date(Math.max(start, earliest));
+        const rangeEnd = new Date(Math.min(end, latest));
+        if (rangeEnd <= rangeStart) return { timezone, durationMinutes: link.durationMinutes, slots: [] };
+
+        return this.calendar.findSlots({
+            durationMinutes: link.durationMinutes,
+            from: rangeStart.toISOString(),
+            to: rangeEnd.toISOString(),
+            windows,
+            timezone,
+            bufferMinutes,
+            excludeEventId,
+            overlapping: true,
+            perDay: Infinity,
+            limit: 500
+        });
+    }
+
+    listAppointments({ status, from, to, leadId } = {}) {
+        const { timezone } = this.calendar.config;
+        const start = from ? parseZonedDate(from, timezone) : null;
+        const end = to ? parseZonedDate(to, timezone) : null;
+        if ((start && Number.isNaN(start.getTime())) || (end && Number.isNaN(end.getTime()))) {
+            throw new RequestError(400, 'Validation failed', ['from and to must be valid dates']);
+        }
+
+        return this.db.agency.appointments
+            .find(a => (!status || a.status === status) &&
+                (!leadId || a.leadId === leadId) &&
+                (!start || a.start >= start.toISOString()) &&
+                (!end || a.start < end.toISOString()))
+            .sort((a, b) => a.start.localeCompare(b.start));
+    }
+
+    getAppointment(id) {
+        const appointment = this.db.agency.appointments.findById(id);
+        if (!appointment) throw new RequestError(404, 'Appointment not found');
+        return appointment;
+    }
+
+    /**
+     * Books an appointment. Through a link the time must be one of the link's open slots; staff booking
+     * without a link only has to avoid calendar conflicts.
+     */
+    async book(input) {
+        const appointment = await this.exclusive(() => this.createBooking(input));
+        await this.notify(appointment, 'confirmation');
+        return appointment;
+    }
+
+    async createBooking({ link, start, durationMinutes, source = 'booking_link', user, ...input }) {
+        const contact = validateRecord(input, BOOKING_SCHEMA);
+        const timezone = link ? link.availability.timezone : this.calendar.config.timezone;
+        const startDate = parseZonedDate(start, timezone);
+        if (!start || Number.isNaN(startDate.getTime())) {
+            throw new RequestError(400, 'Validation failed', ['start must be a valid date']);
+        }
+        const length = (link ? link.durationMinutes : Number(durationMinutes) || 30) * 60000;
+        const endDate = new Date(startDate.getTime() + length);
+
+        this.assertBookable(link, startDate, endDate);
+
+        const lead = await this.linkLead(contact);
+        const title = `${link ? link.title : 'Appointment'}: ${contact.name}`;
+        const event = await this.calendar.scheduleEvent({
+            title,
+            start: startDate.toISOString(),
+            end: endDate.toISOString(),
+            timezone,
+            business: 'agency',
+            clientId: lead.clientId || undefined,
+            attendees: [`${contact.name} <${contact.email}>`],
+            notes: contact.notes
+        });
+
+        const appointment = await this.db.agency.appointments.insert({
+            bookingLinkId: link ? link.id : null,
+            title,
+            ...contact,
+            leadId: lead.id,
+            clientId: lead.clientId || null,
+            eventId: event.id,
+            start: startDate.toISOString(),
+            end: endDate.toISOString(),
+            timezone,
+            status: 'confirmed',
+            source,
+            bookedBy: user ? user.id : null,
+            tokenNonce: crypto.randomBytes(8).toString('hex'),
+            reminders: this.scheduleReminders(startDate),
+            notifications: [],
+            history: [{ action: 'booked', at: new Date().toISOString(), by: user ? user.id : 'client' }]
+        });
+
+        await this.db.agency.leads.update(lead.id, {
+            appointmentIds: [...(lead.appointmentIds || []), appointment.id],
+            lastActivityAt: new Date().toISOString()
+        });
+        return appointment;
+    }
+
+    async reschedule(appointment, start, options) {
+        const updated = await this.exclusive(() => this.moveBooking(appointment.id, start, options));
+        await this.notify(updated, 'rescheduled');
+        return updated;
+    }
+
+    // Re-read inside the queue: a cancellation or move queued ahead of this one may have changed the appointment
+    async moveBooking(id, start, { user } = {}) {
+        const appointment = this.getAppointment(id);
+        if (appointment.status !== 'confirmed') {
+            throw new RequestError(409, `Appointment is ${appointment.status}`);
+        }
+
+        const link = appointment.bookingLinkId ? this.db.agency.bookingLinks.findById(appointment.bookingLinkId) : null;
+        const startDate = parseZonedDate(start, appointment.timezone);
+        if (!start || Number.isNaN(startDate.getTime())) {
+            throw new RequestError(400, 'Validation failed', ['start must be a valid date']);
+        }
+        const endDate = new Date(startDate.getTime() + (new Date(appointment.end) - new Date(appointment.start)));
+
+        this.assertBookable(link, startDate, endDate, appointment.eventId);
+        await this.calendar.updateEvent(appointment.eventId, { start: startDate.toISOString(), end: endDate.toISOString() });
+
+        const updated = await this.db.agency.appointments.update(appointment.id, {
+            start: startDate.toISOString(),
+            end: endDate.toISOString(),
+            reminders: this.scheduleReminders(startDate),
+            history: [...appointment.history, { action: 'rescheduled', from: appointment.start, at: new Date().toISOString(), by: user ? user.id : 'client' }]
+        });
+        return updated;
+    }
+
+    async cancel(appointment, options) {
+        const updated = await this.exclusive(() => this.cancelBooking(appointment.id, options));
+        await this.notify(updated, 'cancellation');
+        return updated;
+    }
+
+    async cancelBooking(id, { reason, user } = {}) {
+        const appointment = this.getAppointment(id);
+        if (appointment.status !== 'confirmed') {
+            throw new RequestError(409, `Appointment is already ${appointment.status}`);
+        }
+
+        if (this.db.events.findById(appointment.eventId)) {
+            await this.calendar.updateEvent(appointment.eventId, { status: 'cancelled' });
+        }
+        const updated = await this.db.agency.appointments.update(appointment.id, {
+            status: 'cancelled',
+            cancelledAt: new Date().toISOString(),
+            cancellationReason: typeof reason === 'string' ? reason.slice(0, 1000) : null,
+            history: [...appointment.history, { action: 'cancelled', at: new Date().toISOString(), by: user ? user.id : 'client' }]
+        });
+        return updated;
+    }
+
+    // Conflicts are 409s; times that are free but outside the link's windows are 400s
+    assertBookable(link, start, end, excludeEventId) {
+        const conflicts = this.calendar.freeBusy({ from: start.toISOString(), to: end.toISOString(), excludeEventId }).busy;
+        if (conflicts.length > 0) {
+            throw new RequestError(409, 'That time is no longer available', { conflicts });
+        }
+        if (!link) return;
+
+        const { slots } = this.availability(link, { from: start.toISOString(), to: end.toISOString(), excludeEventId });
+        if (!slots.some(slot => slot.start === start.toISOString())) {
+            throw new RequestError(400, 'That time is outside the booking link\'s availability');
+        }
+    }
+
+    // Existing lead with the same email or phone, otherwise a new one; either way linked to a matching client.
+    // The appointment itself is what counts toward the lead's score, so it isn't logged as an inquiry.
+    async linkLead({ name, email, phone }) {
+        const { lead } = await this.leadManager.captureLead({ name, email, phone, source: 'booking' }, { inquiry: false });
+        return lead;
+    }
+
+    // Manage tokens are "<appointment id>.<HMAC>", so reminders can include the link without storing it
+    manageToken(appointment) {
+        const signature = crypto.createHmac('sha256', this.config.secret)
+            .update(`booking:${appointment.id}:${appointment.tokenNonce}`)
+            .digest('base64url');
+        return `${appointment.id}.${signature}`;
+    }
+
+    findByToken(token) {
+        const [id, signature] = String(token || '').split('.');
+        const appointment = id && this.db.agency.appointments.findById(id);
+        const expected = appointment ? Buffer.from(this.manageToken(appointment).split('.')[1]) : null;
+        const given = Buffer.from(signature || '');
+
+        if (!expected || expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+            throw new RequestError(404, 'Booking not found');
+        }
+        return appointment;
+    }
+
+    manageUrl(appointment) {
+        return `${this.config.publicUrl}/book/manage/${this.manageToken(appointment)}`;
+    }
+
+    publicAppointment(appointment) {
+        const { id, title, name, start, end, timezone, status } = appointment;
+        const link = appointment.bookingLinkId ? this.db.agency.bookingLinks.findById(appointment.bookingLinkId) : null;
+        return { id, title, name, start, end, timezone, status, slug: link ? link.slug : null, when: formatInZone(start, timezone, BOOKING_TIME_FORMAT) };
+    }
+
+    scheduleReminders(start) {
+        return this.config.reminderHours
+            .map(hours => ({ hoursBefore: hours, sendAt: new Date(start.getTime() - hours * 3600000).toISOString(), sentAt: null }))
+            .filter(reminder => reminder.sendAt > new Date().toISOString());
+    }
+
+    // Emails the client from the agency mailbox; the outcome is kept on the appointment either way
+    async notify(appointment, kind) {
+        const message = bookingMessage(kind, appointment, this.manageUrl(appointment));
+        const entry = { kind, channel: 'email', to: appointment.email, subject: message.subject, at: new Date().toISOString() };
+
+        try {
+            await this.emailManager.sendEmail({ mailbox: 'agency', to: appointment.email, ...message });
+            entry.status = 'sent';
+        } catch (error) {
+            entry.status = error instanceof RequestError && error.status === 401 ? 'skipped' : 'failed';
+            entry.error = error.message;
+            console.error(`Booking ${kind} for ${appointment.id} not sent: ${error.message}`);
+        }
+
+        const current = this.db.agency.appointments.findById(appointment.id);
+        await this.db.agency.appointments.update(appointment.id, { notifications: [...current.notifications, entry] });
+        return entry;
+    }
+
+    async sendDueReminders(now = new Date()) {
+        const due = this.db.agency.appointments.find(a => a.status === 'confirmed' && a.start > now.toISOString() &&
+            a.reminders.some(r => !r.sentAt && r.sendAt <= now.toISOString()));
+
+        for (const appointment of due) {
+            // Only the closest due reminder goes out; an older one that was missed is skipped with it
+            const reminders = appointment.reminders.map(r => !r.sentAt && r.sendAt <= now.toISOString() ? { ...r, sentAt: now.toISOString() } : r);
+            await this.db.agency.appointments.update(appointment.id, { reminders });
+            await this.notify(appointment, 'reminder');
+        }
+        return due.length;
+    }
+}
+
+/**
+ * Calls and text messages through Twilio from TWILIO_PHONE_NUMBER. Outbound and inbound activity is logged
+ * in `calls` and `smsMessages`, each linked to the client (or agency lead) with the matching phone number;
+ * texts are grouped into threads by the other party's number.
+ *
+ * Calls with a `purpose` are run by a voice agent from a generated script: either turn by turn over TwiML
+ * <Gather>, or handed to Vapi. The outcome and a summary are written back to the client or lead.
+ */
+class PhoneAssistant {
+    constructor(db, twilioConfig, { vapiConfig, agentConfig, llm, taskManager, activityLog }) {
+        this.db = db;
+        this.config = twilioConfig;
+        this.vapiConfig = vapiConfig;
+        this.agentConfig = agentConfig;
+        this.llm = llm;
+        this.taskManager = taskManager;
+        this.activityLog = activityLog;
+        this.twilio = new TwilioClient(twilioConfig);
+        this.vapi = new VapiClient(vapiConfig);
+    }
+
+    ensureConfigured() {
+        const { accountSid, authToken, phoneNumber } = this.config;
+        if (!accountSid || !authToken) throw new RequestError(503, 'Twilio is not configured');
+        if (!toE164(phoneNumber)) throw new RequestError(503, 'TWILIO_PHONE_NUMBER is not configured');
+        return toE164(phoneNumber);
+    }
+
+    webhook(route) {
+        return `${this.config.webhookUrl}/twilio/${route}`;
+    }
+
+    // The client and lead whose phone number matches; numbers are compared in E.164 form
+    findContact(number) {
+        const matches = record => record.phone && toE164(record.phone) === number;
+        const client = this.db.clients.findOne(matches);
+        const lead = this.db.agency.leads.findOne(matches);
+        return { clientId: client ? client.id : null, leadId: lead ? lead.id : null };
+    }
+
+    // Outbound messages go to `to` or, failing that, the phone number on the client (or lead) record
+    resolveRecipient({ to, clientId, leadId }) {
+        const client = clientId ? this.db.clients.findById(clientId) : null;
+        if (clientId && !client) throw new RequestError(404, 'Client not found');
+        const lead = leadId ? this.db.agency.leads.findById(leadId) : null;
+        if (leadId && !lead) throw new RequestError(404, 'Lead not found');
+
+        const contact = client || lead;
+        const number = toE164(to || (contact && contact.phone));
+        if (!number) {
+            throw new RequestError(400, contact && !to ? `${contact.name} has no valid phone number` : 'to must be a valid phone number');
+        }
+        return {
+            number,
+            ...this.findContact(number),
+            ...(client ? { clientId: client.id } : {}),
+            ...(lead ? { leadId: lead.id } : {})
+        };
+    }
+
+    // Plain calls read `message` to whoever answers; calls with a `purpose` go to the voice agent
+    async makeCall({ to, clientId, leadId, message, purpose, details, notes, backend } = {}, user) {
+        if (purpose) return this.startAgentCall({ to, clientId, leadId, purpose, details, notes, backend }, user);
+
+        const from = this.ensureConfigured();
+        const recipient = this.resolveRecipient({ to, clientId, leadId });
+        if (!message || !String(message).trim()) throw new RequestError(400, 'message is required');
+
+        const result = await this.twilio.createCall({
+            To: recipient.number,
+            From: from,
+            Twiml: buildTwiML(this.say(message)),
+            StatusCallback: this.webhook('voice/status'),
+            StatusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed']
+        });
+
+        const call = await this.db.calls.insert({
+            sid: result.sid,
+            direction: 'outbound',
+            from,
+            to: recipient.number,
+            number: recipient.number,
+            clientId: recipient.clientId,
+            leadId: recipient.leadId,
+            status: result.status || 'queued',
+            message: String(message).trim(),
+            durationSeconds: null,
+            recordingUrl: null,
+            endedAt: null,
+            createdBy: user ? user.id : null
+        });
+        await this.recordActivity('call', call, `Call placed to ${this.contactLabel(call)}`, user);
+        return call;
+    }
+
+    // The client or lead on a call or text, else the number
+    contactLabel({ clientId, leadId, number }) {
+        const lead = leadId ? this.db.agency.leads.findById(leadId) : null;
+        return this.clientName(clientId) || (lead && lead.name) || number;
+    }
+
+    recordActivity(type, record, action, user, { business = null, details = null } = {}) {
+        const client = record.clientId ? this.db.clients.findById(record.clientId) : null;
+        return this.activityLog.record({
+            type,
+            action,
+            business: business || (client ? client.business : record.leadId ? 'agency' : null),
+            entityId: record.id,
+            userId: user ? user.id : null,
+            details
+        });
+    }
+
+    // The client or lead a scripted call is about
+    findCallContact({ clientId, leadId }) {
+        if (!clientId && !leadId) throw new RequestError(400, 'clientId or leadId is required');
+
+        const record = clientId ? this.db.clients.findById(clientId) : this.db.agency.leads.findById(leadId);
+        if (!record) throw new RequestError(404, clientId ? 'Client not found' : 'Lead not found');
+
+        const name = record.contactName || record.name || 'there';
+        return { type: clientId ? 'client' : 'lead', id: record.id, name, firstName: name.split(/\s+/)[0], company: record.company || null };
+    }
+
+    /**
+     * Call script for a purpose (see CALL_PURPOSES) built from the client or lead record. A configured model
+     * rewrites the template lines to fit the record and notes; without one, or if its answer can't be
+     * used, the template is the script.
+     */
+    async buildScript({ clientId, leadId, purpose, details = {}, notes } = {}) {
+        const template = CALL_PURPOSES[purpose];
+        if (!template) throw new RequestError(400, `purpose must be one of: ${Object.keys(CALL_PURPOSES).join(', ')}`);
+
+        const contact = this.findCallContact({ clientId, leadId });
+        const script = {
+            purpose,
+            label: template.label,
+            business: template.business,
+            contact,
+            ...template.script(contact, details || {}, this.config.phoneNumber),
+            notes: notes || null,
+            generatedBy: 'template'
+        };
+
+        if (!this.llm || !this.llm.isAvailable()) return script;
+        try {
+            const completion = await this.llm.complete('drafting', {
+                system: 'You write short, friendly phone scripts for an assistant calling on behalf of Christina Molaison. ' +
+                    'Lines are spoken aloud, so keep each to one or two plain sentences with no lists or symbols. Reply with JSON ' +
+                    'using the same keys you are given and nothing else. Never promise prices or coverage.',
+                messages: [{
+                    role: 'user',
+                    content: JSON.stringify({
+                        purpose: template.label,
+                        contact: { name: contact.name, company: contact.company },
+                        notes: notes || '',
+                        lines: { opening: script.opening, reason: script.reason, question: script.question, voicemail: script.voicemail }
+                    })
+                }],
+                maxTokens: 400,
+                temperature: 0.5
+            });
+            const lines = parseCallScriptOutput(completion.text);
+            return lines ? { ...script, ...lines, generatedBy: completion.provider } : script;
+        } catch (error) {
+            console.error('Call script generation failed, using template:', error.message);
+            return script;
+        }
+    }
+
+    async startAgentCall({ to, clientId, leadId, purpose, details, notes, backend = this.agentConfig.backend }, user) {
+        if (!['twilio', 'vapi'].includes(backend)) throw new RequestError(400, 'backend must be twilio or vapi');
+        const from = backend === 'twilio' ? this.ensureConfigured() : this.ensureVapiConfigured();
+        const recipient = this.resolveRecipient({ to, clientId, leadId });
+        const script = await this.buildScript({ clientId, leadId, purpose, details, notes });
+
+        // The log entry comes first so its id can go into the webhook URLs
+        const call = await this.db.calls.insert({
+            sid: null,
+            direction: 'outbound',
+            mode: 'agent',
+            backend,
+            from,
+            to: recipient.number,
+            number: recipient.number,
+            clientId: recipient.clientId,
+            leadId: recipient.leadId,
+            status: 'initiating',
+            purpose,
+            script,
+            stage: 'dialing',
+            retries: 0,
+            transcript: [],
+            outcome: null,
+            callbackRequest: null,
+            callbackDate: null,
+            summary: null,
+            followUpTaskId: null,
+            message: null,
+            durationSeconds: null,
+            recordingUrl: null,
+            endedAt: null,
+            createdBy: user ? user.id : null
+        });
+
+        try {
+            const result = backend === 'twilio'
+                ? await this.twilio.createCall({
+                    To: recipient.number,
+                    From: from,
+                    Url: this.webhook(`voice/agent/${call.id}`),
+                    // Lets the agent tell people from answering machines, and wait for the beep before a voicemail
+                    MachineDetection: 'DetectMessageEnd',
+                    StatusCallback: this.webhook('voice/status'),
+                    StatusCallbackEvent: ['initiated', 'ringing', 'answered', 'completed']
+                })
+                : await this.vapi.createCall({
+                    phoneNumberId: this.vapiConfig.phoneNumberId,
+                    customer: { number: recipient.number, name: script.contact.name },
+                    assistant: buildVapiAssistant(script, {
+                        model: this.vapiConfig.model,
+                        serverUrl: `${this.config.webhookUrl}/vapi/events`,
+                        secret: this.vapiConfig.webhookSecret
+                    }),
+                    metadata: { callId: call.id }
+                });
+            const placed = await this.db.calls.update(call.id, { sid: result.sid || result.id, status: result.status || 'queued' });
+            await this.recordActivity('call', placed, `${script.label} call placed to ${script.contact.name}`, user, { business: script.business, details: { purpose, backend } });
+            return placed;
+        } catch (error) {
+            await this.db.calls.update(call.id, { status: 'failed', stage: 'done', error: error.message });
+            throw error;
+        }
+    }
+
+    ensureVapiConfigured() {
+        const { key, phoneNumberId, webhookSecret } = this.vapiConfig;
+        if (!key || !phoneNumberId) throw new RequestError(503, 'Vapi is not configured');
+        if (!webhookSecret) throw new RequestError(503, 'VAPI_WEBHOOK_SECRET is not configured');
+        return phoneNumberId;
+    }
+
+    // Twilio voice agent: one webhook when the call is answered, then one per <Gather> reply
+    async answerAgentCall(callId, params) {
+        const call = this.db.calls.findById(callId);
+        if (!call || call.mode !== 'agent' || call.stage === 'done') return buildTwiML('<Hangup/>');
+        const { script } = call;
+
+        if (/^(machine|fax)/.test(params.AnsweredBy || '')) {
+            return this.closeAgentCall(call, 'voicemail', script.voicemail, { status: 'in-progress' });
+        }
+
+        const prompt = `${script.opening} ${script.reason} ${script.question}`;
+        await this.recordTurn(call, 'agent', prompt, { stage: 'question', status: 'in-progress' });
+        return this.gather(call, prompt);
+    }
+
+    async replyToAgentCall(callId, params) {
+        const call = this.db.calls.findById(callId);
+        if (!call || call.mode !== 'agent' || call.stage === 'done') return buildTwiML('<Hangup/>');
+        const { script } = call;
+
+        const heard = (params.SpeechResult || '').trim();
+        if (heard || params.Digits) await this.recordTurn(call, 'contact', heard || `(pressed ${params.Digits})`);
+
+        if (call.stage === 'callback') {
+            const due = heard ? parseDueDate(heard) : null;
+            return this.closeAgentCall(call, 'callback', script.closings.callback, {
+                callbackRequest: heard || null,
+                callbackDate: due ? due.date.toISOString().slice(0, 10) : null
+            });
+        }
+
+        const outcome = CALL_REPLY_DIGITS[params.Digits] || classifyCallReply(heard);
+        if (outcome === 'callback') {
+            await this.recordTurn(call, 'agent', script.callbackQuestion, { stage: 'callback' });
+            return this.gather(call, script.callbackQuestion);
+        }
+        if (outcome === 'unclear' && call.retries < this.agentConfig.maxRetries) {
+            const prompt = `Sorry, I didn't catch that. ${script.question}`;
+            await this.recordTurn(call, 'agent', prompt, { retries: call.retries + 1 });
+            return this.gather(call, prompt);
+        }
+        return this.closeAgentCall(call, outcome, script.closings[outcome]);
+    }
+
+    gather(call, prompt) {
+        const action = escapeXml(this.webhook(`voice/agent/${call.id}/reply`));
+        return buildTwiML(
+            `<Gather input="speech dtmf" numDigits="1" speechTimeout="auto" timeout="6" action="${action}" method="POST">${this.say(prompt)}</Gather>`,
+            // No answer at all falls through to the same handler with nothing heard
+            `<Redirect method="POST">${action}</Redirect>`
+        );
+    }
+
+    async recordTurn(call, speaker, text, changes = {}) {
+        return this.db.calls.update(call.id, {
+            ...changes,
+            transcript: [...call.transcript, { speaker, text, at: new Date().toISOString() }]
+        });
+    }
+
+    async closeAgentCall(call, outcome, closing, changes = {}) {
+        await this.recordTurn(call, 'agent', closing, { ...changes, stage: 'done', outcome });
+        await this.finalizeAgentCall(call);
+        return buildTwiML(this.say(closing), '<Hangup/>');
+    }
+
+    /**
+     * Writes the outcome back once a scripted call is over: a summary on the call, a dated note on the
+     * client and/or lead, and a follow-up task when they were interested or asked for a call back.
+     */
+    async finalizeAgentCall(call, summary = summarizeAgentCall(call)) {
+        if (call.summary) return call;
+
+        let followUpTaskId = null;
+        if (['interested', 'callback'].includes(call.outcome)) {
+            const { contact, label, business } = call.script;
+            const task = await this.taskManager.createTask({
+                title: call.outcome === 'callback' ? `Call back ${contact.name} (${label.toLowerCase()})` : `${label}: ${contact.name} is interested, follow up`,
+                description: summary,
+                business,
+                clientId: call.clientId,
+                leadId: call.leadId,
+                priority: call.outcome === 'interested' ? 'high' : 'medium',
+                dueDate: call.callbackDate,
+                source: 'phone'
+            });
+            followUpTaskId = task.id;
+        }
+
+        const now = new Date().toISOString();
+        const note = `[${now.slice(0, 10)} call] ${summary}`;
+        for (const [repository, id] of [[this.db.clients, call.clientId], [this.db.agency.leads, call.leadId]]) {
+            const record = id ? repository.findById(id) : null;
+            if (!record) continue;
+            await repository.update(id, {
+                // Oldest notes give way first so the field stays within CLIENT_SCHEMA's limit
+                notes: (record.notes ? `${record.notes}\n${note}` : note).slice(-5000),
+                lastContactedAt: now,
+                lastCallOutcome: call.outcome
+            });
+        }
+
+        const finished = await this.db.calls.update(call.id, { summary, followUpTaskId });
+        await this.recordActivity('call', finished, `${call.script.label} call with ${call.script.contact.name}: ${CALL_OUTCOME_LABELS[finished.outcome] || finished.outcome}`, null, {
+            business: call.script.business,
+            details: { outcome: finished.outcome, followUpTaskId }
+        });
+        return finished;
+    }
+
+    // Vapi server messages: status updates while the call runs, then the end-of-call report
+    async receiveVapiEvent(body) {
+        const message = (body && body.message) || {};
+        const vapiCall = message.call || {};
+        const callId = vapiCall.metadata && vapiCall.metadata.callId;
+        const call = this.db.calls.findOne(c => c.backend === 'vapi' && ((vapiCall.id && c.sid === vapiCall.id) || c.id === callId));
+        if (!call) return { received: false };
+
+        if (message.type === 'status-update' && message.status) {
+            await this.db.calls.update(call.id, { status: message.status === 'ended' ? 'completed' : message.status });
+        }
+
+        if (message.type === 'end-of-call-report' && call.stage !== 'done') {
+            const analysis = message.analysis || {};
+            const structured = analysis.structuredData || {};
+            const outcome = VAPI_NO_ANSWER_REASONS.includes(message.endedReason) ? 'no_answer'
+                : message.endedReason === 'voicemail' ? 'voicemail'
+                    : CALL_OUTCOMES.includes(structured.outcome) ? structured.outcome : 'unclear';
+            const due = structured.callbackRequest ? parseDueDate(structured.callbackRequest) : null;
+
+            await this.db.calls.update(call.id, {
+                status: 'completed',
+                stage: 'done',
+                outcome,
+                transcript: parseVapiTranscript(message.transcript),
+                callbackRequest: structured.callbackRequest || null,
+                callbackDate: due ? due.date.toISOString().slice(0, 10) : null,
+                durationSeconds: Number.isFinite(message.durationSeconds) ? Math.round(message.durationSeconds) : null,
+                recordingUrl: message.recordingUrl || null,
+                endedAt: message.endedAt || new Date().toISOString()
+            });
+            await this.finalizeAgentCall(call, analysis.summary ? `${call.script.label} call to ${call.script.contact.name}: ${analysis.summary}` : undefined);
+        }
+        return { received: true };
+    }
+
+    async sendSms({ to, clientId, leadId, body } = {}, user) {
+        const from = this.ensureConfigured();
+        const recipient = this.resolveRecipient({ to, clientId, leadId });
+        const text = String(body || '').trim();
+        if (!text) throw new RequestError(400, 'body is required');
+        if (text.length > 1600) throw new RequestError(400, 'body must be at most 1600 characters');
+
+        const result = await this.twilio.sendMessage({
+            To: recipient.number,
+            From: from,
+            Body: text,
+            StatusCallback: this.webhook('sms/status')
+        });
+
+        const sms = await this.db.smsMessages.insert({
+            sid: result.sid,
+            direction: 'outbound',
+            from,
+            to: recipient.number,
+            number: recipient.number,
+            clientId: recipient.clientId,
+            leadId: recipient.leadId,
+            body: text,
+            status: result.status || 'queued',
+            read: true,
+            createdBy: user ? user.id : null
+        });
+        await this.recordActivity('sms', sms, `Text sent to ${this.contactLabel(sms)}`, user);
+        return sms;
+    }
+
+    listCalls({ clientId, leadId, direction, status, number } = {}) {
+        const counterpart = number ? toE164(number) : null;
+        return this.db.calls
+            .find(call => (!clientId || call.clientId === clientId) &&
+                (!leadId || call.leadId === leadId) &&
+                (!direction || call.direction === direction) &&
+                (!status || call.status === status) &&
+                (!counterpart || call.number === counterpart))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    getCall(id) {
+        const call = this.db.calls.findById(id);
+        if (!call) throw new RequestError(404, 'Call not found');
+        return call;
+    }
+
+    // One entry per number texted with, newest conversation first
+    listThreads({ clientId, leadId, unread } = {}) {
+        const threads = new Map();
+        const messages = this.db.smsMessages.all().sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+        for (const message of messages) {
+            const thread = threads.get(message.number) || { number: message.number, clientId: null, leadId: null, messageCount: 0, unread: 0 };
+            thread.clientId = message.clientId || thread.clientId;
+            thread.leadId = message.leadId || thread.leadId;
+            thread.messageCount++;
+            if (!message.read) thread.unread++;
+            thread.lastMessage = { body: message.body, direction: message.direction, status: message.status, createdAt: message.createdAt };
+            threads.set(message.number, thread);
+        }
+
+        return [...threads.values()]
+            .filter(thread => (!clientId || thread.clientId === clientId) && (!leadId || thread.leadId === leadId) && (!unread || thread.unread > 0))
+            .map(thread => ({ ...thread, clientName: this.clientName(thread.clientId) }))
+            .sort((a, b) => b.lastMessage.createdAt.localeCompare(a.lastMessage.createdAt));
+    }
+
+    // Opening a thread marks its inbound messages as read
+    async getThread(number) {
+        const counterpart = toE164(number);
+        if (!counterpart) throw new RequestError(400, 'Invalid phone number');
+
+        const messages = this.db.smsMessages
+            .find(message => message.number === counterpart)
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        if (messages.length === 0) throw new RequestError(404, 'No messages with that number');
+
+        for (const message of messages.filter(m => !m.read)) {
+            await this.db.smsMessages.update(message.id, { read: true });
+        }
+
+        const { clientId, leadId } = this.findContact(counterpart);
+        return { number: counterpart, clientId, leadId, clientName: this.clientName(clientId), messages };
+    }
+
+    clientName(clientId) {
+        const client = clientId ? this.db.clients.findById(clientId) : null;
+        return client ? client.name : null;
+    }
+
+    // Calls and texts for a client's record
+    clientActivity(clientId) {
+        return {
+            calls: this.listCalls({ clientId }).slice(0, 20),
+            smsThreads: this.listThreads({ clientId })
+        };
+    }
+
+    leadActivity(leadId) {
+        return {
+            calls: this.listCalls({ leadId }).slice(0, 20),
+            smsThreads: this.listThreads({ leadId })
+        };
+    }
+
+    // Inbound webhooks: params are Twilio's form fields; each returns the TwiML to answer with
+    async receiveSms(params) {
+        const number = toE164(params.From) || params.From;
+        if (!this.db.smsMessages.findOne(m => m.sid === params.MessageSid)) {
+            const sms = await this.db.smsMessages.insert({
+                sid: params.MessageSid,
+                direction: 'inbound',
+                from: number,
+                to: toE164(params.To) || params.To,
+                number,
+                ...this.findContact(number),
+                body: params.Body || '',
+                mediaUrls: Array.from({ length: Number(params.NumMedia) || 0 }, (_, index) => params[`MediaUrl${index}`]).filter(Boolean),
+                status: 'received',
+                read: false,
+                createdBy: null
+            });
+            const preview = sms.body.length > 80 ? `${sms.body.slice(0, 77)}...` : sms.body;
+            await this.recordActivity('sms', sms, `Text received from ${this.contactLabel(sms)}${preview ? `: "${preview}"` : ''}`, null);
+        }
+        return buildTwiML();
+    }
+
+    async updateSmsStatus(params) {
+        const message = this.db.smsMessages.findOne(m => m.sid === params.MessageSid);
+        if (message) {
+            await this.db.smsMessages.update(message.id, {
+                status: params.MessageStatus || message.status,
+                ...(params.ErrorCode ? { error: `Twilio error ${params.ErrorCode}` } : {})
+            });
+        }
+        return buildTwiML();
+    }
+
+    async receiveCall(params) {
+        const number = toE164(params.From) || params.From;
+        if (!this.db.calls.findOne(c => c.sid === params.CallSid)) {
+            const call = await this.db.calls.insert({
+                sid: params.CallSid,
+                direction: 'inbound',
+                from: number,
+                to: toE164(params.To) || params.To,
+                number,
+                ...this.findContact(number),
+                status: params.CallStatus || 'ringing',
+                message: null,
+                durationSeconds: null,
+                recordingUrl: null,
+                endedAt: null,
+                createdBy: null
+            });
+            await this.recordActivity('call', call, `Incoming call from ${this.contactLabel(call)}`, null);
+        }
+
+        const forwardTo = toE164(this.config.forwardTo);
+        if (forwardTo) {
+            return buildTwiML(`<Dial callerId="${escapeXml(toE164(params.To) || params.To || '')}">${escapeXml(forwardTo)}</Dial>`);
+        }
+        return buildTwiML(
+            this.say('Thanks for calling Molaison. Please leave a message after the tone and we will call you back.'),
+            `<Record maxLength="120" playBeep="true" recordingStatusCallback="${escapeXml(this.webhook('voice/recording'))}"/>`
+        );
+    }
+
+    async updateCallStatus(params) {
+        const call = this.db.calls.findOne(c => c.sid === params.CallSid);
+        if (call) {
+            const finished = ['completed', 'busy', 'failed', 'no-answer', 'canceled'].includes(params.CallStatus);
+            await this.db.calls.update(call.id, {
+                status: params.CallStatus || call.status,
+                ...(params.CallDuration !== undefined ? { durationSeconds: Number(params.CallDuration) } : {}),
+                ...(finished ? { endedAt: new Date().toISOString() } : {})
+            });
+
+            // A scripted call that ends before the agent got an answer: nobody picked up, or they hung up
+            if (finished && call.mode === 'agent' && call.stage !== 'done') {
+                await this.db.calls.update(call.id, { stage: 'done', outcome: params.CallStatus === 'completed' ? 'unclear' : 'no_answer' });
+                await this.finalizeAgentCall(call);
+            }
+        }
+        return buildTwiML();
+    }
+
+    async saveRecording(params) {
+        const call = this.db.calls.findOne(c => c.sid === params.CallSid);
+        if (call && params.RecordingUrl) {
+            await this.db.calls.update(call.id, {
+                recordingUrl: params.RecordingUrl,
+                recordingDurationSeconds: Number(params.RecordingDuration) || null
+            });
+        }
+        return buildTwiML();
+    }
+
+    say(text) {
+        return `<Say voice="${escapeXml(this.config.voice)}">${escapeXml(text)}</Say>`;
+    }
+
+    async handleRequest(intent, message) {
+        const unreadThreads = this.listThreads({ unread: true });
+        const recentCalls = this.listCalls().slice(0, 5);
+        const lines = [];
+
+        if (unreadThreads.length > 0) {
+            lines.push(`📱 ${unreadThreads.length} unread text thread${unreadThreads.length === 1 ? '' : 's'}:`);
+            for (const thread of unreadThreads.slice(0, 5)) {
+                lines.push(`• ${thread.clientName || thread.number}: "${thread.lastMessage.body}"`);
+            }
+        }
+        if (recentCalls.length > 0) {
+            lines.push('📞 Recent calls:');
+            for (const call of recentCalls) {
+                const who = this.clientName(call.clientId) || call.number;
+                const outcome = call.outcome ? ` → ${CALL_OUTCOME_LABELS[call.outcome]}` : '';
+                lines.push(`• ${call.direction === 'inbound' ? 'From' : 'To'} ${who} — ${call.status}${call.durationSeconds ? `, ${Math.round(call.durationSeconds / 60)} min` : ''}${outcome} (${formatDate(call.createdAt)})`);
+            }
+        }
+
+        const help = `I can make calls on your behalf for client outreach, follow-ups, or business development, and send texts from ${this.config.phoneNumber || 'your Twilio number'}. ` +
+            `For renewal reminders, quote follow-ups and check-ins I'll run the call from a script and note the outcome on the client's record. Who would you like me to call or text?`;
+        return lines.length ? `${lines.join('\n')}\n\n${help}` : help;
+    }
+}
+
+class TwilioClient {
+    constructor(config) {
+        this.config = config;
+    }
+
+    // Twilio's REST API takes form-encoded bodies and basic auth with the account SID and auth token
+    async request(method, resource, form) {
+        const { accountSid, authToken, baseUrl } = this.config;
+        const body = new URLSearchParams();
+        for (const [key, value] of Object.entries(form || {})) {
+            for (const item of [].concat(value)) {
+                if (item !== undefined && item !== null) body.append(key, String(item));
+            }
+        }
+
+        try {
+            return (await axios({
+                method,
+                url: `${baseUrl}/Accounts/${encodeURIComponent(accountSid)}${resource}.json`,
+                data: form ? body.toString() : undefined,
+                auth: { username: accountSid, password: authToken },
+                headers: form ? { 'Content-Type': 'application/x-www-form-urlencoded' } : {}
+            })).data;
+        } catch (error) {
+            const status = error.response && error.response.status;
+            const detail = error.response && error.response.data && error.response.data.message;
+            if (status === 401) throw new RequestError(503, 'Twilio rejected the account credentials');
+            if (status === 400) throw new RequestError(400, detail || 'Twilio rejected the request');
+            if (status === 404) throw new RequestError(404, detail || 'Twilio resource not found');
+            throw error;
+        }
+    }
+
+    createCall(params) {
+        return this.request('post', '/Calls', params);
+    }
+
+    sendMessage(params) {
+        return this.request('post', '/Messages', params);
+    }
+}
+
+class VapiClient {
+    constructor(config) {
+        this.config = config;
+    }
+
+    async request(method, resource, data) {
+        try {
+            return (await axios({
+                method,
+                url: `${this.config.baseUrl}${resource}`,
+                data,
+                headers: { 'Authorization': `Bearer ${this.config.key}`, 'Content-Type': 'application/json' }
+            })).data;
+        } catch (error) {
+            const status = error.response && error.response.status;
+            const detail = error.response && error.response.data && error.response.data.message;
+            if (status === 401) throw new RequestError(503, 'Vapi rejected the API key');
+            if (status === 400) throw new RequestError(400, [].concat(detail || 'Vapi rejected the request').join('; '));
+            throw error;
+        }
+    }
+
+    createCall(call) {
+        return this.request('post', '/call', call);
+    }
+}
+
+// Research runs as background jobs: a report is saved as `queued`, picked up by the in-process queue,
+// and ends `completed` (answer + numbered citations) or `failed`. Clients poll the report by id.
+class ResearchAssistant {
+    constructor(db, search, config, businesses) {
+        this.db = db;
+        this.search = search;
+        this.config = config;
+        this.businesses = businesses;
+        this.queue = [];
+        this.running = 0;
+        this.waiters = new Map();
+    }
+
+    listTemplates() {
+        return Object.entries(RESEARCH_TEMPLATES).map(([id, template]) => ({
+            id,
+            label: template.label,
+            description: template.description,
+            sections: template.sections
+        }));
+    }
+
+    // Either a free-form `query` or a `template` filled in for one of the businesses
+    buildPrompt(fields) {
+        if (!fields.template) {
+            return { title: fields.query.split('\n')[0].slice(0, 120), prompt: fields.query };
+        }
+
+        const template = RESEARCH_TEMPLATES[fields.template];
+        const business = fields.business || 'agency';
+        const profile = this.businesses[business];
+        const location = fields.location || this.config.defaultLocation;
+        const sections = template.sections[business];
+        const prompt = [
+            template.prompt(profile, { subject: fields.subject, location }),
+            fields.query ? `Focus especially on: ${fields.query}` : null,
+            `Organise the answer under these headings: ${sections.join('; ')}.`
+        ].filter(Boolean).join('\n\n');
+
+        return {
+            title: `${template.label}: ${profile.name}${fields.subject ? ` - ${fields.subject}` : ''}`,
+            prompt
+        };
+    }
+
+    async createReport(input, user) {
+        const fields = validateRecord(input, RESEARCH_SCHEMA);
+        if (!fields.query && !fields.template) {
+            throw new RequestError(400, 'Validation failed', ['query or template is required']);
+        }
+        if (fields.domains) {
+            fields.domains = fields.domains
+                .map(domain => String(domain).trim().toLowerCase().replace(/^https?:\/\//, '').replace(/\/.*$/, ''))
+                .filter(Boolean)
+                .slice(0, 10);
+        }
+        if (!this.search.isAvailable()) {
+            throw new RequestError(503, 'No research provider is configured - set PERPLEXITY_API_KEY');
+        }
+
+        const { title, prompt } = this.buildPrompt(fields);
+        const report = await this.db.researchReports.insert({
+            title,
+            query: fields.query || null,
+            template: fields.template || null,
+            business: fields.template ? fields.business || 'agency' : fields.business || null,
+            subject: fields.subject || null,
+            location: fields.template ? fields.location || this.config.defaultLocation : null,
+            recency: fields.recency || null,
+            domains: fields.domains || [],
+            prompt,
+            status: 'queued',
+            answer: null,
+            citations: [],
+            provider: null,
+            model: null,
+            error: null,
+            startedAt: null,
+            completedAt: null,
+            createdBy: user ? user.id : null
+        });
+
+        this.enqueue(report.id);
+        return report;
+    }
+
+    enqueue(id) {
+        this.queue.push(id);
+        this.drain();
+    }
+
+    drain() {
+        while (this.running < this.config.concurrency && this.queue.length > 0) {
+            const id = this.queue.shift();
+            this.running++;
+            this.runReport(id)
+                .catch(error => console.error(`Research report ${id} error:`, error.message))
+                .finally(() => {
+                    this.running--;
+                    this.drain();
+                });
+        }
+    }
+
+    async runReport(id) {
+        const report = this.db.researchReports.findById(id);
+        // Deleted while it was waiting in the queue
+        if (!report) return;
+
+        await this.db.researchReports.update(id, { status: 'running', startedAt: new Date().toISOString() });
+        try {
+            const result = await this.search.search({
+                query: report.prompt,
+                system: RESEARCH_SYSTEM_PROMPT,
+                recency: report.recency,
+                domains: report.domains
+            });
+            await this.db.researchReports.update(id, {
+                status: 'completed',
+                answer: result.answer,
+                citations: result.citations,
+                provider: result.provider,
+                model: result.model,
+                completedAt: new Date().toISOString()
+            });
+        } catch (error) {
+            const detail = error.response ? `HTTP ${error.response.status}` : error.message;
+            await this.db.researchReports.update(id, { status: 'failed', error: detail, completedAt: new Date().toISOString() });
+        } finally {
+            for (const resolve of this.waiters.get(id) || []) resolve();
+            this.waiters.delete(id);
+        }
+    }
+
+    // Reports left queued or running when the process stopped are picked up again
+    resumePending() {
+        const pending = this.db.researchReports
+            .find(report => report.status === 'queued' || report.status === 'running')
+            .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+        for (const report of pending) this.enqueue(report.id);
+        return pending.length;
+    }
+
+    // Resolves with the report once it finishes, or as it stands after `timeoutMs`
+    async waitForReport(id, timeoutMs = this.config.waitMs) {
+        const report = this.getReport(id);
+        if (report.status === 'completed' || report.status === 'failed') return report;
+
+        await new Promise(resolve => {
+            const timer = setTimeout(resolve, timeoutMs);
+            const done = () => {
+                clearTimeout(timer);
+                resolve();
+            };
+            this.waiters.set(id, [...(this.waiters.get(id) || []), done]);
+        });
+        return this.getReport(id);
+    }
+
+    getReport(id) {
+        const report = this.db.researchReports.findById(id);
+        if (!report) throw new RequestError(404, 'Research report not found');
+        return report;
+    }
+
+    // Keyword search over titles, questions and answers; results carry a snippet instead of the full answer
+    listReports({ q, template, business, status, limit } = {}) {
+        const terms = tokenize(q);
+        const scored = this.db.researchReports
+            .find(report => (!template || report.template === template) &&
+                (!business || report.business === business) &&
+                (!status || report.status === status))
+            .map(report => {
+                if (terms.length === 0) return { report, score: 0 };
+                const title = tokenize(report.title);
+                const question = tokenize(`${report.query || ''} ${report.subject || ''}`);
+                const answer = tokenize(report.answer);
+                const score = terms.reduce((total, term) => total +
+                    3 * title.filter(word => word === term).length +
+                    2 * question.filter(word => word === term).length +
+                    answer.filter(word => word === term).length, 0);
+                return { report, score };
+            })
+            .filter(({ score }) => terms.length === 0 || score > 0)
+            .sort((a, b) => b.score - a.score || b.report.createdAt.localeCompare(a.report.createdAt));
+
+        return scored.slice(0, Math.min(Number(limit) || 50, 200)).map(({ report, score }) => {
+            const { answer, prompt, ...summary } = report;
+            return {
+                ...summary,
+                citationCount: report.citations.length,
+                snippet: researchSnippet(answer, terms),
+                ...(terms.length ? { score } : {})
+            };
+        });
+    }
+
+    async deleteReport(id) {
+        this.getReport(id);
+        this.queue = this.queue.filter(queued => queued !== id);
+        await this.db.researchReports.remove(id);
+    }
+
+    exportReport(id, format = 'markdown') {
+        const report = this.getReport(id);
+        if (report.status !== 'completed') {
+            throw new RequestError(409, `Report is ${report.status} - only completed reports can be exported`);
+        }
+
+        const markdown = researchMarkdown(report, this.businesses);
+        const fileName = slugify(report.title) || 'research-report';
+        if (format === 'markdown' || format === 'md') {
+            return { contentType: 'text/markdown; charset=utf-8', fileName: `${fileName}.md`, body: markdown };
+        }
+        if (format === 'pdf') {
+            return { contentType: 'application/pdf', fileName: `${fileName}.pdf`, body: buildPdf(report.title, markdown) };
+        }
+        throw new RequestError(400, 'format must be markdown or pdf');
+    }
+
+    async handleRequest(intent, message) {
+        if (!this.search.isAvailable()) {
+            return `I can research competitors and markets for both businesses with cited sources once Perplexity is connected. Add a Perplexity API key on the configuration page to get started.`;
+        }
+
+        const lowerMessage = message.toLowerCase();
+        const template = /\bcompetit/.test(lowerMessage) ? 'competitor_analysis'
+            : /\bmarket\b/.test(lowerMessage) ? 'market_research'
+                : null;
+        const business = /\b(molaison ai|seo|ai tools?|software|saas)\b/.test(lowerMessage) ? 'ai'
+            : /\b(insurance|agency|policy|policies)\b/.test(lowerMessage) ? 'agency'
+                : null;
+
+        const created = await this.createReport(template
+            ? { template, business: business || 'agency', query: message.slice(0, 2000) }
+            : { query: message.slice(0, 2000), business });
+        const report = await this.waitForReport(created.id);
+
+        if (report.status === 'failed') {
+            return `I couldn't finish that research (${report.error}). You can try again in a moment.`;
+        }
+        if (report.status !== 'completed') {
+            return `I'm still researching "${report.title}". It will be saved under Research reports when it's done.`;
+        }
+
+        const sources = report.citations.slice(0, 5).map(citation => `[${citation.index}] ${citation.title} - ${citation.url}`);
+        return `${report.answer}${sources.length ? `\n\nSources:\n${sources.join('\n')}` : ''}`;
+    }
+}
+
+class LifeCoach {
+    async handleRequest(intent, message) {
+        return `As your productivity coach, I can help you optimize your time, set goals, and balance running both Molaison Agency and Molaison AI. What area would you like to focus on?`;
+    }
+}
+
+class SocialMediaManager {
+    async handleRequest(intent, message) {
+        return `I'll manage social media for both your brands. Would you like me to create content, schedule posts, or analyze engagement?`;
+    }
+}
+
+// Fetches pages politely: robots.txt is honoured per origin (cached), and requests to the same host are spaced
+// at least `minDelayMs` apart, or further when robots.txt sets a Crawl-delay. URLs come from users, so hosts on
+// private networks are refused, including when a redirect or DNS answer points there.
+class PoliteFetcher {
+    constructor(config) {
+        this.config = config;
+        this.robots = new Map();
+        this.nextSlot = new Map();
+    }
+
+    async robotsFor(origin) {
+        const cached = this.robots.get(origin);
+        if (cached && cached.expiresAt > Date.now()) return cached.policy;
+
+        let policy;
+        try {
+            const response = await this.request(`${origin}/robots.txt`);
+            // No robots.txt means everything is allowed; a server error means nothing is (RFC 9309)
+            policy = response.status >= 200 && response.status < 300 ? parseRobotsTxt(response.data, this.config.userAgent)
+                : response.status >= 400 && response.status < 500 ? { rules: [], crawlDelay: null }
+                    : { rules: [{ allow: false, path: '/' }], crawlDelay: null };
+        } catch (error) {
+            policy = { rules: [{ allow: false, path: '/' }], crawlDelay: null };
+        }
+
+        this.robots.set(origin, { policy, expiresAt: Date.now() + this.config.robotsCacheMs });
+        return policy;
+    }
+
+    async assertPublicHost(url) {
+        if (this.config.allowPrivateHosts) return;
+        const hostname = new URL(url).hostname.replace(/^\[|\]$/g, '');
+        if (net.isIP(hostname)) {
+            if (isPrivateAddress(hostname)) throw new RequestError(400, `Refusing to fetch ${hostname}: it is a private address`);
+            return;
+        }
+        await lookupPublicAddress(hostname);
+    }
+
+    async isAllowed(url) {
+        await this.assertPublicHost(url);
+        const { origin, pathname, search } = new URL(url);
+        return robotsAllows(await this.robotsFor(origin), `${pathname}${search}`);
+    }
+
+    // Reserves the host's next free slot and waits for it
+    async throttle(url) {
+        const { origin, host } = new URL(url);
+        const { crawlDelay } = await this.robotsFor(origin);
+        const delay = Math.max(this.config.minDelayMs, (crawlDelay || 0) * 1000);
+        const now = Date.now();
+        const at = Math.max(now, this.nextSlot.get(host) || 0);
+        this.nextSlot.set(host, at + delay);
+        if (at > now) await new Promise(resolve => setTimeout(resolve, at - now));
+    }
+
+    request(url) {
+        return axios.get(url, {
+            headers: { 'User-Agent': this.config.userAgent, 'Accept': 'text/html,application/xhtml+xml,text/plain;q=0.9,*/*;q=0.5' },
+            responseType: 'text',
+            timeout: this.config.timeoutMs,
+            maxContentLength: this.config.maxBytes,
+            maxRedirects: 5,
+            validateStatus: () => true,
+            ...(this.config.allowPrivateHosts ? {} : { lookup: lookupPublicAddress, beforeRedirect: rejectPrivateRedirect })
+        });
+    }
+
+    async fetch(url) {
+        if (!(await this.isAllowed(url))) {
+            throw new RequestError(403, `robots.txt disallows ${url}`);
+        }
+        await this.throttle(url);
+
+        const response = await this.request(url);
+        if (response.status < 200 || response.status >= 300) {
+            throw new RequestError(502, `Fetching ${url} failed with HTTP ${response.status}`);
+        }
+        const finalUrl = (response.request && response.request.res && response.request.res.responseUrl) || url;
+        return { url: finalUrl, status: response.status, html: String(response.data || '') };
+    }
+}
+
+/**
+ * Scrapers are saved crawl jobs. `monitor` scrapers extract named values with CSS-selector rules and, on each
+ * scheduled re-crawl, diff them against the last run and raise an alert (plus a follow-up task) when anything
+ * changed. `leads` scrapers pull contacts off directory pages into the agency leads list, skipping duplicates.
+ */
+class WebScraper {
+    constructor(db, fetcher, { taskManager, leadManager }, config) {
+        this.db = db;
+        this.fetcher = fetcher;
+        this.taskManager = taskManager;
+        this.leadManager = leadManager;
+        this.config = config;
+        this.running = new Set();
+    }
+
+    validateScraper(input, { partial = false } = {}) {
+        const fields = validateRecord(input, SCRAPER_SCHEMA, { partial });
+        if (fields.url) fields.url = validateScrapeUrl(fields.url);
+        if (fields.rules) fields.rules = validateScrapeRules(fields.rules);
+        if (fields.leadRules) fields.leadRules = validateLeadRules(fields.leadRules);
+        if (fields.nextPageSelector) validateSelector(fields.nextPageSelector, 'nextPageSelector');
+        if (fields.maxPages) fields.maxPages = Math.min(Math.round(fields.maxPages), this.config.maxPages);
+        return fields;
+    }
+
+    listScrapers({ mode, business, active } = {}) {
+        return this.db.scrapers
+            .find(scraper => (!mode || scraper.mode === mode) &&
+                (!business || scraper.business === business) &&
+                (active === undefined || String(scraper.active) === String(active)))
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    getScraper(id) {
+        const scraper = this.db.scrapers.findById(id);
+        if (!scraper) throw new RequestError(404, 'Scraper not found');
+        return scraper;
+    }
+
+    async createScraper(input, user) {
+        const fields = this.validateScraper(input);
+        const mode = fields.mode || 'monitor';
+        const intervalMinutes = fields.intervalMinutes || null;
+
+        return this.db.scrapers.insert({
+            business: 'agency',
+            leadRules: null,
+            nextPageSelector: null,
+            maxPages: 1,
+            active: true,
+            ...fields,
+            // Without rules a monitor watches the page title and a hash of its text
+            rules: fields.rules && fields.rules.length ? fields.rules : mode === 'monitor' ? DEFAULT_MONITOR_RULES : [],
+            mode,
+            intervalMinutes,
+            nextRunAt: intervalMinutes ? new Date().toISOString() : null,
+            lastRunAt: null,
+            lastStatus: null,
+            lastData: null,
+            createdBy: user ? user.id : null
+        });
+    }
+
+    async updateScraper(id, input) {
+        const scraper = this.getScraper(id);
+        const changes = this.validateScraper(input, { partial: true });
+
+        // A new schedule starts counting from now; a changed URL or rules start a fresh baseline
+        if (changes.intervalMinutes !== undefined) {
+            changes.nextRunAt = changes.intervalMinutes ? new Date(Date.now() + changes.intervalMinutes * 60 * 1000).toISOString() : null;
+        }
+        if ((changes.url && changes.url !== scraper.url) || changes.rules) {
+            changes.lastData = null;
+        }
+        return this.db.scrapers.update(id, changes);
+    }
+
+    async deleteScraper(id) {
+        this.getScraper(id);
+        for (const run of this.db.scrapeRuns.find(r => r.scraperId === id)) await this.db.scrapeRuns.remove(run.id);
+        for (const alert of this.db.scrapeAlerts.find(a => a.scraperId === id)) await this.db.scrapeAlerts.remove(alert.id);
+        await this.db.scrapers.remove(id);
+    }
+
+    // Follows `nextPageSelector` links on the same site, up to `maxPages`; pages robots.txt disallows are skipped
+    async crawl({ url, nextPageSelector, maxPages = 1 }) {
+        const pages = [];
+        const skipped = [];
+        const seen = new Set();
+        let next = url;
+
+        while (next && pages.length < maxPages && !seen.has(next)) {
+            seen.add(next);
+            if (!(await this.fetcher.isAllowed(next))) {
+                skipped.push(next);
+                break;
+            }
+            const page = await this.fetcher.fetch(next);
+            const $ = cheerio.load(page.html);
+            pages.push({ url: page.url, $ });
+
+            const href = nextPageSelector ? $(nextPageSelector).first().attr('href') : null;
+            const resolved = href ? resolveUrl(href, page.url) : null;
+            next = resolved && new URL(resolved).origin === new URL(url).origin ? resolved : null;
+        }
+
+        if (pages.length === 0) {
+            throw new RequestError(403, `robots.txt disallows ${url}`);
+        }
+        return { pages, skipped };
+    }
+
+    // One-off scrape that isn't saved: rules, lead rules, or a quick look at the page
+    async preview(input) {
+        const fields = this.validateScraper({ name: 'preview', ...input });
+        const { pages, skipped } = await this.crawl({ maxPages: 1, ...fields });
+
+        if (fields.mode === 'leads' || fields.leadRules) {
+            const leads = pages.flatMap(page => extractLeads(page.$, fields.leadRules, page.url));
+            return { pages: pages.map(page => page.url), skipped, leads };
+        }
+        return {
+            pages: pages.map(page => page.url),
+            skipped,
+            data: mergeScrapeData(pages.map(page => extractScrapeData(page.$, fields.rules || PREVIEW_RULES, page.url)), fields.rules || PREVIEW_RULES)
+        };
+    }
+
+    async runScraper(id, { trigger = 'manual' } = {}) {
+        const scraper = this.getScraper(id);
+        if (this.running.has(id)) {
+            throw new RequestError(409, 'This scraper is already running');
+        }
+
+        this.running.add(id);
+        const startedAt = new Date();
+        const run = { scraperId: id, trigger, status: 'completed', pages: [], skipped: [], data: null, changes: [], leads: null, alertId: null, error: null };
+        try {
+            const { pages, skipped } = await this.crawl(scraper);
+            run.pages = pages.map(page => page.url);
+            run.skipped = skipped;
+
+            if (scraper.mode === 'leads') {
+                const found = pages.flatMap(page => extractLeads(page.$, scraper.leadRules, page.url));
+                run.leads = await this.saveLeads(found, scraper);
+            } else {
+                run.data = mergeScrapeData(pages.map(page => extractScrapeData(page.$, scraper.rules, page.url)), scraper.rules);
+                run.changes = scraper.lastData ? diffScrapeData(scraper.lastData, run.data) : [];
+            }
+        } catch (error) {
+            run.status = 'failed';
+            run.error = error.message;
+        } finally {
+            this.running.delete(id);
+        }
+
+        run.durationMs = Date.now() - startedAt.getTime();
+        const saved = await this.db.scrapeRuns.insert(run);
+        if (run.changes.length > 0) {
+            saved.alertId = (await this.raiseAlert(scraper, saved)).id;
+            await this.db.scrapeRuns.update(saved.id, { alertId: saved.alertId });
+        }
+        await this.pruneRuns(id);
+
+        await this.db.scrapers.update(id, {
+            lastRunAt: startedAt.toISOString(),
+            lastStatus: run.status,
+            ...(run.data ? { lastData: run.data } : {}),
+            nextRunAt: scraper.intervalMinutes ? new Date(startedAt.getTime() + scraper.intervalMinutes * 60 * 1000).toISOString() : null
+        });
+        return saved;
+    }
+
+    async pruneRuns(scraperId) {
+        const runs = this.db.scrapeRuns
+            .find(run => run.scraperId === scraperId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+        for (const run of runs.slice(this.config.keepRuns)) await this.db.scrapeRuns.remove(run.id);
+    }
+
+    listRuns(scraperId) {
+        this.getScraper(scraperId);
+        return this.db.scrapeRuns
+            .find(run => run.scraperId === scraperId)
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async raiseAlert(scraper, run) {
+        const lines = run.changes.map(describeScrapeChange);
+        const task = await this.taskManager.createTask({
+            title: `Page changed: ${scraper.name}`,
+            description: `${scraper.url}\n${lines.join('\n')}`.slice(0, 5000),
+            business: scraper.business,
+            priority: run.changes.some(change => change.delta !== undefined) ? 'high' : 'medium',
+            source: 'scraper'
+        });
+
+        return this.db.scrapeAlerts.insert({
+            scraperId: scraper.id,
+            runId: run.id,
+            name: scraper.name,
+            url: scraper.url,
+            business: scraper.business,
+            changes: run.changes,
+            summary: lines.join('; '),
+            taskId: task.id,
+            acknowledgedAt: null,
+            acknowledgedBy: null
+        });
+    }
+
+    listAlerts({ scraperId, acknowledged } = {}) {
+        return this.db.scrapeAlerts
+            .find(alert => (!scraperId || alert.scraperId === scraperId) &&
+                (acknowledged === undefined || String(!!alert.acknowledgedAt) === String(acknowledged)))
+            .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    async acknowledgeAlert(id, user) {
+        const alert = this.db.scrapeAlerts.findById(id);
+        if (!alert) throw new RequestError(404, 'Alert not found');
+        if (alert.acknowledgedAt) return alert;
+        return this.db.scrapeAlerts.update(id, { acknowledgedAt: new Date().toISOString(), acknowledgedBy: user ? user.id : null });
+    }
+
+    // New contacts become agency leads; anyone already a lead (same email or phone) is counted as a duplicate.
+    // Contacts whose details don't validate (e.g. a malformed email) are counted as invalid.
+    async saveLeads(found, scraper) {
+        const result = { found: found.length, created: 0, duplicates: 0, invalid: 0, leadIds: [] };
+
+        for (const contact of found) {
+            try {
+                const { lead, created } = await this.leadManager.captureLead({
+                    name: contact.name || undefined,
+                    email: contact.email || undefined,
+                    phone: contact.phone || undefined,
+                    company: contact.company || undefined,
+                    website: contact.website || undefined,
+                    source: 'scraper'
+                }, { inquiry: false, extra: { scraperId: scraper.id, sourceUrl: contact.sourceUrl } });
+                if (!created) {
+                    result.duplicates++;
+                    continue;
+                }
+                result.created++;
+                result.leadIds.push(lead.id);
+            } catch (error) {
+                if (!(error instanceof RequestError)) throw error;
+                result.invalid++;
+            }
+        }
+        return result;
+    }
+
+    // Runs every active scraper whose schedule is due, one at a time
+    async runDue(now = new Date()) {
+        const due = this.db.scrapers.find(scraper => scraper.active && scraper.intervalMinutes &&
+            scraper.nextRunAt && new Date(scraper.nextRunAt) <= now && !this.running.has(scraper.id));
+        const runs = [];
+        for (const scraper of due) {
+            runs.push(await this.runScraper(scraper.id, { trigger: 'schedule' }));
+        }
+        return runs;
+    }
+
+    async handleRequest(intent, message) {
+        const url = (message.match(/https?:\/\/[^\s<>"')]+/) || [])[0];
+        if (url) {
+            let result;
+            try {
+                result = await this.preview({ url, mode: /\b(leads?|contacts?|emails?)\b/i.test(message) ? 'leads' : 'monitor' });
+            } catch (error) {
+                if (!(error instanceof RequestError)) throw error;
+                return `I couldn't scrape ${url}: ${error.message}.`;
+            }
+            const { data, leads } = result;
+            if (leads) {
+                return leads.length
+                    ? `I found ${leads.length} contact(s) on ${url}:\n${leads.slice(0, 10).map(lead => `• ${[lead.name, lead.email, lead.phone].filter(Boolean).join(' - ')}`).join('\n')}`
+                    : `I didn't find any contact details on ${url}.`;
+            }
+            const headings = (data.headings || []).slice(0, 5).join(', ');
+            return `${data.title || url}${headings ? `\nHeadings: ${headings}` : ''}${data.emails && data.emails.length ? `\nEmails: ${data.emails.join(', ')}` : ''}`;
+        }
+
+        const scrapers = this.listScrapers({ active: true });
+        const alerts = this.listAlerts({ acknowledged: false });
+        if (scrapers.length === 0) {
+            return `I'm not watching any sites yet. Give me a URL to scrape, or set up a competitor monitor or lead list under Scrapers.`;
+        }
+
+        const lines = scrapers.map(scraper => `• ${scraper.name} (${scraper.mode}${scraper.intervalMinutes ? `, every ${scraper.intervalMinutes} min` : ''})` +
+            `${scraper.lastRunAt ? ` - last run ${formatDate(scraper.lastRunAt)}, ${scraper.lastStatus}` : ' - not run yet'}`);
+        const changes = alerts.slice(0, 5).map(alert => `• ${alert.name}: ${alert.summary}`);
+        return `I'm watching ${scrapers.length} site(s):\n${lines.join('\n')}` +
+            (changes.length ? `\n\nUnreviewed changes:\n${changes.join('\n')}` : '\n\nNo unreviewed changes.');
+    }
+}
+
+/**
+ * The activity feed. Subsystems record what happened - an email sent, a task completed, a call's outcome, a
+ * settings change - as { type, action, business, entityType, entityId, userId, details }, newest kept up to
+ * `maxEntries`. A failure to record is logged and never fails the operation that triggered it.
+ */
+class ActivityLog {
+    constructor(db, config) {
+        this.db = db;
+        this.config = config;
+    }
+
+    async record({ type, action, business = null, entityType = type, entityId = null, userId = null, details = null }) {
+        try {
+            const entry = await this.db.activity.insert({
+                type,
+                action: String(action).slice(0, 300),
+                business,
+                entityType: entityId ? entityType : null,
+                entityId,
+                userId,
+                details
+            });
+            await this.db.activity.truncate(this.config.maxEntries);
+            return entry;
+        } catch (error) {
+            console.error('Activity log error:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Newest first, one page at a time. `type` and `business` take comma-separated lists; `from` and `to`
+     * bound the time (`to` is exclusive) and `q` searches the action text. Each entry gets a relative `time`.
+     */
+    list(filters = {}, now = new Date()) {
+        const errors = [];
+        const types = filters.type ? String(filters.type).split(',') : null;
+        if (types && types.some(type => !ACTIVITY_TYPES.includes(type))) errors.push(`type must be one of: ${ACTIVITY_TYPES.join(', ')}`);
+        for (const field of ['from', 'to']) {
+            if (filters[field] && Number.isNaN(Date.parse(filters[field]))) errors.push(`${field} must be an ISO 8601 date`);
+        }
+        const page = filters.page === undefined ? 1 : Number(filters.page);
+        if (!Number.isInteger(page) || page < 1) errors.push('page must be a positive whole number');
+        if (errors.length) throw new RequestError(400, 'Validation failed', errors);
+
+        const limit = Math.min(Math.max(Number(filters.limit) || this.config.pageSize, 1), this.config.maxPageSize);
+        const businesses = filters.business ? String(filters.business).split(',') : null;
+        const from = filters.from ? new Date(filters.from).toISOString() : null;
+        const to = filters.to ? new Date(filters.to).toISOString() : null;
+        const query = filters.q ? String(filters.q).toLowerCase() : null;
+
+        const matching = this.db.activity
+            .find(entry => (!types || types.includes(entry.type)) &&
+                (!businesses || businesses.includes(entry.business)) &&
+                (!filters.entityType || entry.entityType === filters.entityType) &&
+                (!filters.entityId || entry.entityId === filters.entityId) &&
+                (!filters.userId || entry.userId === filters.userId) &&
+                (!from || entry.createdAt >= from) &&
+                (!to || entry.createdAt < to) &&
+                (!query || entry.action.toLowerCase().includes(query)))
+            // Entries are appended as they happen, so this is newest first even within one millisecond
+            .reverse();
+
+        return {
+            activity: matching.slice((page - 1) * limit, page * limit).map(entry => ({ ...entry, time: relativeTime(entry.createdAt, now) })),
+            total: matching.length,
+            page,
+            limit,
+            pages: Math.ceil(matching.length / limit)
+        };
+    }
+
+    recent(limit = 10) {
+        return this.list({ limit }).activity;
+    }
+}
+
+class TaskManager {
+    constructor(db, activityLog, config) {
+        this.db = db;
+        this.activityLog = activityLog;
+        this.config = config;
+    }
+
+    async handleRequest(intent, message, businessContext) {
+        const lowerMessage = message.toLowerCase();
+
+        if (/\b(what|show|list|which|any)\b.*\b(tasks?|to-?dos?)\b|\bmy (tasks|to-?dos?)\b/.test(lowerMessage)) {
+            const scope = ['agency', 'ai'].includes(businessContext) ? { business: businessContext } : {};
+            const tasks = this.listTasks({ status: 'open', sort: 'priority', ...scope });
+            if (tasks.length === 0) {
+                return `Your task queue is clear — nothing open right now.`;
+            }
+
+            const lines = tasks.slice(0, 10).map(t => `• ${this.describeTask(t)}`);
+            const more = tasks.length > 10 ? `\n…and ${tasks.length - 10} more.` : '';
+            return `You have ${tasks.length} open task${tasks.length === 1 ? '' : 's'}:\n${lines.join('\n')}${more}`;
+        }
+
+        const due = parseDueDate(message, this.config.timezone);
+        const title = this.extractTitle(message, due && due.matchedText);
+        if (!title) {
+            return `What should the task be? For example: "Add a task to send the Jones renewal quote by Friday".`;
+        }
+
+        const task = await this.createTask({
+            title,
+            business: this.inferBusiness(lowerMessage, intent, businessContext),
+            priority: TASK_PRIORITIES.includes(intent.priority) ? intent.priority : 'medium',
+            dueDate: due ? due.date.toISOString() : undefined,
+            source: 'chat'
+        });
+
+        return `✅ Task created: ${this.describeTask(task)}`;
+    }
+
+    // Strips the command phrasing ("add a task to …", "remind me to …") and the due-date words
+    extractTitle(message, dueText) {
+        let title = message.trim();
+        if (dueText) title = title.replace(dueText, '');
+
+        title = title
+            .replace(/^(please\s+)?(can you\s+)?(add|create|make|new|set up|log)\s+(an?\s+)?((urgent|high[- ]priority|low[- ]priority)\s+)?(task|to-?do|reminder)\s*(to|for|:|-)?\s*/i, '')
+            .replace(/^(please\s+)?remind me to\s+/i, '')
+            .replace(/\b(urgent|asap)\b/gi, '')
+            .replace(/\s+(by|on|due)\s*$/i, '')
+            .replace(/\s{2,}/g, ' ')
+            .replace(/[\s.,!?]+$/, '')
+            .trim();
+
+        return title ? title.charAt(0).toUpperCase() + title.slice(1) : '';
+    }
+
+    inferBusiness(lowerMessage, intent, businessContext) {
+        if (/\bmolaison ai\b|\bai (business|side|platform)\b/.test(lowerMessage)) return 'ai';
+        if (/\bagency\b|\binsurance\b/.test(lowerMessage)) return 'agency';
+        if (['agency', 'ai'].includes(intent.business)) return intent.business;
+        if (['agency', 'ai'].includes(businessContext)) return businessContext;
+        return 'agency';
+    }
+
+    describeTask(task) {
+        const parts = [task.title, `[${task.priority}]`];
+        if (task.dueDate) parts.push(`due ${formatDate(task.dueDate)}`);
+        if (task.assignee) parts.push(`→ ${task.assignee}`);
+        parts.push(`(${task.business === 'client' ? 'client' : task.business})`);
+        return parts.join(' ');
+    }
+
+    // Maps a :businessId route segment to a task scope: 'agency', 'ai' or a client id
+    resolveScope(businessId) {
+        if (['agency', 'ai'].includes(businessId)) return { business: businessId };
+
+        if (!this.db.clients.findById(businessId)) {
+            throw new RequestError(404, `Unknown business or client: ${businessId}`);
+        }
+        return { business: 'client', clientId: businessId };
+    }
+
+    listTasks(filters = {}) {
+        const now = new Date().toISOString();
+        const dueBefore = filters.dueBefore ? parseZonedDate(String(filters.dueBefore), this.config.timezone) : null;
+        if (dueBefore && Number.isNaN(dueBefore.getTime())) {
+            throw new RequestError(400, 'Validation failed', ['dueBefore must be a valid date']);
+        }
+        const statuses = filters.status === 'open'
+            ? ['pending', 'in_progress', 'blocked']
+            : filters.status ? String(filters.status).split(',') : null;
+
+        const tasks = this.db.tasks.find(task =>
+            (!filters.business || task.business === filters.business) &&
+            (!filters.clientId || task.clientId === filters.clientId) &&
+            (!filters.projectId || task.projectId === filters.projectId) &&
+            (!filters.leadId || task.leadId === filters.leadId) &&
+            (!filters.assignee || task.assignee === filters.assignee) &&
+            (!filters.priority || String(filters.priority).split(',').includes(task.priority)) &&
+            (!statuses || statuses.includes(task.status)) &&
+            (!dueBefore || (task.dueDate && task.dueDate <= dueBefore.toISOString())) &&
+            (String(filters.overdue) !== 'true' || (task.dueDate && task.dueDate < now && !['completed', 'cancelled'].includes(task.status)))
+        );
+
+        return this.sortTasks(tasks, filters.sort || 'priority', filters.order);
+    }
+
+    sortTasks(tasks, sort, order = 'asc') {
+        const direction = order === 'desc' ? -1 : 1;
+        const byDueDate = (a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999');
+        const comparators = {
+            priority: (a, b) => TASK_PRIORITIES.indexOf(b.priority) - TASK_PRIORITIES.indexOf(a.priority) || byDueDate(a, b),
+            dueDate: (a, b) => byDueDate(a, b) || TASK_PRIORITIES.indexOf(b.priority) - TASK_PRIORITIES.indexOf(a.priority),
+            createdAt: (a, b) => a.createdAt.localeCompare(b.createdAt),
+            title: (a, b) => a.title.localeCompare(b.title)
+        };
+
+        const comparator = comparators[sort];
+        if (!comparator) {
+            throw new RequestError(400, `sort must be one of: ${Object.keys(comparators).join(', ')}`);
+        }
+        return tasks.sort((a, b) => comparator(a, b) * direction);
+    }
+
+    getTask(id) {
+        const task = this.db.tasks.findById(id);
+        if (!task) throw new RequestError(404, 'Task not found');
+        return task;
+    }
+
+    checkLinks(data) {
+        if (data.business === 'client' && !data.clientId) {
+            throw new RequestError(400, 'Validation failed', ['clientId is required for client tasks']);
+        }
+        if (data.clientId && !this.db.clients.findById(data.clientId)) {
+            throw new RequestError(400, 'Validation failed', ['clientId does not match a client']);
+        }
+        if (data.projectId && !this.db.projects.findById(data.projectId)) {
+            throw new RequestError(400, 'Validation failed', ['projectId does not match a project']);
+        }
+        if (data.leadId && !this.db.agency.leads.findById(data.leadId)) {
+            throw new RequestError(400, 'Validation failed', ['leadId does not match a lead']);
+        }
+    }
+
+    // A due date without an offset is wall-clock time in the configured timezone, not UTC
+    normalizeTaskInput(input) {
+        if (!input || typeof input.dueDate !== 'string') return input;
+        const dueDate = parseZonedDate(input.dueDate, this.config.timezone);
+        return Number.isNaN(dueDate.getTime()) ? input : { ...input, dueDate: dueDate.toISOString() };
+    }
+
+    async createTask(input) {
+        const data = validateRecord(this.normalizeTaskInput(input), TASK_SCHEMA);
+        this.checkLinks(data);
+
+        const task = await this.db.tasks.insert({
+            priority: 'medium',
+            source: 'api',
+            ...data,
+            status: 'pending',
+            completedAt: null
+        });
+        await this.recordActivity(task, `Task created: ${task.title}`, task.createdBy || null, { source: task.source, priority: task.priority });
+        return task;
+    }
+
+    recordActivity(task, action, userId = null, details = null) {
+        return this.activityLog.record({ type: 'task', action, business: task.business, entityId: task.id, userId, details });
+    }
+
+    async updateTask(id, input) {
+        const task = this.getTask(id);
+        const { status, ...changes } = validateRecord(this.normalizeTaskInput(input), TASK_SCHEMA, { partial: true });
+
+        if (status && status !== task.status) {
+            throw new RequestError(400, 'Use POST /api/tasks/:id/status to change status');
+        }
+        this.checkLinks({ ...task, ...changes });
+
+        return this.db.tasks.update(id, changes);
+    }
+
+    async transitionTask(id, status, user) {
+        const task = this.getTask(id);
+        const allowed = TASK_STATUS_TRANSITIONS[task.status] || [];
+
+        if (!allowed.includes(status)) {
+            throw new RequestError(409, `Cannot move task from ${task.status} to ${status}`, { allowed });
+        }
+
+        const previous = task.status;
+        const updated = await this.db.tasks.update(id, {
+            status,
+            completedAt: status === 'completed' ? new Date().toISOString() : null
+        });
+        const change = status === 'completed' ? 'completed' : status === 'pending' ? 'reopened' : `moved to ${status.replace('_', ' ')}`;
+        await this.recordActivity(updated, `Task ${change}: ${updated.title}`, user ? user.id : null, { from: previous, to: status });
+        return updated;
+    }
+
+    async deleteTask(id, user) {
+        const task = this.getTask(id);
+        await this.db.tasks.remove(id);
+        await this.recordActivity(task, `Task deleted: ${task.title}`, user ? user.id : null);
+    }
+}
+
+/**
+ * The agency's leads list. Every way a lead arrives (the intake webhook, staff, bookings, the scraper) goes
+ * through captureLead, which merges repeat contacts by email or phone. Scores are computed on read from the
+ * lead's source, its calls, texts, appointments and repeat inquiries, and how recently any of that happened.
+ * Leads move through LEAD_STAGE_TRANSITIONS; a won lead becomes (or activates) an agency client.
+ */
+class LeadManager {
+    constructor(db, clientProjectManager, config) {
+        this.db = db;
+        this.clientProjectManager = clientProjectManager;
+        this.config = config;
+    }
+
+    findDuplicate({ email, phone }) {
+        const digits = phoneDigits(phone);
+        return this.db.agency.leads.findOne(lead =>
+            (email && lead.email && lead.email.toLowerCase() === email) ||
+            (digits && lead.phone && phoneDigits(lead.phone) === digits));
+    }
+
+    matchClient({ email, phone }) {
+        const digits = phoneDigits(phone);
+        return this.db.clients.findOne(client =>
+            (email && client.email && client.email.toLowerCase() === email) ||
+            (digits && client.phone && phoneDigits(client.phone) === digits));
+    }
+
+    /**
+     * Adds a lead, or merges the contact into the lead that already has its email or phone: blank fields are
+     * filled in and, when `inquiry` is set, the submission counts as a repeat inquiry (a lost lead is reopened).
+     * `extra` is stored on new leads only. Resolves to { lead, created }.
+     */
+    async captureLead(input, { inquiry = true, extra = {} } = {}, user) {
+        const fields = validateRecord(input, LEAD_SCHEMA);
+        if (!fields.email && !fields.phone) {
+            throw new RequestError(400, 'Validation failed', ['email or phone is required']);
+        }
+
+        const now = new Date().toISOString();
+        const entry = { at: now, source: fields.source || 'other', interest: fields.interest || null, message: fields.message || null };
+        const existing = this.findDuplicate(fields);
+        const client = this.matchClient(fields);
+
+        if (existing) {
+            const changes = {};
+            for (const [field, value] of Object.entries(fields)) {
+                if (value !== null && !['source', 'message'].includes(field) && (existing[field] === null || existing[field] === undefined)) {
+                    changes[field] = value;
+                }
+            }
+            if (client && !existing.clientId) changes.clientId = client.id;
+            if (inquiry) {
+                changes.inquiries = [...(existing.inquiries || []), entry];
+                changes.lastActivityAt = now;
+                if (existing.stage === 'lost') {
+                    changes.stage = 'new';
+                    changes.stageHistory = [...(existing.stageHistory || []), { stage: 'new', note: 'Reopened by a new inquiry', at: now, by: user ? user.id : null }];
+                }
+            }
+            const lead = Object.keys(changes).length ? await this.db.agency.leads.update(existing.id, changes) : existing;
+            return { lead, created: false };
+        }
+
+        const lead = await this.db.agency.leads.insert({
+            name: fields.name || fields.company || fields.email || fields.phone,
+            email: null,
+            phone: null,
+            company: null,
+            website: null,
+            interest: null,
+            message: null,
+            notes: null,
+            tags: [],
+            ...fields,
+            source: fields.source || 'other',
+            stage: 'new',
+            stageHistory: [{ stage: 'new', note: null, at: now, by: user ? user.id : null }],
+            inquiries: inquiry ? [entry] : [],
+            clientId: client ? client.id : null,
+            appointmentIds: [],
+            quoteAmount: null,
+            lostReason: null,
+            convertedAt: null,
+            lastActivityAt: now,
+            ...extra
+        });
+        return { lead, created: true };
+    }
+
+    getLead(id) {
+        const lead = this.db.agency.leads.findById(id);
+        if (!lead) throw new RequestError(404, 'Lead not found');
+        return lead;
+    }
+
+    async updateLead(id, input) {
+        const lead = this.getLead(id);
+        const changes = validateRecord(input, LEAD_SCHEMA, { partial: true });
+        if (input && input.stage !== undefined && input.stage !== lead.stage) {
+            throw new RequestError(400, 'Use POST /api/leads/:id/stage to change stage');
+        }
+        const email = changes.email !== undefined ? changes.email : lead.email;
+        const phone = changes.phone !== undefined ? changes.phone : lead.phone;
+        if (!email && !phone) throw new RequestError(400, 'Validation failed', ['email or phone is required']);
+
+        const duplicate = this.db.agency.leads.findOne(other => other.id !== id &&
+            ((changes.email && other.email === changes.email) || (changes.phone && phoneDigits(other.phone) === phoneDigits(changes.phone))));
+        if (duplicate) throw new RequestError(409, `${duplicate.name} already has that email or phone`, { leadId: duplicate.id });
+
+        return this.db.agency.leads.update(id, changes);
+    }
+
+    async deleteLead(id) {
+        this.getLead(id);
+        await this.db.agency.leads.remove(id);
+    }
+
+    /**
+     * Moves a lead along the pipeline. `quoted` can record { quoteAmount } and `lost` a { lostReason }.
+     * `won` converts the lead: a linked client is made active, otherwise a new agency client is created from
+     * the lead's details. Resolves to { lead, client }.
+     */
+    async advanceStage(id, { stage, note, quoteAmount, lostReason } = {}, user) {
+        const lead = this.getLead(id);
+        const allowed = LEAD_STAGE_TRANSITIONS[lead.stage] || [];
+        if (!allowed.includes(stage)) {
+            throw new RequestError(409, `Cannot move lead from ${lead.stage} to ${stage}`, { allowed });
+        }
+        const terms = validateRecord({ quoteAmount, lostReason }, LEAD_STAGE_SCHEMA);
+
+        const now = new Date().toISOString();
+        const changes = {
+            stage,
+            stageHistory: [...(lead.stageHistory || []), { stage, note: note || null, at: now, by: user ? user.id : null }],
+            lastActivityAt: now
+        };
+        if (stage === 'quoted' && terms.quoteAmount !== undefined) changes.quoteAmount = terms.quoteAmount;
+        if (stage === 'lost') changes.lostReason = terms.lostReason || null;
+
+        let client = null;
+        if (stage === 'won') {
+            client = lead.clientId ? this.db.clients.findById(lead.clientId) : null;
+            if (client && client.status !== 'active') {
+                client = await this.clientProjectManager.updateClient(client.id, { status: 'active' });
+            } else if (!client) {
+                client = await this.clientProjectManager.createClient({
+                    name: lead.company || lead.name,
+                    contactName: lead.company ? lead.name : undefined,
+                    company: lead.company || undefined,
+                    business: 'agency',
+                    status: 'active',
+                    email: lead.email || undefined,
+                    phone: lead.phone || undefined,
+                    notes: [lead.interest && `Interested in: ${lead.interest}`, lead.message].filter(Boolean).join('\n') || undefined,
+                    tags: [`lead:${lead.source}`]
+                });
+            }
+            changes.clientId = client.id;
+            changes.convertedAt = now;
+        }
+
+        return { lead: await this.db.agency.leads.update(id, changes), client };
+    }
+
+    // Calls, inbound texts and live appointments per lead, gathered once for a whole list
+    engagementIndex() {
+        const index = new Map();
+        const entry = leadId => {
+            if (!index.has(leadId)) index.set(leadId, { calls: [], texts: [], appointments: [] });
+            return index.get(leadId);
+        };
+        for (const call of this.db.calls.find(c => c.leadId)) entry(call.leadId).calls.push(call);
+        for (const text of this.db.smsMessages.find(m => m.leadId && m.direction === 'inbound')) entry(text.leadId).texts.push(text);
+        for (const appointment of this.db.agency.appointments.find(a => a.leadId && a.status !== 'cancelled')) {
+            entry(appointment.leadId).appointments.push(appointment);
+        }
+        return index;
+    }
+
+    /**
+     * 0-100: the source's base score (LEAD_SOURCE_SCORES), +5 each for an email and a phone number, then
+     * engagement - appointments, calls that connected (more if the voice agent heard interest), inbound texts
+     * and repeat inquiries, each capped - less points once the lead has gone quiet.
+     */
+    scoreLead(lead, index = this.engagementIndex(), now = new Date()) {
+        const { calls, texts, appointments } = index.get(lead.id) || { calls: [], texts: [], appointments: [] };
+        const connected = calls.filter(call => call.direction === 'inbound' || call.status === 'completed');
+        const repeats = Math.max((lead.inquiries || []).length - 1, 0);
+        const factors = [
+            [`${lead.source} lead`, LEAD_SOURCE_SCORES[lead.source] || LEAD_SOURCE_SCORES.other],
+            ['has email', lead.email ? 5 : 0],
+            ['has phone', lead.phone ? 5 : 0],
+            [`${appointments.length} appointment(s)`, Math.min(appointments.length, 2) * 15],
+            [`${connected.length} call(s)`, Math.min(connected.length, 3) * 8],
+            ['interested on a call', calls.some(call => call.outcome === 'interested') ? 15 : 0],
+            ['not interested on a call', calls.some(call => call.outcome === 'not_interested') ? -20 : 0],
+            [`${texts.length} text(s) received`, Math.min(texts.length, 3) * 6],
+            [`${repeats} repeat inquir${repeats === 1 ? 'y' : 'ies'}`, Math.min(repeats, 2) * 10]
+        ];
+
+        const lastActivityAt = [lead.lastActivityAt, lead.lastContactedAt, lead.createdAt,
+            ...calls.map(c => c.createdAt), ...texts.map(t => t.createdAt), ...appointments.map(a => a.createdAt)]
+            .filter(Boolean).sort().pop();
+        const quietDays = Math.floor((now - new Date(lastActivityAt)) / 86400000);
+        if (quietDays > 90) factors.push([`no activity for ${quietDays} days`, -20]);
+        else if (quietDays > this.config.staleDays) factors.push([`no activity for ${quietDays} days`, -10]);
+
+        const scored = factors.filter(([, points]) => points !== 0).map(([factor, points]) => ({ factor, points }));
+        const score = Math.min(Math.max(scored.reduce((total, { points }) => total + points, 0), 0), 100);
+        return {
+            score,
+            grade: score >= LEAD_GRADES.hot ? 'hot' : score >= LEAD_GRADES.warm ? 'warm' : 'cold',
+            scoreFactors: scored,
+            engagement: { calls: calls.length, texts: texts.length, appointments: appointments.length, inquiries: (lead.inquiries || []).length },
+            lastActivityAt
+        };
+    }
+
+    withScore(lead, index) {
+        const client = lead.clientId ? this.db.clients.findById(lead.clientId) : null;
+        return { ...lead, ...this.scoreLead(lead, index), clientName: client ? client.name : null };
+    }
+
+    localDate(value) {
+        return calendarDateString(zonedParts(new Date(value), this.config.timezone));
+    }
+
+    today(now = new Date()) {
+        return this.localDate(now);
+    }
+
+    // Filters: stage, source (comma-separated), grade, minScore, q, and from/to (YYYY-MM-DD, to exclusive) on the
+    // date the lead came in. Sorted by score unless sort=createdAt.
+    listLeads(filters = {}) {
+        const index = this.engagementIndex();
+        const search = (filters.q || '').toLowerCase();
+        const minScore = filters.minScore !== undefined ? Number(filters.minScore) : null;
+        const created = lead => this.localDate(lead.createdAt);
+
+        return this.db.agency.leads
+            .find(lead =>
+                (!filters.stage || String(filters.stage).split(',').includes(lead.stage)) &&
+                (!filters.source || String(filters.source).split(',').includes(lead.source)) &&
+                (!filters.from || created(lead) >= String(filters.from).slice(0, 10)) &&
+                (!filters.to || created(lead) < String(filters.to).slice(0, 10)) &&
+                (!search || [lead.name, lead.email, lead.phone, lead.company, lead.interest]
+                    .some(value => value && value.toLowerCase().includes(search))))
+            .map(lead => this.withScore(lead, index))
+            .filter(lead => (!filters.grade || String(filters.grade).split(',').includes(lead.grade)) &&
+                (minScore === null || lead.score >= minScore))
+            .sort(filters.sort === 'createdAt'
+                ? (a, b) => b.createdAt.localeCompare(a.createdAt)
+                : (a, b) => b.score - a.score || b.lastActivityAt.localeCompare(a.lastActivityAt));
+    }
+
+    // When the lead last entered `stage`
+    stageDate(lead, stage) {
+        const entry = [...(lead.stageHistory || [])].reverse().find(h => h.stage === stage);
+        return entry ? entry.at : null;
+    }
+
+    describeLead(lead) {
+        return `${lead.name}${lead.company && lead.company !== lead.name ? ` (${lead.company})` : ''} - ${lead.stage}` +
+            `${lead.stage === 'quoted' && lead.quoteAmount ? ` at ${formatCurrency(lead.quoteAmount)}` : ''}` +
+            `, ${lead.grade} (${lead.score}), ${lead.source}` +
+            `${lead.interest ? `, wants ${lead.interest}` : ''}, last activity ${formatDate(lead.lastActivityAt)}`;
+    }
+
+    /**
+     * Open leads by stage and grade, where leads come from and how each source converts (won vs won + lost),
+     * and what came in, was won and was lost in the window (default: this month). `source` narrows it to
+     * leads from those sources.
+     */
+    pipeline({ from, to, source } = {}) {
+        const leads = this.listLeads({ source });
+        const today = this.today();
+        const window = from || to
+            ? { from: from ? String(from).slice(0, 10) : '0000-01-01', to: to ? String(to).slice(0, 10) : addDaysToDate(today, 1) }
+            : { from: `${today.slice(0, 8)}01`, to: addDaysToDate(today, 1) };
+        const inWindow = value => {
+            if (!value) return false;
+            const date = this.localDate(value);
+            return date >= window.from && date < window.to;
+        };
+        const rate = (won, lost) => won + lost > 0 ? Math.round((won / (won + lost)) * 100) : null;
+
+        const open = leads.filter(lead => !['won', 'lost'].includes(lead.stage));
+        const stages = LEAD_STAGES.map(stage => {
+            const group = leads.filter(lead => lead.stage === stage);
+            return {
+                stage,
+                count: group.length,
+                averageScore: group.length ? Math.round(group.reduce((total, lead) => total + lead.score, 0) / group.length) : null,
+                ...(stage === 'quoted' ? { quoteTotal: group.reduce((total, lead) => total + (lead.quoteAmount || 0), 0) } : {})
+            };
+        });
+        const sources = [...new Set(leads.map(lead => lead.source))].map(source => {
+            const group = leads.filter(lead => lead.source === source);
+            const won = group.filter(lead => lead.stage === 'won').length;
+            const lost = group.filter(lead => lead.stage === 'lost').length;
+            return { source, count: group.length, open: group.length - won - lost, won, lost, conversionRate: rate(won, lost) };
+        }).sort((a, b) => b.count - a.count);
+        const won = leads.filter(lead => lead.stage === 'won').length;
+        const lost = leads.filter(lead => lead.stage === 'lost').length;
+
+        return {
+            asOf: today,
+            total: leads.length,
+            open: open.length,
+            grades: Object.fromEntries(['hot', 'warm', 'cold'].map(grade => [grade, open.filter(lead => lead.grade === grade).length])),
+            stages,
+            sources,
+            conversionRate: rate(won, lost),
+            period: {
+                ...window,
+                new: leads.filter(lead => inWindow(lead.createdAt)).length,
+                won: leads.filter(lead => lead.stage === 'won' && inWindow(this.stageDate(lead, 'won'))).length,
+                lost: leads.filter(lead => lead.stage === 'lost' && inWindow(this.stageDate(lead, 'lost'))).length
+            },
+            topLeads: open.slice(0, 5).map(({ id, name, company, stage, score, grade, source }) => ({ id, name, company, stage, score, grade, source }))
+        };
+    }
+
+    async handleRequest(intent, message) {
+        const query = parseLeadQuery(message, this.config.timezone);
+        const listing = !query.summary && (query.stage || query.source || query.grade || query.top || query.window);
+
+        if (!listing) {
+            const summary = this.pipeline({ source: query.source, ...(query.window ? { from: query.window.from, to: query.window.to } : {}) });
+            if (summary.total === 0) {
+                return query.source ? `There are no ${query.source.split(',').join('/')} leads yet.`
+                    : 'There are no leads yet. They come in from the intake form, bookings and lead scrapers.';
+            }
+
+            const stages = summary.stages
+                .filter(stage => stage.count > 0 && !['won', 'lost'].includes(stage.stage))
+                .map(stage => `${stage.stage} ${stage.count}${stage.quoteTotal ? ` (${formatCurrency(stage.quoteTotal)} quoted)` : ''}`);
+            const sources = summary.sources.slice(0, 4)
+                .map(source => `${source.source} ${source.count}${source.conversionRate !== null ? ` (${source.conversionRate}% won)` : ''}`);
+            const label = query.window ? query.window.label : 'this month';
+            return [
+                `${summary.open} open ${query.source ? `${query.source.split(',').join('/')} ` : ''}lead${summary.open === 1 ? '' : 's'} (${summary.grades.hot} hot, ${summary.grades.warm} warm, ${summary.grades.cold} cold)` +
+                    `${stages.length ? `: ${stages.join(', ')}` : ''}.`,
+                `${label[0].toUpperCase()}${label.slice(1)}: ${summary.period.new} new, ${summary.period.won} won, ${summary.period.lost} lost.`,
+                summary.conversionRate !== null ? `Overall, ${summary.conversionRate}% of closed leads were won.` : null,
+                sources.length ? `By source: ${sources.join(', ')}.` : null,
+                summary.topLeads.length ? `Top open leads:\n${summary.topLeads.slice(0, 3).map(lead => `• ${lead.name} - ${lead.stage}, ${lead.grade} (${lead.score})`).join('\n')}` : null
+            ].filter(Boolean).join('\n');
+        }
+
+        // Won and lost leads are counted by when they closed, everything else by when it came in
+        const closed = ['won', 'lost'].includes(query.stage);
+        const window = query.window ? { from: query.window.from, to: query.window.to } : {};
+        let leads = this.listLeads({ stage: query.stage, source: query.source, grade: query.grade, ...(closed ? {} : window) });
+        if (closed && query.window) {
+            leads = leads.filter(lead => {
+                const at = this.stageDate(lead, query.stage);
+                return at && this.localDate(at) >= window.from && this.localDate(at) < window.to;
+            });
+        }
+        // Without a stage or period, closed leads are left out
+        const openOnly = !query.stage && !query.window;
+        if (openOnly) leads = leads.filter(lead => !['won', 'lost'].includes(lead.stage));
+
+        const scope = [openOnly && 'open', query.grade, query.stage, query.source && query.source.split(',').join('/')].filter(Boolean).join(' ');
+        const noun = `${scope ? `${scope} ` : ''}lead`;
+        const when = query.window ? ` ${closed ? '' : 'that came in '}${query.window.label}` : '';
+        if (leads.length === 0) return `No ${noun}s${when}.`;
+
+        const shown = leads.slice(0, query.top ? 5 : 10);
+        const count = query.top ? shown.length : leads.length;
+        const lines = shown.map(lead => `• ${this.describeLead(lead)}`);
+        const more = count > shown.length ? `\n…and ${count - shown.length} more.` : '';
+        return `${query.top ? 'Top ' : ''}${count} ${noun}${count === 1 ? '' : 's'}${when}:\n${lines.join('\n')}${more}`;
+    }
+}
+
+/**
+ * Molaison Agency's book of business. Policy dates are stored as YYYY-MM-DD and compared on the calendar of
+ * `config.timezone`. Active policies move through a renewal pipeline (POLICY_RENEWAL_TRANSITIONS); a renewal
+ * closes the current term and opens the next one as a new policy. Reminder tasks go out 60, 30 and 7 days
+ * before expiration.
+ */
+class PolicyManager {
+    constructor(db, taskManager, config) {
+        this.db = db;
+        this.taskManager = taskManager;
+        this.config = config;
+    }
+
+    today(now = new Date()) {
+        const { year, month, day } = zonedParts(now, this.config.timezone);
+        return calendarDateString({ year, month, day });
+    }
+
+    validatePolicy(input, { partial = false } = {}) {
+        const fields = validateRecord(input, POLICY_SCHEMA, { partial });
+        for (const field of ['effectiveDate', 'expirationDate']) {
+            if (fields[field]) fields[field] = fields[field].slice(0, 10);
+        }
+        if (fields.clientId && !this.db.clients.findById(fields.clientId)) {
+            throw new RequestError(400, 'Validation failed', ['clientId does not match a client']);
+        }
+        return fields;
+    }
+
+    // Adds the client's name and days until expiration (negative once expired)
+    withStatus(policy, today = this.today()) {
+        const client = this.db.clients.findById(policy.clientId);
+        return {
+            ...policy,
+            clientName: client ? client.name : null,
+            daysToExpiration: daysBetweenDates(today, policy.expirationDate)
+        };
+    }
+
+    describePolicy(policy) {
+        const { clientName, daysToExpiration } = policy.daysToExpiration === undefined ? this.withStatus(policy) : policy;
+        const when = daysToExpiration < 0 ? `expired ${-daysToExpiration} day${daysToExpiration === -1 ? '' : 's'} ago`
+            : daysToExpiration === 0 ? 'expires today'
+                : `expires in ${daysToExpiration} day${daysToExpiration === 1 ? '' : 's'}`;
+        return `${POLICY_LINES[policy.lineOfBusiness]} - ${policy.carrier}${policy.policyNumber ? ` #${policy.policyNumber}` : ''}` +
+            `${clientName ? ` for ${clientName}` : ''}` +
+            `${policy.premium !== null ? `, ${formatCurrency(policy.premium)}/yr` : ''}` +
+            `, ${formatDate(`${policy.expirationDate}T12:00:00Z`)} (${when})`;
+    }
+
+    listPolicies(filters = {}) {
+        const today = this.today();
+        const search = (filters.q || '').toLowerCase();
+        const maxDays = filters.expiringWithinDays !== undefined ? Number(filters.expiringWithinDays) : null;
+
+        return this.db.agency.policies
+            .find(policy =>
+                (!filters.clientId || policy.clientId === filters.clientId) &&
+                (!filters.line || String(filters.line).split(',').includes(policy.lineOfBusiness)) &&
+                (!filters.status || String(filters.status).split(',').includes(policy.status)) &&
+                (!filters.stage || String(filters.stage).split(',').includes(policy.renewalStage)) &&
+                (!filters.carrier || policy.carrier.toLowerCase().includes(String(filters.carrier).toLowerCase())) &&
+                (!filters.from || policy.expirationDate >= String(filters.from).slice(0, 10)) &&
+                (!filters.to || policy.expirationDate < String(filters.to).slice(0, 10)) &&
+                (maxDays === null || (policy.expirationDate >= today && daysBetweenDates(today, policy.expirationDate) <= maxDays)) &&
+                (!search || [policy.carrier, policy.policyNumber, policy.notes].some(value => value && value.toLowerCase().includes(search))))
+            .map(policy => this.withStatus(policy, today))
+            .sort((a, b) => a.expirationDate.localeCompare(b.expirationDate));
+    }
+
+    getPolicy(id) {
+        const policy = this.db.agency.policies.findById(id);
+        if (!policy) throw new RequestError(404, 'Policy not found');
+        return policy;
+    }
+
+    async createPolicy(input, user) {
+        const fields = this.validatePolicy(input);
+        const expirationDate = fields.expirationDate || addMonthsToDate(fields.effectiveDate, 12);
+        if (expirationDate <= fields.effectiveDate) {
+            throw new RequestError(400, 'Validation failed', ['expirationDate must be after effectiveDate']);
+        }
+
+        const policy = await this.db.agency.policies.insert({
+            policyNumber: null,
+            premium: null,
+            billingFrequency: 'annual',
+            notes: null,
+            ...fields,
+            expirationDate,
+            status: 'active',
+            renewalStage: 'not_started',
+            renewalHistory: [],
+            remindersSent: [],
+            renewedFromId: null,
+            renewedToId: null,
+            createdBy: user ? user.id : null
+        });
+        await this.sendRenewalReminders(new Date(), policy.id);
+        return this.getPolicy(policy.id);
+    }
+
+    async updatePolicy(id, input) {
+        const policy = this.getPolicy(id);
+        const changes = this.validatePolicy(input, { partial: true });
+        const effectiveDate = changes.effectiveDate || policy.effectiveDate;
+        const expirationDate = changes.expirationDate || policy.expirationDate;
+        if (expirationDate <= effectiveDate) {
+            throw new RequestError(400, 'Validation failed', ['expirationDate must be after effectiveDate']);
+        }
+        // A new expiration date gets a fresh set of reminders
+        if (changes.expirationDate && changes.expirationDate !== policy.expirationDate) {
+            changes.remindersSent = [];
+        }
+        await this.db.agency.policies.update(id, changes);
+        await this.sendRenewalReminders(new Date(), id);
+        return this.getPolicy(id);
+    }
+
+    async deletePolicy(id) {
+        this.getPolicy(id);
+        await this.db.agency.policies.remove(id);
+    }
+
+    /**
+     * Moves an active policy along the renewal pipeline. `renewed` takes the new term's details
+     * ({ premium, carrier, policyNumber, expirationDate }, each defaulting to the current term) and returns
+     * both terms; `lost` closes the policy. Either way open reminder tasks for it are closed.
+     */
+    async advanceRenewal(id, { stage, note, ...terms } = {}, user) {
+        const policy = this.getPolicy(id);
+        const allowed = POLICY_RENEWAL_TRANSITIONS[policy.renewalStage] || [];
+        if (policy.status !== 'active') {
+            throw new RequestError(409, `Policy is ${policy.status} - only active policies can be renewed`);
+        }
+        if (!allowed.includes(stage)) {
+            throw new RequestError(409, `Cannot move renewal from ${policy.renewalStage} to ${stage}`, { allowed });
+        }
+
+        const entry = { stage, note: note || null, at: new Date().toISOString(), by: user ? user.id : null };
+        let renewal = null;
+        if (stage === 'renewed') {
+            const next = validateRecord(terms, POLICY_RENEWAL_SCHEMA);
+            renewal = await this.createPolicy({
+                clientId: policy.clientId,
+                carrier: next.carrier || policy.carrier,
+                lineOfBusiness: policy.lineOfBusiness,
+                policyNumber: next.policyNumber || policy.policyNumber,
+                premium: next.premium !== undefined ? next.premium : policy.premium,
+                billingFrequency: policy.billingFrequency,
+                effectiveDate: policy.expirationDate,
+                expirationDate: next.expirationDate || addMonthsToDate(policy.expirationDate, monthsBetweenDates(policy.effectiveDate, policy.expirationDate) || 12)
+            }, user);
+            await this.db.agency.policies.update(renewal.id, { renewedFromId: policy.id });
+        }
+
+        const updated = await this.db.agency.policies.update(id, {
+            renewalStage: stage,
+            renewalHistory: [...policy.renewalHistory, entry],
+            ...(stage === 'renewed' ? { status: 'renewed', renewedToId: renewal.id } : {}),
+            ...(stage === 'lost' ? { status: 'lost' } : {})
+        });
+        if (stage === 'renewed' || stage === 'lost') await this.closeReminderTasks(id);
+
+        return { policy: updated, renewal };
+    }
+
+    async closeReminderTasks(policyId) {
+        for (const task of this.db.tasks.find(t => t.policyId === policyId && ['pending', 'in_progress', 'blocked'].includes(t.status))) {
+            await this.taskManager.transitionTask(task.id, task.status === 'blocked' ? 'cancelled' : 'completed');
+        }
+    }
+
+    // Active policies expiring in the next `days` (and any already past expiration) grouped by renewal stage
+    renewalPipeline({ days = this.config.renewalWindowDays, line } = {}) {
+        const today = this.today();
+        const horizon = Math.min(Math.max(Number(days) || this.config.renewalWindowDays, 1), 366);
+        const policies = this.listPolicies({ status: 'active', line })
+            .filter(policy => policy.daysToExpiration <= horizon);
+
+        const summarize = group => ({
+            count: group.length,
+            premium: Math.round(group.reduce((total, policy) => total + (policy.premium || 0), 0) * 100) / 100
+        });
+        const stages = POLICY_RENEWAL_STAGES
+            .filter(stage => !['renewed', 'lost'].includes(stage))
+            .map(stage => {
+                const group = policies.filter(policy => policy.renewalStage === stage);
+                return { stage, ...summarize(group), policies: group };
+            });
+        const windows = [['expired', -Infinity, -1], ['0-7', 0, 7], ['8-30', 8, 30], ['31-60', 31, 60], ['61+', 61, Infinity]]
+            .map(([label, min, max]) => ({ window: label, ...summarize(policies.filter(p => p.daysToExpiration >= min && p.daysToExpiration <= max)) }));
+
+        return { asOf: today, days: horizon, ...summarize(policies), stages, windows };
+    }
+
+    /**
+     * Creates one task per reminder threshold a policy has crossed. A policy added with 20 days left gets the
+     * 30-day reminder only; the 60-day one is marked as sent without a task. `policyId` limits the check to one
+     * policy, as after it is created or edited.
+     */
+    async sendRenewalReminders(now = new Date(), policyId) {
+        const today = this.today(now);
+        const thresholds = [...this.config.reminderDays].sort((a, b) => b - a);
+        const created = [];
+
+        for (const policy of this.db.agency.policies.find(p => p.status === 'active' && (!policyId || p.id === policyId))) {
+            const daysLeft = daysBetweenDates(today, policy.expirationDate);
+            const due = thresholds.filter(days => daysLeft >= 0 && daysLeft <= days && !policy.remindersSent.includes(days));
+            if (due.length === 0) continue;
+
+            const threshold = due[due.length - 1];
+            const nextThreshold = thresholds.find(days => days < threshold);
+            const client = this.db.clients.findById(policy.clientId);
+            const task = await this.taskManager.createTask({
+                title: `Renewal in ${daysLeft} day${daysLeft === 1 ? '' : 's'}: ${client ? client.name : 'client'} ${POLICY_LINES[policy.lineOfBusiness].toLowerCase()} (${policy.carrier})`,
+                description: `${this.describePolicy(policy)}\nRenewal stage: ${policy.renewalStage.replace('_', ' ')}`,
+                business: 'agency',
+                clientId: client ? client.id : undefined,
+                priority: threshold <= 7 ? 'urgent' : threshold <= 30 ? 'high' : 'medium',
+                // Due by the next reminder, or on the expiration date for the last one
+                dueDate: `${nextThreshold !== undefined ? addDaysToDate(policy.expirationDate, -nextThreshold) : policy.expirationDate}T12:00:00Z`,
+                source: 'policy_renewal',
+                policyId: policy.id
+            });
+            await this.db.agency.policies.update(policy.id, { remindersSent: [...policy.remindersSent, ...due] });
+            created.push(task);
+        }
+        return created;
+    }
+
+    async handleRequest(intent, message) {
+        const query = parsePolicyQuery(message, this.config.timezone);
+
+        if (query.pipeline) {
+            const pipeline = this.renewalPipeline({ line: query.line });
+            if (pipeline.count === 0) {
+                return `No active policies come up for renewal in the next ${pipeline.days} days.`;
+            }
+            const lines = pipeline.stages
+                .filter(stage => stage.count > 0)
+                .map(stage => `• ${stage.stage.replace('_', ' ')}: ${stage.count} (${formatCurrency(stage.premium)} premium)`);
+            return `${pipeline.count} renewal${pipeline.count === 1 ? '' : 's'} in the next ${pipeline.days} days ` +
+                `(${formatCurrency(pipeline.premium)} premium):\n${lines.join('\n')}`;
+        }
+
+        const lower = message.toLowerCase();
+        const client = this.db.clients.findOne(c => lower.includes(c.name.toLowerCase()));
+        const policies = this.listPolicies({
+            status: 'active',
+            line: query.line,
+            clientId: client ? client.id : undefined,
+            ...(query.window ? { from: query.window.from, to: query.window.to } : {})
+        });
+        const scope = `${query.line ? `${query.line.split(',').map(line => POLICY_LINES[line].toLowerCase()).join('/')} ` : ''}polic`;
+        const owner = client ? ` for ${client.name}` : '';
+        if (policies.length === 0) {
+            return `No active ${scope}ies${owner} ${query.window ? `expire ${query.window.label}` : 'on file'}.`;
+        }
+
+        const lines = policies.slice(0, 15).map(policy => `• ${this.describePolicy(policy)}`);
+        const more = policies.length > 15 ? `\n…and ${policies.length - 15} more.` : '';
+        const premium = policies.reduce((total, policy) => total + (policy.premium || 0), 0);
+        const single = policies.length === 1;
+        return `${policies.length} active ${scope}${single ? 'y' : 'ies'}${owner} ${query.window ? `${single ? 'expires' : 'expire'} ${query.window.label}` : 'on file'}` +
+            `${premium ? ` (${formatCurrency(premium)} in annual premium)` : ''}:\n${lines.join('\n')}${more}`;
+    }
+}
+
+class SubscriptionManager {
+    constructor(db, config) {
+        this.db = db;
+        this.config = config;
+    }
+
+    today(now = new Date()) {
+        const { year, month, day } = zonedParts(now, this.config.timezone);
+        return calendarDateString({ year, month, day });
+    }
+
+    getProduct(id) {
+        const product = this.db.ai.products.findById(id);
+        if (!product) throw new RequestError(404, 'Product not found');
+        return product;
+    }
+
+    // By id, name or the slug of a name ("SEO Platform", "seo-platform")
+    findProduct(value) {
+        const text = String(value || '').trim().toLowerCase();
+        if (!text) return null;
+        return this.db.ai.products.findOne(product => product.id === text || product.name.toLowerCase() === text || product.id === slugify(text));
+    }
+
+    findPlan(product, value) {
+        const text = String(value || '').trim().toLowerCase();
+        return product.plans.find(plan => plan.id === text || plan.name.toLowerCase() === text || plan.id === slugify(text)) || null;
+    }
+
+    resolvePlan(product, planId) {
+        if (!planId) return null;
+        const plan = this.findPlan(product, planId);
+        if (!plan) throw new RequestError(400, 'Validation failed', [`planId does not match a ${product.name} plan`]);
+        return plan;
+    }
+
+    validatePlans(plans) {
+        const validated = plans.map((plan, index) => {
+            try {
+                const fields = validateRecord(plan, AI_PLAN_SCHEMA);
+                return { id: slugify(fields.id || fields.name), name: fields.name, interval: fields.interval, price: fields.price !== undefined ? fields.price : null };
+            } catch (error) {
+                throw new RequestError(400, 'Validation failed', (error.details || [error.message]).map(detail => `plans[${index}]: ${detail}`));
+            }
+        });
+        const ids = validated.map(plan => plan.id);
+        const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+        if (duplicate) throw new RequestError(400, 'Validation failed', [`plans has more than one "${duplicate}" plan`]);
+        return validated;
+    }
+
+    listProducts() {
+        return this.db.ai.products.all();
+    }
+
+    async createProduct(input) {
+        const fields = validateRecord(input, AI_PRODUCT_SCHEMA);
+        const id = slugify(fields.name);
+        if (!id) throw new RequestError(400, 'Validation failed', ['name must contain letters or numbers']);
+        if (this.findProduct(fields.name) || this.db.ai.products.findById(id)) {
+            throw new RequestError(409, 'A product with that name already exists');
+        }
+
+        return this.db.ai.products.insert({
+            description: null,
+            active: true,
+            ...fields,
+            id,
+            plans: this.validatePlans(fields.plans || [])
+        });
+    }
+
+    // The id stays the same when a product is renamed so its revenue history keeps pointing at it
+    async updateProduct(id, input) {
+        const product = this.getProduct(id);
+        const changes = validateRecord(input, AI_PRODUCT_SCHEMA, { partial: true });
+        if (changes.name === null) throw new RequestError(400, 'Validation failed', ['name is required']);
+        const namesake = changes.name ? this.findProduct(changes.name) : null;
+        if (namesake && namesake.id !== id) throw new RequestError(409, 'A product with that name already exists');
+
+        if (changes.plans !== undefined) {
+            changes.plans = this.validatePlans(changes.plans || []);
+            const inUse = product.plans
+                .filter(plan => !changes.plans.some(next => next.id === plan.id))
+                .find(plan => this.subscriptions().some(({ subscription }) =>
+                    subscription.status === 'active' && subscription.productId === id && subscription.planId === plan.id));
+            if (inUse) throw new RequestError(409, `The ${inUse.name} plan has active subscriptions`);
+        }
+        return this.db.ai.products.update(id, changes);
+    }
+
+    subscriptions() {
+        return this.db.ai.customers.all()
+            .flatMap(customer => customer.subscriptions.map(subscription => ({ customer, subscription })));
+    }
+
+    monthlyAmount({ amount, interval }) {
+        return amount / BILLING_INTERVAL_MONTHS[interval || 'month'];
+    }
+
+    /**
+     * Adds the customer's MRR this month (as the metrics count it) and a status: active while a subscription is
+     * live or earlier payments still cover this month, churned once they've paid but no longer do, else prospect.
+     */
+    withStatus(customer, ledger = this.buildLedger()) {
+        let mrr = 0;
+        for (const [key, customers] of ledger.mrr) {
+            if (key.startsWith(`${ledger.current}|`)) mrr += customers.get(customer.id) || 0;
+        }
+        const active = mrr > 0 || customer.subscriptions.some(subscription => subscription.status === 'active');
+        const paid = customer.subscriptions.length > 0 || this.db.ai.revenue.count(entry => entry.customerId === customer.id) > 0;
+        return { ...customer, status: active ? 'active' : paid ? 'churned' : 'prospect', mrr: roundCents(mrr) };
+    }
+
+    listCustomers(filters = {}) {
+        const search = (filters.q || '').toLowerCase();
+        const ledger = this.buildLedger();
+        return this.db.ai.customers
+            .find(customer =>
+                (!filters.productId || customer.subscriptions.some(subscription => subscription.productId === filters.productId)) &&
+                (!search || [customer.name, customer.company, customer.email].some(value => value && value.toLowerCase().includes(search))))
+            .map(customer => this.withStatus(customer, ledger))
+            .filter(customer => !filters.status || String(filters.status).split(',').includes(customer.status))
+            .sort((a, b) => b.mrr - a.mrr || a.name.localeCompare(b.name));
+    }
+
+    getCustomer(id) {
+        const customer = this.db.ai.customers.findById(id);
+        if (!customer) throw new RequestError(404, 'Customer not found');
+        return customer;
+    }
+
+    // Matches by email, then by name or company
+    findCustomer({ email, name }) {
+        const lowerName = String(name || '').trim().toLowerCase();
+        return (email && this.db.ai.customers.findOne(customer => customer.email === email)) ||
+            (lowerName && this.db.ai.customers.findOne(customer => [customer.name, customer.company].some(value => value && value.toLowerCase() === lowerName))) ||
+            null;
+    }
+
+    async createCustomer(input, user) {
+        const fields = validateRecord(input, AI_CUSTOMER_SCHEMA);
+        const existing = fields.email ? this.db.ai.customers.findOne(customer => customer.email === fields.email) : null;
+        if (existing) throw new RequestError(409, 'A customer with that email already exists', { customerId: existing.id });
+
+        return this.db.ai.customers.insert({
+            company: null,
+            email: null,
+            phone: null,
+            website: null,
+            notes: null,
+            tags: [],
+            ...fields,
+            subscriptions: [],
+            source: 'manual',
+            createdBy: user ? user.id : null
+        });
+    }
+
+    async updateCustomer(id, input) {
+        this.getCustomer(id);
+        const changes = validateRecord(input, AI_CUSTOMER_SCHEMA, { partial: true });
+        if (changes.name === null) throw new RequestError(400, 'Validation failed', ['name is required']);
+        const existing = changes.email ? this.db.ai.customers.findOne(customer => customer.email === changes.email && customer.id !== id) : null;
+        if (existing) throw new RequestError(409, 'A customer with that email already exists', { customerId: existing.id });
+        return this.db.ai.customers.update(id, changes);
+    }
+
+    async deleteCustomer(id) {
+        this.getCustomer(id);
+        if (this.db.ai.revenue.count(entry => entry.customerId === id) > 0) {
+            throw new RequestError(409, 'Customer has revenue on record - cancel their subscriptions instead');
+        }
+        await this.db.ai.customers.remove(id);
+    }
+
+    getSubscription(customer, subscriptionId) {
+        const subscription = customer.subscriptions.find(s => s.id === subscriptionId);
+        if (!subscription) throw new RequestError(404, 'Subscription not found');
+        return subscription;
+    }
+
+    async saveSubscription(customer, subscriptionId, changes) {
+        const subscriptions = customer.subscriptions.map(s => s.id === subscriptionId ? { ...s, ...changes } : s);
+        const updated = await this.db.ai.customers.update(customer.id, { subscriptions });
+        return { customer: this.withStatus(updated), subscription: this.getSubscription(updated, subscriptionId) };
+    }
+
+    /**
+     * Signs a customer up to a product. The plan's price and interval fill in whatever the request leaves out.
+     * Billing starts on `nextBillingDate` (default the start date); a past date is billed right away, one
+     * revenue entry per period, so add history by CSV instead if it's already on file.
+     */
+    async addSubscription(customerId, input, user) {
+        const customer = this.getCustomer(customerId);
+        const fields = validateRecord(input, SUBSCRIPTION_SCHEMA);
+        const product = this.db.ai.products.findById(fields.productId);
+        if (!product) throw new RequestError(400, 'Validation failed', ['productId does not match a product']);
+        const plan = this.resolvePlan(product, fields.planId);
+        const amount = fields.amount !== undefined && fields.amount !== null ? fields.amount : plan ? plan.price : null;
+        if (amount === null) throw new RequestError(400, 'Validation failed', ['amount is required unless the plan has a price']);
+
+        const startDate = fields.startDate ? fields.startDate.slice(0, 10) : this.today();
+        const nextBillingDate = fields.nextBillingDate ? fields.nextBillingDate.slice(0, 10) : startDate;
+        if (nextBillingDate < startDate) {
+            throw new RequestError(400, 'Validation failed', ['nextBillingDate must not be before startDate']);
+        }
+
+        const subscription = {
+            id: uuidv4(),
+            productId: product.id,
+            planId: plan ? plan.id : null,
+            amount,
+            interval: fields.interval || (plan ? plan.interval : 'month'),
+            status: 'active',
+            startDate,
+            nextBillingDate,
+            // Billing dates are counted from the anchor so one that starts on the 31st stays on month ends
+            billingAnchor: nextBillingDate,
+            periodsBilled: 0,
+            cancelledAt: null,
+            cancelReason: null,
+            notes: fields.notes || null,
+            createdBy: user ? user.id : null
+        };
+        await this.db.ai.customers.update(customer.id, { subscriptions: [...customer.subscriptions, subscription] });
+        await this.billDue();
+
+        const updated = this.getCustomer(customer.id);
+        return { customer: this.withStatus(updated), subscription: this.getSubscription(updated, subscription.id) };
+    }
+
+    // Plan, price and interval changes apply from the next billing date; revenue already recorded is left alone
+    async updateSubscription(customerId, subscriptionId, input) {
+        const customer = this.getCustomer(customerId);
+        const subscription = this.getSubscription(customer, subscriptionId);
+        const fields = validateRecord(input, SUBSCRIPTION_SCHEMA, { partial: true });
+        if (subscription.status !== 'active') throw new RequestError(409, `Subscription is ${subscription.status}`);
+        if (fields.productId && fields.productId !== subscription.productId) {
+            throw new RequestError(400, 'Validation failed', ['productId can\'t change - cancel this subscription and start a new one']);
+        }
+        if (fields.amount === null) throw new RequestError(400, 'Validation failed', ['amount is required']);
+
+        const changes = {};
+        if (fields.planId !== undefined) {
+            const plan = this.resolvePlan(this.getProduct(subscription.productId), fields.planId);
+            changes.planId = plan ? plan.id : null;
+            if (plan && fields.amount === undefined && plan.price !== null) changes.amount = plan.price;
+            if (plan && !fields.interval) changes.interval = plan.interval;
+        }
+        if (fields.amount !== undefined) changes.amount = fields.amount;
+        if (fields.interval) changes.interval = fields.interval;
+        if (fields.notes !== undefined) changes.notes = fields.notes;
+        if (fields.startDate) changes.startDate = fields.startDate.slice(0, 10);
+
+        // A new billing date or interval restarts the count of periods from there
+        const nextBillingDate = fields.nextBillingDate ? fields.nextBillingDate.slice(0, 10) : subscription.nextBillingDate;
+        if (fields.nextBillingDate || (changes.interval && changes.interval !== subscription.interval)) {
+            Object.assign(changes, { nextBillingDate, billingAnchor: nextBillingDate, periodsBilled: 0 });
+        }
+
+        await this.saveSubscription(customer, subscriptionId, changes);
+        await this.billDue();
+
+        const updated = this.getCustomer(customerId);
+        return { customer: this.withStatus(updated), subscription: this.getSubscription(updated, subscriptionId) };
+    }
+
+    /**
+     * Stops billing. Revenue already recorded keeps counting towards MRR until the period it paid for runs out,
+     * so the customer shows as churned in the first month their subscriptions no longer cover.
+     */
+    async cancelSubscription(customerId, subscriptionId, input = {}) {
+        const customer = this.getCustomer(customerId);
+        const subscription = this.getSubscription(customer, subscriptionId);
+        if (subscription.status !== 'active') throw new RequestError(409, `Subscription is already ${subscription.status}`);
+        const fields = validateRecord(input, SUBSCRIPTION_CANCEL_SCHEMA);
+
+        return this.saveSubscription(customer, subscriptionId, {
+            status: 'cancelled',
+            cancelledAt: fields.date ? fields.date.slice(0, 10) : this.today(),
+            cancelReason: fields.reason || null
+        });
+    }
+
+    /**
+     * Records a recurring revenue entry for each billing date an active subscription has reached and moves
+     * nextBillingDate on. Dates missed while the server was down are caught up, oldest first.
+     */
+    async billDue(now = new Date()) {
+        const today = this.today(now);
+        const entries = [];
+
+        for (const customer of this.db.ai.customers.find(c => c.subscriptions.some(s => s.status === 'active' && s.nextBillingDate <= today))) {
+            const subscriptions = customer.subscriptions.map(subscription => {
+                if (subscription.status !== 'active' || subscription.nextBillingDate > today) return subscription;
+
+                const product = this.db.ai.products.findById(subscription.productId);
+                const plan = product && subscription.planId ? this.findPlan(product, subscription.planId) : null;
+                const months = BILLING_INTERVAL_MONTHS[subscription.interval];
+                let { nextBillingDate, periodsBilled } = subscription;
+                while (nextBillingDate <= today) {
+                    entries.push({
+                        productId: subscription.productId,
+                        customerId: customer.id,
+                        planId: subscription.planId,
+                        subscriptionId: subscription.id,
+                        type: 'recurring',
+                        amount: subscription.amount,
+                        interval: subscription.interval,
+                        date: nextBillingDate,
+                        description: `${product ? product.name : subscription.productId}${plan ? ` (${plan.name})` : ''} subscription`,
+                        source: 'billing',
+                        importKey: null,
+                        createdBy: null
+                    });
+                    periodsBilled++;
+                    nextBillingDate = addMonthsToDate(subscription.billingAnchor, months * periodsBilled);
+                }
+                return { ...subscription, nextBillingDate, periodsBilled };
+            });
+            await this.db.ai.customers.update(customer.id, { subscriptions });
+        }
+
+        await this.db.ai.revenue.insertMany(entries);
+        return entries;
+    }
+
+    // Adds customer and product names
+    withNames(entry) {
+        const customer = entry.customerId ? this.db.ai.customers.findById(entry.customerId) : null;
+        const product = this.db.ai.products.findById(entry.productId);
+        return { ...entry, customerName: customer ? customer.name : null, productName: product ? product.name : null };
+    }
+
+    listRevenue(filters = {}) {
+        return this.db.ai.revenue
+            .find(entry =>
+                (!filters.productId || entry.productId === filters.productId) &&
+                (!filters.customerId || entry.customerId === filters.customerId) &&
+                (!filters.type || String(filters.type).split(',').includes(entry.type)) &&
+                (!filters.source || entry.source === filters.source) &&
+                (!filters.from || entry.date >= String(filters.from).slice(0, 10)) &&
+                (!filters.to || entry.date < String(filters.to).slice(0, 10)))
+            .sort((a, b) => b.date.localeCompare(a.date))
+            .map(entry => this.withNames(entry));
+    }
+
+    async recordRevenue(input, user) {
+        const fields = validateRecord(input, REVENUE_SCHEMA);
+        const product = this.db.ai.products.findById(fields.productId);
+        if (!product) throw new RequestError(400, 'Validation failed', ['productId does not match a product']);
+        if (fields.customerId && !this.db.ai.customers.findById(fields.customerId)) {
+            throw new RequestError(400, 'Validation failed', ['customerId does not match a customer']);
+        }
+        const plan = this.resolvePlan(product, fields.planId);
+
+        return this.db.ai.revenue.insert({
+            customerId: null,
+            description: null,
+            subscriptionId: null,
+            importKey: null,
+            ...fields,
+            planId: plan ? plan.id : null,
+            interval: fields.type === 'recurring' ? fields.interval || (plan ? plan.interval : 'month') : null,
+            date: fields.date.slice(0, 10),
+            source: 'manual',
+            createdBy: user ? user.id : null
+        });
+    }
+
+    async deleteRevenue(id) {
+        if (!this.db.ai.revenue.findById(id)) throw new RequestError(404, 'Revenue entry not found');
+        await this.db.ai.revenue.remove(id);
+    }
+
+    /**
+     * Imports historical revenue from CSV. The file needs date and amount columns, and a product column unless
+     * `productId` covers the whole file (REVENUE_CSV_COLUMNS lists the header names accepted). Rows are recurring
+     * monthly revenue unless a type or interval column says otherwise, and negative amounts are refunds. Customers
+     * are matched by email or name and added when new. Rows already imported are skipped, so an export can be
+     * loaded again after more months are added to it. Bad rows are reported and the rest are still imported.
+     */
+    async importRevenueCsv(text, { dryRun = false, productId } = {}, user) {
+        if (typeof text !== 'string' || !text.trim()) throw new RequestError(400, 'CSV text is required');
+        const defaultProduct = productId ? this.db.ai.products.findById(productId) : null;
+        if (productId && !defaultProduct) throw new RequestError(400, 'Validation failed', ['productId does not match a product']);
+
+        const [header = [], ...rows] = parseCsv(text);
+        const columns = mapCsvColumns(header);
+        const missing = ['date', 'amount', ...(defaultProduct ? [] : ['product'])].filter(field => columns[field] === undefined);
+        if (missing.length > 0) {
+            throw new RequestError(400, `CSV is missing the ${missing.join(', ')} column${missing.length === 1 ? '' : 's'}`,
+                missing.map(field => `${field}: one of ${REVENUE_CSV_COLUMNS[field].join(', ')}`));
+        }
+        if (rows.length > this.config.importMaxRows) {
+            throw new RequestError(413, `CSV has ${rows.length} rows; the limit is ${this.config.importMaxRows}`);
+        }
+
+        const existingKeys = new Set(this.db.ai.revenue.find(entry => entry.importKey).map(entry => entry.importKey));
+        const occurrences = new Map();
+        const newCustomers = new Map();
+        const entries = [];
+        const errors = [];
+        let duplicates = 0;
+
+        rows.forEach((row, index) => {
+            const cell = field => columns[field] === undefined ? '' : String(row[columns[field]] || '').trim();
+            try {
+                const { entry, key } = this.parseRevenueRow(cell, defaultProduct, newCustomers, user);
+                // Identical rows in one file are separate payments; the count keeps them apart
+                const occurrence = (occurrences.get(key) || 0) + 1;
+                occurrences.set(key, occurrence);
+                const importKey = crypto.createHash('sha1').update(`${key}|${occurrence}`).digest('hex');
+                if (existingKeys.has(importKey)) {
+                    duplicates++;
+                    return;
+                }
+                entries.push({ ...entry, importKey, createdBy: user ? user.id : null });
+            } catch (error) {
+                errors.push({ row: index + 1, error: error.message });
+            }
+        });
+
+        const customers = [...new Set(newCustomers.values())];
+        if (!dryRun) {
+            await this.db.ai.customers.insertMany(customers);
+            await this.db.ai.revenue.insertMany(entries);
+        }
+
+        const dates = entries.map(entry => entry.date).sort();
+        return {
+            dryRun: !!dryRun,
+            rows: rows.length,
+            imported: entries.length,
+            duplicates,
+            customersCreated: customers.length,
+            from: dates[0] || null,
+            to: dates[dates.length - 1] || null,
+            total: roundCents(entries.reduce((total, entry) => total + (entry.type === 'refund' ? -entry.amount : entry.amount), 0)),
+            errorCount: errors.length,
+            errors: errors.slice(0, 100)
+        };
+    }
+
+    // One CSV row as a revenue entry plus the key that identifies it across imports
+    parseRevenueRow(cell, defaultProduct, newCustomers, user) {
+        const date = parseCsvDate(cell('date'));
+        if (!date) throw new RequestError(400, `date "${cell('date')}" is not a date`);
+        let amount = parseCsvAmount(cell('amount'));
+        if (Number.isNaN(amount)) throw new RequestError(400, `amount "${cell('amount')}" is not a number`);
+        let type = cell('type') ? matchCsvValue(cell('type'), REVENUE_CSV_TYPES) : 'recurring';
+        if (!type) throw new RequestError(400, `type "${cell('type')}" should be recurring, one-time or refund`);
+        if (amount < 0) {
+            type = 'refund';
+            amount = -amount;
+        }
+
+        const product = cell('product') ? this.findProduct(cell('product')) : defaultProduct;
+        if (!product) throw new RequestError(400, `product "${cell('product')}" does not match a product`);
+        const plan = cell('plan') ? this.findPlan(product, cell('plan')) : null;
+        const interval = cell('interval') ? matchCsvValue(cell('interval'), REVENUE_CSV_INTERVALS) : plan ? plan.interval : 'month';
+        if (!interval) throw new RequestError(400, `interval "${cell('interval')}" should be monthly, quarterly or annual`);
+
+        const email = /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(cell('email')) ? cell('email').toLowerCase() : null;
+        const name = cell('customer') || cell('company');
+        let customer = email || name ? this.findCustomer({ email, name }) : null;
+        if (!customer && (email || name)) {
+            customer = (email && newCustomers.get(email)) || (name && newCustomers.get(name.toLowerCase()));
+            if (!customer) {
+                customer = {
+                    id: uuidv4(),
+                    name: name || email,
+                    company: cell('company') || null,
+                    email,
+                    phone: null,
+                    website: null,
+                    notes: null,
+                    tags: [],
+                    subscriptions: [],
+                    source: 'import',
+                    createdBy: user ? user.id : null
+                };
+            }
+            if (email) newCustomers.set(email, customer);
+            if (name) newCustomers.set(name.toLowerCase(), customer);
+        }
+
+        return {
+            entry: {
+                productId: product.id,
+                customerId: customer ? customer.id : null,
+                planId: plan ? plan.id : null,
+                subscriptionId: null,
+                type,
+                amount: roundCents(amount),
+                interval: type === 'recurring' ? interval : null,
+                date,
+                description: cell('description') || null,
+                source: 'import'
+            },
+            key: [date, product.id, customer ? customer.id : '', type, amount.toFixed(2)].join('|')
+        };
+    }
+
+    /**
+     * Spreads recurring revenue over the months each payment covers (an annual payment adds a twelfth to each of
+     * 12 months) as "month|productId" -> customerId -> MRR, and totals the cash taken per month and product.
+     * The current month also counts active subscriptions whose billing date hasn't come round yet.
+     */
+    buildLedger(now = new Date()) {
+        const mrr = new Map();
+        const cash = new Map();
+        const current = this.today(now).slice(0, 7);
+        const add = (month, productId, customerId, value) => {
+            const customers = mrr.get(`${month}|${productId}`) || new Map();
+            customers.set(customerId, (customers.get(customerId) || 0) + value);
+            mrr.set(`${month}|${productId}`, customers);
+        };
+
+        for (const entry of this.db.ai.revenue.all()) {
+            const month = entry.date.slice(0, 7);
+            const key = `${month}|${entry.productId}`;
+            cash.set(key, (cash.get(key) || 0) + (entry.type === 'refund' ? -entry.amount : entry.amount));
+            if (entry.type !== 'recurring') continue;
+
+            const months = BILLING_INTERVAL_MONTHS[entry.interval || 'month'];
+            for (let i = 0; i < months; i++) add(addMonthsToMonth(month, i), entry.productId, entry.customerId || null, entry.amount / months);
+        }
+        for (const { customer, subscription } of this.subscriptions()) {
+            if (subscription.status === 'active' && subscription.nextBillingDate.slice(0, 7) === current) {
+                add(current, subscription.productId, customer.id, this.monthlyAmount(subscription));
+            }
+        }
+        return { mrr, cash, current };
+    }
+
+    /**
+     * One month's figures for a product (or all of them). Churn compares against the month before: customers
+     * paying then but not now, as a share of customers (churnRate) and of MRR (revenueChurnRate). Recurring
+     * revenue with no customer counts towards MRR but not towards customers or ARPU.
+     */
+    summarize({ mrr, cash }, month, productId = null) {
+        const matches = (key, target) => {
+            const [keyMonth, keyProduct] = key.split('|');
+            return keyMonth === target && (!productId || keyProduct === productId);
+        };
+        const customersIn = target => {
+            const customers = new Map();
+            for (const [key, values] of mrr) {
+                if (!matches(key, target)) continue;
+                for (const [customerId, value] of values) customers.set(customerId, (customers.get(customerId) || 0) + value);
+            }
+            return customers;
+        };
+        const sum = values => [...values].reduce((total, value) => total + value, 0);
+
+        const current = customersIn(month);
+        const previous = customersIn(addMonthsToMonth(month, -1));
+        const unattributed = current.get(null) || 0;
+        current.delete(null);
+        previous.delete(null);
+
+        const customerMrr = sum(current.values());
+        const previousMrr = sum(previous.values());
+        const churned = [...previous.keys()].filter(id => !current.has(id));
+        const lostMrr = sum(churned.map(id => previous.get(id)));
+        const revenue = sum([...cash].filter(([key]) => matches(key, month)).map(([, value]) => value));
+
+        return {
+            month,
+            mrr: roundCents(customerMrr + unattributed),
+            arr: roundCents((customerMrr + unattributed) * 12),
+            customers: current.size,
+            newCustomers: [...current.keys()].filter(id => !previous.has(id)).length,
+            churnedCustomers: churned.length,
+            churnRate: previous.size ? Math.round(churned.length / previous.size * 10000) / 10000 : null,
+            revenueChurnRate: previousMrr ? Math.round(lostMrr / previousMrr * 10000) / 10000 : null,
+            arpu: current.size ? roundCents(customerMrr / current.size) : null,
+            revenue: roundCents(revenue)
+        };
+    }
+
+    /**
+     * Figures for `month` (default this month) per product and in total, plus the `months` months up to it for
+     * one product (`productId`) or the total.
+     */
+    metrics({ month, months = 12, productId } = {}, now = new Date()) {
+        const ledger = this.buildLedger(now);
+        const target = month || ledger.current;
+        if (!/^\d{4}-(0[1-9]|1[0-2])$/.test(target)) throw new RequestError(400, 'month must be YYYY-MM');
+        if (productId) this.getProduct(productId);
+        const span = Math.min(Math.max(Number(months) || 12, 1), 60);
+
+        return {
+            month: target,
+            // The current month is still running; subscribers billed later in it are already counted
+            partial: target === ledger.current,
+            total: this.summarize(ledger, target),
+            products: this.db.ai.products.all().map(product => ({ productId: product.id, name: product.name, ...this.summarize(ledger, target, product.id) })),
+            history: Array.from({ length: span }, (_, index) => this.summarize(ledger, addMonthsToMonth(target, index - span + 1), productId || null))
+        };
+    }
+
+    // This month's headline numbers for the business overview
+    overview() {
+        const { total, products } = this.metrics({ months: 1 });
+        return {
+            ...total,
+            products: products.map(({ productId, name, mrr, customers }) => ({ productId, name, mrr, customers }))
+        };
+    }
+}
+
+class ClientProjectManager {
+    constructor(db, activityLog) {
+        this.db = db;
+        this.activityLog = activityLog;
+    }
+
+    async handleRequest(intent, message) {
+        const project = this.matchProject(message);
+        if (project) {
+            return this.summarizeProject(project).text;
+        }
+
+        const openProjects = this.db.projects.find(p => !['completed', 'cancelled'].includes(p.status));
+        if (openProjects.length === 0) {
+            return `There are no open client projects right now. Tell me the client and project name and I'll set one up.`;
+        }
+
+        const lines = openProjects
+            .sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999'))
+            .map(p => `• ${this.summarizeProject(p).headline}`);
+        return `You have ${openProjects.length} open project${openProjects.length === 1 ? '' : 's'}:\n${lines.join('\n')}`;
+    }
+
+    // Scores every project by how many of its project/client name words appear in the message
+    matchProject(message) {
+        const words = new Set(tokenize(message));
+        let best = null;
+        let bestScore = 0;
+
+        for (const project of this.db.projects.all()) {
+            const client = this.db.clients.findById(project.clientId);
+            const clientScore = tokenize(client ? client.name : '').filter(w => words.has(w)).length * 2;
+            const projectScore = tokenize(project.name).filter(w => words.has(w)).length;
+            const score = clientScore + projectScore;
+
+            if (score > bestScore) {
+                best = project;
+                bestScore = score;
+            }
+        }
+
+        return best;
+    }
+
+    summarizeProject(project) {
+        const client = this.db.clients.findById(project.clientId);
+        const milestones = project.milestones || [];
+        const completed = milestones.filter(m => m.completed).length;
+        const nextMilestone = milestones
+            .filter(m => !m.completed)
+            .sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999'))[0];
+        const openTasks = this.db.tasks.count(t => t.projectId === project.id && !['completed', 'cancelled'].includes(t.status));
+
+        const headline = `${project.name}${client ? ` for ${client.name}` : ''} — ${project.status.replace('_', ' ')}` +
+            (project.dueDate ? `, due ${formatDate(project.dueDate)}` : '');
+
+        const details = [];
+        if (milestones.length > 0) {
+            details.push(`${completed}/${milestones.length} milestones complete` +
+                (nextMilestone ? `; next up: "${nextMilestone.name}"${nextMilestone.dueDate ? ` due ${formatDate(nextMilestone.dueDate)}` : ''}` : ''));
+        }
+        if (project.budget) {
+            details.push(`budget $${project.budget.toLocaleString()}` +
+                (project.spent ? ` ($${project.spent.toLocaleString()} spent)` : ''));
+        }
+        details.push(`${openTasks} open task${openTasks === 1 ? '' : 's'}`);
+
+        return {
+            headline,
+            text: `📁 ${headline}. ${details.join(', ')}.`,
+            milestonesCompleted: completed,
+            milestonesTotal: milestones.length,
+            nextMilestone: nextMilestone || null,
+            openTasks
+        };
+    }
+
+    findClientByName(name) {
+        const lower = String(name || '').trim().toLowerCase();
+        const exact = this.db.clients.findOne(client => client.name.toLowerCase() === lower);
+        if (exact) return exact;
+
+        const words = new Set(tokenize(name));
+        const scored = this.db.clients.all()
+            .map(client => ({ client, hits: tokenize(client.name).filter(w => words.has(w)).length }))
+            .filter(entry => entry.hits > 0)
+            .sort((a, b) => b.hits - a.hits);
+        return scored.length ? scored[0].client : null;
+    }
+
+    listClients(filters = {}) {
+        const search = (filters.q || '').toLowerCase();
+        return this.db.clients.find(client =>
+            (!filters.business || client.business === filters.business) &&
+            (!filters.status || client.status === filters.status) &&
+            (!search || [client.name, client.contactName, client.email, client.company]
+                .some(value => value && value.toLowerCase().includes(search)))
+        );
+    }
+
+    getClient(id) {
+        const client = this.db.clients.findById(id);
+        if (!client) throw new RequestError(404, 'Client not found');
+        return client;
+    }
+
+    async createClient(input, user) {
+        const data = validateRecord(input, CLIENT_SCHEMA);
+        const client = await this.db.clients.insert({ status: 'active', business: 'custom', ...data });
+        await this.activityLog.record({ type: 'client', action: `Client added: ${client.name}`, business: client.business, entityId: client.id, userId: user ? user.id : null });
+        return client;
+    }
+
+    async updateClient(id, input) {
+        this.getClient(id);
+        const changes = validateRecord(input, CLIENT_SCHEMA, { partial: true });
+        return this.db.clients.update(id, changes);
+    }
+
+    async deleteClient(id, user) {
+        const client = this.getClient(id);
+        if (this.db.projects.count(p => p.clientId === id) > 0) {
+            throw new RequestError(409, 'Client still has projects - delete or reassign them first');
+        }
+        if (this.db.agency.policies.count(p => p.clientId === id) > 0) {
+            throw new RequestError(409, 'Client still has policies - delete or reassign them first');
+        }
+        await this.db.clients.remove(id);
+        await this.activityLog.record({ type: 'client', action: `Client deleted: ${client.name}`, business: client.business, entityId: id, userId: user ? user.id : null });
+    }
+
+    listProjects(filters = {}) {
+        return this.db.projects.find(project =>
+            (!filters.clientId || project.clientId === filters.clientId) &&
+            (!filters.status || project.status === filters.status) &&
+            (!filters.business || project.business === filters.business)
+        );
+    }
+
+    getProject(id) {
+        const project = this.db.projects.findById(id);
+        if (!project) throw new RequestError(404, 'Project not found');
+        return project;
+    }
+
+    async createProject(input, user) {
+        const data = validateRecord(input, PROJECT_SCHEMA);
+        const client = this.getClient(data.clientId);
+
+        const project = await this.db.projects.insert({
+            business: client.business,
+            status: 'planning',
+            ...data,
+            milestones: (data.milestones || []).map(m => this.buildMilestone(m)),
+            statusHistory: [{ status: data.status || 'planning', at: new Date().toISOString() }]
+        });
+        await this.recordActivity(project, `Project created: ${project.name} for ${client.name}`, user);
+        return project;
+    }
+
+    recordActivity(project, action, user, details = null) {
+        return this.activityLog.record({ type: 'project', action, business: project.business, entityId: project.id, userId: user ? user.id : null, details });
+    }
+
+    async updateProject(id, input) {
+        const project = this.getProject(id);
+        const { status, milestones, ...changes } = validateRecord(input, PROJECT_SCHEMA, { partial: true });
+
+        if (status && status !== project.status) {
+            throw new RequestError(400, 'Use POST /api/projects/:id/status to change status');
+        }
+        if (changes.clientId) this.getClient(changes.clientId);
+
+        return this.db.projects.update(id, changes);
+    }
+
+    async deleteProject(id, user) {
+        const project = this.getProject(id);
+        await this.db.projects.remove(id);
+        await this.recordActivity(project, `Project deleted: ${project.name}`, user);
+    }
+
+    async transitionProject(id, status, note, user) {
+        const project = this.getProject(id);
+        const allowed = PROJECT_STATUS_TRANSITIONS[project.status] || [];
+
+        if (!allowed.includes(status)) {
+            throw new RequestError(409, `Cannot move project from ${project.status} to ${status}`, { allowed });
+        }
+
+        const previous = project.status;
+        const updated = await this.db.projects.update(id, {
+            status,
+            completedAt: status === 'completed' ? new Date().toISOString() : project.completedAt,
+            statusHistory: [...(project.statusHistory || []), { status, note: note || null, at: new Date().toISOString() }]
+        });
+        const change = ['completed', 'cancelled'].includes(status) ? status : `moved to ${status.replace('_', ' ')}`;
+        await this.recordActivity(updated, `Project ${change}: ${updated.name}`, user, { from: previous, to: status, note: note || null });
+        return updated;
+    }
+
+    buildMilestone(input) {
+        const data = validateRecord(input, MILESTONE_SCHEMA);
+        return { id: uuidv4(), completed: false, completedAt: null, ...data };
+    }
+
+    async addMilestone(projectId, input) {
+        const project = this.getProject(projectId);
+        return this.db.projects.update(projectId, {
+            milestones: [...(project.milestones || []), this.buildMilestone(input)]
+        });
+    }
+
+    async updateMilestone(projectId, milestoneId, input, user) {
+        const project = this.getProject(projectId);
+        const milestone = (project.milestones || []).find(m => m.id === milestoneId);
+        if (!milestone) throw new RequestError(404, 'Milestone not found');
+
+        const changes = validateRecord(input, MILESTONE_SCHEMA, { partial: true });
+        if (changes.completed !== undefined) {
+            changes.completedAt = changes.completed ? new Date().toISOString() : null;
+        }
+
+        const completing = changes.completed && !milestone.completed;
+        const updated = await this.db.projects.update(projectId, {
+            milestones: project.milestones.map(m => m.id === milestoneId ? { ...m, ...changes } : m)
+        });
+        if (completing) {
+            await this.recordActivity(updated, `Milestone completed: ${changes.name || milestone.name} (${updated.name})`, user, { milestoneId });
+        }
+        return updated;
+    }
+}
+
+// Language Model Providers
+// Every provider takes { task, model, timeout, system, messages, tools, maxTokens, temperature } and resolves to
+// { text, toolCalls, provider, model }. Messages use one shared shape:
+//   { role: 'user' | 'assistant', content }                      plain turns
+//   { role: 'assistant', content, toolCalls: [{ id, name, arguments }] }
+//   { role: 'tool', toolCallId, name, content }                  tool results (JSON string)
+class OpenAIProvider {
+    constructor(config) {
+        this.name = 'openai';
+        this.config = config;
+    }
+
+    isConfigured() {
+        return !!(this.config.key && this.config.key !== 'test_key_placeholder');
+    }
+
+    toProviderMessages(messages) {
+        return messages.map(m => {
+            if (m.role === 'tool') {
+                return { role: 'tool', tool_call_id: m.toolCallId, content: m.content };
+            }
+            if (m.role === 'assistant' && m.toolCalls) {
+                return {
+                    role: 'assistant',
+                    content: m.content || null,
+                    tool_calls: m.toolCalls.map(call => ({
+                        id: call.id,
+                        type: 'function',
+                        function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+                    }))
+                };
+            }
+            return { role: m.role, content: m.content };
+        });
+    }
+
+    requestBody({ model, system, messages, tools, maxTokens, temperature }) {
+        return {
+            model,
+            messages: [...(system ? [{ role: 'system', content: system }] : []), ...this.toProviderMessages(messages)],
+            tools: tools && tools.length ? tools.map(tool => ({
+                type: 'function',
+                function: { name: tool.name, description: tool.description, parameters: tool.parameters }
+            })) : undefined,
+            max_tokens: maxTokens,
+            temperature
+        };
+    }
+
+    headers() {
+        return {
+            'Authorization': `Bearer ${this.config.key}`,
+            'Content-Type': 'application/json'
+        };
+    }
+
+    async complete(request) {
+        const { model } = request;
+        const response = await axios.post(`${this.config.baseUrl}/chat/completions`, this.requestBody(request), {
+            headers: this.headers(),
+            timeout: request.timeout
+        });
+
+        const message = response.data.choices[0].message;
+        const toolCalls = (message.tool_calls || []).map(call => ({
+            id: call.id,
+            name: call.function.name,
+            arguments: parseToolArguments(call.function.arguments)
+        }));
+
+        return { text: message.content || '', toolCalls, provider: this.name, model };
+    }
+
+    // Tool call names and arguments arrive in fragments keyed by index
+    async stream(request, onToken) {
+        const response = await axios.post(`${this.config.baseUrl}/chat/completions`, { ...this.requestBody(request), stream: true }, {
+            headers: this.headers(),
+            timeout: request.timeout,
+            responseType: 'stream'
+        });
+
+        let text = '';
+        const calls = [];
+        await readEventStream(response.data, chunk => {
+            const delta = chunk.choices && chunk.choices[0] && chunk.choices[0].delta;
+            if (!delta) return;
+
+            if (delta.content) {
+                text += delta.content;
+                onToken(delta.content);
+            }
+            for (const part of delta.tool_calls || []) {
+                const call = calls[part.index] = calls[part.index] || { id: '', name: '', arguments: '' };
+                if (part.id) call.id = part.id;
+                if (part.function && part.function.name) call.name += part.function.name;
+                if (part.function && part.function.arguments) call.arguments += part.function.arguments;
+            }
+        });
+
+        return {
+            text,
+            toolCalls: calls.filter(Boolean).map(call => ({ id: call.id, name: call.name, arguments: parseToolArguments(call.arguments) })),
+            provider: this.name,
+            model: request.model
+        };
+    }
+}
+
+class AnthropicProvider {
+    constructor(config) {
+        this.name = 'anthropic';
+        this.config = config;
+    }
+
+    isConfigured() {
+        return !!this.config.key;
+    }
+
+    // Tool results become tool_result blocks; consecutive results share one user message
+    toProviderMessages(messages) {
+        const converted = [];
+        for (const m of messages) {
+            if (m.role === 'tool') {
+                const block = { type: 'tool_result', tool_use_id: m.toolCallId, content: m.content };
+                const previous = converted[converted.length - 1];
+                if (previous && previous.role === 'user' && Array.isArray(previous.content)) {
+                    previous.content.push(block);
+                } else {
+                    converted.push({ role: 'user', content: [block] });
+                }
+            } else if (m.role === 'assistant' && m.toolCalls) {
+                converted.push({
+                    role: 'assistant',
+                    content: [
+                        ...(m.content ? [{ type: 'text', text: m.content }] : []),
+                        ...m.toolCalls.map(call => ({ type: 'tool_use', id: call.id, name: call.name, input: call.arguments }))
+                    ]
+                });
+            } else {
+                converted.push({ role: m.role, content: m.content });
+            }
+        }
+        return converted;
+    }
+
+    requestBody({ model, system, messages, tools, maxTokens, temperature }) {
+        return {
+            model,
+            system,
+            messages: this.toProviderMessages(messages),
+            tools: tools && tools.length ? tools.map(tool => ({
+                name: tool.name,
+                description: tool.description,
+                input_schema: tool.parameters
+            })) : undefined,
+            max_tokens: maxTokens,
+            temperature
+        };
+    }
+
+    headers() {
+        return {
+            'x-api-key': this.config.key,
+            'anthropic-version': '2023-06-01',
+            'Content-Type': 'application/json'
+        };
+    }
+
+    async complete(request) {
+        const response = await axios.post(`${this.config.baseUrl}/messages`, this.requestBody(request), {
+            headers: this.headers(),
+            timeout: request.timeout
+        });
+
+        return this.toCompletion(response.data.content, request.model);
+    }
+
+    toCompletion(blocks, model) {
+        return {
+            text: blocks.filter(block => block.type === 'text').map(block => block.text).join(''),
+            toolCalls: blocks
+                .filter(block => block.type === 'tool_use')
+                .map(block => ({ id: block.id, name: block.name, arguments: block.input || {} })),
+            provider: this.name,
+            model
+        };
+    }
+
+    // Rebuilds content blocks from the event stream; tool input arrives as partial JSON
+    async stream(request, onToken) {
+        const response = await axios.post(`${this.config.baseUrl}/messages`, { ...this.requestBody(request), stream: true }, {
+            headers: this.headers(),
+            timeout: request.timeout,
+            responseType: 'stream'
+        });
+
+        const blocks = [];
+        await readEventStream(response.data, event => {
+            if (event.type === 'error') {
+                throw new Error(`Anthropic stream error: ${event.error && event.error.message}`);
+            }
+            if (event.type === 'content_block_start') {
+                blocks[event.index] = { ...event.content_block, text: event.content_block.text || '', partialJson: '' };
+            } else if (event.type === 'content_block_delta') {
+                const block = blocks[event.index];
+                if (event.delta.type === 'text_delta') {
+                    block.text += event.delta.text;
+                    onToken(event.delta.text);
+                } else if (event.delta.type === 'input_json_delta') {
+                    block.partialJson += event.delta.partial_json;
+                }
+            }
+        });
+
+        return this.toCompletion(
+            blocks.filter(Boolean).map(block => block.type === 'tool_use'
+                ? { ...block, input: parseToolArguments(block.partialJson || '{}') }
+                : block),
+            request.model
+        );
+    }
+}
+
+class GeminiProvider {
+    constructor(config) {
+        this.name = 'gemini';
+        this.config = config;
+    }
+
+    isConfigured() {
+        return !!this.config.key;
+    }
+
+    toProviderMessages(messages) {
+        return messages.map(m => {
+            if (m.role === 'tool') {
+                return { role: 'user', parts: [{ functionResponse: { name: m.name, response: { content: m.content } } }] };
+            }
+            if (m.role === 'assistant' && m.toolCalls) {
+                return {
+                    role: 'model',
+                    parts: [
+                        ...(m.content ? [{ text: m.content }] : []),
+                        ...m.toolCalls.map(call => ({ functionCall: { name: call.name, args: call.arguments } }))
+                    ]
+                };
+            }
+            return { role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: m.content }] };
+        });
+    }
+
+    requestBody({ system, messages, tools, maxTokens, temperature }) {
+        return {
+            systemInstruction: system ? { parts: [{ text: system }] } : undefined,
+            contents: this.toProviderMessages(messages),
+            tools: tools && tools.length ? [{
+                functionDeclarations: tools.map(tool => ({ name: tool.name, description: tool.description, parameters: tool.parameters }))
+            }] : undefined,
+            generationConfig: { maxOutputTokens: maxTokens, temperature }
+        };
+    }
+
+    async complete(request) {
+        const response = await axios.post(`${this.config.baseUrl}/models/${request.model}:generateContent`, this.requestBody(request), {
+            params: { key: this.config.key },
+            headers: { 'Content-Type': 'application/json' },
+            timeout: request.timeout
+        });
+
+        return this.toCompletion(response.data.candidates[0].content.parts || [], request.model);
+    }
+
+    // Each streamed chunk is a partial response; text parts are forwarded, function calls collected
+    async stream(request, onToken) {
+        const response = await axios.post(`${this.config.baseUrl}/models/${request.model}:streamGenerateContent`, this.requestBody(request), {
+            params: { key: this.config.key, alt: 'sse' },
+            headers: { 'Content-Type': 'application/json' },
+            timeout: request.timeout,
+            responseType: 'stream'
+        });
+
+        const parts = [];
+        await readEventStream(response.data, chunk => {
+            const candidate = chunk.candidates && chunk.candidates[0];
+            for (const part of (candidate && candidate.content && candidate.content.parts) || []) {
+                if (part.text) onToken(part.text);
+                parts.push(part);
+            }
+        });
+
+        return this.toCompletion(parts, request.model);
+    }
+
+    toCompletion(parts, model) {
+        return {
+            text: parts.map(part => part.text || '').join(''),
+            // Gemini doesn't assign call ids, so number them
+            toolCalls: parts
+                .filter(part => part.functionCall)
+                .map((part, index) => ({ id: `gemini-call-${index}`, name: part.functionCall.name, arguments: part.functionCall.args || {} })),
+            provider: this.name,
+            model
+        };
+    }
+}
+
+// Deterministic offline provider so the chat flow can be exercised without any API keys
+class LocalStubProvider {
+    constructor() {
+        this.name = 'local';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async complete({ task, model, messages, tools }) {
+        const last = messages[messages.length - 1] || { content: '' };
+        const lastUserMessage = [...messages].reverse().find(m => m.role === 'user');
+        const content = lastUserMessage ? lastUserMessage.content : '';
+
+        if (tools && tools.length) {
+            if (last.role === 'tool') {
+                const results = messages.filter(m => m.role === 'tool').map(m => `${m.name}: ${m.content}`);
+                return { text: `[local stub] Tool results — ${results.join('; ')}`, toolCalls: [], provider: this.name, model };
+            }
+
+            const call = stubToolCall(content, tools.map(tool => tool.name));
+            if (call) {
+                return { text: '', toolCalls: [{ id: `local-call-${messages.length}`, ...call }], provider: this.name, model };
+            }
+        }
+
+        const responders = {
+            intent: () => JSON.stringify(classifyByRules(content)),
+            triage: () => JSON.stringify(JSON.parse(content).map(email => ({ id: email.id, ...triageByRules({ ...email, body: { text: email.body } }) }))),
+            summary: () => `Summary of ${messages.length} message(s): ${content.slice(0, 200)}`,
+            default: () => `[local stub] You said: "${content}". Configure OpenAI, Anthropic or Gemini for real answers.`
+        };
+
+        return { text: (responders[task] || responders.default)(), toolCalls: [], provider: this.name, model };
+    }
+
+    // Emits the canned answer word by word so streaming clients see incremental output
+    async stream(request, onToken) {
+        const completion = await this.complete(request);
+        for (const piece of completion.text.match(/\S+\s*/g) || []) {
+            onToken(piece);
+        }
+        return completion;
+    }
+}
+
+class LLMRouter {
+    constructor(providers, config) {
+        this.providers = providers;
+        this.config = config;
+    }
+
+    // Providers in fallback order that currently have credentials
+    activeProviders() {
+        return this.config.order
+            .map(name => this.providers[name])
+            .filter(provider => provider && provider.isConfigured());
+    }
+
+    isAvailable() {
+        return this.activeProviders().length > 0;
+    }
+
+    modelFor(task, provider) {
+        const taskModels = this.config.models[task] || this.config.models.chat;
+        // A model picked on the config page applies to conversational work for that provider
+        if (provider.config && provider.config.model && ['chat', 'agent', 'drafting'].includes(task)) {
+            return provider.config.model;
+        }
+        return taskModels[provider.name] || 'stub';
+    }
+
+    providerRequest(task, request, provider) {
+        return { ...request, task, model: this.modelFor(task, provider), timeout: this.config.timeoutMs };
+    }
+
+    describeFailure(error) {
+        if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') return `timed out after ${this.config.timeoutMs}ms`;
+        return error.response ? `HTTP ${error.response.status}` : error.message;
+    }
+
+    async complete(task, request) {
+        const providers = this.activeProviders();
+        if (providers.length === 0) {
+            throw new Error('No language model provider is configured');
+        }
+
+        let lastError;
+        for (const provider of providers) {
+            try {
+                return await provider.complete(this.providerRequest(task, request, provider));
+            } catch (error) {
+                lastError = error;
+                console.error(`LLM provider ${provider.name} failed for ${task} (${this.describeFailure(error)}), trying next`);
+            }
+        }
+        throw lastError;
+    }
+
+    // Like complete(), but hands text to onToken as it arrives. Providers without streaming
+    // deliver their whole answer as one token; fallback only happens while nothing has been emitted.
+    async stream(task, request, onToken) {
+        const providers = this.activeProviders();
+        if (providers.length === 0) {
+            throw new Error('No language model provider is configured');
+        }
+
+        let lastError;
+        for (const provider of providers) {
+            let emitted = false;
+            const forward = text => {
+                emitted = true;
+                onToken(text);
+            };
+
+            try {
+                const providerRequest = this.providerRequest(task, request, provider);
+                if (provider.stream) {
+                    return await provider.stream(providerRequest, forward);
+                }
+                const completion = await provider.complete(providerRequest);
+                if (completion.text) forward(completion.text);
+                return completion;
+            } catch (error) {
+                if (emitted) throw error;
+                lastError = error;
+                console.error(`LLM provider ${provider.name} failed to stream ${task} (${this.describeFailure(error)}), trying next`);
+            }
+        }
+        throw lastError;
+    }
+}
+
+// Speech-to-text providers share transcribe({ buffer, format, mimeType }) -> { text, provider }
+class WhisprTranscriber {
+    constructor(config) {
+        this.name = 'whispr';
+        this.config = config;
+    }
+
+    isConfigured() {
+        return !!(this.config.enabled && this.config.key);
+    }
+
+    async transcribe({ buffer, format, mimeType }) {
+        const form = new FormData();
+        form.append('audio', new Blob([buffer], { type: mimeType }), `voice.${format}`);
+
+        const response = await axios.post(`${this.config.baseUrl}/transcriptions`, form, {
+            headers: { 'Authorization': `Bearer ${this.config.key}` }
+        });
+        return { text: response.data.text || response.data.transcript || '', provider: this.name };
+    }
+}
+
+class WhisperTranscriber {
+    constructor(openaiConfig, transcriptionConfig) {
+        this.name = 'openai';
+        this.config = openaiConfig;
+        this.model = transcriptionConfig.openaiModel;
+    }
+
+    isConfigured() {
+        return !!(this.config.key && this.config.key !== 'test_key_placeholder');
+    }
+
+    async transcribe({ buffer, format, mimeType }) {
+        const form = new FormData();
+        form.append('file', new Blob([buffer], { type: mimeType }), `voice.${format}`);
+        form.append('model', this.model);
+
+        const response = await axios.post(`${this.config.baseUrl}/audio/transcriptions`, form, {
+            headers: { 'Authorization': `Bearer ${this.config.key}` }
+        });
+        return { text: response.data.text || '', provider: this.name };
+    }
+}
+
+// Offline stand-in: returns a fixed transcript so the voice flow can be exercised without keys
+class LocalTranscriber {
+    constructor(config) {
+        this.name = 'local';
+        this.config = config;
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async transcribe() {
+        return { text: this.config.localTranscript, provider: this.name };
+    }
+}
+
+class TranscriptionService {
+    constructor(providers, config) {
+        this.providers = providers;
+        this.config = config;
+    }
+
+    activeProviders() {
+        return this.config.order
+            .map(name => this.providers[name])
+            .filter(provider => provider && provider.isConfigured());
+    }
+
+    isAvailable() {
+        return this.activeProviders().length > 0;
+    }
+
+    async transcribe(audio) {
+        let lastError;
+        for (const provider of this.activeProviders()) {
+            try {
+                return await provider.transcribe(audio);
+            } catch (error) {
+                lastError = error;
+                const detail = error.response ? `HTTP ${error.response.status}` : error.message;
+                console.error(`Transcription provider ${provider.name} failed (${detail}), trying next`);
+            }
+        }
+        throw lastError || new Error('No transcription provider is configured');
+    }
+}
+
+class PerplexitySearch {
+    constructor(config) {
+        this.name = 'perplexity';
+        this.config = config;
+    }
+
+    isConfigured() {
+        return !!(this.config.key && this.config.key !== 'test_key_placeholder');
+    }
+
+    // Perplexity's answers mark sources inline as [1], [2]... in the order of `citations`
+    async search({ query, system, recency, domains }) {
+        const response = await axios.post(`${this.config.baseUrl}/chat/completions`, {
+            model: this.config.model,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: query }
+            ],
+            ...(recency ? { search_recency_filter: recency } : {}),
+            ...(domains && domains.length ? { search_domain_filter: domains } : {})
+        }, {
+            headers: {
+                'Authorization': `Bearer ${this.config.key}`,
+                'Content-Type': 'application/json'
+            },
+            timeout: this.config.timeoutMs
+        });
+
+        const data = response.data;
+        const results = data.search_results || [];
+        const urls = data.citations || results.map(result => result.url);
+        return {
+            answer: data.choices[0].message.content,
+            citations: urls.map((url, index) => {
+                const result = results.find(r => r.url === url);
+                return { index: index + 1, url, title: (result && result.title) || citationTitle(url), date: (result && result.date) || null };
+            }),
+            provider: this.name,
+            model: data.model || this.config.model
+        };
+    }
+}
+
+// Offline stand-in: a canned cited answer so research jobs can be exercised without keys
+class LocalSearch {
+    constructor() {
+        this.name = 'local';
+    }
+
+    isConfigured() {
+        return true;
+    }
+
+    async search({ query }) {
+        return {
+            answer: `## Summary\n\n[local search] No live search was run for: "${query.split('\n')[0]}" [1].\n\n` +
+                `## Next steps\n\nConfigure PERPLEXITY_API_KEY for real, cited research [2].`,
+            citations: [
+                { index: 1, url: 'https://example.com/local-search', title: 'Local search stub', date: null },
+                { index: 2, url: 'https://docs.perplexity.ai', title: 'Perplexity API documentation', date: null }
+            ],
+            provider: this.name,
+            model: 'local'
+        };
+    }
+}
+
+class ResearchService {
+    constructor(providers, config) {
+        this.providers = providers;
+        this.config = config;
+    }
+
+    activeProviders() {
+        return this.config.order
+            .map(name => this.providers[name])
+            .filter(provider => provider && provider.isConfigured());
+    }
+
+    isAvailable() {
+        return this.activeProviders().length > 0;
+    }
+
+    async search(request) {
+        let lastError;
+        for (const provider of this.activeProviders()) {
+            try {
+                return await provider.search(request);
+            } catch (error) {
+                lastError = error;
+                const detail = error.response ? `HTTP ${error.response.status}` : error.message;
+                console.error(`Research provider ${provider.name} failed (${detail}), trying next`);
+            }
+        }
+        throw lastError || new RequestError(503, 'No research provider is configured - set PERPLEXITY_API_KEY');
+    }
+}
+
+// Tools the chat agent can call. Handlers receive validated arguments and { user, conversation };
+// sideEffect tools are queued until the user confirms them.
+class ToolRegistry {
+    constructor() {
+        this.tools = new Map();
+    }
+
+    register(tool) {
+        this.tools.set(tool.name, tool);
+        return this;
+    }
+
+    get(name) {
+        return this.tools.get(name) || null;
+    }
+
+    definitions() {
+        return [...this.tools.values()].map(({ name, description, parameters }) => ({ name, description, parameters }));
+    }
+
+    // Checks required arguments and primitive types against the tool's JSON schema
+    validateArguments(tool, args) {
+        const errors = [];
+        const properties = tool.parameters.properties || {};
+
+        for (const field of tool.parameters.required || []) {
+            if (args[field] === undefined || args[field] === null || args[field] === '') {
+                errors.push(`${field} is required`);
+            }
+        }
+        for (const [field, value] of Object.entries(args)) {
+            const expected = properties[field] && properties[field].type;
+            const actual = Array.isArray(value) ? 'array' : typeof value;
+            if (expected && value !== null && value !== undefined && expected !== actual && !(expected === 'integer' && Number.isInteger(value))) {
+                errors.push(`${field} must be ${expected}`);
+            }
+        }
+        return errors;
+    }
+
+    async execute(name, args, context) {
+        const tool = this.get(name);
+        if (!tool) {
+            throw new RequestError(400, `Unknown tool: ${name}`);
+        }
+
+        const errors = this.validateArguments(tool, args);
+        if (errors.length > 0) {
+            throw new RequestError(400, 'Invalid tool arguments', errors);
+        }
+        return tool.handler(args, context);
+    }
+}
+
+class ToolAgent {
+    constructor(llm, registry, config) {
+        this.llm = llm;
+        this.registry = registry;
+        this.config = config;
+    }
+
+    /**
+     * Runs the model/tool loop until the model answers in plain text or maxSteps is reached.
+     * Side-effecting calls are not executed; they come back in pendingActions for confirmation.
+     * With onToken the model's text is streamed; onTool receives each trace entry as it happens.
+     */
+    async run({ system, messages, context, onToken = null, onTool = () => {} }) {
+        const transcript = [...messages];
+        const trace = [];
+        const pendingActions = [];
+
+        const record = entry => {
+            trace.push(entry);
+            onTool(entry);
+        };
+
+        for (let step = 1; step <= this.config.maxSteps; step++) {
+            const request = {
+                system,
+                messages: transcript,
+                tools: this.registry.definitions(),
+                maxTokens: 800,
+                temperature: 0.3
+            };
+            const completion = onToken
+                ? await this.llm.stream('agent', request, onToken)
+                : await this.llm.complete('agent', request);
+
+            if (!completion.toolCalls || completion.toolCalls.length === 0) {
+                return { text: completion.text, trace, pendingActions };
+            }
+
+            transcript.push({ role: 'assistant', content: completion.text, toolCalls: completion.toolCalls });
+
+            for (const call of completion.toolCalls) {
+                const tool = this.registry.get(call.name);
+                let result;
+
+                if (tool && tool.sideEffect) {
+                    const action = { id: uuidv4(), tool: call.name, arguments: call.arguments, status: 'pending', createdAt: new Date().toISOString() };
+                    pendingActions.push(action);
+                    record({ step, tool: call.name, arguments: call.arguments, status: 'pending_confirmation', actionId: action.id });
+                    result = { status: 'awaiting_confirmation', actionId: action.id, note: 'Not done yet - ask the user to confirm.' };
+                } else {
+                    onTool({ step, tool: call.name, arguments: call.arguments, status: 'running' });
+                    try {
+                        result = await this.registry.execute(call.name, call.arguments, context);
+                        record({ step, tool: call.name, arguments: call.arguments, status: 'ok', result });
+                    } catch (error) {
+                        result = { error: error.message, details: error.details };
+                        record({ step, tool: call.name, arguments: call.arguments, status: 'error', error: error.message });
+                    }
+                }
+
+                transcript.push({ role: 'tool', toolCallId: call.id, name: call.name, content: JSON.stringify(result) });
+            }
+        }
+
+        const text = 'I ran out of steps while working on that. Here is what I did so far — let me know how to continue.';
+        if (onToken) onToken(text);
+        return {
+            text,
+            trace,
+            pendingActions
+        };
+    }
+}
+
+class IntentClassifier {
+    constructor(llm, db, config) {
+        this.llm = llm;
+        this.db = db;
+        this.config = config;
+    }
+
+    buildPrompt(context, history) {
+        const recentTurns = history ? history.messages.slice(-2).map(m => `${m.role}: ${m.content}`).join('\n') : '';
+        return `
+Analyze the user's message to determine their intent for business management.
+
+Context: ${JSON.stringify(context || {})}
+${recentTurns ? `Recent conversation:\n${recentTurns}\n` : ''}
+Business Context:
+- Molaison Agency: Insurance & Business Services
+- Molaison AI: AI Tools & SEO Platform  
+- Also builds custom solutions for clients
+
+Categorize the intent as one of:
+${INTENT_CATEGORIES.map(category => `- ${category} (${INTENT_DESCRIPTIONS[category]})`).join('\n')}
+
+Reply with ONLY a JSON object, no prose:
+{
+  "category": "category_name",
+  "confidence": 0.8,
+  "action": "specific_action_to_take",
+  "business": "agency|ai|both|client",
+  "priority": "low|medium|high|urgent",
+  "entities": { "clientName": null, "date": null, "time": null, "phone": null, "email": null, "amount": null }
+}`;
+    }
+
+    async classify(message, context, history) {
+        let intent = null;
+
+        if (this.llm.isAvailable()) {
+            try {
+                const completion = await this.llm.complete('intent', {
+                    system: this.buildPrompt(context, history),
+                    messages: [{ role: 'user', content: message }],
+                    maxTokens: 300,
+                    temperature: 0.2
+                });
+                intent = { ...parseIntentOutput(completion.text), source: completion.provider };
+            } catch (error) {
+                console.error('Intent analysis error:', error.message);
+            }
+        }
+
+        // Rule-based classification when no provider is available or its output was unusable
+        if (!intent) {
+            intent = { ...classifyByRules(message), source: 'rules' };
+        }
+
+        // Locally extracted entities fill any gaps the model left
+        const extracted = extractEntities(message, this.db.clients.all());
+        const modelEntities = Object.fromEntries(Object.entries(intent.entities || {}).filter(([, value]) => value !== null && value !== ''));
+        intent.entities = { ...extracted, ...modelEntities };
+        if (intent.business === 'both' && extracted.business) {
+            intent.business = extracted.business;
+        }
+
+        intent.needsClarification = intent.category !== 'general' && intent.confidence < this.config.clarifyBelow;
+        if (intent.needsClarification) {
+            intent.clarifyingQuestion = this.buildClarifyingQuestion(intent);
+        }
+
+        return intent;
+    }
+
+    buildClarifyingQuestion(intent) {
+        const options = [intent.category, ...(intent.alternatives || [])]
+            .filter((category, index, all) => category !== 'general' && all.indexOf(category) === index)
+            .slice(0, 3)
+            .map(category => INTENT_DESCRIPTIONS[category]);
+
+        if (options.length > 1) {
+            const last = options.pop();
+            return `Just to make sure I get this right — is this about ${options.join(', ')} or ${last}?`;
+        }
+        return `Just to make sure I get this right — do you want help with ${options[0]}? A bit more detail will help me act on it.`;
+    }
+
+    // Runs the rule-based classifier over a labelled corpus and reports accuracy
+    evaluate(corpus) {
+        const failures = [];
+        for (const example of corpus) {
+            const result = classifyByRules(example.text);
+            if (result.category !== example.category) {
+                failures.push({ text: example.text, expected: example.category, actual: result.category, confidence: result.confidence });
+            }
+        }
+
+        return {
+            total: corpus.length,
+            correct: corpus.length - failures.length,
+            accuracy: Number(((corpus.length - failures.length) / corpus.length).toFixed(3)),
+            failures
+        };
+    }
+}
+
+class ConversationMemory {
+    constructor(db, config, summarize) {
+        this.db = db;
+        this.config = config;
+        this.summarize = summarize;
+    }
+
+    estimateTokens(text) {
+        return Math.ceil(String(text || '').length / 4);
+    }
+
+    async startConversation(userId, firstMessage, businessContext) {
+        const conversation = await this.db.conversations.insert({
+            userId,
+            title: firstMessage.length > 60 ? `${firstMessage.slice(0, 57)}...` : firstMessage,
+            business: businessContext || 'both',
+            messages: [],
+            summary: null,
+            summarizedCount: 0,
+            lastMessageAt: new Date().toISOString()
+        });
+
+        await this.db.conversations.truncate(this.config.maxConversations);
+        return conversation;
+    }
+
+    getConversation(id, userId) {
+        const conversation = this.db.conversations.findById(id);
+        if (!conversation || conversation.userId !== userId) {
+            throw new RequestError(404, 'Conversation not found');
+        }
+        return conversation;
+    }
+
+    listConversations(userId, { limit = 50 } = {}) {
+        return this.db.conversations
+            .find(c => c.userId === userId)
+            .sort((a, b) => b.lastMessageAt.localeCompare(a.lastMessageAt))
+            .slice(0, Number(limit))
+            .map(({ messages, ...rest }) => ({ ...rest, messageCount: messages.length }));
+    }
+
+    async deleteConversation(id, userId) {
+        this.getConversation(id, userId);
+        await this.db.conversations.remove(id);
+    }
+
+    pendingActions(conversation) {
+        return (conversation.pendingActions || []).filter(action => action.status === 'pending');
+    }
+
+    getPendingAction(conversation, actionId) {
+        const action = (conversation.pendingActions || []).find(a => a.id === actionId);
+        if (!action) throw new RequestError(404, 'No pending action with that id');
+        if (action.status !== 'pending') throw new RequestError(409, `Action is already ${action.status}`);
+        return action;
+    }
+
+    async addPendingActions(conversation, actions) {
+        // Older unconfirmed actions are superseded by the latest proposal
+        const previous = (conversation.pendingActions || []).map(a => a.status === 'pending' ? { ...a, status: 'expired' } : a);
+        await this.db.conversations.update(conversation.id, { pendingActions: [...previous, ...actions].slice(-50) });
+    }
+
+    async settleAction(conversation, actionId, outcome) {
+        const actions = conversation.pendingActions.map(a =>
+            a.id === actionId ? { ...a, ...outcome, settledAt: new Date().toISOString() } : a
+        );
+        await this.db.conversations.update(conversation.id, { pendingActions: actions });
+    }
+
+    // Newest unsummarised turns that fit the token budget, oldest first, plus the running summary.
+    // Providers expect the replay to open with a user turn, so assistant turns cut loose by the budget are dropped.
+    buildContext(conversation) {
+        let budget = this.config.contextTokenBudget - this.estimateTokens(conversation.summary);
+        const replay = [];
+
+        for (const turn of conversation.messages.slice(conversation.summarizedCount).reverse()) {
+            budget -= this.estimateTokens(turn.content);
+            if (budget < 0) break;
+            replay.unshift(turn);
+        }
+        while (replay.length && replay[0].role !== 'user') replay.shift();
+
+        return { summary: conversation.summary, messages: replay };
+    }
+
+    async recordExchange(conversation, message, response, intent) {
+        const now = new Date().toISOString();
+        const responseText = typeof response === 'object' && response !== null ? response.response : response;
+
+        const messages = [
+            ...conversation.messages,
+            { role: 'user', content: message, timestamp: now },
+            { role: 'assistant', content: responseText || '', intent: intent.category, timestamp: now }
+        ];
+        await this.db.conversations.update(conversation.id, { messages, lastMessageAt: now });
+        await this.compact(conversation);
+    }
+
+    // Folds everything but the most recent turns into the summary once enough turns pile up
+    async compact(conversation) {
+        const unsummarized = conversation.messages.length - conversation.summarizedCount;
+        if (unsummarized <= this.config.summarizeAfterTurns) return;
+
+        const foldUntil = conversation.messages.length - this.config.keepRecentTurns;
+        const turns = conversation.messages.slice(conversation.summarizedCount, foldUntil);
+        const summary = await this.summarize(conversation.summary, turns);
+
+        await this.db.conversations.update(conversation.id, { summary, summarizedCount: foldUntil });
+    }
+}
+
+/**
+ * Two-way sync with GoHighLevel. Contacts, opportunities and appointments are pulled incrementally: each run
+ * starts from the cursors (latest update time seen per resource) the run before it left. Linked records carry
+ * `ghl` with the remote id and the values GoHighLevel last sent, which mergeRemoteFields uses to tell local
+ * edits from remote ones. Tasks and new note lines on linked clients and leads are pushed back.
+ */
+class GoHighLevelSync {
+    constructor(db, client, { leadManager, clientProjectManager, calendar }, config) {
+        this.db = db;
+        this.client = client;
+        this.leadManager = leadManager;
+        this.clientProjectManager = clientProjectManager;
+        this.calendar = calendar;
+        this.config = config;
+        this.running = false;
+    }
+
+    isConfigured() {
+        return this.client.isConfigured();
+    }
+
+    listRuns() {
+        return this.db.crmSyncRuns.all().sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    }
+
+    lastRun() {
+        return this.listRuns()[0] || null;
+    }
+
+    status() {
+        const lastRun = this.lastRun();
+        const linked = repository => repository.count(record => record.ghl);
+        return {
+            configured: this.isConfigured(),
+            running: this.running,
+            conflictPolicy: this.config.conflictPolicy,
+            intervalMinutes: this.config.intervalMinutes,
+            cursors: lastRun ? lastRun.cursors : {},
+            lastRun,
+            linked: {
+                clients: linked(this.db.clients),
+                leads: linked(this.db.agency.leads),
+                events: linked(this.db.events),
+                tasks: linked(this.db.tasks)
+            }
+        };
+    }
+
+    // Runs every step in order; a step that fails is logged on the run and keeps its old cursor, the rest still run
+    async sync({ trigger = 'manual', full = false } = {}) {
+        if (!this.isConfigured()) throw new RequestError(503, 'GoHighLevel is not configured');
+        if (this.running) throw new RequestError(409, 'A GoHighLevel sync is already running');
+
+        this.running = true;
+        const startedAt = Date.now();
+        const previous = full ? null : this.lastRun();
+        const run = {
+            trigger,
+            full,
+            status: 'completed',
+            cursors: { contacts: null, opportunities: null, appointments: null, ...(previous ? previous.cursors : {}) },
+            pulled: {},
+            pushed: {},
+            conflicts: [],
+            rejected: [],
+            errors: []
+        };
+        const steps = [
+            ['contacts', () => this.pullContacts(run)],
+            ['opportunities', () => this.pullOpportunities(run)],
+            ['appointments', () => this.pullAppointments(run)],
+            ['tasks', () => this.pushTasks(run)],
+            ['notes', () => this.pushNotes(run)]
+        ];
+        try {
+            for (const [step, work] of steps) {
+                try {
+                    await work();
+                } catch (error) {
+                    run.errors.push({ step, error: error.message });
+                }
+            }
+        } finally {
+            this.running = false;
+        }
+
+        run.status = run.errors.length === 0 ? 'completed' : run.errors.length === steps.length ? 'failed' : 'partial';
+        run.durationMs = Date.now() - startedAt;
+        const saved = await this.db.crmSyncRuns.insert(run);
+        await this.db.crmSyncRuns.truncate(this.config.keepRuns);
+        return saved;
+    }
+
+    // Records that GoHighLevel turned down (invalid details, deleted contacts) are listed on the run and skipped
+    reject(run, resource, remoteId, error) {
+        if (!(error instanceof RequestError)) throw error;
+        const details = [].concat(error.details || []).filter(detail => typeof detail === 'string');
+        run.rejected.push({ resource, remoteId, error: [error.message, ...details].join(': ') });
+    }
+
+    async pullContacts(run) {
+        const result = { created: 0, updated: 0, unchanged: 0, invalid: 0 };
+        run.pulled.contacts = result;
+        let cursor = run.cursors.contacts;
+        let searchAfter = null;
+
+        do {
+            const { contacts = [] } = await this.client.searchContacts({
+                updatedSince: run.cursors.contacts,
+                searchAfter,
+                pageLimit: this.config.pageSize
+            });
+            for (const contact of contacts) {
+                const updatedAt = new Date(contact.dateUpdated || contact.dateAdded).toISOString();
+                try {
+                    result[await this.applyContact(contact, updatedAt, run)]++;
+                } catch (error) {
+                    this.reject(run, 'contact', contact.id, error);
+                    result.invalid++;
+                }
+                if (!cursor || updatedAt > cursor) cursor = updatedAt;
+            }
+            searchAfter = contacts.length === this.config.pageSize ? contacts[contacts.length - 1].searchAfter : null;
+        } while (searchAfter);
+
+        run.cursors.contacts = cursor;
+    }
+
+    /**
+     * The local record for a contact is the client or lead already linked to it, then a client or lead with the
+     * same email or phone. A linked lead that has been won syncs onto its client. Unmatched contacts of type
+     * `customer` become agency clients and everyone else an agency lead.
+     */
+    async applyContact(contact, updatedAt, run) {
+        const linked = record => record.ghl && record.ghl.contactId === contact.id;
+        const match = { email: contact.email ? contact.email.trim().toLowerCase() : null, phone: contact.phone };
+
+        let lead = this.db.agency.leads.findOne(linked);
+        const client = this.db.clients.findOne(linked) ||
+            (lead && lead.stage === 'won' && lead.clientId ? this.db.clients.findById(lead.clientId) : null) ||
+            (lead ? null : this.leadManager.matchClient(match));
+        if (client) return this.mergeContact(this.db.clients, client, 'client', contact, updatedAt, run);
+
+        lead = lead || this.leadManager.findDuplicate(match);
+        if (lead) return this.mergeContact(this.db.agency.leads, lead, 'lead', contact, updatedAt, run);
+
+        const link = fields => ({ contactId: contact.id, remoteUpdatedAt: updatedAt, synced: fields, syncedAt: new Date().toISOString() });
+        if (contact.type === 'customer') {
+            const fields = ghlContactFields(contact, 'client');
+            const created = await this.clientProjectManager.createClient({
+                name: fields.company || fields.contactName || fields.email || fields.phone,
+                ...fields,
+                business: 'agency',
+                status: 'active',
+                tags: ['ghl']
+            });
+            await this.db.clients.update(created.id, { ghl: link(fields) });
+            return 'created';
+        }
+
+        const fields = ghlContactFields(contact, 'lead');
+        const { lead: created } = await this.leadManager.captureLead({
+            ...fields,
+            source: ghlLeadSource(contact.source),
+            tags: Array.isArray(contact.tags) ? contact.tags : undefined
+        }, { inquiry: false });
+        await this.db.agency.leads.update(created.id, { ghl: link(fields) });
+        return 'created';
+    }
+
+    async mergeContact(repository, record, kind, contact, updatedAt, run) {
+        const link = record.ghl && record.ghl.contactId === contact.id ? record.ghl : null;
+        if (link && link.remoteUpdatedAt >= updatedAt) return 'unchanged';
+
+        const remote = ghlContactFields(contact, kind);
+        const { changes, conflicts } = mergeRemoteFields(record, remote, link ? link.synced : {}, {
+            policy: this.config.conflictPolicy,
+            remoteNewer: updatedAt > record.updatedAt
+        });
+        const fields = validateRecord(changes, kind === 'client' ? CLIENT_SCHEMA : LEAD_SCHEMA, { partial: true });
+        run.conflicts.push(...conflicts.map(conflict => ({ resource: kind, id: record.id, remoteId: contact.id, ...conflict })));
+
+        await repository.update(record.id, {
+            ...fields,
+            ghl: { ...link, contactId: contact.id, remoteUpdatedAt: updatedAt, synced: remote, syncedAt: new Date().toISOString() }
+        });
+        return link && Object.keys(fields).length === 0 ? 'unchanged' : 'updated';
+    }
+
+    // The opportunities search can't filter on update time, so every page is read and anything older than the
+    // cursor is skipped
+    async pullOpportunities(run) {
+        const result = { updated: 0, unchanged: 0, unmatched: 0 };
+        run.pulled.opportunities = result;
+        const since = run.cursors.opportunities;
+        let cursor = since;
+        let page = {};
+
+        do {
+            const { opportunities = [], meta = {} } = await this.client.searchOpportunities({ ...page, limit: this.config.pageSize });
+            for (const opportunity of opportunities) {
+                const updatedAt = new Date(opportunity.updatedAt || opportunity.createdAt).toISOString();
+                if (!cursor || updatedAt > cursor) cursor = updatedAt;
+                if (since && updatedAt < since) continue;
+                result[await this.applyOpportunity(opportunity, updatedAt, run)]++;
+            }
+            page = meta.nextPageUrl ? { startAfter: meta.startAfter, startAfterId: meta.startAfterId } : null;
+        } while (page);
+
+        run.cursors.opportunities = cursor;
+    }
+
+    /**
+     * Opportunities are kept on the linked lead under `ghl.opportunities`. An open one fills in a missing quote
+     * amount. A status change to won or lost moves the lead to that stage (winning converts it to a client); a
+     * move the pipeline doesn't allow, such as won here but lost there, is logged as a conflict and the local
+     * stage is kept.
+     */
+    async applyOpportunity(opportunity, updatedAt, run) {
+        const contactId = opportunity.contactId || (opportunity.contact && opportunity.contact.id);
+        const lead = this.db.agency.leads.findOne(record => record.ghl && record.ghl.contactId === contactId);
+        if (!lead) return 'unmatched';
+
+        const previous = (lead.ghl.opportunities || {})[opportunity.id];
+        if (previous && previous.updatedAt >= updatedAt) return 'unchanged';
+
+        const summary = {
+            name: opportunity.name || null,
+            status: opportunity.status,
+            monetaryValue: Number(opportunity.monetaryValue) || null,
+            pipelineId: opportunity.pipelineId || null,
+            pipelineStageId: opportunity.pipelineStageId || null,
+            updatedAt
+        };
+        await this.db.agency.leads.update(lead.id, {
+            ghl: { ...lead.ghl, opportunities: { ...lead.ghl.opportunities, [opportunity.id]: summary } },
+            ...(summary.status === 'open' && summary.monetaryValue && !lead.quoteAmount ? { quoteAmount: summary.monetaryValue } : {})
+        });
+
+        // Only a status change moves the lead, so a lead reopened here isn't closed again by the same old status
+        const stage = { won: 'won', lost: 'lost', abandoned: 'lost' }[summary.status];
+        if (!stage || (previous && previous.status === summary.status) || lead.stage === stage) return 'updated';
+
+        if ((LEAD_STAGE_TRANSITIONS[lead.stage] || []).includes(stage)) {
+            await this.leadManager.advanceStage(lead.id, {
+                stage,
+                note: `Marked ${summary.status} in GoHighLevel${summary.name ? ` (${summary.name})` : ''}`,
+                lostReason: stage === 'lost' ? `Marked ${summary.status} in GoHighLevel` : undefined
+            });
+        } else {
+            run.conflicts.push({ resource: 'lead', id: lead.id, remoteId: opportunity.id, field: 'stage', local: lead.stage, remote: stage, kept: 'local' });
+        }
+        return 'updated';
+    }
+
+    // Appointments on GHL_CALENDAR_ID from appointmentDaysBack ago to appointmentDaysAhead out become agency events
+    async pullAppointments(run) {
+        if (!this.client.config.calendarId) {
+            run.pulled.appointments = { skipped: 'GHL_CALENDAR_ID is not set' };
+            return;
+        }
+
+        const result = { created: 0, updated: 0, unchanged: 0, invalid: 0 };
+        run.pulled.appointments = result;
+        const now = Date.now();
+        const { events = [] } = await this.client.listAppointments({
+            startTime: now - this.config.appointmentDaysBack * 86400000,
+            endTime: now + this.config.appointmentDaysAhead * 86400000
+        });
+
+        const since = run.cursors.appointments;
+        let cursor = since;
+        for (const appointment of events) {
+            const updatedAt = new Date(appointment.dateUpdated || appointment.dateAdded).toISOString();
+            if (!cursor || updatedAt > cursor) cursor = updatedAt;
+            if (since && updatedAt < since) continue;
+            try {
+                result[await this.applyAppointment(appointment, updatedAt, run)]++;
+            } catch (error) {
+                this.reject(run, 'appointment', appointment.id, error);
+                result.invalid++;
+            }
+        }
+        run.cursors.appointments = cursor;
+    }
+
+    async applyAppointment(appointment, updatedAt, run) {
+        const linked = record => record.ghl && record.ghl.contactId === appointment.contactId;
+        const client = appointment.contactId ? this.db.clients.findOne(linked) : null;
+        const lead = appointment.contactId && !client ? this.db.agency.leads.findOne(linked) : null;
+        const fields = ghlAppointmentFields(appointment, client ? client.contactName || client.name : lead && lead.name);
+        const existing = this.db.events.findOne(event => event.ghl && event.ghl.appointmentId === appointment.id);
+        const link = { appointmentId: appointment.id, contactId: appointment.contactId || null, leadId: lead ? lead.id : null, remoteUpdatedAt: updatedAt, synced: fields };
+
+        if (!existing) {
+            if (fields.status === 'cancelled') return 'unchanged';
+            const event = await this.calendar.scheduleEvent({
+                ...fields,
+                business: 'agency',
+                clientId: client ? client.id : undefined,
+                notes: appointment.notes ? String(appointment.notes).slice(0, 5000) : undefined
+            });
+            await this.db.events.update(event.id, { ghl: link });
+            return 'created';
+        }
+        if (existing.ghl.remoteUpdatedAt >= updatedAt) return 'unchanged';
+
+        const { changes, conflicts } = mergeRemoteFields(existing, fields, existing.ghl.synced, {
+            policy: this.config.conflictPolicy,
+            remoteNewer: updatedAt > existing.updatedAt
+        });
+        run.conflicts.push(...conflicts.map(conflict => ({ resource: 'event', id: existing.id, remoteId: appointment.id, ...conflict })));
+        // A moved start would otherwise drag the end along with it
+        if (changes.start || changes.end) {
+            Object.assign(changes, { start: changes.start || existing.start, end: changes.end || existing.end });
+        }
+        if (Object.keys(changes).length > 0) await this.calendar.updateEvent(existing.id, changes);
+        await this.db.events.update(existing.id, { ghl: { ...existing.ghl, ...link } });
+        return Object.keys(changes).length > 0 ? 'updated' : 'unchanged';
+    }
+
+    contactIdFor({ clientId, leadId }) {
+        const client = clientId ? this.db.clients.findById(clientId) : null;
+        if (client && client.ghl) return client.ghl.contactId;
+        const lead = leadId ? this.db.agency.leads.findById(leadId) : null;
+        return lead && lead.ghl ? lead.ghl.contactId : null;
+    }
+
+    // Tasks on a linked client or lead are created on its contact, and later changes to the title, description,
+    // due date or completion are sent again. GoHighLevel has no cancelled state, so a cancelled task is closed there.
+    async pushTasks(run) {
+        const result = { created: 0, updated: 0 };
+        run.pushed.tasks = result;
+
+        for (const task of this.db.tasks.all()) {
+            const contactId = task.ghl ? task.ghl.contactId : this.contactIdFor(task);
+            if (!contactId) continue;
+
+            const payload = {
+                title: task.title,
+                body: task.description || '',
+                dueDate: task.dueDate || task.createdAt,
+                completed: ['completed', 'cancelled'].includes(task.status)
+            };
+            try {
+                if (!task.ghl) {
+                    if (payload.completed) continue;
+                    const { task: remote } = await this.client.createTask(contactId, payload);
+                    await this.db.tasks.update(task.id, { ghl: { taskId: remote.id, contactId, pushed: payload, pushedAt: new Date().toISOString() } });
+                    result.created++;
+                } else if (Object.keys(payload).some(field => payload[field] !== task.ghl.pushed[field])) {
+                    await this.client.updateTask(contactId, task.ghl.taskId, payload);
+                    await this.db.tasks.update(task.id, { ghl: { ...task.ghl, pushed: payload, pushedAt: new Date().toISOString() } });
+                    result.updated++;
+                }
+            } catch (error) {
+                this.reject(run, 'task', task.ghl ? task.ghl.taskId : null, error);
+            }
+        }
+    }
+
+    // Note lines added to a linked client or lead since the last push (call summaries, staff notes) go to its
+    // contact as one note
+    async pushNotes(run) {
+        const result = { created: 0 };
+        run.pushed.notes = result;
+
+        for (const repository of [this.db.clients, this.db.agency.leads]) {
+            for (const record of repository.find(r => r.ghl && r.notes)) {
+                const lines = notesSince(record.notes, record.ghl.notesPushedThrough);
+                if (lines.length === 0) continue;
+                try {
+                    await this.client.createNote(record.ghl.contactId, lines.join('\n'));
+                    await repository.update(record.id, { ghl: { ...record.ghl, notesPushedThrough: lines[lines.length - 1] } });
+                    result.created++;
+                } catch (error) {
+                    this.reject(run, 'note', record.ghl.contactId, error);
+                }
+            }
+        }
+    }
+}
+
+// GoHighLevel API v2 (LeadConnector) for one location, with a private integration token or location API key
+class GoHighLevelClient {
+    constructor(config) {
+        this.config = config;
+    }
+
+    isConfigured() {
+        return !!(this.config.key && this.config.locationId);
+    }
+
+    async request(method, resource, { params, data } = {}) {
+        const { baseUrl, key, version } = this.config;
+        try {
+            return (await axios({
+                method,
+                url: `${baseUrl}${resource}`,
+                params,
+                data,
+                headers: { 'Authorization': `Bearer ${key}`, 'Version': version, 'Accept': 'application/json' },
+                timeout: 30 * 1000
+            })).data;
+        } catch (error) {
+            const status = error.response && error.response.status;
+            const detail = error.response && error.response.data && error.response.data.message;
+            if (status === 401) throw new RequestError(503, 'GoHighLevel rejected the API key');
+            if (status === 429) throw new RequestError(503, 'GoHighLevel rate limit reached - try again shortly');
+            if (status === 400 || status === 422) throw new RequestError(400, [].concat(detail || 'GoHighLevel rejected the request').join('; '));
+            if (status === 404) throw new RequestError(404, detail || 'GoHighLevel resource not found');
+            throw error;
+        }
+    }
+
+    // Oldest change first, so `searchAfter` from the last contact continues where a page stopped
+    searchContacts({ updatedSince, searchAfter, pageLimit }) {
+        return this.request('post', '/contacts/search', {
+            data: {
+                locationId: this.config.locationId,
+                pageLimit,
+                sort: [{ field: 'dateUpdated', direction: 'asc' }],
+                filters: updatedSince ? [{ field: 'dateUpdated', operator: 'range', value: { gte: updatedSince } }] : [],
+                ...(searchAfter ? { searchAfter } : {})
+            }
+        });
+    }
+
+    searchOpportunities({ startAfter, startAfterId, limit }) {
+        return this.request('get', '/opportunities/search', {
+            params: { location_id: this.config.locationId, limit, startAfter, startAfterId }
+        });
+    }
+
+    // startTime and endTime are epoch milliseconds
+    listAppointments({ startTime, endTime }) {
+        return this.request('get', '/calendars/events', {
+            params: { locationId: this.config.locationId, calendarId: this.config.calendarId, startTime, endTime }
+        });
+    }
+
+    createTask(contactId, task) {
+        return this.request('post', `/contacts/${encodeURIComponent(contactId)}/tasks`, { data: task });
+    }
+
+    updateTask(contactId, taskId, task) {
+        return this.request('put', `/contacts/${encodeURIComponent(contactId)}/tasks/${encodeURIComponent(taskId)}`, { data: task });
+    }
+
+    createNote(contactId, body) {
+        return this.request('post', `/contacts/${encodeURIComponent(contactId)}/notes`, { data: { body } });
+    }
+}
+
+class BusinessIntelligence {
+    constructor(db, subscriptionManager, config) {
+        this.db = db;
+        this.subscriptionManager = subscriptionManager;
+        this.config = config;
+    }
+
+    thisMonth(now = new Date()) {
+        const { year, month } = zonedParts(now, this.config.timezone);
+        return calendarDateString({ year, month, day: 1 }).slice(0, 7);
+    }
+
+    currentPeriod(granularity, now = new Date()) {
+        const month = this.thisMonth(now);
+        return granularity === 'quarter' ? monthToQuarter(month) : month;
+    }
+
+    // Calendar dates are taken as they are; timestamps count in the month they fall in locally
+    monthOf(value) {
+        if (!value) return null;
+        if (/^\d{4}-\d{2}-\d{2}$/.test(value)) return value.slice(0, 7);
+        const { year, month } = zonedParts(new Date(value), this.config.timezone);
+        return calendarDateString({ year, month, day: 1 }).slice(0, 7);
+    }
+
+    validateQuery({ business, granularity = 'month', period } = {}) {
+        const errors = [];
+        const businesses = business ? String(business).split(',') : Object.keys(KPI_BUSINESSES);
+        const unknown = businesses.filter(key => !KPI_BUSINESSES[key]);
+        if (unknown.length) errors.push(`business must be one of: ${Object.keys(KPI_BUSINESSES).join(', ')}`);
+        if (!KPI_GRANULARITIES.includes(granularity)) errors.push(`granularity must be one of: ${KPI_GRANULARITIES.join(', ')}`);
+        const pattern = granularity === 'quarter' ? /^\d{4}-Q[1-4]$/ : /^\d{4}-(0[1-9]|1[0-2])$/;
+        if (period && !pattern.test(period)) errors.push(`period must look like ${granularity === 'quarter' ? '2026-Q3' : '2026-09'}`);
+        if (errors.length) throw new RequestError(400, 'Validation failed', errors);
+        return { businesses, granularity };
+    }
+
+    // One business's KPIs for each of `months`, as metric key -> values in month order
+    monthlyValues(business, months, now = new Date()) {
+        const index = new Map(months.map((month, i) => [month, i]));
+        const values = Object.fromEntries(KPI_METRICS[business].map(metric => [metric.key, months.map(() => 0)]));
+        const add = (key, date, amount = 1) => {
+            const i = index.get(this.monthOf(date));
+            if (i !== undefined) values[key][i] += amount;
+        };
+
+        for (const task of this.db.tasks.find(t => t.business === business && t.status === 'completed')) {
+            add('tasksCompleted', task.completedAt);
+        }
+
+        if (business === 'agency') {
+            for (const client of this.db.clients.find(c => c.business === 'agency')) add('newClients', client.createdAt);
+            for (const lead of this.db.agency.leads.all()) {
+                add('newLeads', lead.createdAt);
+                const won = lead.stage === 'won' && (lead.stageHistory || []).filter(entry => entry.stage === 'won').pop();
+                if (won) add('leadsWon', won.at);
+            }
+            // A renewal is the next term of a policy already on the books, so it isn't new business
+            for (const policy of this.db.agency.policies.all()) {
+                if (policy.renewedFromId) {
+                    add('policiesRenewed', policy.effectiveDate);
+                } else {
+                    add('policiesWritten', policy.effectiveDate);
+                    add('premiumWritten', policy.effectiveDate, policy.premium || 0);
+                }
+            }
+        } else if (business === 'ai') {
+            const ledger = this.subscriptionManager.buildLedger(now);
+            months.forEach((month, i) => {
+                const summary = this.subscriptionManager.summarize(ledger, month);
+                for (const key of ['mrr', 'customers', 'newCustomers', 'churnedCustomers', 'revenue']) values[key][i] = summary[key];
+            });
+        } else if (business === 'client') {
+            for (const project of this.db.projects.all()) {
+                add('projectsStarted', project.startDate || project.createdAt);
+                if (project.status === 'completed') {
+                    add('projectsDelivered', project.completedAt);
+                    add('budgetDelivered', project.completedAt, project.budget || 0);
+                }
+            }
+        }
+        return values;
+    }
+
+    /**
+     * Every KPI of a business over the `count` periods ending with `end`. Flows are summed over a quarter's
+     * months; levels take its last month, or the current month while the quarter is running.
+     */
+    series(business, { granularity, end, count }, now = new Date()) {
+        const periods = Array.from({ length: count }, (_, i) => shiftPeriod(granularity, end, i - count + 1));
+        const months = periods.flatMap(period => periodMonths(granularity, period));
+        const monthly = this.monthlyValues(business, months, now);
+        const thisMonth = this.thisMonth(now);
+
+        return {
+            periods,
+            metrics: KPI_METRICS[business].map(metric => ({
+                ...metric,
+                values: periods.map(period => {
+                    const values = periodMonths(granularity, period)
+                        .filter(month => month <= thisMonth)
+                        .map(month => monthly[metric.key][months.indexOf(month)]);
+                    const value = metric.kind === 'level' ? values[values.length - 1] || 0 : values.reduce((total, v) => total + v, 0);
+                    return metric.unit === 'currency' ? roundCents(value) : value;
+                })
+            }))
+        };
+    }
+
+    /**
+     * Flags a value well outside the periods before it: further from their mean than `anomalyZScore` standard
+     * deviations and `anomalyMinChange` of the mean. Needs three periods of history with something recorded in
+     * them, so a metric's first activity isn't flagged; moves of one are ignored.
+     */
+    detectAnomaly(value, history) {
+        if (history.length < 3 || history.every(v => v === 0)) return null;
+        const mean = history.reduce((total, v) => total + v, 0) / history.length;
+        const deviation = Math.sqrt(history.reduce((total, v) => total + (v - mean) ** 2, 0) / history.length);
+        const difference = value - mean;
+        const threshold = Math.max(this.config.anomalyZScore * deviation, this.config.anomalyMinChange * Math.abs(mean), 1);
+        if (Math.abs(difference) <= threshold) return null;
+
+        return {
+            direction: difference > 0 ? 'spike' : 'drop',
+            expected: Math.round(mean * 100) / 100,
+            zScore: deviation ? Math.round(difference / deviation * 10) / 10 : null
+        };
+    }
+
+    /**
+     * Each KPI of a business for one period next to the period before it, with anomaly flags measured against
+     * the `anomalyLookback` periods before. `period` defaults to the last complete month or quarter.
+     */
+    report(business, { granularity = 'month', period } = {}, now = new Date()) {
+        const current = this.currentPeriod(granularity, now);
+        const end = period || shiftPeriod(granularity, current, -1);
+        const previous = shiftPeriod(granularity, end, -1);
+        const { metrics } = this.series(business, { granularity, end, count: this.config.anomalyLookback + 1 }, now);
+
+        return {
+            business,
+            name: KPI_BUSINESSES[business],
+            granularity,
+            period: end,
+            label: periodLabel(granularity, end),
+            previousPeriod: previous,
+            previousLabel: periodLabel(granularity, previous),
+            // The period is still running, so flows will keep growing
+            partial: end === current,
+            metrics: metrics.map(({ values, ...metric }) => {
+                const value = values[values.length - 1];
+                const before = values[values.length - 2];
+                return {
+                    ...metric,
+                    value,
+                    previous: before,
+                    change: metric.unit === 'currency' ? roundCents(value - before) : value - before,
+                    changePct: before ? Math.round((value - before) / Math.abs(before) * 1000) / 10 : null,
+                    anomaly: end === current ? null : this.detectAnomaly(value, values.slice(0, -1))
+                };
+            })
+        };
+    }
+
+    // Reports for several businesses plus every anomaly among them
+    kpis(query = {}, now = new Date()) {
+        const { businesses, granularity } = this.validateQuery(query);
+        const reports = businesses.map(business => this.report(business, { granularity, period: query.period }, now));
+        return {
+            granularity,
+            period: reports[0].period,
+            label: reports[0].label,
+            businesses: reports,
+            anomalies: reports.flatMap(report => report.metrics
+                .filter(metric => metric.anomaly)
+                .map(metric => ({ business: report.business, key: metric.key, label: metric.label, unit: metric.unit, value: metric.value, ...metric.anomaly })))
+        };
+    }
+
+    /**
+     * Chart-ready series: one label per period and one dataset per metric, oldest first. `metrics` narrows the
+     * datasets by key; `periods` is how many periods (default 12) up to `end` (default the current one).
+     */
+    chartSeries(query = {}, now = new Date()) {
+        const { businesses, granularity } = this.validateQuery({ ...query, period: query.end });
+        const count = Math.min(Math.max(Number(query.periods) || this.config.defaultPeriods, 2), this.config.maxPeriods);
+        const end = query.end || this.currentPeriod(granularity, now);
+        const wanted = query.metrics ? String(query.metrics).split(',') : null;
+        let periods = [];
+
+        const datasets = businesses.flatMap(business => {
+            const result = this.series(business, { granularity, end, count }, now);
+            periods = result.periods;
+            return result.metrics
+                .filter(metric => !wanted || wanted.includes(metric.key))
+                .map(({ key, label, unit, kind, values }) => ({ business, key, label: `${KPI_BUSINESSES[business]}: ${label}`, unit, kind, data: values }));
+        });
+
+        const current = this.currentPeriod(granularity, now);
+        return {
+            granularity,
+            periods,
+            labels: periods.map(period => periodLabel(granularity, period)),
+            partial: periods.map(period => period === current),
+            datasets
+        };
+    }
+
+    describeValue(metric, value) {
+        return metric.unit === 'currency' ? formatCurrency(value) : String(value);
+    }
+
+    describeMetric(metric) {
+        const value = this.describeValue(metric, metric.value);
+        if (metric.change === 0) return `• ${metric.label}: ${value} (no change)`;
+        const direction = metric.change > 0 ? 'up' : 'down';
+        return `• ${metric.label}: ${value} (${direction} from ${this.describeValue(metric, metric.previous)}` +
+            `${metric.changePct !== null ? `, ${metric.changePct > 0 ? '+' : ''}${metric.changePct}%` : ''})`;
+    }
+
+    async handleRequest(intent, message, businessContext) {
+        const query = parseKpiQuery(message, businessContext, this.config.timezone);
+        const sections = query.businesses.map(business => {
+            const report = this.report(business, query);
+            const heading = `${report.name}, ${report.label}${report.partial ? ' so far' : ''} vs ${report.previousLabel}:`;
+            if (report.metrics.every(metric => metric.value === 0 && metric.previous === 0)) {
+                return `${heading}\nNothing recorded in either period yet.`;
+            }
+
+            const lines = report.metrics
+                .filter(metric => metric.value !== 0 || metric.previous !== 0)
+                .map(metric => this.describeMetric(metric));
+            const flags = report.metrics
+                .filter(metric => metric.anomaly)
+                .map(metric => `⚠️ ${metric.label} ${metric.anomaly.direction === 'spike' ? 'jumped well above' : 'fell well below'} ` +
+                    `the usual ${metric.unit === 'currency' ? formatCurrency(metric.anomaly.expected) : Math.round(metric.anomaly.expected * 10) / 10} a ${query.granularity}.`);
+            return [heading, ...lines, ...flags].join('\n');
+        });
+        return sections.join('\n\n');
+    }
+}
+
+const USER_ROLES = ['owner', 'staff', 'client'];
+
+const CLIENT_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    business: { enum: ['agency', 'ai', 'custom'] },
+    status: { enum: ['prospect', 'active', 'inactive'] },
+    contactName: { type: 'string', maxLength: 200 },
+    company: { type: 'string', maxLength: 200 },
+    email: { type: 'email' },
+    phone: { type: 'phone' },
+    address: { type: 'string', maxLength: 500 },
+    notes: { type: 'string', maxLength: 5000 },
+    tags: { type: 'array' }
+};
+
+const PROJECT_SCHEMA = {
+    clientId: { type: 'string', required: true },
+    name: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', maxLength: 5000 },
+    status: { enum: ['planning', 'active', 'on_hold', 'review', 'completed', 'cancelled'] },
+    budget: { type: 'number', min: 0 },
+    spent: { type: 'number', min: 0 },
+    startDate: { type: 'date' },
+    dueDate: { type: 'date' },
+    milestones: { type: 'array' }
+};
+
+const MILESTONE_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    dueDate: { type: 'date' },
+    completed: { type: 'boolean' }
+};
+
+const EVENT_SCHEMA = {
+    title: { type: 'string', required: true, maxLength: 300 },
+    start: { type: 'date', required: true },
+    end: { type: 'date' },
+    durationMinutes: { type: 'number', min: 5 },
+    attendees: { type: 'array' },
+    business: { enum: ['agency', 'ai', 'client', 'personal'] },
+    clientId: { type: 'string' },
+    location: { type: 'string', maxLength: 500 },
+    notes: { type: 'string', maxLength: 5000 },
+    timezone: { type: 'string', maxLength: 100 },
+    allDay: { type: 'boolean' },
+    recurrence: { type: 'string', maxLength: 500 },
+    exdates: { type: 'array' },
+    status: { enum: ['confirmed', 'tentative', 'cancelled'] },
+    transparency: { enum: ['busy', 'free'] }
+};
+
+const BOOKING_LINK_SCHEMA = {
+    title: { type: 'string', required: true, maxLength: 200 },
+    slug: { type: 'string', maxLength: 60 },
+    description: { type: 'string', maxLength: 2000 },
+    durationMinutes: { type: 'number', min: 5 },
+    active: { type: 'boolean' }
+};
+
+const BOOKING_SLUG = /^[a-z0-9][a-z0-9-]{0,59}$/;
+
+// What a client submits on a booking page
+const BOOKING_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    email: { type: 'email', required: true },
+    phone: { type: 'phone' },
+    notes: { type: 'string', maxLength: 2000 }
+};
+
+const BOOKING_TIME_FORMAT = { weekday: 'long', month: 'long', day: 'numeric', hour: 'numeric', minute: '2-digit', timeZoneName: 'short' };
+
+// Scripted call purposes; each builds the spoken lines from the contact and any details passed in
+const CALL_PURPOSES = {
+    renewal_reminder: {
+        label: 'Renewal reminder',
+        business: 'agency',
+        script: (contact, { policy, renewalDate }, callbackNumber) => ({
+            opening: `Hi ${contact.firstName}, this is the virtual assistant calling on behalf of Christina Molaison at Molaison Agency.`,
+            reason: `Your ${policy || 'insurance policy'} is coming up for renewal${renewalDate ? ` on ${formatDate(renewalDate)}` : ' soon'}.`,
+            question: 'Would you like us to prepare a renewal quote for you? You can say yes, no, or ask us to call you back.',
+            callbackQuestion: 'Of course. When would be a good time to call you back?',
+            closings: {
+                interested: 'Great, Christina will put your renewal quote together and be in touch shortly. Thank you, goodbye!',
+                callback: "Thank you, we'll call you back then. Goodbye!",
+                not_interested: 'No problem at all. Thank you for your time, and have a great day!',
+                unclear: "Sorry, I'm having trouble hearing you. Christina will follow up with you directly. Goodbye!"
+            },
+            voicemail: `Hi ${contact.firstName}, this is Molaison Agency calling about your upcoming ${policy || 'policy'} renewal. ` +
+                `Please give us a call back${spokenPhone(callbackNumber) ? ` at ${spokenPhone(callbackNumber)}` : ''} when you have a moment. Thank you!`
+        })
+    },
+    quote_follow_up: {
+        label: 'Quote follow-up',
+        business: 'agency',
+        script: (contact, { quote, product }, callbackNumber) => ({
+            opening: `Hi ${contact.firstName}, this is the virtual assistant calling on behalf of Christina Molaison at Molaison Agency.`,
+            reason: `We recently sent over ${quote ? `a quote of ${quote}` : 'a quote'} for ${product || 'your coverage'}, and wanted to see if you had any questions.`,
+            question: 'Are you ready to move forward, or would you like Christina to call you back to go over it?',
+            callbackQuestion: 'Happy to. When would be a good time for Christina to call you?',
+            closings: {
+                interested: "Wonderful, I'll let Christina know and she'll reach out to finalize everything. Thank you, goodbye!",
+                callback: "Perfect, we'll call you back then. Goodbye!",
+                not_interested: 'Understood, thank you for considering us. Have a great day!',
+                unclear: "Sorry, I'm having trouble hearing you. Christina will follow up with you directly. Goodbye!"
+            },
+            voicemail: `Hi ${contact.firstName}, this is Molaison Agency following up on the ${product || ''} quote we sent you. ` +
+                `Please call us back${spokenPhone(callbackNumber) ? ` at ${spokenPhone(callbackNumber)}` : ''} with any questions. Thank you!`
+        })
+    },
+    check_in: {
+        label: 'Client check-in',
+        business: 'agency',
+        script: (contact, details, callbackNumber) => ({
+            opening: `Hi ${contact.firstName}, this is the virtual assistant calling on behalf of Christina Molaison.`,
+            reason: 'Christina wanted to check in and see how everything is going.',
+            question: 'Is there anything we can help you with right now? You can say yes, no, or ask for a call back.',
+            callbackQuestion: 'Sure. When would be a good time to call you back?',
+            closings: {
+                interested: "Great, I'll let Christina know and she'll be in touch shortly. Thank you, goodbye!",
+                callback: "Thanks, we'll call you back then. Goodbye!",
+                not_interested: 'Glad to hear it. Thank you for your time, and have a great day!',
+                unclear: "Sorry, I'm having trouble hearing you. Christina will follow up with you directly. Goodbye!"
+            },
+            voicemail: `Hi ${contact.firstName}, this is Molaison calling to check in. ` +
+                `Give us a call back${spokenPhone(callbackNumber) ? ` at ${spokenPhone(callbackNumber)}` : ''} if there's anything we can help with. Thank you!`
+        })
+    }
+};
+
+const CALL_OUTCOMES = ['interested', 'callback', 'not_interested', 'voicemail', 'no_answer', 'unclear'];
+const CALL_OUTCOME_LABELS = {
+    interested: 'interested',
+    callback: 'asked for a call back',
+    not_interested: 'not interested',
+    voicemail: 'left a voicemail',
+    no_answer: 'no answer',
+    unclear: 'no clear answer'
+};
+
+// Keypad answers offered alongside speech
+const CALL_REPLY_DIGITS = { 1: 'interested', 2: 'callback', 3: 'not_interested' };
+
+// Vapi endedReason values that mean nobody picked up
+const VAPI_NO_ANSWER_REASONS = ['customer-did-not-answer', 'customer-busy', 'twilio-failed-to-connect-call'];
+
+// Calendar names used in .ics exports
+const RESEARCH_SCHEMA = {
+    query: { type: 'string', maxLength: 2000 },
+    template: { enum: ['competitor_analysis', 'market_research'] },
+    business: { enum: ['agency', 'ai'] },
+    subject: { type: 'string', maxLength: 200 },
+    location: { type: 'string', maxLength: 200 },
+    recency: { enum: ['day', 'week', 'month', 'year'] },
+    domains: { type: 'array' }
+};
+
+const RESEARCH_SYSTEM_PROMPT = `You are a research analyst for Christina Molaison, who runs Molaison Agency (insurance & business services)
+and Molaison AI (AI tools & SEO platform). Be precise and current, prefer primary sources, cite every factual claim
+with its source number like [1], and say plainly when information could not be found. Use Markdown headings.`;
+
+// Templates build the research question from a business profile; sections become the report's headings
+const RESEARCH_TEMPLATES = {
+    competitor_analysis: {
+        label: 'Competitor analysis',
+        description: 'Who else competes for the same customers, how they price and position themselves, and where the gaps are',
+        prompt: (profile, { subject, location }) => subject
+            ? `Analyse ${subject} as a competitor to ${profile.name} (${profile.focus}, serving ${location}).`
+            : `Identify the main competitors to ${profile.name} (${profile.focus}, serving ${location}), which offers ` +
+                `${profile.services.join(', ')}. Cover the five to eight most relevant competitors.`,
+        sections: {
+            agency: ['Competitors', 'Carriers and products offered', 'Pricing and commission signals', 'Reviews and reputation', 'Marketing channels', 'Opportunities for Molaison Agency'],
+            ai: ['Competitors', 'Features and positioning', 'Pricing tiers', 'Target customers', 'Reviews and traction', 'Opportunities for Molaison AI']
+        }
+    },
+    market_research: {
+        label: 'Market research',
+        description: 'Market size, demand, trends and regulation for one of the businesses',
+        prompt: (profile, { subject, location }) =>
+            `Research the market for ${subject || profile.services.join(', ')} relevant to ${profile.name} ` +
+            `(${profile.focus}, serving ${location}).`,
+        sections: {
+            agency: ['Market size and growth', 'Customer segments', 'Premium and rate trends', 'Regulation and carrier changes', 'Risks', 'Recommendations'],
+            ai: ['Market size and growth', 'Customer segments', 'Technology and search trends', 'Pricing benchmarks', 'Risks', 'Recommendations']
+        }
+    }
+};
+
+const SCRAPER_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    url: { type: 'string', required: true, maxLength: 2000 },
+    mode: { enum: ['monitor', 'leads'] },
+    business: { enum: ['agency', 'ai'] },
+    rules: { type: 'array' },
+    leadRules: { type: 'object' },
+    nextPageSelector: { type: 'string', maxLength: 500 },
+    maxPages: { type: 'number', min: 1 },
+    intervalMinutes: { type: 'number', min: 15 },
+    active: { type: 'boolean' }
+};
+
+// Extraction rule: { name, selector, attribute?, multiple?, type? }; `price`/`number` values are diffed numerically
+const SCRAPE_RULE_TYPES = ['text', 'number', 'price', 'email', 'hash'];
+const LEAD_FIELDS = ['name', 'email', 'phone', 'company', 'website'];
+
+const DEFAULT_MONITOR_RULES = [
+    { name: 'title', selector: 'title', type: 'text' },
+    { name: 'content', selector: 'body', type: 'hash' }
+];
+
+const PREVIEW_RULES = [
+    { name: 'title', selector: 'title', type: 'text' },
+    { name: 'description', selector: 'meta[name="description"]', attribute: 'content', type: 'text' },
+    { name: 'headings', selector: 'h1, h2', type: 'text', multiple: true },
+    { name: 'emails', selector: 'a[href^="mailto:"]', attribute: 'href', type: 'email', multiple: true }
+];
+
+const POLICY_LINES = {
+    auto: 'Auto',
+    home: 'Home',
+    renters: 'Renters',
+    umbrella: 'Umbrella',
+    flood: 'Flood',
+    life: 'Life',
+    health: 'Health',
+    commercial_auto: 'Commercial auto',
+    general_liability: 'General liability',
+    commercial_property: 'Commercial property',
+    bop: 'Business owners (BOP)',
+    workers_comp: 'Workers comp',
+    professional_liability: 'Professional liability',
+    other: 'Other'
+};
+
+// Chat words for each line of business; checked in order so "commercial auto" wins over "auto"
+const POLICY_LINE_KEYWORDS = [
+    ['commercial_auto', /\b(commercial auto|business auto|fleet)\b/],
+    ['general_liability', /\b(general liability|gl)\b/],
+    ['commercial_property', /\bcommercial property\b/],
+    ['bop', /\b(bop|business owners?'?s?)\b/],
+    ['workers_comp', /\bworkers'? ?comp(ensation)?\b/],
+    ['professional_liability', /\b(professional liability|e&o|errors and omissions)\b/],
+    ['auto', /\b(auto|car|vehicle)\b/],
+    ['home', /\b(home|homeowners?'?s?|dwelling)\b/],
+    ['renters', /\brenters?'?s?\b/],
+    ['umbrella', /\bumbrella\b/],
+    ['flood', /\bflood\b/],
+    ['life', /\blife\b/],
+    ['health', /\bhealth\b/]
+];
+
+const POLICY_SCHEMA = {
+    clientId: { type: 'string', required: true },
+    carrier: { type: 'string', required: true, maxLength: 200 },
+    lineOfBusiness: { enum: Object.keys(POLICY_LINES), required: true },
+    policyNumber: { type: 'string', maxLength: 100 },
+    premium: { type: 'number', min: 0 },
+    billingFrequency: { enum: ['annual', 'semi_annual', 'quarterly', 'monthly'] },
+    effectiveDate: { type: 'date', required: true },
+    expirationDate: { type: 'date' },
+    notes: { type: 'string', maxLength: 5000 }
+};
+
+// The next term's details when a renewal is marked `renewed`
+const POLICY_RENEWAL_SCHEMA = {
+    carrier: { type: 'string', maxLength: 200 },
+    policyNumber: { type: 'string', maxLength: 100 },
+    premium: { type: 'number', min: 0 },
+    expirationDate: { type: 'date' }
+};
+
+const POLICY_RENEWAL_STAGES = ['not_started', 'contacted', 'quoted', 'renewed', 'lost'];
+
+const POLICY_RENEWAL_TRANSITIONS = {
+    not_started: ['contacted', 'quoted', 'renewed', 'lost'],
+    contacted: ['quoted', 'renewed', 'lost'],
+    quoted: ['contacted', 'renewed', 'lost'],
+    renewed: [],
+    lost: []
+};
+
+const LEAD_STAGES = ['new', 'contacted', 'quoted', 'won', 'lost'];
+
+// A lost lead can be picked up again; a won lead is a client
+const LEAD_STAGE_TRANSITIONS = {
+    new: ['contacted', 'quoted', 'won', 'lost'],
+    contacted: ['quoted', 'won', 'lost'],
+    quoted: ['contacted', 'won', 'lost'],
+    won: [],
+    lost: ['new', 'contacted']
+};
+
+// Base score by where the lead came from; engagement is added on top (see LeadManager.scoreLead)
+const LEAD_SOURCE_SCORES = {
+    referral: 30,
+    booking: 25,
+    website: 20,
+    phone: 20,
+    event: 15,
+    ad: 15,
+    social: 10,
+    scraper: 5,
+    other: 5
+};
+const LEAD_SOURCES = Object.keys(LEAD_SOURCE_SCORES);
+const LEAD_SOURCE_KEYWORDS = {
+    referral: /\breferr(al|als|ed)\b/,
+    booking: /\b(booking|bookings|booked)\b/,
+    website: /\b(website|web ?form|contact form|site)\b/,
+    phone: /\b(phone|called in|call-ins?)\b/,
+    event: /\bevents?\b/,
+    ad: /\b(ads?|advertis\w*|paid)\b/,
+    social: /\b(social|facebook|instagram|linkedin)\b/,
+    scraper: /\b(scraped|scraper|scraping)\b/
+};
+const LEAD_GRADES = { hot: 60, warm: 35 };
+
+const LEAD_SCHEMA = {
+    name: { type: 'string', maxLength: 200 },
+    email: { type: 'email' },
+    phone: { type: 'phone' },
+    company: { type: 'string', maxLength: 200 },
+    website: { type: 'string', maxLength: 500 },
+    source: { enum: LEAD_SOURCES },
+    interest: { type: 'string', maxLength: 200 },
+    message: { type: 'string', maxLength: 5000 },
+    notes: { type: 'string', maxLength: 5000 },
+    tags: { type: 'array' }
+};
+
+const LEAD_STAGE_SCHEMA = {
+    quoteAmount: { type: 'number', min: 0 },
+    lostReason: { type: 'string', maxLength: 500 }
+};
+
+// How a field both sides changed since the last GoHighLevel sync is settled (see mergeRemoteFields)
+const GHL_CONFLICT_POLICIES = ['newest', 'remote', 'local'];
+
+// GoHighLevel appointmentStatus -> calendar event status
+const GHL_APPOINTMENT_STATUSES = {
+    new: 'tentative',
+    confirmed: 'confirmed',
+    showed: 'confirmed',
+    noshow: 'confirmed',
+    cancelled: 'cancelled',
+    invalid: 'cancelled'
+};
+
+// Molaison AI billing intervals and how many months one payment covers
+const BILLING_INTERVAL_MONTHS = { month: 1, quarter: 3, year: 12 };
+const BILLING_INTERVALS = Object.keys(BILLING_INTERVAL_MONTHS);
+
+const AI_PRODUCT_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    description: { type: 'string', maxLength: 2000 },
+    plans: { type: 'array' },
+    active: { type: 'boolean' }
+};
+
+const AI_PLAN_SCHEMA = {
+    id: { type: 'string', maxLength: 60 },
+    name: { type: 'string', required: true, maxLength: 100 },
+    interval: { enum: BILLING_INTERVALS, required: true },
+    price: { type: 'number', min: 0 }
+};
+
+const AI_CUSTOMER_SCHEMA = {
+    name: { type: 'string', required: true, maxLength: 200 },
+    company: { type: 'string', maxLength: 200 },
+    email: { type: 'email' },
+    phone: { type: 'phone' },
+    website: { type: 'string', maxLength: 500 },
+    notes: { type: 'string', maxLength: 5000 },
+    tags: { type: 'array' }
+};
+
+const SUBSCRIPTION_SCHEMA = {
+    productId: { type: 'string', required: true },
+    planId: { type: 'string', maxLength: 60 },
+    amount: { type: 'number', min: 0 },
+    interval: { enum: BILLING_INTERVALS },
+    startDate: { type: 'date' },
+    nextBillingDate: { type: 'date' },
+    notes: { type: 'string', maxLength: 2000 }
+};
+
+// When and why a subscription was cancelled; both optional
+const SUBSCRIPTION_CANCEL_SCHEMA = {
+    date: { type: 'date' },
+    reason: { type: 'string', maxLength: 500 }
+};
+
+const REVENUE_TYPES = ['recurring', 'one_time', 'refund'];
+
+// Refunds are stored as positive amounts and subtracted from revenue; only `recurring` entries count towards MRR
+const REVENUE_SCHEMA = {
+    productId: { type: 'string', required: true },
+    customerId: { type: 'string' },
+    planId: { type: 'string', maxLength: 60 },
+    type: { enum: REVENUE_TYPES, required: true },
+    amount: { type: 'number', min: 0, required: true },
+    interval: { enum: BILLING_INTERVALS },
+    date: { type: 'date', required: true },
+    description: { type: 'string', maxLength: 500 }
+};
+
+// Header names accepted for each revenue CSV column, compared lowercased with everything but letters removed
+const REVENUE_CSV_COLUMNS = {
+    date: ['date', 'month', 'period', 'paidon', 'paymentdate', 'invoicedate', 'created'],
+    amount: ['amount', 'revenue', 'total', 'gross', 'paid'],
+    product: ['product', 'productname', 'service'],
+    plan: ['plan', 'planname', 'tier'],
+    customer: ['customer', 'customername', 'name', 'client'],
+    email: ['email', 'customeremail'],
+    company: ['company', 'business'],
+    type: ['type', 'kind'],
+    interval: ['interval', 'billingperiod', 'frequency', 'billing'],
+    description: ['description', 'memo', 'note', 'notes']
+};
+
+const REVENUE_CSV_TYPES = {
+    recurring: /^(recurring|subscription|renewal|mrr)$/,
+    one_time: /^(one[ _-]?time|setup|onboarding|project|once)$/,
+    refund: /^(refund|credit|chargeback)$/
+};
+
+const REVENUE_CSV_INTERVALS = {
+    month: /^(month|monthly|mo|mth)$/,
+    quarter: /^(quarter|quarterly|qtr)$/,
+    year: /^(year|yearly|annual|annually|yr)$/
+};
+
+const KPI_BUSINESSES = { agency: 'Molaison Agency', ai: 'Molaison AI', client: 'Client Projects' };
+
+// KPIs tracked per business. A `flow` adds up over a period; a `level` is its value at the end of the period.
+const KPI_METRICS = {
+    agency: [
+        { key: 'newClients', label: 'New clients', unit: 'count', kind: 'flow' },
+        { key: 'newLeads', label: 'New leads', unit: 'count', kind: 'flow' },
+        { key: 'leadsWon', label: 'Leads won', unit: 'count', kind: 'flow' },
+        { key: 'policiesWritten', label: 'Policies written', unit: 'count', kind: 'flow' },
+        { key: 'premiumWritten', label: 'Premium written', unit: 'currency', kind: 'flow' },
+        { key: 'policiesRenewed', label: 'Policies renewed', unit: 'count', kind: 'flow' },
+        { key: 'tasksCompleted', label: 'Tasks completed', unit: 'count', kind: 'flow' }
+    ],
+    ai: [
+        { key: 'mrr', label: 'MRR', unit: 'currency', kind: 'level' },
+        { key: 'customers', label: 'Paying customers', unit: 'count', kind: 'level' },
+        { key: 'newCustomers', label: 'New customers', unit: 'count', kind: 'flow' },
+        { key: 'churnedCustomers', label: 'Churned customers', unit: 'count', kind: 'flow' },
+        { key: 'revenue', label: 'Revenue', unit: 'currency', kind: 'flow' },
+        { key: 'tasksCompleted', label: 'Tasks completed', unit: 'count', kind: 'flow' }
+    ],
+    client: [
+        { key: 'projectsStarted', label: 'Projects started', unit: 'count', kind: 'flow' },
+        { key: 'projectsDelivered', label: 'Projects delivered', unit: 'count', kind: 'flow' },
+        { key: 'budgetDelivered', label: 'Budget delivered', unit: 'currency', kind: 'flow' },
+        { key: 'tasksCompleted', label: 'Tasks completed', unit: 'count', kind: 'flow' }
+    ]
+};
+
+const KPI_GRANULARITIES = ['month', 'quarter'];
+
+// Chat words that point a KPI question at one business
+const KPI_BUSINESS_KEYWORDS = {
+    agency: /\b(agency|insurance|polic(y|ies)|premiums?)\b/,
+    ai: /\b(molaison ai|ai (side|business|products?)|mrr|arr|churn|arpu|subscri\w+|saas|seo platform|content generator|video automation)\b/,
+    client: /\b(client projects?|projects?|custom builds?|deliver\w*)\b/
+};
+
+// Kinds of entry in the activity feed
+const ACTIVITY_TYPES = ['email', 'task', 'project', 'client', 'call', 'sms', 'social', 'config'];
+
+// Names for the /api/config/:service settings in the activity feed
+const CONFIG_SERVICE_LABELS = {
+    openai: 'OpenAI',
+    anthropic: 'Anthropic',
+    gemini: 'Gemini',
+    perplexity: 'Perplexity',
+    twilio: 'Twilio',
+    vapi: 'Vapi',
+    ghl: 'GoHighLevel',
+    gmail: 'Gmail',
+    whispr: 'Whispr',
+    social: 'Social media',
+    mcp: 'MCP'
+};
+
+const MONTH_NAMES = ['january', 'february', 'march', 'april', 'may', 'june', 'july', 'august', 'september', 'october', 'november', 'december'];
+
+const CALENDAR_NAMES = {
+    agency: 'Molaison Agency',
+    ai: 'Molaison AI',
+    client: 'Client Projects',
+    personal: 'Personal'
+};
+
+// Email triage tags
+const TRIAGE_BUSINESSES = ['agency', 'ai', 'client', 'personal', 'other'];
+const TRIAGE_URGENCIES = ['high', 'medium', 'low'];
+const TRIAGE_ACTIONS = ['reply', 'schedule', 'follow_up', 'delegate', 'read', 'archive'];
+const TRIAGE_LABELS = { agency: 'Agency', ai: 'Molaison AI', client: 'Client Projects', personal: 'Personal', other: 'Other' };
+
+const TRIAGE_PROMPT = `You triage email for Christina Molaison, who runs Molaison Agency (insurance & business services),
+Molaison AI (AI tools & SEO platform) and custom client projects.
+You get a JSON array of emails. Reply with ONLY a JSON array, one object per email:
+[{ "id": "...", "business": "${TRIAGE_BUSINESSES.join('|')}", "urgency": "${TRIAGE_URGENCIES.join('|')}",
+   "action": "${TRIAGE_ACTIONS.join('|')}", "reason": "one short sentence" }]`;
+
+// Businesses that can each connect one Gmail mailbox
+const MAILBOX_BUSINESSES = ['agency', 'ai'];
+
+// Voice used when drafting replies for each business
+const EMAIL_TONES = {
+    agency: {
+        name: 'Molaison Agency',
+        tone: 'warm, reassuring and professional; plain language about insurance, no jargon',
+        signature: 'Christina Molaison\nMolaison Agency'
+    },
+    ai: {
+        name: 'Molaison AI',
+        tone: 'friendly, confident and concise; technically precise without hype',
+        signature: 'Christina Molaison\nMolaison AI'
+    },
+    client: {
+        name: 'Molaison Agency',
+        tone: 'collaborative and clear; focused on next steps, owners and timelines',
+        signature: 'Christina Molaison'
+    }
+};
+
+const EMAIL_DRAFT_SCHEMA = {
+    to: { type: 'string', required: true, maxLength: 1000 },
+    cc: { type: 'string', maxLength: 1000 },
+    subject: { type: 'string', required: true, maxLength: 500 },
+    body: { type: 'string', required: true, maxLength: 50000 }
+};
+
+// Replies that settle actions the chat agent queued for confirmation; the whole reply has to be made of these phrases
+const CONFIRM_REPLY = /^(?:(?:yes|yep|yeah|confirm(?:ed)?|do it|go ahead|approved?|ok(?:ay)?|sure(?: thing)?|please(?: do)?|send it|no problem|no worries|thanks|thank you)[\s,.!]*)+$/i;
+const REJECT_REPLY = /^(?:(?:no(?: thanks| thank you)?|nope|cancel(?: it| that)?|don'?t|do not|stop|reject|never ?mind|not now)[\s,.!]*)+$/i;
+const DECISION_START = /^(yes|yep|yeah|confirm|do it|go ahead|approved?|ok(ay)?|sure|no|nope|cancel|don'?t|do not|stop|reject|never ?mind)\b/i;
+
+// Allowed next states for each project status
+const PROJECT_STATUS_TRANSITIONS = {
+    planning: ['active', 'cancelled'],
+    active: ['on_hold', 'review', 'completed', 'cancelled'],
+    on_hold: ['active', 'cancelled'],
+    review: ['active', 'completed'],
+    completed: [],
+    cancelled: ['planning']
+};
+
+// Ordered lowest to highest - the same values analyzeIntent emits
+const TASK_PRIORITIES = ['low', 'medium', 'high', 'urgent'];
+
+const TASK_SCHEMA = {
+    title: { type: 'string', required: true, maxLength: 300 },
+    description: { type: 'string', maxLength: 5000 },
+    business: { enum: ['agency', 'ai', 'client'], required: true },
+    clientId: { type: 'string' },
+    projectId: { type: 'string' },
+    priority: { enum: TASK_PRIORITIES },
+    status: { enum: ['pending', 'in_progress', 'blocked', 'completed', 'cancelled'] },
+    dueDate: { type: 'date' },
+    assignee: { type: 'string', maxLength: 200 },
+    source: { type: 'string' },
+    policyId: { type: 'string' },
+    leadId: { type: 'string' },
+    createdBy: { type: 'string' }
+};
+
+const TASK_STATUS_TRANSITIONS = {
+    pending: ['in_progress', 'blocked', 'completed', 'cancelled'],
+    in_progress: ['pending', 'blocked', 'completed', 'cancelled'],
+    blocked: ['pending', 'in_progress', 'cancelled'],
+    completed: ['pending'],
+    cancelled: ['pending']
+};
+
+// Errors thrown by managers that map straight onto an HTTP status
+class RequestError extends Error {
+    constructor(status, message, details) {
+        super(message);
+        this.name = 'RequestError';
+        this.status = status;
+        this.details = details;
+    }
+}
+
+/**
+ * Checks input against a field schema and returns only the known, normalised fields.
+ * Field rules: type (string|number|boolean|date|email|phone|array|object), enum, required, min, maxLength.
+ * With { partial: true } missing required fields are allowed (for updates), but a required field can't be
+ * cleared. null, '' and whitespace-only strings count as empty and clear optional fields.
+ */
+function validateRecord(input, schema, { partial = false } = {}) {
+    const errors = [];
+    const output = {};
+    const source = input || {};
+
+    for (const [field, rule] of Object.entries(schema)) {
+        const value = source[field];
+        const empty = value === null || (typeof value === 'string' && value.trim() === '');
+
+        if (value === undefined || empty) {
+            if (rule.required && (!partial || empty)) errors.push(`${field} is required`);
+            else if (empty) output[field] = null;
+            continue;
+        }
+
+        if (rule.enum && !rule.enum.includes(value)) {
+            errors.push(`${field} must be one of: ${rule.enum.join(', ')}`);
+            continue;
+        }
+
+        switch (rule.type) {
+            case 'string':
+                if (typeof value !== 'string') errors.push(`${field} must be a string`);
+                else if (rule.maxLength && value.length > rule.maxLength) errors.push(`${field} must be at most ${rule.maxLength} characters`);
+                else output[field] = value.trim();
+                break;
+            case 'number': {
+                const number = Number(value);
+                if (!Number.isFinite(number)) errors.push(`${field} must be a number`);
+                else if (rule.min !== undefined && number < rule.min) errors.push(`${field} must be at least ${rule.min}`);
+                else output[field] = number;
+                break;
+            }
+            case 'boolean':
+                if (typeof value !== 'boolean') errors.push(`${field} must be true or false`);
+                else output[field] = value;
+                break;
+            case 'date': {
+                const date = new Date(value);
+                if (Number.isNaN(date.getTime())) errors.push(`${field} must be a valid date`);
+                else output[field] = date.toISOString();
+                break;
+            }
+            case 'email':
+                if (typeof value !== 'string' || !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) errors.push(`${field} must be a valid email`);
+                else output[field] = value.trim().toLowerCase();
+                break;
+            case 'phone':
+                if (typeof value !== 'string' || value.replace(/\D/g, '').length < 10) errors.push(`${field} must be a valid phone number`);
+                else output[field] = value.trim();
+                break;
+            case 'array':
+                if (!Array.isArray(value)) errors.push(`${field} must be an array`);
+                else output[field] = value;
+                break;
+            case 'object':
+                if (typeof value !== 'object' || Array.isArray(value)) errors.push(`${field} must be an object`);
+                else output[field] = value;
+                break;
+            default:
+                output[field] = value;
+        }
+    }
+
+    if (errors.length > 0) {
+        throw new RequestError(400, 'Validation failed', errors);
+    }
+    return output;
+}
+
+const STOP_WORDS = new Set(['the', 'a', 'an', 'of', 'for', 'and', 'to', 'on', 'in', 'is', 'what', 'whats', 's', 'my', 'me', 'with', 'status', 'how', 'project', 'client']);
+
+function tokenize(text) {
+    return String(text || '')
+        .toLowerCase()
+        .replace(/[^a-z0-9\s]/g, ' ')
+        .split(/\s+/)
+        .filter(word => word && !STOP_WORDS.has(word));
+}
+
+// Intent Classification
+const INTENT_DESCRIPTIONS = {
+    email: 'email management and replies',
+    calendar: 'scheduling, reservations and appointments',
+    phone: 'calls, texts and client outreach',
+    research: 'research and competitive analysis',
+    policies: 'insurance policies, expirations and the renewal pipeline',
+    leads: 'agency leads, lead scores and the sales pipeline',
+    scraping: 'scraping web pages, monitoring competitor sites and building lead lists',
+    social: 'social media management',
+    client_management: 'client projects and custom builds',
+    business_intelligence: 'business metrics and performance',
+    task: 'creating, listing or updating tasks and reminders',
+    productivity: 'productivity coaching and goals',
+    prompts: 'AI prompt generation',
+    content: 'content calendars and captions',
+    general: 'anything else'
+};
+
+const INTENT_CATEGORIES = Object.keys(INTENT_DESCRIPTIONS);
+
+// Weighted patterns for the offline classifier; a category's score is the sum of its matching weights.
+// Asking outright for a task or reminder outweighs the domain nouns in it ("create a task to renew the auto policy").
+const INTENT_RULES = {
+    task: [[/\b(task|tasks|to-?dos?)\b/, 3], [/\bremind me\b/, 3], [/\b(add|create|log)\b.{0,25}\breminder\b/, 2], [/\bon my plate\b/, 2],
+        [/\b(add|create|make|log|set up|new)\b.{0,30}\b(task|to-?do|reminder)\b|\bremind me (to|about)\b/, 6]],
+    email: [[/\b(e-?mails?|inbox|gmail)\b/, 3], [/\b(reply|respond|write back) to\b/, 2], [/\bunread\b/, 2], [/\bdraft (a |an )?(reply|response)\b/, 2]],
+    calendar: [[/\b(calendar|schedule|reschedule|appointments?|meetings?|availability|reservations?)\b/, 3], [/\b(find|block|book)\b.{0,20}\b((\d+|an?|half an) ?(minutes?|mins?|hours?)|time|slot|table)\b/, 3], [/\b(free|available) (time|slot)s?\b/, 2]],
+    phone: [[/\b(call|calls|phone|dial)\b/, 3], [/\b(sms|text message|text (him|her|them|back))\b/, 3], [/^(please )?(send (an? )?(sms|text)|text|call|dial)\b/, 3], [/\bvoicemail\b/, 2], [/\boutreach\b/, 1]],
+    research: [[/\b(research|competitors?|competitive|market analysis|market research)\b/, 3], [/\b(look up|find out|investigate)\b/, 2], [/\banaly[sz]e\b/, 1]],
+    policies: [[/\bpolic(y|ies)\b.{0,40}\b(expir\w*|renew\w*|lapse\w*|due|coming up)\b|\b(expir\w*|renew\w*)\b.{0,40}\bpolic(y|ies)\b/, 4], [/\b(renewal pipeline|book of business|renewals? (this|next) (week|month|quarter))\b/, 4], [/\b(auto|home|commercial|liability|workers'? ?comp|umbrella|flood|life) polic(y|ies)\b/, 3], [/\bpremiums?\b/, 1]],
+    leads: [[/\bleads?\b(?!\s+lists?)/, 3], [/\b(lead|sales) (pipeline|funnel)\b/, 4], [/\b(conversion|close|win) rate\b/, 3], [/\bprospects?\b/, 2]],
+    scraping: [[/\b(scrape|scraping|scraper|crawl\w*)\b/, 4], [/\b(monitor|track|watch)\w*\b.{0,30}\b(pages?|pricing|prices|websites?|sites?)\b|\b(pages?|websites?|sites?)\b.{0,30}\b(monitor|track|watch)\w*/, 4], [/\blead lists?\b/, 3], [/\bprice changes?\b/, 2]],
+    social: [[/\b(social media|linkedin|facebook|instagram|tiktok|twitter)\b/, 3], [/\bschedul\w*\b.{0,30}\b(posts?|content)\b/, 2], [/\b(post|posts|hashtags?|engagement)\b/, 1]],
+    content: [[/\b(content calendar|viral caption|caption|posting times?)\b/, 4], [/\bcontent\b/, 1]],
+    prompts: [[/\bprompts?\b/, 4], [/\bgenerate\b/, 1]],
+    client_management: [[/\b(client|clients|project|projects)\b/, 2], [/\bstatus of\b/, 2], [/\b(milestones?|website build|custom build|deliverables?)\b/, 2]],
+    business_intelligence: [[/\b(revenue|mrr|kpis?|metrics|churn|dashboard|profit|sales numbers)\b/, 3], [/\bhow (did|is|are) .{0,30}\b(do|doing|perform\w*)\b/, 3], [/\b(last|this) (month|quarter|year) vs\b/, 2]],
+    productivity: [[/\b(productiv\w*|goals?|habits?|time management|burn(ed|t)? ?out|work-life)\b/, 3], [/\b(focus|prioriti[sz]e my|optimi[sz]e my)\b/, 2]]
+};
+
+// Labelled examples scored by `npm test` and GET /api/intent/evaluate; add a line whenever the rules misroute a real message
+const INTENT_CORPUS = [
+    { text: 'Check my emails and show me anything urgent that needs my attention', category: 'email' },
+    { text: 'Reply to the Henderson email about their renewal', category: 'email' },
+    { text: 'Any unread messages in the agency inbox?', category: 'email' },
+    { text: 'Draft a reply thanking Maria for the referral', category: 'email' },
+    { text: 'Show me my calendar for today and this week', category: 'calendar' },
+    { text: 'Find 30 minutes with the Jones client next week', category: 'calendar' },
+    { text: 'Book a table for four at Commander\'s Palace Friday at 7', category: 'calendar' },
+    { text: 'Reschedule my 3pm meeting to tomorrow', category: 'calendar' },
+    { text: 'Help me make some client outreach calls', category: 'phone' },
+    { text: 'Call Mr. Thibodeaux about his quote', category: 'phone' },
+    { text: 'Send an SMS to 504-555-0142 confirming the appointment', category: 'phone' },
+    { text: 'Text the Jones client about tomorrow at 3pm', category: 'phone' },
+    { text: 'I need competitive analysis for my market', category: 'research' },
+    { text: 'Research the top SEO platforms in New Orleans', category: 'research' },
+    { text: 'Look up what State Farm agents charge for small business policies', category: 'research' },
+    { text: 'Which auto policies expire this month?', category: 'policies' },
+    { text: 'Show me the renewal pipeline', category: 'policies' },
+    { text: 'What policies are up for renewal next month?', category: 'policies' },
+    { text: 'How many new leads came in this week?', category: 'leads' },
+    { text: 'Show me my hot leads', category: 'leads' },
+    { text: 'What does the sales pipeline look like?', category: 'leads' },
+    { text: 'What\'s our conversion rate on referral leads?', category: 'leads' },
+    { text: 'Scrape https://example.com/agents for agent emails', category: 'scraping' },
+    { text: 'Monitor the competitor pricing page for changes', category: 'scraping' },
+    { text: 'Build a lead list from the chamber of commerce directory', category: 'scraping' },
+    { text: 'Help me create and schedule social media content', category: 'social' },
+    { text: 'Write a LinkedIn update about our new video automation tool', category: 'social' },
+    { text: 'What are my best performing Instagram posts?', category: 'social' },
+    { text: 'Show me the status of my current client projects', category: 'client_management' },
+    { text: 'What\'s the status of the Smith website build?', category: 'client_management' },
+    { text: 'Add a milestone to the Bayou Bakery project', category: 'client_management' },
+    { text: 'How did the agency do last month vs the month before?', category: 'business_intelligence' },
+    { text: 'What is our MRR on the SEO Platform?', category: 'business_intelligence' },
+    { text: 'Show me the KPI dashboard for Molaison AI', category: 'business_intelligence' },
+    { text: 'Add a task to send the Jones renewal quote by Friday', category: 'task' },
+    { text: 'Remind me to follow up with Dana tomorrow', category: 'task' },
+    { text: 'What tasks do I have this week?', category: 'task' },
+    { text: 'What\'s on my plate today?', category: 'task' },
+    { text: 'Create an urgent task to renew the Smith auto policy by Friday', category: 'task' },
+    { text: 'Remind me to call the Landry lead about their home policy renewal', category: 'task' },
+    { text: 'Help me optimize my daily schedule and productivity', category: 'productivity' },
+    { text: 'I want to set a goal of 20 new policies this quarter', category: 'productivity' },
+    { text: 'I feel burned out juggling both businesses', category: 'productivity' },
+    { text: 'Generate 5 high-end image prompts for professional marketing campaigns', category: 'prompts' },
+    { text: 'Give me some Billy Gene ad prompts for the agency', category: 'prompts' },
+    { text: 'Create a weekly content calendar with optimal posting times', category: 'content' },
+    { text: 'Write a viral caption for our insurance tips post', category: 'content' },
+    { text: 'Good morning!', category: 'general' },
+    { text: 'Thanks, that was helpful', category: 'general' },
+    { text: 'What can you do?', category: 'general' }
+];
+
+function classifyByRules(message) {
+    const lower = String(message || '').toLowerCase();
+    const scores = Object.entries(INTENT_RULES)
+        .map(([category, rules]) => ({
+            category,
+            score: rules.reduce((total, [pattern, weight]) => total + (pattern.test(lower) ? weight : 0), 0)
+        }))
+        .filter(entry => entry.score > 0)
+        .sort((a, b) => b.score - a.score);
+
+    const entities = extractEntities(message, []);
+    const base = {
+        action: 'general_assistance',
+        business: entities.business || 'both',
+        priority: detectPriority(lower)
+    };
+
+    if (scores.length === 0) {
+        return { ...base, category: 'general', confidence: 0.6, alternatives: [] };
+    }
+
+    const [top, runnerUp] = scores;
+    const margin = Math.min(top.score - (runnerUp ? runnerUp.score : 0), 3);
+    return {
+        ...base,
+        category: top.category,
+        confidence: Number(Math.min(0.95, 0.3 + 0.1 * top.score + 0.1 * margin).toFixed(2)),
+        action: `${top.category}_request`,
+        alternatives: scores.slice(1, 3).map(entry => entry.category)
+    };
+}
+
+function detectPriority(lowerMessage) {
+    if (/\b(urgent|urgently|asap|immediately|right away|emergency)\b/.test(lowerMessage)) return 'urgent';
+    if (/\b(important|high[- ]priority|critical)\b/.test(lowerMessage)) return 'high';
+    if (/\b(low[- ]priority|no rush|whenever|someday)\b/.test(lowerMessage)) return 'low';
+    return 'medium';
+}
+
+// Accepts model output that may wrap the JSON in prose or code fences, and validates it against the intent schema
+function parseIntentOutput(text) {
+    const start = text.indexOf('{');
+    const end = text.lastIndexOf('}');
+    if (start === -1 || end <= start) {
+        throw new Error('Intent output contained no JSON object');
+    }
+
+    const raw = JSON.parse(text.slice(start, end + 1));
+    if (!INTENT_CATEGORIES.includes(raw.category)) {
+        throw new Error(`Unknown intent category: ${raw.category}`);
+    }
+
+    let confidence = Number(raw.confidence);
+    if (confidence > 1 && confidence <= 100) confidence /= 100;
+    if (!Number.isFinite(confidence) || confidence < 0 || confidence > 1) confidence = 0.5;
+
+    return {
+        category: raw.category,
+        confidence,
+        action: typeof raw.action === 'string' && raw.action ? raw.action : `${raw.category}_request`,
+        business: ['agency', 'ai', 'both', 'client'].includes(raw.business) ? raw.business : 'both',
+        priority: TASK_PRIORITIES.includes(raw.priority) ? raw.priority : 'medium',
+        entities: raw.entities && typeof raw.entities === 'object' ? raw.entities : {}
+    };
+}
+
+function parseTriageOutput(text) {
+    const start = text.indexOf('[');
+    const end = text.lastIndexOf(']');
+    if (start === -1 || end <= start) {
+        throw new Error('Triage output contained no JSON array');
+    }
+
+    return JSON.parse(text.slice(start, end + 1))
+        .filter(item => item && typeof item.id === 'string' &&
+            TRIAGE_BUSINESSES.includes(item.business) &&
+            TRIAGE_URGENCIES.includes(item.urgency) &&
+            TRIAGE_ACTIONS.includes(item.action))
+        .map(({ id, business, urgency, action, reason }) => ({
+            id, business, urgency, action, reason: typeof reason === 'string' ? reason.slice(0, 300) : ''
+        }));
+}
+
+// Keyword triage used when no model is available or it skipped an email
+function triageByRules(email) {
+    const text = `${email.subject || ''} ${email.from || ''} ${(email.body && email.body.text) || email.snippet || ''}`.toLowerCase();
+
+    let business = 'other';
+    if (/\b(insurance|policy|policies|premium|claim|coverage|renewal|quote|carrier|underwrit\w*)\b/.test(text)) business = 'agency';
+    else if (/\b(seo|ai|subscription|platform|api|content generator|video automation|saas|trial)\b/.test(text)) business = 'ai';
+    else if (/\b(project|website|build|invoice|proposal|milestone)\b/.test(text)) business = 'client';
+
+    let urgency = 'medium';
+    if (/\b(urgent|asap|immediately|today|deadline|overdue|past due|final notice|cancel(l?ed|lation)?)\b/.test(text)) urgency = 'high';
+    else if (/\b(newsletter|unsubscribe|digest|webinar|no-?reply|promotion|sale)\b/.test(text)) urgency = 'low';
+
+    let action = 'read';
+    if (/\b(unsubscribe|newsletter|digest|promotion)\b/.test(text)) action = 'archive';
+    else if (/\b(meeting|call|schedule|availability|calendar|appointment)\b/.test(text)) action = 'schedule';
+    else if (/\?|\b(please (let me know|confirm|advise|send)|can you|could you|would you)\b/.test(text)) action = 'reply';
+
+    return { business, urgency, action, reason: 'Matched keywords' };
+}
+
+/**
+ * Flattens a Gmail API message (format=full) into headers, decoded text/HTML bodies and attachment
+ * metadata. Bodies are base64url in the part's own charset; HTML-only mail gets a derived text body.
+ */
+function parseGmailMessage(message) {
+    const headers = (message.payload && message.payload.headers) || [];
+    const header = name => {
+        const found = headers.find(h => h.name.toLowerCase() === name.toLowerCase());
+        return found ? decodeMimeWords(found.value) : null;
+    };
+
+    const body = { text: null, html: null };
+    const attachments = [];
+    const walk = part => {
+        const mimeType = (part.mimeType || '').toLowerCase();
+        const partHeaders = part.headers || [];
+        const disposition = (partHeaders.find(h => h.name.toLowerCase() === 'content-disposition') || {}).value || '';
+
+        if (part.filename || /^attachment/i.test(disposition)) {
+            attachments.push({
+                partId: part.partId,
+                filename: part.filename || 'attachment',
+                mimeType: part.mimeType,
+                size: (part.body && part.body.size) || 0,
+                attachmentId: (part.body && part.body.attachmentId) || null,
+                inline: /^inline/i.test(disposition)
+            });
+        } else if (mimeType === 'text/plain' && body.text === null && part.body && part.body.data) {
+            body.text = decodeGmailPart(part);
+        } else if (mimeType === 'text/html' && body.html === null && part.body && part.body.data) {
+            body.html = decodeGmailPart(part);
+        }
+        (part.parts || []).forEach(walk);
+    };
+    if (message.payload) walk(message.payload);
+    if (body.text === null && body.html !== null) body.text = htmlToText(body.html);
+
+    const labelIds = message.labelIds || [];
+    return {
+        id: message.id,
+        threadId: message.threadId,
+        labelIds,
+        unread: labelIds.includes('UNREAD'),
+        subject: header('Subject') || 'No Subject',
+        from: header('From') || 'Unknown Sender',
+        replyTo: header('Reply-To'),
+        to: header('To'),
+        cc: header('Cc'),
+        date: header('Date') || 'Unknown Date',
+        internalDate: message.internalDate ? new Date(Number(message.internalDate)).toISOString() : null,
+        messageId: header('Message-ID'),
+        references: header('References'),
+        snippet: message.snippet || '',
+        body,
+        attachments
+    };
+}
+
+function decodeGmailPart(part) {
+    const buffer = Buffer.from(part.body.data, 'base64url');
+    const contentType = ((part.headers || []).find(h => h.name.toLowerCase() === 'content-type') || {}).value || '';
+    const charset = (contentType.match(/charset="?([^";\s]+)/i) || [])[1] || 'utf-8';
+    try {
+        return new TextDecoder(charset).decode(buffer);
+    } catch (error) {
+        return buffer.toString('utf8');
+    }
+}
+
+function slugify(text) {
+    return String(text || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').slice(0, 60);
+}
+
+// Confirmation, reschedule, cancellation and reminder emails for a booked appointment
+function bookingMessage(kind, appointment, manageUrl) {
+    const when = formatInZone(appointment.start, appointment.timezone, BOOKING_TIME_FORMAT);
+    const manage = `Need to change it? Reschedule or cancel here: ${manageUrl}`;
+    const signature = `\n\n${EMAIL_TONES.agency.signature}`;
+    const messages = {
+        confirmation: {
+            subject: `Confirmed: ${appointment.title} on ${when}`,
+            body: `Hi ${appointment.name},\n\nYou're booked for ${when}. We look forward to speaking with you.\n\n${manage}${signature}`
+        },
+        rescheduled: {
+            subject: `Rescheduled: ${appointment.title} on ${when}`,
+            body: `Hi ${appointment.name},\n\nYour appointment has moved to ${when}.\n\n${manage}${signature}`
+        },
+        cancellation: {
+            subject: `Cancelled: ${appointment.title}`,
+            body: `Hi ${appointment.name},\n\nYour appointment on ${when} has been cancelled. ` +
+                `You're welcome to book another time whenever it suits you.${signature}`
+        },
+        reminder: {
+            subject: `Reminder: ${appointment.title} on ${when}`,
+            body: `Hi ${appointment.name},\n\nA reminder that we're meeting ${when}.\n\n${manage}${signature}`
+        }
+    };
+    return messages[kind];
+}
+
+// Normalizes US numbers to E.164 (+15045550142); numbers already starting with + keep their country code
+function toE164(value) {
+    if (!value) return null;
+    const text = String(value).trim();
+    const digits = text.replace(/\D/g, '');
+    if (text.startsWith('+')) return digits.length >= 8 && digits.length <= 15 ? `+${digits}` : null;
+    if (digits.length === 10) return `+1${digits}`;
+    if (digits.length === 11 && digits.startsWith('1')) return `+${digits}`;
+    return null;
+}
+
+// X-Twilio-Signature: HMAC-SHA1 of the URL followed by each form field name and value, sorted by name
+function twilioSignature(authToken, url, params) {
+    const payload = Object.keys(params).sort()
+        .reduce((text, key) => text + [].concat(params[key]).map(value => `${key}${value}`).join(''), url);
+    return crypto.createHmac('sha1', authToken).update(payload, 'utf8').digest('base64');
+}
+
+function escapeXml(value) {
+    return String(value)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&apos;');
+}
+
+function buildTwiML(...verbs) {
+    return `<?xml version="1.0" encoding="UTF-8"?><Response>${verbs.join('')}</Response>`;
+}
+
+// "+15045550142" -> "504-555-0142", for numbers read out in voicemails
+function spokenPhone(value) {
+    const number = toE164(value);
+    return number && number.startsWith('+1') ? number.slice(2).replace(/(\d{3})(\d{3})(\d{4})/, '$1-$2-$3') : number;
+}
+
+// 'confirm' or 'reject' for a plain yes or no, 'unclear' for one with conditions attached ("yes, but not yet"),
+// and null for anything else, which is treated as a new request
+function classifyConfirmation(message) {
+    const reply = String(message || '').trim();
+    if (CONFIRM_REPLY.test(reply)) return 'confirm';
+    if (REJECT_REPLY.test(reply)) return 'reject';
+    return DECISION_START.test(reply) ? 'unclear' : null;
+}
+
+// Call back is checked first ("yes, but call me tomorrow"), then refusals: explicit ones, since "not interested"
+// contains "interested", and replies that open with a no ("no, we're okay") unless it's "no problem", "no rush" or
+// "no worries". Agreement comes before any stray negative so "yes, no problem" and "sure, no rush" count as a yes;
+// "not sure" and "not ready" are no answer either way.
+function classifyCallReply(text) {
+    const lower = String(text || '').toLowerCase();
+    if (!lower.trim()) return 'unclear';
+    if (/\b(call (me )?back|call (me )?(later|again|tomorrow)|later|busy|not a good time|another time|bad time|in a meeting|driving)\b/.test(lower)) return 'callback';
+    if (/^\W*(no\b(?!\W*(problem|rush|worries)\b)|nope|nah)\b|\b(not interested|no,? thanks|no,? thank you|stop calling|remove me|do not call|don'?t call|not right now)\b/.test(lower)) return 'not_interested';
+    if (/(?<!\b(not|n't) )\b(yes|yeah|yep|yup|sure|ok(ay)?|sounds good|interested|please do|go ahead|absolutely|definitely|ready|let'?s do it|no problem)\b/.test(lower)) return 'interested';
+    if (/\b(no\b(?! (problem|rush|worries))|nope|nah|don'?t|do not|pass)\b/.test(lower)) return 'not_interested';
+    return 'unclear';
+}
+
+// Model rewrite of a call script: JSON with string lines, possibly inside a code fence
+function parseCallScriptOutput(text) {
+    try {
+        const json = String(text || '').replace(/^```(?:json)?\s*|\s*```$/g, '').trim();
+        const lines = JSON.parse(json);
+        const keys = ['opening', 'reason', 'question', 'voicemail'];
+        if (!keys.every(key => typeof lines[key] === 'string' && lines[key].trim())) return null;
+        return Object.fromEntries(keys.map(key => [key, lines[key].trim()]));
+    } catch (error) {
+        return null;
+    }
+}
+
+function summarizeAgentCall(call) {
+    const { label, contact } = call.script;
+    const heard = call.transcript.filter(turn => turn.speaker === 'contact').map(turn => turn.text);
+
+    let summary = `${label} call to ${contact.name}: ${CALL_OUTCOME_LABELS[call.outcome] || 'no outcome'}`;
+    if (call.outcome === 'callback' && call.callbackRequest) summary += ` (${call.callbackRequest})`;
+    if (heard.length) summary += `. They said: "${heard.join('" / "')}"`;
+    return `${summary}.`;
+}
+
+// Vapi assistant for a scripted call; the end-of-call analysis reports the outcome in CALL_OUTCOMES terms
+function buildVapiAssistant(script, { model, serverUrl, secret }) {
+    const { contact, closings } = script;
+    const prompt = [
+        `You are a polite phone assistant calling ${contact.name} on behalf of Christina Molaison at Molaison Agency.`,
+        `Purpose: ${script.label}. ${script.reason}`,
+        `Ask: "${script.question}"`,
+        `If they are interested, say: "${closings.interested}"`,
+        `If they want a call back, ask "${script.callbackQuestion}" and then say: "${closings.callback}"`,
+        `If they are not interested, say: "${closings.not_interested}"`,
+        script.notes ? `Background: ${script.notes}` : '',
+        'Keep it brief, never promise prices or coverage, and end the call after the closing line.'
+    ].filter(Boolean).join('\n');
+
+    return {
+        firstMessage: `${script.opening} ${script.reason} ${script.question}`,
+        model: { provider: 'openai', model, messages: [{ role: 'system', content: prompt }] },
+        voicemailMessage: script.voicemail,
+        endCallPhrases: ['goodbye'],
+        server: { url: serverUrl, secret },
+        analysisPlan: {
+            structuredDataPlan: {
+                enabled: true,
+                schema: {
+                    type: 'object',
+                    properties: {
+                        outcome: { type: 'string', enum: CALL_OUTCOMES.filter(outcome => outcome !== 'no_answer') },
+                        callbackRequest: { type: 'string', description: 'When they asked to be called back, in their words' }
+                    },
+                    required: ['outcome']
+                }
+            }
+        }
+    };
+}
+
+// Vapi transcripts are "AI: ..." / "User: ..." lines
+function parseVapiTranscript(text) {
+    return String(text || '').split('\n')
+        .map(line => line.match(/^\s*(AI|Assistant|Bot|User|Customer):\s*(.+)$/i))
+        .filter(Boolean)
+        .map(([, speaker, said]) => ({ speaker: /^(user|customer)$/i.test(speaker) ? 'contact' : 'agent', text: said.trim(), at: null }));
+}
+
+// AES-256-GCM with a random IV; the result is "v1.<iv>.<tag>.<ciphertext>" in base64url
+function citationTitle(url) {
+    try {
+        return new URL(url).hostname.replace(/^www\./, '');
+    } catch (error) {
+        return String(url);
+    }
+}
+
+// ~200 characters of the answer, centred on the first search term it contains
+function researchSnippet(answer, terms) {
+    const text = String(answer || '').replace(/[#*>`]/g, '').replace(/\s+/g, ' ').trim();
+    if (!text) return '';
+
+    const lower = text.toLowerCase();
+    const hits = terms.map(term => lower.search(new RegExp(`\\b${term}\\b`))).filter(index => index >= 0);
+    const start = hits.length ? Math.max(0, Math.min(...hits) - 60) : 0;
+    const snippet = text.slice(start, start + 200);
+    return `${start > 0 ? '…' : ''}${snippet}${start + 200 < text.length ? '…' : ''}`;
+}
+
+function researchMarkdown(report, businesses) {
+    const details = [
+        report.business && businesses[report.business] ? businesses[report.business].name : null,
+        report.template ? RESEARCH_TEMPLATES[report.template].label : null,
+        `Researched ${formatDate(report.completedAt || report.createdAt)}`,
+        report.provider ? `via ${report.provider}` : null
+    ].filter(Boolean);
+
+    const lines = [`# ${report.title}`, '', `_${details.join(' · ')}_`, ''];
+    if (report.query) lines.push('## Question', '', ...report.query.split('\n').map(line => `> ${line}`), '');
+    lines.push('## Findings', '', report.answer.trim(), '');
+    if (report.citations.length) {
+        lines.push('## Sources', '', ...report.citations.map(citation => `${citation.index}. [${citation.title}](${citation.url})`), '');
+    }
+    return lines.join('\n');
+}
+
+// PDF strings are WinAnsi: map common typographic characters and drop anything else outside Latin-1
+function pdfText(value) {
+    return String(value)
+        .replace(/[‘’]/g, "'")
+        .replace(/[“”]/g, '"')
+        .replace(/[–—]/g, '-')
+        .replace(/…/g, '...')
+        .replace(/•/g, '-')
+        .replace(/[^\x20-\xff]/g, '?')
+        .replace(/[\\()]/g, match => `\\${match}`);
+}
+
+/**
+ * Renders Markdown as a plain multi-page Letter-size PDF: headings in bold, links shown as "text (url)",
+ * lines wrapped using an average Helvetica character width. Returns a Buffer.
+ */
+function buildPdf(title, markdown) {
+    const width = 612, height = 792, margin = 54;
+    const lines = [];
+
+    for (const raw of markdown.split('\n')) {
+        const heading = raw.match(/^(#{1,6})\s+(.*)$/);
+        const size = heading ? (heading[1].length === 1 ? 18 : 13) : 10.5;
+        const font = heading ? 'F2' : 'F1';
+        const text = (heading ? heading[2] : raw)
+            .replace(/\[([^\]]+)\]\(([^)]+)\)/g, '$1 ($2)')
+            .replace(/(\*\*|__|`)/g, '')
+            .replace(/^(\s*)[*-]\s+/, '$1- ')
+            .replace(/^>\s?/, '')
+            .replace(/^_(.*)_$/, '$1');
+
+        if (!text.trim()) {
+            lines.push({ text: '', font, size: 6 });
+            continue;
+        }
+
+        const maxChars = Math.floor((width - 2 * margin) / (size * (font === 'F2' ? 0.55 : 0.5)));
+        let current = '';
+        for (const word of text.split(/\s+/)) {
+            for (let piece = word; piece;) {
+                const chunk = piece.slice(0, maxChars);
+                piece = piece.slice(maxChars);
+                if (current && current.length + 1 + chunk.length > maxChars) {
+                    lines.push({ text: current, font, size });
+                    current = chunk;
+                } else {
+                    current = current ? `${current} ${chunk}` : chunk;
+                }
+            }
+        }
+        lines.push({ text: current, font, size });
+    }
+
+    // Lay lines out top to bottom, starting a new page when the next one would cross the bottom margin
+    const pages = [[]];
+    let y = height - margin;
+    for (const line of lines) {
+        const leading = line.size * 1.35;
+        if (y - leading < margin && pages[pages.length - 1].length) {
+            pages.push([]);
+            y = height - margin;
+        }
+        y -= leading;
+        if (line.text) pages[pages.length - 1].push(`BT /${line.font} ${line.size} Tf ${margin} ${y.toFixed(2)} Td (${pdfText(line.text)}) Tj ET`);
+    }
+
+    // Objects: 1 catalog, 2 page tree, 3-4 fonts, 5 info, then a page and its content stream per page
+    const pageIds = pages.map((page, index) => 6 + index * 2);
+    const objects = [
+        '<< /Type /Catalog /Pages 2 0 R >>',
+        `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`,
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>',
+        '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>',
+        `<< /Title (${pdfText(title)}) /Producer (Molaison Executive Assistant) >>`
+    ];
+    for (const [index, page] of pages.entries()) {
+        const content = page.join('\n');
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${width} ${height}] ` +
+            `/Resources << /Font << /F1 3 0 R /F2 4 0 R >> >> /Contents ${pageIds[index] + 1} 0 R >>`);
+        objects.push(`<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`);
+    }
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = objects.map((object, index) => {
+        const offset = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${index + 1} 0 obj\n${object}\nendobj\n`;
+        return offset;
+    });
+    const xref = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+    pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('');
+    pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xref}\n%%EOF\n`;
+    return Buffer.from(pdf, 'latin1');
+}
+
+/**
+ * Picks the robots.txt group for our user agent (its product token, e.g. "molaisonbot"), falling back to "*".
+ * Returns { rules: [{ allow, path }], crawlDelay } where paths may use * and $ as in RFC 9309.
+ */
+function parseRobotsTxt(text, userAgent) {
+    const token = userAgent.split('/')[0].trim().toLowerCase();
+    const groups = [];
+    let current = null;
+    let lastWasAgent = false;
+
+    for (const raw of String(text || '').split(/\r?\n/)) {
+        const line = raw.replace(/#.*$/, '').trim();
+        const match = line.match(/^([a-z-]+)\s*:\s*(.*)$/i);
+        if (!match) continue;
+        const [, key, value] = match;
+
+        switch (key.toLowerCase()) {
+            case 'user-agent':
+                if (!lastWasAgent) {
+                    current = { agents: [], rules: [], crawlDelay: null };
+                    groups.push(current);
+                }
+                current.agents.push(value.toLowerCase());
+                lastWasAgent = true;
+                continue;
+            case 'allow':
+            case 'disallow':
+                // An empty Disallow allows everything, so it adds no rule
+                if (current && value) current.rules.push({ allow: key.toLowerCase() === 'allow', path: value });
+                break;
+            case 'crawl-delay':
+                if (current && Number.isFinite(Number(value))) current.crawlDelay = Number(value);
+                break;
+        }
+        lastWasAgent = false;
+    }
+
+    const group = groups.find(g => g.agents.some(agent => agent !== '*' && token.includes(agent))) ||
+        groups.find(g => g.agents.includes('*'));
+    return group ? { rules: group.rules, crawlDelay: group.crawlDelay } : { rules: [], crawlDelay: null };
+}
+
+// The longest matching rule wins; on a tie Allow wins
+function robotsAllows(policy, path) {
+    let best = null;
+    for (const rule of policy.rules) {
+        const pattern = rule.path.replace(/[.+?^{}()|[\]\\]/g, '\\$&').replace(/\*/g, '.*');
+        if (!new RegExp(`^${pattern}`).test(path)) continue;
+        if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+            best = rule;
+        }
+    }
+    return !best || best.allow;
+}
+
+// Loopback, RFC 1918, carrier-grade NAT, link-local, unique local and unspecified addresses
+function isPrivateAddress(address) {
+    const lower = address.toLowerCase();
+    const mapped = lower.match(/^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/);
+    if (mapped) {
+        const ipv4 = mapped[1] || [mapped[2], mapped[3]].map(hex => parseInt(hex, 16)).flatMap(word => [word >> 8, word & 255]).join('.');
+        return isPrivateAddress(ipv4);
+    }
+    if (net.isIPv4(lower)) {
+        const [a, b] = lower.split('.').map(Number);
+        return a === 0 || a === 10 || a === 127 || (a === 169 && b === 254) || (a === 172 && b >= 16 && b <= 31) ||
+            (a === 192 && b === 168) || (a === 100 && b >= 64 && b <= 127);
+    }
+    return lower === '::' || lower === '::1' || /^f[cd][0-9a-f]{0,2}:/.test(lower) || /^fe[89ab][0-9a-f]?:/.test(lower);
+}
+
+// Resolves a scrape host for axios, failing when any of its addresses is private
+async function lookupPublicAddress(hostname) {
+    const addresses = await dns.promises.lookup(hostname, { all: true });
+    const blocked = addresses.find(entry => isPrivateAddress(entry.address));
+    if (blocked) {
+        throw new RequestError(400, `Refusing to fetch ${hostname}: it resolves to a private address (${blocked.address})`);
+    }
+    return addresses;
+}
+
+// Redirects to an IP literal skip the DNS lookup, so they are checked here
+function rejectPrivateRedirect(options) {
+    const hostname = String(options.hostname || '').replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname) && isPrivateAddress(hostname)) {
+        throw new RequestError(400, `Refusing to follow a redirect to ${hostname}: it is a private address`);
+    }
+}
+
+function validateScrapeUrl(value) {
+    let url;
+    try {
+        url = new URL(value);
+    } catch (error) {
+        throw new RequestError(400, 'Validation failed', ['url must be a valid URL']);
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+        throw new RequestError(400, 'Validation failed', ['url must be http or https']);
+    }
+    url.hash = '';
+    return url.toString();
+}
+
+function validateSelector(selector, field) {
+    try {
+        cheerio.load('')(selector);
+    } catch (error) {
+        throw new RequestError(400, 'Validation failed', [`${field} is not a valid CSS selector: ${selector}`]);
+    }
+}
+
+function validateScrapeRules(rules) {
+    const names = new Set();
+    return rules.map((rule, index) => {
+        const field = `rules[${index}]`;
+        if (!rule || typeof rule.name !== 'string' || !rule.name.trim() || typeof rule.selector !== 'string' || !rule.selector.trim()) {
+            throw new RequestError(400, 'Validation failed', [`${field} needs a name and a selector`]);
+        }
+        if (names.has(rule.name.trim())) {
+            throw new RequestError(400, 'Validation failed', [`${field}: duplicate rule name "${rule.name}"`]);
+        }
+        if (rule.type && !SCRAPE_RULE_TYPES.includes(rule.type)) {
+            throw new RequestError(400, 'Validation failed', [`${field}.type must be one of: ${SCRAPE_RULE_TYPES.join(', ')}`]);
+        }
+        validateSelector(rule.selector, `${field}.selector`);
+        names.add(rule.name.trim());
+
+        return {
+            name: rule.name.trim(),
+            selector: rule.selector.trim(),
+            attribute: typeof rule.attribute === 'string' && rule.attribute ? rule.attribute : null,
+            multiple: rule.multiple === true,
+            type: rule.type || 'text'
+        };
+    });
+}
+
+// { item, fields: { name, email, phone, company, website } }: one lead per `item`, fields are selectors inside it
+function validateLeadRules(leadRules) {
+    const fields = leadRules.fields || {};
+    if (!leadRules.item || typeof leadRules.item !== 'string') {
+        throw new RequestError(400, 'Validation failed', ['leadRules.item is required']);
+    }
+    validateSelector(leadRules.item, 'leadRules.item');
+    for (const [field, selector] of Object.entries(fields)) {
+        if (!LEAD_FIELDS.includes(field)) {
+            throw new RequestError(400, 'Validation failed', [`leadRules.fields.${field} is not a lead field (${LEAD_FIELDS.join(', ')})`]);
+        }
+        validateSelector(selector, `leadRules.fields.${field}`);
+    }
+    return { item: leadRules.item, fields };
+}
+
+function resolveUrl(href, base) {
+    try {
+        return new URL(href, base).toString();
+    } catch (error) {
+        return null;
+    }
+}
+
+function parseScrapedNumber(text) {
+    const match = String(text).replace(/,/g, '').match(/-?\d+(\.\d+)?/);
+    return match ? Number(match[0]) : null;
+}
+
+function scrapeValue(element, rule, pageUrl) {
+    const raw = rule.attribute ? element.attr(rule.attribute) : element.text();
+    if (raw === undefined || raw === null) return null;
+    const text = String(raw).replace(/\s+/g, ' ').trim();
+
+    switch (rule.type) {
+        case 'number':
+        case 'price':
+            return parseScrapedNumber(text);
+        case 'email': {
+            const email = text.replace(/^mailto:/i, '').split('?')[0].trim().toLowerCase();
+            return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) ? email : null;
+        }
+        default:
+            return ['href', 'src'].includes(rule.attribute) ? resolveUrl(text, pageUrl) : text;
+    }
+}
+
+// { ruleName: value } for one page; `multiple` rules give arrays, `hash` rules a digest of the matched text
+function extractScrapeData($, rules, pageUrl) {
+    const data = {};
+    for (const rule of rules) {
+        const elements = $(rule.selector).toArray().map(el => $(el));
+        if (rule.type === 'hash') {
+            const text = elements.map(element => element.text().replace(/\s+/g, ' ').trim()).join('\n');
+            data[rule.name] = elements.length ? crypto.createHash('sha256').update(text).digest('hex').slice(0, 16) : null;
+            continue;
+        }
+        const values = elements.map(element => scrapeValue(element, rule, pageUrl)).filter(value => value !== null && value !== '');
+        data[rule.name] = rule.multiple ? [...new Set(values)] : values.length ? values[0] : null;
+    }
+    return data;
+}
+
+// Combines pages: `multiple` rules are concatenated, single values come from the first page that has one
+function mergeScrapeData(pages, rules) {
+    const data = {};
+    for (const rule of rules) {
+        data[rule.name] = rule.multiple
+            ? [...new Set(pages.flatMap(page => page[rule.name] || []))]
+            : pages.map(page => page[rule.name]).find(value => value !== null && value !== undefined) ?? null;
+    }
+    return data;
+}
+
+// Fields whose rule is new since the last run are skipped, so adding a rule doesn't raise an alert
+function diffScrapeData(before, after) {
+    const changes = [];
+    for (const field of Object.keys(after).filter(key => key in before)) {
+        const previous = before[field];
+        const current = after[field];
+        if (JSON.stringify(previous) === JSON.stringify(current)) continue;
+
+        const change = { field, before: previous, after: current };
+        if (typeof previous === 'number' && typeof current === 'number') {
+            change.delta = Math.round((current - previous) * 100) / 100;
+            change.percent = previous !== 0 ? Math.round((current - previous) / previous * 1000) / 10 : null;
+        } else if (Array.isArray(previous) && Array.isArray(current)) {
+            change.added = current.filter(value => !previous.includes(value));
+            change.removed = previous.filter(value => !current.includes(value));
+        }
+        changes.push(change);
+    }
+    return changes;
+}
+
+function describeScrapeChange(change) {
+    if (change.delta !== undefined) {
+        const sign = change.delta > 0 ? '+' : '';
+        return `${change.field}: ${change.before} → ${change.after} (${sign}${change.delta}${change.percent !== null ? `, ${sign}${change.percent}%` : ''})`;
+    }
+    if (change.added) {
+        return `${change.field}: ${[
+            change.added.length ? `added ${change.added.slice(0, 5).join(', ')}` : null,
+            change.removed.length ? `removed ${change.removed.slice(0, 5).join(', ')}` : null
+        ].filter(Boolean).join('; ')}`;
+    }
+    if (change.before === null) return `${change.field}: now "${change.after}"`;
+    if (change.after === null) return `${change.field}: no longer found`;
+    return typeof change.after === 'string' && /^[0-9a-f]{16}$/.test(change.after)
+        ? `${change.field}: page content changed`
+        : `${change.field}: "${change.before}" → "${change.after}"`;
+}
+
+function phoneDigits(value) {
+    return String(value || '').replace(/\D/g, '').slice(-10);
+}
+
+function leadFieldValue(element, field, pageUrl) {
+    const href = element.attr('href') || '';
+    const text = element.text().replace(/\s+/g, ' ').trim();
+    switch (field) {
+        case 'email': {
+            const email = (href.match(/^mailto:([^?]+)/i) || [])[1] || (text.match(/[^\s@<>()]+@[^\s@<>()]+\.[a-z]{2,}/i) || [])[0];
+            return email ? decodeURIComponent(email).trim().toLowerCase() : null;
+        }
+        case 'phone': {
+            const phone = (href.match(/^tel:(.+)$/i) || [])[1] || text;
+            return phoneDigits(phone).length === 10 ? phone.trim() : null;
+        }
+        case 'website':
+            return href ? resolveUrl(href, pageUrl) : text || null;
+        default:
+            return text || null;
+    }
+}
+
+/**
+ * Contacts on a page. With `leadRules` each `item` element is one lead, its fields found by selector (emails and
+ * phones also fall back to mailto:/tel: links inside the item). Without them every mailto: link on the page is a
+ * lead, named after the link text. Leads without an email or phone are dropped.
+ */
+function extractLeads($, leadRules, pageUrl) {
+    const leads = [];
+    if (leadRules) {
+        for (const el of $(leadRules.item).toArray()) {
+            const item = $(el);
+            const lead = { sourceUrl: pageUrl };
+            for (const field of LEAD_FIELDS) {
+                const selector = leadRules.fields[field];
+                const element = selector ? item.find(selector).first() : null;
+                lead[field] = element && element.length ? leadFieldValue(element, field, pageUrl) : null;
+            }
+            if (!lead.email) {
+                const mailto = item.find('a[href^="mailto:"]').first();
+                lead.email = mailto.length ? leadFieldValue(mailto, 'email', pageUrl) : null;
+            }
+            if (!lead.phone) {
+                const tel = item.find('a[href^="tel:"]').first();
+                lead.phone = tel.length ? leadFieldValue(tel, 'phone', pageUrl) : null;
+            }
+            leads.push(lead);
+        }
+    } else {
+        for (const el of $('a[href^="mailto:"]').toArray()) {
+            const link = $(el);
+            const email = leadFieldValue(link, 'email', pageUrl);
+            const name = link.text().replace(/\s+/g, ' ').trim();
+            leads.push({ sourceUrl: pageUrl, name: name && !name.includes('@') ? name : null, email, phone: null, company: null, website: null });
+        }
+    }
+
+    const seen = new Set();
+    return leads.filter(lead => {
+        const key = lead.email || phoneDigits(lead.phone);
+        if (!key || seen.has(key)) return false;
+        seen.add(key);
+        return true;
+    });
+}
+
+function encryptSecret(plaintext, key) {
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+    const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+    return ['v1', iv, cipher.getAuthTag(), ciphertext].map(part => typeof part === 'string' ? part : part.toString('base64url')).join('.');
+}
+
+function decryptSecret(payload, key) {
+    const [version, iv, tag, ciphertext] = String(payload).split('.');
+    if (version !== 'v1') {
+        throw new Error(`Unsupported secret format: ${version}`);
+    }
+
+    const decipher = crypto.createDecipheriv('aes-256-gcm', key, Buffer.from(iv, 'base64url'));
+    decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+    return Buffer.concat([decipher.update(Buffer.from(ciphertext, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Builds an RFC 2822 reply: In-Reply-To/References thread it on the recipient's side, non-ASCII
+ * subjects are RFC 2047 encoded and the UTF-8 body is base64 in 76-character lines.
+ */
+function buildReplyMime({ to, cc, subject, body, inReplyTo, references }) {
+    const encodeHeader = value => /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+    const stripLineBreaks = value => String(value).replace(/[\r\n]+/g, ' ');
+
+    const headers = [
+        `To: ${stripLineBreaks(to)}`,
+        cc ? `Cc: ${stripLineBreaks(cc)}` : null,
+        `Subject: ${encodeHeader(stripLineBreaks(subject))}`,
+        inReplyTo ? `In-Reply-To: ${stripLineBreaks(inReplyTo)}` : null,
+        references ? `References: ${stripLineBreaks(references)}` : null,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset="UTF-8"',
+        'Content-Transfer-Encoding: base64'
+    ].filter(Boolean);
+
+    const encodedBody = Buffer.from(body.replace(/\r?\n/g, '\r\n'), 'utf8').toString('base64').match(/.{1,76}/g) || [];
+    return `${headers.join('\r\n')}\r\n\r\n${encodedBody.join('\r\n')}\r\n`;
+}
+
+// RFC 2047 encoded words in headers, e.g. "=?UTF-8?B?Q2Fmw6k=?=" -> "Café"
+function decodeMimeWords(value) {
+    return String(value)
+        .replace(/(=\?[^?]+\?[BbQq]\?[^?]*\?=)\s+(?==\?)/g, '$1')
+        .replace(/=\?([^?]+)\?([BbQq])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+            const bytes = encoding.toUpperCase() === 'B'
+                ? Buffer.from(text, 'base64')
+                : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9A-Fa-f]{2})/g, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+            try {
+                return new TextDecoder(charset).decode(bytes);
+            } catch (error) {
+                return match;
+            }
+        });
+}
+
+function htmlToText(html) {
+    const entities = { nbsp: ' ', amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", '#39': "'" };
+    return html
+        .replace(/<(script|style|head)[\s\S]*?<\/\1>/gi, '')
+        .replace(/<br\s*\/?>/gi, '\n')
+        .replace(/<\/(p|div|li|tr|h[1-6])>/gi, '\n')
+        .replace(/<[^>]+>/g, '')
+        .replace(/&(#\d+|#39|[a-z]+);/gi, (match, name) => name.startsWith('#') && name !== '#39'
+            ? String.fromCharCode(Number(name.slice(1)))
+            : entities[name.toLowerCase()] || match)
+        .replace(/[ \t]+\n/g, '\n')
+        .replace(/\n{3,}/g, '\n\n')
+        .trim();
+}
+
+// Maps items through fn with at most `limit` calls in flight, preserving order
+async function mapWithConcurrency(items, limit, fn) {
+    const results = new Array(items.length);
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await fn(items[index], index);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(Math.max(limit, 1), items.length) }, worker));
+    return results;
+}
+
+/**
+ * Pulls structured details out of a message: client (matched against known clients or
+ * "the X client" phrasing), date/time, phone, email, business and dollar amount.
+ */
+function extractEntities(message, clients) {
+    const text = String(message || '');
+    const lower = text.toLowerCase();
+    const entities = {};
+
+    const phone = text.match(/(?:\+?1[\s.-]?)?\(?\b(\d{3})\)?[\s.-]?(\d{3})[\s.-]?(\d{4})\b/);
+    if (phone) entities.phone = `+1${phone[1]}${phone[2]}${phone[3]}`;
+
+    const email = text.match(/[^\s@<>(),]+@[^\s@<>(),]+\.[a-z]{2,}/i);
+    if (email) entities.email = email[0].toLowerCase();
+
+    const amount = lower.match(/\$\s?(\d[\d,]*(?:\.\d+)?)\s?(k|m)?\b|\b(\d[\d,]*(?:\.\d+)?)\s?(k|thousand|dollars)\b/);
+    if (amount) {
+        const value = Number((amount[1] || amount[3]).replace(/,/g, ''));
+        const suffix = amount[2] || amount[4];
+        entities.amount = suffix === 'k' || suffix === 'thousand' ? value * 1000 : suffix === 'm' ? value * 1000000 : value;
+    }
+
+    const due = parseDueDate(text);
+    if (due) entities.date = due.date.toISOString().slice(0, 10);
+
+    const time = lower.match(/\b(?:at|@)\s?(\d{1,2})(?::(\d{2}))?\s?(am|pm)?\b/);
+    if (time && (time[3] || time[2])) {
+        let hours = Number(time[1]) % 12;
+        if (time[3] === 'pm' || (!time[3] && hours < 7)) hours += 12;
+        entities.time = `${String(hours).padStart(2, '0')}:${time[2] || '00'}`;
+    }
+
+    if (/\b(molaison ai|seo platform|content generator|video automation)\b/.test(lower)) entities.business = 'ai';
+    else if (/\b(agency|insurance|polic(y|ies)|premium|carrier)\b/.test(lower)) entities.business = 'agency';
+
+    // Prefer a known client whose name appears in the message
+    const words = new Set(tokenize(text));
+    const known = clients
+        .map(client => ({ client, hits: tokenize(client.name).filter(w => words.has(w)).length }))
+        .filter(entry => entry.hits > 0)
+        .sort((a, b) => b.hits - a.hits)[0];
+
+    if (known) {
+        entities.clientName = known.client.name;
+        entities.clientId = known.client.id;
+    } else {
+        const named = text.match(/\b(?:the\s+)?([A-Z][a-z'’]+(?:\s+[A-Z][a-z'’]+)?)\s+(?:client|account|family)\b/) ||
+            text.match(/\b(?:with|for|call|email|text)\s+(?:Mr\.?\s+|Mrs\.?\s+|Ms\.?\s+)?([A-Z][a-z'’]+(?:\s+[A-Z][a-z'’]+)?)\b/);
+        if (named && !WEEKDAYS.includes(named[1].toLowerCase())) entities.clientName = named[1];
+    }
+
+    return entities;
+}
+
+// Audio accepted for transcription, identified by magic bytes rather than the declared type
+const AUDIO_FORMATS = {
+    webm: { mimeType: 'audio/webm', matches: b => b.readUInt32BE(0) === 0x1A45DFA3 },
+    ogg: { mimeType: 'audio/ogg', aliases: ['opus'], matches: b => b.toString('ascii', 0, 4) === 'OggS' },
+    wav: { mimeType: 'audio/wav', aliases: ['wave', 'x-wav'], matches: b => b.toString('ascii', 0, 4) === 'RIFF' && b.toString('ascii', 8, 12) === 'WAVE' },
+    flac: { mimeType: 'audio/flac', matches: b => b.toString('ascii', 0, 4) === 'fLaC' },
+    mp3: { mimeType: 'audio/mpeg', aliases: ['mpeg', 'mpga'], matches: b => b.toString('ascii', 0, 3) === 'ID3' || (b[0] === 0xFF && (b[1] & 0xE0) === 0xE0) },
+    m4a: { mimeType: 'audio/mp4', aliases: ['mp4', 'x-m4a', 'aac'], matches: b => b.toString('ascii', 4, 8) === 'ftyp' }
+};
+
+// Types clients send when they don't know what the file is; the sniffed format decides instead
+const GENERIC_CONTENT_TYPES = ['application/octet-stream', 'binary/octet-stream', 'application/unknown'];
+
+function detectAudioFormat(buffer) {
+    if (buffer.length < 12) return null;
+    const match = Object.entries(AUDIO_FORMATS).find(([, format]) => format.matches(buffer));
+    return match ? match[0] : null;
+}
+
+// "audio/webm;codecs=opus" -> "webm", ".MP3" -> "mp3"
+function normalizeAudioFormat(value) {
+    return String(value).toLowerCase().split(';')[0].trim().replace(/^audio\/|^video\/|^\./, '');
+}
+
+/**
+ * Reads a text/event-stream response body (axios responseType 'stream') and calls
+ * onEvent(data, eventName) with the parsed JSON of each event. "[DONE]" markers are skipped.
+ */
+async function readEventStream(stream, onEvent) {
+    let buffer = '';
+    const dispatch = raw => {
+        let eventName = 'message';
+        const data = [];
+        for (const line of raw.split(/\r?\n/)) {
+            if (line.startsWith('event:')) eventName = line.slice(6).trim();
+            else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+        }
+        const payload = data.join('\n');
+        if (payload && payload !== '[DONE]') onEvent(JSON.parse(payload), eventName);
+    };
+
+    stream.setEncoding('utf8');
+    for await (const chunk of stream) {
+        buffer += chunk;
+        let boundary;
+        while ((boundary = buffer.search(/\r?\n\r?\n/)) !== -1) {
+            dispatch(buffer.slice(0, boundary));
+            buffer = buffer.slice(boundary).replace(/^\r?\n\r?\n/, '');
+        }
+    }
+    if (buffer.trim()) dispatch(buffer);
+}
+
+function parseToolArguments(json) {
+    try {
+        return JSON.parse(json || '{}');
+    } catch (error) {
+        return {};
+    }
+}
+
+// Stub purpose detection for make_call: renewals and quotes get a scripted call, anything else is read out
+function callPurposeArguments(message) {
+    if (/\brenew(al|ing)?\b/i.test(message)) return { purpose: 'renewal_reminder' };
+    if (/\bquotes?\b/i.test(message)) return { purpose: 'quote_follow_up' };
+    if (/\bcheck(ing)?[ -]in\b/i.test(message)) return { purpose: 'check_in' };
+    return { message };
+}
+
+function leadToolArguments(message) {
+    // Only the stage, source and grade are read, so the timezone doesn't matter here
+    const { stage, source, grade } = parseLeadQuery(message, 'UTC');
+    return {
+        ...(stage ? { stage } : {}),
+        ...(source ? { source: source.split(',')[0] } : {}),
+        ...(grade ? { grade: grade.split(',')[0] } : {})
+    };
+}
+
+// The local stub picks a tool from the rule-based intent so the agent loop can be exercised offline
+function stubToolCall(message, toolNames) {
+    const { category } = classifyByRules(message);
+    const entities = extractEntities(message, []);
+    const start = entities.date ? `${entities.date}T${entities.time || '09:00'}:00` : null;
+
+    const candidates = {
+        task: /\b(what|show|list|which)\b/i.test(message)
+            ? { name: 'list_tasks', arguments: {} }
+            : { name: 'create_task', arguments: { title: message, ...(entities.date ? { dueDate: entities.date } : {}) } },
+        calendar: /\b(find|free|open|available|availability)\b/i.test(message)
+            ? { name: 'find_free_time', arguments: { durationMinutes: parseDurationMinutes(message) || 30, range: message, clientName: entities.clientName } }
+            : /\b(what|show|list|agenda)\b/i.test(message)
+                ? { name: 'list_events', arguments: { range: message } }
+                : start ? { name: 'schedule_event', arguments: { title: message, start } } : null,
+        email: /\b(check|show|list|unread|inbox|any)\b/i.test(message)
+            ? { name: 'list_emails', arguments: {} }
+            : { name: 'draft_email', arguments: { to: entities.email || '', purpose: message } },
+        phone: /\b(text|sms)\b/i.test(message)
+            ? { name: 'send_sms', arguments: { to: entities.phone, clientName: entities.clientName, body: message } }
+            : { name: 'make_call', arguments: { to: entities.phone, clientName: entities.clientName, ...callPurposeArguments(message) } },
+        research: { name: 'run_research', arguments: { query: message } },
+        policies: { name: 'list_policies', arguments: { query: message } },
+        leads: { name: 'list_leads', arguments: leadToolArguments(message) },
+        business_intelligence: { name: 'get_kpis', arguments: { query: message } },
+        scraping: /https?:\/\//.test(message) ? { name: 'scrape_page', arguments: { url: message.match(/https?:\/\/[^\s<>"')]+/)[0] } } : null,
+        client_management: { name: 'get_project_status', arguments: { query: message } }
+    };
+
+    const call = candidates[category];
+    return call && toolNames.includes(call.name) ? call : null;
+}
+
+// Applies LLM_MODELS overrides, e.g. {"drafting":{"openai":"gpt-4.1"}}, on top of the default model table
+function mergeModelConfig(defaults, overridesJson) {
+    if (!overridesJson) return defaults;
+
+    try {
+        const overrides = JSON.parse(overridesJson);
+        const merged = { ...defaults };
+        for (const [task, models] of Object.entries(overrides)) {
+            merged[task] = { ...(defaults[task] || {}), ...models };
+        }
+        return merged;
+    } catch (error) {
+        console.warn('⚠️ Ignoring invalid LLM_MODELS JSON:', error.message);
+        return defaults;
+    }
+}
+
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+/**
+ * Finds a due date in free text ("today", "tomorrow", "by Friday", "next monday",
+ * "in 3 days", "on 11/5"), due at 5 PM in timeZone (server time when omitted). Returns { date, matchedText } or null.
+ */
+function parseDueDate(text, timeZone, now = new Date()) {
+    const lower = String(text || '').toLowerCase();
+    const today = zonedParts(now, timeZone);
+    const addDays = days => zonedTimeToUtc({ ...addCalendarDays(today, days), hour: 17 }, timeZone);
+    const startOfDay = addDays(0);
+    let match;
+
+    if ((match = lower.match(/\b(by |due |on )?(today|tonight)\b/))) {
+        return { date: startOfDay, matchedText: text.substr(match.index, match[0].length) };
+    }
+    if ((match = lower.match(/\b(by |due |on )?tomorrow\b/))) {
+        return { date: addDays(1), matchedText: text.substr(match.index, match[0].length) };
+    }
+    if ((match = lower.match(/\bin (\d+) (day|days|week|weeks)\b/))) {
+        const days = Number(match[1]) * (match[2].startsWith('week') ? 7 : 1);
+        return { date: addDays(days), matchedText: text.substr(match.index, match[0].length) };
+    }
+    if ((match = lower.match(/\b(by |due |on )?(next )?(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/))) {
+        let days = (WEEKDAYS.indexOf(match[3]) - today.weekday + 7) % 7 || 7;
+        if (match[2] && days < 7) days += 7;
+        return { date: addDays(days), matchedText: text.substr(match.index, match[0].length) };
+    }
+    if ((match = lower.match(/\b(by |due |on )?(\d{1,2})\/(\d{1,2})(?:\/(\d{2,4}))?\b/))) {
+        const year = match[4] ? Number(match[4].length === 2 ? `20${match[4]}` : match[4]) : today.year;
+        const at = y => zonedTimeToUtc({ year: y, month: Number(match[2]), day: Number(match[3]), hour: 17 }, timeZone);
+        const date = !match[4] && at(year) < startOfDay ? at(year + 1) : at(year);
+        return { date, matchedText: text.substr(match.index, match[0].length) };
+    }
+
+    return null;
+}
+
+// Policy dates are calendar dates ("YYYY-MM-DD"); these helpers do their arithmetic in UTC so no timezone shifts them
+function calendarDateString({ year, month, day }) {
+    return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+function daysBetweenDates(from, to) {
+    return Math.round((Date.parse(`${to}T00:00:00Z`) - Date.parse(`${from}T00:00:00Z`)) / (24 * 60 * 60 * 1000));
+}
+
+function addDaysToDate(date, days) {
+    const [year, month, day] = date.split('-').map(Number);
+    return calendarDateString(addCalendarDays({ year, month, day }, days));
+}
+
+// Clamps to the end of shorter months: Jan 31 + 1 month is Feb 28 (or 29)
+function addMonthsToDate(date, months) {
+    const [year, month, day] = date.split('-').map(Number);
+    const target = new Date(Date.UTC(year, month - 1 + months, 1));
+    const lastDay = new Date(Date.UTC(target.getUTCFullYear(), target.getUTCMonth() + 1, 0)).getUTCDate();
+    return calendarDateString({ year: target.getUTCFullYear(), month: target.getUTCMonth() + 1, day: Math.min(day, lastDay) });
+}
+
+function monthsBetweenDates(from, to) {
+    const [fromYear, fromMonth] = from.split('-').map(Number);
+    const [toYear, toMonth] = to.split('-').map(Number);
+    return (toYear - fromYear) * 12 + (toMonth - fromMonth);
+}
+
+// '2026-01' + 2 -> '2026-03'
+function addMonthsToMonth(month, months) {
+    return addMonthsToDate(`${month}-01`, months).slice(0, 7);
+}
+
+// KPI periods are months ('2026-09') or quarters ('2026-Q3')
+function monthToQuarter(month) {
+    const [year, monthNumber] = month.split('-').map(Number);
+    return `${year}-Q${Math.ceil(monthNumber / 3)}`;
+}
+
+function periodMonths(granularity, period) {
+    if (granularity === 'month') return [period];
+    const [year, quarter] = period.split('-Q').map(Number);
+    return [0, 1, 2].map(offset => `${year}-${String((quarter - 1) * 3 + 1 + offset).padStart(2, '0')}`);
+}
+
+function shiftPeriod(granularity, period, count) {
+    return granularity === 'month'
+        ? addMonthsToMonth(period, count)
+        : monthToQuarter(addMonthsToMonth(periodMonths('quarter', period)[0], count * 3));
+}
+
+// 'September 2026' or 'Q3 2026'
+function periodLabel(granularity, period) {
+    if (granularity === 'quarter') return `${period.slice(5)} ${period.slice(0, 4)}`;
+    const name = MONTH_NAMES[Number(period.slice(5, 7)) - 1];
+    return `${name[0].toUpperCase()}${name.slice(1)} ${period.slice(0, 4)}`;
+}
+
+/**
+ * Reads a policy question from chat: lines of business mentioned, an expiration window ("this month",
+ * "next month", "this quarter", "this year", "this/next week", "in the next N days/weeks", "today"), and
+ * whether it asks about the renewal pipeline. Windows are { from, to (exclusive), label } as calendar dates.
+ */
+function parsePolicyQuery(message, timeZone, now = new Date()) {
+    const lower = String(message || '').toLowerCase();
+    const lines = [];
+    let rest = lower;
+    for (const [line, pattern] of POLICY_LINE_KEYWORDS) {
+        if (pattern.test(rest)) {
+            lines.push(line);
+            rest = rest.replace(pattern, ' ');
+        }
+    }
+
+    const { year, month, day, weekday } = zonedParts(now, timeZone);
+    const today = calendarDateString({ year, month, day });
+    const firstOfMonth = offset => addMonthsToDate(calendarDateString({ year, month, day: 1 }), offset);
+    const quarterStart = calendarDateString({ year, month: month - ((month - 1) % 3), day: 1 });
+    const mondayOffset = (8 - weekday) % 7 || 7;
+    let window = null;
+    let match;
+
+    if (/\btoday\b/.test(lower)) window = { from: today, to: addDaysToDate(today, 1), label: 'today' };
+    else if (/\bthis month\b/.test(lower)) window = { from: today, to: firstOfMonth(1), label: 'this month' };
+    else if (/\bnext month\b/.test(lower)) window = { from: firstOfMonth(1), to: firstOfMonth(2), label: 'next month' };
+    else if (/\bthis quarter\b/.test(lower)) window = { from: today, to: addMonthsToDate(quarterStart, 3), label: 'this quarter' };
+    else if (/\bthis year\b/.test(lower)) window = { from: today, to: `${year + 1}-01-01`, label: 'this year' };
+    else if (/\bthis week\b/.test(lower)) window = { from: today, to: addDaysToDate(today, mondayOffset), label: 'this week' };
+    else if (/\bnext week\b/.test(lower)) window = { from: addDaysToDate(today, mondayOffset), to: addDaysToDate(today, mondayOffset + 7), label: 'next week' };
+    else if ((match = lower.match(/\b(?:next|in the next|within)\s+(\d+)\s+(days?|weeks?)\b/))) {
+        const days = Number(match[1]) * (match[2].startsWith('week') ? 7 : 1);
+        window = { from: today, to: addDaysToDate(today, days + 1), label: `in the next ${match[1]} ${match[2]}` };
+    } else if (/\b(expir\w*|renew\w*|coming up|due)\b/.test(lower)) {
+        window = { from: today, to: addDaysToDate(today, 31), label: 'in the next 30 days' };
+    }
+
+    return {
+        line: lines.length ? lines.join(',') : undefined,
+        window,
+        pipeline: /\b(pipeline|renewal stages?|book of business)\b/.test(lower)
+    };
+}
+
+/**
+ * Reads a leads question from chat: a stage, source or grade to list, "top"/"best" leads, a period the leads
+ * came in ("today", "yesterday", "this/last week", "this/last month", "in the last N days/weeks"), and whether
+ * it asks for the pipeline or conversion numbers rather than a list. Windows are { from, to (exclusive), label }.
+ */
+function parseLeadQuery(message, timeZone, now = new Date()) {
+    const lower = String(message || '').toLowerCase();
+    const { year, month, day, weekday } = zonedParts(now, timeZone);
+    const today = calendarDateString({ year, month, day });
+    const tomorrow = addDaysToDate(today, 1);
+    const monday = addDaysToDate(today, -((weekday + 6) % 7));
+    const firstOfMonth = calendarDateString({ year, month, day: 1 });
+    let window = null;
+    let match;
+
+    if (/\btoday\b/.test(lower)) window = { from: today, to: tomorrow, label: 'today' };
+    else if (/\byesterday\b/.test(lower)) window = { from: addDaysToDate(today, -1), to: today, label: 'yesterday' };
+    else if (/\bthis week\b/.test(lower)) window = { from: monday, to: tomorrow, label: 'this week' };
+    else if (/\blast week\b/.test(lower)) window = { from: addDaysToDate(monday, -7), to: monday, label: 'last week' };
+    else if (/\bthis month\b/.test(lower)) window = { from: firstOfMonth, to: tomorrow, label: 'this month' };
+    else if (/\blast month\b/.test(lower)) window = { from: addMonthsToDate(firstOfMonth, -1), to: firstOfMonth, label: 'last month' };
+    else if ((match = lower.match(/\b(?:last|past|in the last|in the past|over the last)\s+(\d+)\s+(days?|weeks?)\b/))) {
+        const days = Number(match[1]) * (match[2].startsWith('week') ? 7 : 1);
+        window = { from: addDaysToDate(today, -(days - 1)), to: tomorrow, label: `over the last ${match[1]} ${match[2]}` };
+    }
+
+    const stage = /\bcontacted\b/.test(lower) ? 'contacted'
+        : /\bquot(ed|es?)\b/.test(lower) ? 'quoted'
+            : /\b(won|win|converted|closed)\b/.test(lower) ? 'won'
+                : /\blost\b/.test(lower) ? 'lost'
+                    // "new leads this week" means leads that came in this week, not the stage
+                    : /\bnew\b/.test(lower) && !window ? 'new' : undefined;
+    const sources = Object.entries(LEAD_SOURCE_KEYWORDS).filter(([, pattern]) => pattern.test(lower)).map(([source]) => source);
+    const grades = [...new Set(lower.match(/\b(hot|warm|cold)\b/g) || [])];
+
+    return {
+        stage,
+        source: sources.length ? sources.join(',') : undefined,
+        grade: grades.length ? grades.join(',') : undefined,
+        top: /\b(top|best|strongest|highest[- ]scor\w*)\b/.test(lower),
+        window,
+        summary: /\b(pipeline|funnel|overview|summary|breakdown|conversion|close rate|win rate)\b/.test(lower)
+    };
+}
+
+/**
+ * Reads a KPI question from chat: the businesses it asks about (else the chat's `businessContext`, else the agency
+ * and Molaison AI), months or quarters, and the period ("this month", "last quarter", "in September", "Q2"),
+ * which defaults to the last complete one. Answers compare the period with the one before it.
+ */
+function parseKpiQuery(message, businessContext, timeZone, now = new Date()) {
+    const lower = String(message || '').toLowerCase();
+    const { year, month } = zonedParts(now, timeZone);
+    const thisMonth = calendarDateString({ year, month, day: 1 }).slice(0, 7);
+    const granularity = /\bquarters?\b|\bq[1-4]\b/.test(lower) ? 'quarter' : 'month';
+    const current = granularity === 'quarter' ? monthToQuarter(thisMonth) : thisMonth;
+    let period = shiftPeriod(granularity, current, -1);
+    let match;
+
+    if (/\bthis (month|quarter)\b|\b(so far|to date|mtd|qtd)\b/.test(lower)) {
+        period = current;
+    } else if ((match = lower.match(/\bq([1-4])\b(?:\s+(\d{4}))?/))) {
+        period = `${match[2] || year}-Q${match[1]}`;
+        if (!match[2] && period > current) period = `${year - 1}-Q${match[1]}`;
+    } else if (granularity === 'month' && (match = lower.match(new RegExp(`\\b(${MONTH_NAMES.join('|')})\\b(?:\\s+(\\d{4}))?`)))) {
+        // "may" is only a month with a year or after in/for/during
+        const named = match[1] !== 'may' || match[2] || /\b(in|for|during) may\b/.test(lower);
+        if (named) {
+            period = `${match[2] || year}-${String(MONTH_NAMES.indexOf(match[1]) + 1).padStart(2, '0')}`;
+            if (!match[2] && period > current) period = addMonthsToMonth(period, -12);
+        }
+    }
+
+    const mentioned = Object.entries(KPI_BUSINESS_KEYWORDS).filter(([, pattern]) => pattern.test(lower)).map(([business]) => business);
+    return {
+        businesses: mentioned.length ? mentioned : ['agency', 'ai'].includes(businessContext) ? [businessContext] : ['agency', 'ai'],
+        granularity,
+        period
+    };
+}
+
+// Lead intake accepts the field names common form builders use; an unknown source is kept as "other"
+function normalizeLeadIntake(body = {}) {
+    const pick = (...keys) => {
+        const key = keys.find(k => typeof body[k] === 'string' && body[k].trim());
+        return key ? body[key].trim() : undefined;
+    };
+    const fullName = [pick('firstName', 'first_name'), pick('lastName', 'last_name')].filter(Boolean).join(' ');
+    const source = (pick('source', 'lead_source') || '').toLowerCase();
+    const medium = (pick('utm_medium') || '').toLowerCase();
+
+    return {
+        name: pick('name', 'fullName', 'full_name') || fullName || undefined,
+        email: pick('email', 'email_address'),
+        phone: pick('phone', 'phone_number', 'phoneNumber'),
+        company: pick('company', 'companyName', 'business', 'business_name'),
+        website: pick('website'),
+        interest: pick('interest', 'service', 'product', 'coverage'),
+        message: pick('message', 'comments', 'notes'),
+        source: LEAD_SOURCES.includes(source) ? source
+            : /^(cpc|ppc|paid)/.test(medium) ? 'ad'
+                : medium === 'social' ? 'social'
+                    : source ? 'other' : 'website'
+    };
+}
+
+// GoHighLevel sources are free text ("Facebook Lead Ad", "Website Form"); anything unrecognised is "other"
+function ghlLeadSource(source) {
+    const text = String(source || '').toLowerCase();
+    if (LEAD_SOURCES.includes(text)) return text;
+    const match = Object.entries(LEAD_SOURCE_KEYWORDS).find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : 'other';
+}
+
+// The fields a GoHighLevel contact supplies for a lead or a client; blank ones are left out
+function ghlContactFields(contact, kind) {
+    const person = (contact.contactName || [contact.firstName, contact.lastName].filter(Boolean).join(' ')).trim();
+    const fields = kind === 'client'
+        ? { contactName: person, email: contact.email, phone: contact.phone, company: contact.companyName }
+        : { name: person || contact.companyName, email: contact.email, phone: contact.phone, company: contact.companyName, website: contact.website };
+    return Object.fromEntries(Object.entries(fields)
+        .filter(([, value]) => typeof value === 'string' && value.trim())
+        .map(([field, value]) => [field, field === 'email' ? value.trim().toLowerCase() : value.trim()]));
+}
+
+function ghlAppointmentFields(appointment, contactName) {
+    const title = appointment.title || `Appointment${contactName ? ` with ${contactName}` : ''}`;
+    return {
+        title: title.slice(0, 300),
+        start: new Date(appointment.startTime).toISOString(),
+        end: new Date(appointment.endTime).toISOString(),
+        status: GHL_APPOINTMENT_STATUSES[appointment.appointmentStatus] || 'confirmed',
+        ...(appointment.address ? { location: String(appointment.address).slice(0, 500) } : {})
+    };
+}
+
+/**
+ * Three-way merge of remote values into a local record. `base` is what GoHighLevel sent last time: a field only
+ * one side has changed since then takes that side's value, and a blank local field is always filled. A field
+ * both sides changed is a conflict settled by `policy` - `newest` keeps the remote value when `remoteNewer`.
+ * Resolves to { changes, conflicts }.
+ */
+function mergeRemoteFields(local, remote, base = {}, { policy, remoteNewer }) {
+    const same = (a, b) => (a === undefined || a === null ? null : a) === (b === undefined || b === null ? null : b);
+    const changes = {};
+    const conflicts = [];
+
+    for (const [field, value] of Object.entries(remote)) {
+        const current = local[field];
+        if (same(current, value)) continue;
+        if (current === undefined || current === null || current === '' || same(current, base[field])) {
+            changes[field] = value;
+            continue;
+        }
+        // Only the local side changed
+        if (same(value, base[field])) continue;
+
+        const kept = policy === 'remote' || (policy === 'newest' && remoteNewer) ? 'remote' : 'local';
+        if (kept === 'remote') changes[field] = value;
+        conflicts.push({ field, local: current, remote: value, kept });
+    }
+    return { changes, conflicts };
+}
+
+// Lines of a notes field added since `lastPushed`; everything when that line is gone (the notes were rewritten)
+function notesSince(notes, lastPushed) {
+    const lines = String(notes || '').split('\n').filter(line => line.trim());
+    const index = lastPushed ? lines.lastIndexOf(lastPushed) : -1;
+    return index === -1 ? lines : lines.slice(index + 1);
+}
+
+// RFC 4180 CSV: quoted fields may hold commas, line breaks and doubled quotes. Blank lines are dropped.
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const source = String(text || '').replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+    row.push(field);
+    rows.push(row);
+
+    return rows.filter(cells => cells.some(cell => cell.trim()));
+}
+
+// Column index for each REVENUE_CSV_COLUMNS field found in the header row
+function mapCsvColumns(header) {
+    const names = header.map(name => String(name).toLowerCase().replace(/[^a-z]/g, ''));
+    const columns = {};
+    for (const [field, aliases] of Object.entries(REVENUE_CSV_COLUMNS)) {
+        const index = names.findIndex(name => aliases.includes(name));
+        if (index !== -1) columns[field] = index;
+    }
+    return columns;
+}
+
+// 2026-03-15, 2026-03 (the 1st), 3/15/2026 or anything Date can read; null when it isn't a date
+function parseCsvDate(value) {
+    const text = String(value || '').trim();
+    let match = text.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?$/);
+    if (match) return validCalendarDate(Number(match[1]), Number(match[2]), Number(match[3] || 1));
+    match = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{2}|\d{4})$/);
+    if (match) return validCalendarDate(Number(match[3].length === 2 ? `20${match[3]}` : match[3]), Number(match[1]), Number(match[2]));
+
+    const date = new Date(text);
+    return text && !Number.isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : null;
+}
+
+function validCalendarDate(year, month, day) {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? calendarDateString({ year, month, day }) : null;
+}
+
+// $1,200.00 -> 1200; (45.00) and -45 are negative; NaN when it isn't an amount
+function parseCsvAmount(value) {
+    let text = String(value || '').trim().replace(/[$,\s]/g, '');
+    const negative = /^\(.*\)$/.test(text);
+    if (negative) text = text.slice(1, -1);
+    const amount = /^[-+]?(\d+\.?\d*|\.\d+)$/.test(text) ? Number(text) : NaN;
+    return negative ? -amount : amount;
+}
+
+// The key of the first pattern matching a CSV cell (REVENUE_CSV_TYPES, REVENUE_CSV_INTERVALS)
+function matchCsvValue(value, patterns) {
+    const text = String(value || '').trim().toLowerCase();
+    const match = Object.entries(patterns).find(([, pattern]) => pattern.test(text));
+    return match ? match[0] : null;
+}
+
+function roundCents(value) {
+    return Math.round(value * 100) / 100;
+}
+
+// $1,200 or $3,400.50
+function formatCurrency(value) {
+    const amount = Number(value) || 0;
+    return `$${amount.toLocaleString('en-US', { minimumFractionDigits: Number.isInteger(amount) ? 0 : 2, maximumFractionDigits: 2 })}`;
+}
+
+function formatDate(value) {
+    return new Date(value).toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric' });
+}
+
+// "just now", "5 minutes ago", "3 hours ago", "yesterday", "4 days ago", then the date from a week on
+function relativeTime(value, now = new Date()) {
+    const minutes = Math.floor((now - new Date(value)) / 60000);
+    if (minutes < 1) return 'just now';
+    if (minutes < 60) return `${minutes} minute${minutes === 1 ? '' : 's'} ago`;
+    const hours = Math.floor(minutes / 60);
+    if (hours < 24) return `${hours} hour${hours === 1 ? '' : 's'} ago`;
+    const days = Math.floor(hours / 24);
+    if (days === 1) return 'yesterday';
+    return days < 7 ? `${days} days ago` : formatDate(value);
+}
+
+// Calendar time handling. Events are stored as UTC instants plus the IANA timezone they were
+// created in; recurrences are expanded on the wall clock of that timezone so they survive DST changes.
+const zoneFormatters = new Map();
+
+function isValidTimeZone(timeZone) {
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (error) {
+        return false;
+    }
+}
+
+// Wall-clock fields of an instant in a timezone; weekday is 0 (Sunday) to 6
+function zonedParts(date, timeZone) {
+    if (!zoneFormatters.has(timeZone)) {
+        zoneFormatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+            timeZone, hourCycle: 'h23', weekday: 'short',
+            year: 'numeric', month: 'numeric', day: 'numeric', hour: 'numeric', minute: 'numeric', second: 'numeric'
+        }));
+    }
+
+    const parts = Object.fromEntries(zoneFormatters.get(timeZone).formatToParts(new Date(date)).map(part => [part.type, part.value]));
+    return {
+        year: Number(parts.year),
+        month: Number(parts.month),
+        day: Number(parts.day),
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        second: Number(parts.second),
+        weekday: ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(parts.weekday)
+    };
+}
+
+// The instant when the wall clock in timeZone shows the given fields; times skipped by DST land an hour later
+function zonedTimeToUtc({ year, month, day, hour = 0, minute = 0, second = 0 }, timeZone) {
+    const target = Date.UTC(year, month - 1, day, hour, minute, second);
+    let guess = target;
+    for (let i = 0; i < 2; i++) {
+        const local = zonedParts(new Date(guess), timeZone);
+        const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - guess;
+        guess = target - offset;
+    }
+    return new Date(guess);
+}
+
+// Minutes the wall clock in timeZone is ahead of UTC at an instant (negative west of Greenwich)
+function zoneOffsetMinutes(date, timeZone) {
+    const local = zonedParts(date, timeZone);
+    return Math.round((Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute, local.second) - new Date(date).getTime()) / 60000);
+}
+
+// Calendar date arithmetic that ignores timezones: { year, month, day } plus n days
+function addCalendarDays({ year, month, day }, days) {
+    const date = new Date(Date.UTC(year, month - 1, day + days));
+    return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate(), weekday: date.getUTCDay() };
+}
+
+// "2026-10-20T09:00" (no offset) is read as wall-clock time in timeZone; values with Z or an offset are absolute
+function parseZonedDate(value, timeZone) {
+    const local = typeof value === 'string' &&
+        value.trim().match(/^(\d{4})-(\d{2})-(\d{2})(?:[T ](\d{2}):(\d{2})(?::(\d{2}))?(?:\.\d+)?)?$/);
+    if (!local) return new Date(value);
+
+    const [year, month, day, hour, minute, second] = local.slice(1).map(part => Number(part || 0));
+    return zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone);
+}
+
+function formatInZone(date, timeZone, options = { weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit' }) {
+    return new Date(date).toLocaleString('en-US', { ...options, timeZone });
+}
+
+// Date ranges mentioned in chat: today, tomorrow, this/next week, next N days or a weekday; default the next 7 days
+function parseDateRange(text, timeZone, now = new Date()) {
+    const lower = String(text || '').toLowerCase();
+    const today = zonedParts(now, timeZone);
+    const dayStart = offset => zonedTimeToUtc(addCalendarDays(today, offset), timeZone);
+    const mondayOffset = (8 - today.weekday) % 7 || 7;
+    let match;
+
+    if (/\btoday\b/.test(lower)) return { from: now, to: dayStart(1), label: 'today' };
+    if (/\btomorrow\b/.test(lower)) return { from: dayStart(1), to: dayStart(2), label: 'tomorrow' };
+    if (/\bnext week\b/.test(lower)) return { from: dayStart(mondayOffset), to: dayStart(mondayOffset + 7), label: 'next week' };
+    if (/\bthis week\b/.test(lower)) return { from: now, to: dayStart(mondayOffset), label: 'this week' };
+    if ((match = lower.match(/\b(?:next|in the next|within)\s+(\d+)\s+days?\b/))) {
+        const days = Math.min(Number(match[1]), 60);
+        return { from: now, to: dayStart(days + 1), label: `in the next ${days} days` };
+    }
+    if ((match = lower.match(/\b(sunday|monday|tuesday|wednesday|thursday|friday|saturday)\b/))) {
+        const offset = (WEEKDAYS.indexOf(match[1]) - today.weekday + 7) % 7 || 7;
+        return { from: dayStart(offset), to: dayStart(offset + 1), label: `on ${match[1][0].toUpperCase()}${match[1].slice(1)}` };
+    }
+
+    return { from: now, to: dayStart(8), label: 'in the next week' };
+}
+
+// "30 minutes", "an hour", "1.5 hours", "45 min"
+function parseDurationMinutes(text) {
+    const lower = String(text || '').toLowerCase();
+    const match = lower.match(/\b(\d+(?:\.\d+)?|an?|half an?)\s*-?\s*(minutes?|mins?|hours?|hrs?)\b/);
+    if (!match) return null;
+
+    const amount = match[1] === 'a' || match[1] === 'an' ? 1 : match[1].startsWith('half') ? 0.5 : Number(match[1]);
+    return Math.round(match[2].startsWith('h') ? amount * 60 : amount);
+}
+
+// Recurrence rules are stored as RFC 5545 RRULE strings. Supported: FREQ (DAILY, WEEKLY, MONTHLY, YEARLY),
+// INTERVAL, COUNT, UNTIL and plain weekday BYDAY on weekly rules.
+const RRULE_DAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+const RRULE_FREQUENCIES = ['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'];
+// Rough period lengths, rounded up, used only to skip ahead when expanding open-ended rules
+const RRULE_PERIOD_DAYS = { DAILY: 1, WEEKLY: 7, MONTHLY: 31, YEARLY: 366 };
+const RECURRENCE_EXPANSION_LIMIT = 2000;
+
+function parseRRule(value) {
+    const fields = Object.fromEntries(String(value || '').replace(/^RRULE:/i, '').split(';').filter(Boolean)
+        .map(pair => pair.split('=').map(part => part.trim().toUpperCase())));
+    const errors = [];
+
+    if (!RRULE_FREQUENCIES.includes(fields.FREQ)) errors.push(`FREQ must be one of ${RRULE_FREQUENCIES.join(', ')}`);
+    const interval = fields.INTERVAL ? Number(fields.INTERVAL) : 1;
+    if (!Number.isInteger(interval) || interval < 1) errors.push('INTERVAL must be a positive integer');
+    const count = fields.COUNT ? Number(fields.COUNT) : null;
+    if (count !== null && (!Number.isInteger(count) || count < 1)) errors.push('COUNT must be a positive integer');
+    // A date-only UNTIL includes that whole day
+    const untilDate = fields.UNTIL ? parseICSDate(fields.UNTIL, {}, 'UTC') : null;
+    const until = untilDate ? new Date(untilDate.date.getTime() + (untilDate.allDay ? 86400000 - 1 : 0)) : null;
+    if (until && Number.isNaN(until.getTime())) errors.push('UNTIL must be a date');
+    const byDay = fields.BYDAY ? fields.BYDAY.split(',') : null;
+    if (byDay && (fields.FREQ !== 'WEEKLY' || byDay.some(day => !RRULE_DAYS.includes(day)))) {
+        errors.push('BYDAY is only supported as plain weekdays (MO,WE,...) on weekly rules');
+    }
+    const unsupported = Object.keys(fields).filter(key => !['FREQ', 'INTERVAL', 'COUNT', 'UNTIL', 'BYDAY', 'WKST'].includes(key));
+    if (unsupported.length) errors.push(`Unsupported recurrence parts: ${unsupported.join(', ')}`);
+
+    if (errors.length) throw new RequestError(400, 'Invalid recurrence rule', errors);
+    return { freq: fields.FREQ, interval, count, until, byDay: byDay && byDay.map(day => RRULE_DAYS.indexOf(day)) };
+}
+
+// Local dates a rule produces in its nth period (day, week, month or year), in order
+function recurrencePeriodDates(rule, first, period) {
+    const step = period * rule.interval;
+    switch (rule.freq) {
+        case 'DAILY':
+            return [addCalendarDays(first, step)];
+        case 'WEEKLY': {
+            // Weeks start on Monday, as in RFC 5545's default WKST
+            const monday = addCalendarDays(first, -((first.weekday + 6) % 7) + step * 7);
+            return (rule.byDay || [first.weekday])
+                .map(weekday => addCalendarDays(monday, (weekday + 6) % 7))
+                .sort((a, b) => Date.UTC(a.year, a.month - 1, a.day) - Date.UTC(b.year, b.month - 1, b.day));
+        }
+        case 'MONTHLY':
+        case 'YEARLY': {
+            const months = rule.freq === 'MONTHLY' ? step : step * 12;
+            const year = first.year + Math.floor((first.month - 1 + months) / 12);
+            const month = (first.month - 1 + months) % 12 + 1;
+            // Months without the day (the 31st, Feb 29) are skipped rather than moved
+            const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+            return first.day <= daysInMonth ? [{ year, month, day: first.day }] : [];
+        }
+        default:
+            return [];
+    }
+}
+
+// Occurrences of an event that overlap [from, to), as { start, end } Dates
+function expandOccurrences(event, from, to) {
+    const start = new Date(event.start);
+    const duration = new Date(event.end).getTime() - start.getTime();
+    if (!event.recurrence) {
+        return start < to && start.getTime() + duration > from ? [{ start, end: new Date(event.end) }] : [];
+    }
+
+    const rule = parseRRule(event.recurrence);
+    const first = zonedParts(start, event.timezone);
+    const excluded = new Set((event.exdates || []).map(date => new Date(date).getTime()));
+    const occurrences = [];
+
+    // COUNT has to be tallied from the first occurrence; open-ended rules can jump close to the window
+    let period = rule.count ? 0 : Math.max(0, Math.floor((from - start - duration) / (RRULE_PERIOD_DAYS[rule.freq] * rule.interval * 86400000)) - 1);
+    let produced = 0;
+
+    for (const limit = period + RECURRENCE_EXPANSION_LIMIT; period < limit; period++) {
+        for (const date of recurrencePeriodDates(rule, first, period)) {
+            const occurrenceStart = zonedTimeToUtc({ ...date, hour: first.hour, minute: first.minute, second: first.second }, event.timezone);
+            if (occurrenceStart < start) continue;
+            if ((rule.until && occurrenceStart > rule.until) || (rule.count && produced >= rule.count) || occurrenceStart >= to) {
+                return occurrences;
+            }
+
+            produced++;
+            const occurrenceEnd = new Date(occurrenceStart.getTime() + duration);
+            if (occurrenceEnd > from && !excluded.has(occurrenceStart.getTime())) {
+                occurrences.push({ start: occurrenceStart, end: occurrenceEnd });
+            }
+        }
+    }
+    return occurrences;
+}
+
+// Sorted, merged copy of [{ start, end }] intervals
+function mergeIntervals(intervals) {
+    return intervals
+        .slice()
+        .sort((a, b) => a.start - b.start)
+        .reduce((merged, interval) => {
+            const last = merged[merged.length - 1];
+            if (last && interval.start <= last.end) {
+                if (interval.end > last.end) last.end = interval.end;
+            } else {
+                merged.push({ start: interval.start, end: interval.end });
+            }
+            return merged;
+        }, []);
+}
+
+// iCalendar (RFC 5545) import and export
+function unescapeICSText(value) {
+    return value.replace(/\\([\\;,nN])/g, (match, char) => char.toLowerCase() === 'n' ? '\n' : char);
+}
+
+function escapeICSText(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+}
+
+// DATE, UTC DATE-TIME ("...Z"), TZID DATE-TIME or floating DATE-TIME (read in the default timezone)
+function parseICSDate(value, params, defaultTimeZone) {
+    const match = String(value).match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/);
+    if (!match) return { date: new Date(NaN) };
+
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map(part => Number(part || 0));
+    if (!match[4]) {
+        return { date: zonedTimeToUtc({ year, month, day }, defaultTimeZone), allDay: true, timeZone: defaultTimeZone };
+    }
+    if (match[7]) {
+        return { date: new Date(Date.UTC(year, month - 1, day, hour, minute, second)), timeZone: defaultTimeZone };
+    }
+
+    // Outlook writes Windows zone names ("Central Standard Time") that Intl doesn't know
+    const timeZone = params.TZID && isValidTimeZone(params.TZID) ? params.TZID : defaultTimeZone;
+    return { date: zonedTimeToUtc({ year, month, day, hour, minute, second }, timeZone), timeZone };
+}
+
+function parseICSDuration(value) {
+    const match = String(value).match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return null;
+    const [weeks, days, hours, minutes, seconds] = match.slice(2).map(part => Number(part || 0));
+    return ((((weeks * 7 + days) * 24 + hours) * 60 + minutes) * 60 + seconds) * 1000;
+}
+
+function parseICSLine(line) {
+    // The value starts at the first colon outside a quoted parameter value
+    let quoted = false;
+    let split = -1;
+    for (let i = 0; i < line.length && split < 0; i++) {
+        if (line[i] === '"') quoted = !quoted;
+        else if (line[i] === ':' && !quoted) split = i;
+    }
+    if (split < 0) return null;
+
+    const [name, ...rawParams] = line.slice(0, split).split(';');
+    const params = Object.fromEntries(rawParams.map(param => {
+        const index = param.indexOf('=');
+        return [param.slice(0, index).toUpperCase(), param.slice(index + 1).replace(/^"|"$/g, '')];
+    }));
+    return { name: name.toUpperCase(), params, value: line.slice(split + 1) };
+}
+
+/**
+ * Parses the VEVENTs of an iCalendar document into event fields. Nested components (VALARM) are ignored;
+ * each event keeps the raw RRULE so the caller can decide what to do with rules it can't expand.
+ */
+function parseICS(text, defaultTimeZone) {
+    const lines = String(text || '').replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let current = null;
+    let nested = 0;
+
+    for (const line of lines) {
+        const property = parseICSLine(line);
+        if (!property) continue;
+        const { name, params, value } = property;
+
+        if (name === 'BEGIN') {
+            if (value.toUpperCase() === 'VEVENT') current = { exdates: [] };
+            else if (current) nested++;
+            continue;
+        }
+        if (name === 'END') {
+            if (value.toUpperCase() === 'VEVENT' && current) {
+                events.push(current);
+                current = null;
+            } else if (current) {
+                nested--;
+            }
+            continue;
+        }
+        if (!current || nested > 0) continue;
+
+        switch (name) {
+            case 'UID': current.uid = value; break;
+            case 'SUMMARY': current.title = unescapeICSText(value); break;
+            case 'DESCRIPTION': current.notes = unescapeICSText(value); break;
+            case 'LOCATION': current.location = unescapeICSText(value); break;
+            case 'RRULE': current.recurrence = value; break;
+            case 'STATUS': current.status = value.toLowerCase(); break;
+            case 'TRANSP': current.transparency = value.toUpperCase() === 'TRANSPARENT' ? 'free' : 'busy'; break;
+            case 'DURATION': current.durationMs = parseICSDuration(value); break;
+            case 'DTSTART': {
+                const parsed = parseICSDate(value, params, defaultTimeZone);
+                current.start = parsed.date;
+                current.allDay = !!parsed.allDay;
+                current.timezone = parsed.timeZone;
+                break;
+            }
+            case 'DTEND': current.end = parseICSDate(value, params, defaultTimeZone).date; break;
+            case 'EXDATE':
+                current.exdates.push(...value.split(',').map(date => parseICSDate(date, params, defaultTimeZone).date));
+                break;
+            case 'ATTENDEE': {
+                const attendee = value.replace(/^mailto:/i, '');
+                current.attendees = [...(current.attendees || []), params.CN ? `${params.CN} <${attendee}>` : attendee];
+                break;
+            }
+        }
+    }
+    return events;
+}
+
+function formatICSDate(date, { timeZone, allDay } = {}) {
+    const pad = value => String(value).padStart(2, '0');
+    if (allDay || timeZone) {
+        const local = zonedParts(date, timeZone);
+        const day = `${local.year}${pad(local.month)}${pad(local.day)}`;
+        return allDay ? day : `${day}T${pad(local.hour)}${pad(local.minute)}${pad(local.second)}`;
+    }
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldICSLine(line) {
+    const chunks = [];
+    let chunk = '';
+    for (const char of line) {
+        if (Buffer.byteLength(chunk + char) > (chunks.length ? 74 : 75)) {
+            chunks.push(chunk);
+            chunk = '';
+        }
+        chunk += char;
+    }
+    chunks.push(chunk);
+    return chunks.join('\r\n ');
+}
+
+// UTC offset changes in timeZone during a year: scanned a day at a time, then narrowed to the minute
+function zoneTransitions(timeZone, year) {
+    const day = 24 * 60 * 60 * 1000;
+    const transitions = [];
+    for (let at = Date.UTC(year, 0, 1); at < Date.UTC(year + 1, 0, 1); at += day) {
+        const from = zoneOffsetMinutes(at, timeZone);
+        if (zoneOffsetMinutes(at + day, timeZone) === from) continue;
+
+        let low = at;
+        let high = at + day;
+        while (high - low > 60000) {
+            const middle = low + Math.floor((high - low) / 120000) * 60000;
+            if (zoneOffsetMinutes(middle, timeZone) === from) low = middle;
+            else high = middle;
+        }
+        transitions.push({ at: high, from, to: zoneOffsetMinutes(high, timeZone) });
+    }
+    return transitions;
+}
+
+/**
+ * VTIMEZONE for a TZID, so clients that don't know the IANA name still place recurring events correctly. Each
+ * offset change in `year` becomes a yearly "nth (or last) weekday of the month" rule starting then, which is how
+ * DST is defined in the zones that observe it; a zone without DST gets a single STANDARD block.
+ */
+function buildVTimezone(timeZone, year) {
+    const pad = value => String(value).padStart(2, '0');
+    const offset = minutes => `${minutes < 0 ? '-' : '+'}${pad(Math.floor(Math.abs(minutes) / 60))}${pad(Math.abs(minutes) % 60)}`;
+    const lines = ['BEGIN:VTIMEZONE', `TZID:${timeZone}`];
+    const transitions = zoneTransitions(timeZone, year);
+
+    if (transitions.length === 0) {
+        const standard = offset(zoneOffsetMinutes(Date.UTC(year, 0, 1), timeZone));
+        lines.push('BEGIN:STANDARD', 'DTSTART:19700101T000000', `TZOFFSETFROM:${standard}`, `TZOFFSETTO:${standard}`, 'END:STANDARD');
+    }
+    for (const { at, from, to } of transitions) {
+        // DTSTART is the wall-clock time of the change on the clock before it
+        const local = new Date(at + from * 60000);
+        const day = local.getUTCDate();
+        const daysInMonth = new Date(Date.UTC(local.getUTCFullYear(), local.getUTCMonth() + 1, 0)).getUTCDate();
+        const week = day + 7 > daysInMonth ? -1 : Math.ceil(day / 7);
+        const kind = to > from ? 'DAYLIGHT' : 'STANDARD';
+        lines.push(
+            `BEGIN:${kind}`,
+            `DTSTART:${local.toISOString().slice(0, 19).replace(/[-:]/g, '')}`,
+            `RRULE:FREQ=YEARLY;BYMONTH=${local.getUTCMonth() + 1};BYDAY=${week}${['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'][local.getUTCDay()]}`,
+            `TZOFFSETFROM:${offset(from)}`,
+            `TZOFFSETTO:${offset(to)}`,
+            `END:${kind}`
+        );
+    }
+    lines.push('END:VTIMEZONE');
+    return lines;
+}
+
+function buildICS(events, { name, timeZone }) {
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//Molaison//Executive Assistant//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeICSText(name)}`,
+        `X-WR-TIMEZONE:${timeZone}`
+    ];
+
+    // One VTIMEZONE per TZID the recurring events use, with rules from the year the earliest of them starts
+    const zones = new Map();
+    for (const event of events) {
+        if (!event.recurrence || event.allDay) continue;
+        const year = new Date(event.start).getUTCFullYear();
+        zones.set(event.timezone, Math.min(year, zones.get(event.timezone) || year));
+    }
+    for (const [zone, year] of zones) lines.push(...buildVTimezone(zone, year));
+
+    for (const event of events) {
+        // Recurring events keep their wall-clock time across DST, so they're written with TZID
+        const dateParam = event.allDay ? ';VALUE=DATE' : event.recurrence ? `;TZID=${event.timezone}` : '';
+        const dateOptions = event.allDay || event.recurrence ? { allDay: event.allDay, timeZone: event.timezone } : {};
+
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid || `${event.id}@molaison`}`,
+            `DTSTAMP:${formatICSDate(event.updatedAt || event.createdAt || new Date())}`,
+            `DTSTART${dateParam}:${formatICSDate(event.start, dateOptions)}`,
+            `DTEND${dateParam}:${formatICSDate(event.end, dateOptions)}`,
+            `SUMMARY:${escapeICSText(event.title)}`
+        );
+        if (event.recurrence) lines.push(`RRULE:${event.recurrence.replace(/^RRULE:/i, '')}`);
+        if (event.exdates && event.exdates.length) {
+            lines.push(`EXDATE${dateParam}:${event.exdates.map(date => formatICSDate(date, dateOptions)).join(',')}`);
+        }
+        if (event.location) lines.push(`LOCATION:${escapeICSText(event.location)}`);
+        if (event.notes) lines.push(`DESCRIPTION:${escapeICSText(event.notes)}`);
+        if (event.business) lines.push(`CATEGORIES:${escapeICSText(event.business)}`);
+        lines.push(`STATUS:${(event.status || 'confirmed').toUpperCase()}`);
+        lines.push(`TRANSP:${event.transparency === 'free' ? 'TRANSPARENT' : 'OPAQUE'}`);
+        lines.push('END:VEVENT');
+    }
+
+    lines.push('END:VCALENDAR');
+    return lines.map(foldICSLine).join('\r\n') + '\r\n';
+}
+
+// Persistence Layer
+// Each migration upgrades the stored document by one schema version; append new ones, never edit shipped ones.
+const SCHEMA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Initial collections',
+        up(data) {
+            data.clients = data.clients || [];
+            data.projects = data.projects || [];
+            data.tasks = data.tasks || [];
+            data.conversations = data.conversations || [];
+            data.businessData = data.businessData || {};
+            data.businessData.molaisonAgency = {
+                clients: [],
+                policies: [],
+                appointments: [],
+                leads: [],
+                ...data.businessData.molaisonAgency
+            };
+            data.businessData.molaisonAI = {
+                customers: [],
+                products: ['SEO Platform', 'NOLA Content Generator', 'Video Automation'],
+                revenue: [],
+                metrics: [],
+                ...data.businessData.molaisonAI
+            };
+        }
+    },
+    {
+        version: 2,
+        description: 'User accounts',
+        up(data) {
+            data.users = data.users || [];
+        }
+    },
+    {
+        version: 3,
+        description: 'Merge agency clients into the shared clients collection',
+        up(data) {
+            const agencyClients = data.businessData.molaisonAgency.clients || [];
+            data.clients.push(...agencyClients.map(client => ({ ...client, business: 'agency' })));
+            delete data.businessData.molaisonAgency.clients;
+        }
+    },
+    {
+        version: 4,
+        description: 'Group the flat conversation log into conversation sessions',
+        up(data) {
+            const legacy = data.conversations.filter(entry => !entry.messages);
+            if (legacy.length === 0) return;
+
+            const messages = legacy.flatMap(entry => [
+                { role: 'user', content: entry.message, timestamp: entry.timestamp },
+                {
+                    role: 'assistant',
+                    content: typeof entry.response === 'object' && entry.response !== null ? entry.response.response : entry.response,
+                    intent: entry.intent && entry.intent.category,
+                    timestamp: entry.timestamp
+                }
+            ]);
+            const last = legacy[legacy.length - 1];
+            const owner = (data.users || []).find(user => user.role === 'owner');
+
+            data.conversations = [
                 {
-                    day: 'Saturday',
-                    theme: 'Success Saturday',
-                    content: `Customer wins and social proof from ${audience}`,
-                    postIdeas: [
-                        `Success Saturday: ${audience} celebrating wins with ${business}`,
-                        `Weekend wins: How ${business} helps ${audience} succeed`,
-                        `Community spotlight: Amazing ${audience} using ${business}`
-                    ],
-                    optimalTime: '12:00 PM',
-                    hashtags: ['#SuccessSaturday', '#CustomerWins', '#Community']
+                    id: uuidv4(),
+                    createdAt: legacy[0].createdAt,
+                    updatedAt: last.updatedAt,
+                    userId: owner ? owner.id : null,
+                    title: 'Chat history before conversations',
+                    business: 'both',
+                    messages,
+                    summary: null,
+                    summarizedCount: 0,
+                    lastMessageAt: new Date(last.timestamp).toISOString()
                 },
-                {
-                    day: 'Sunday',
-                    theme: 'Sunday Stories',
-                    content: `Behind-the-scenes and personal touch for ${audience}`,
-                    postIdeas: [
-                        `Sunday story: Why we created ${business} for ${audience}`,
-                        `Behind-the-scenes: Our mission to help ${audience}`,
-                        `Sunday reflection: Impact we\'ve made for ${audience}`
-                    ],
-                    optimalTime: '1:00 PM',
-                    hashtags: ['#SundayStories', '#BehindTheScenes', '#Mission']
-                }
+                ...data.conversations.filter(entry => entry.messages)
             ];
-
-            const calendar = [];
-            for (let week = 0; week < weeks; week++) {
-                contentThemes.forEach(dayTheme => {
-                    calendar.push({
-                        ...dayTheme,
-                        week: week + 1,
-                        business: business,
-                        audience: audience
-                    });
-                });
-            }
-            
-            res.json({
-                success: true,
-                calendar: calendar,
-                totalPosts: calendar.length,
-                business: business,
-                audience: audience,
-                weeks: weeks
-            });
-            
-        } catch (error) {
-            console.error('Calendar generation error:', error);
-            res.status(500).json({
-                success: false,
-                error: 'Failed to generate content calendar'
-            });
+        }
+    },
+    {
+        version: 5,
+        description: 'Calendar events',
+        up(data) {
+            data.events = data.events || [];
+        }
+    },
+    {
+        version: 6,
+        description: 'Email triage cache',
+        up(data) {
+            data.emailTriage = data.emailTriage || [];
+        }
+    },
+    {
+        version: 7,
+        description: 'Email reply approval queue',
+        up(data) {
+            data.emailDrafts = data.emailDrafts || [];
+        }
+    },
+    {
+        version: 8,
+        description: 'Connected Gmail mailboxes',
+        up(data) {
+            data.mailboxes = data.mailboxes || [];
+        }
+    },
+    {
+        version: 9,
+        description: 'Calendar event timezones, status and iCalendar UIDs',
+        up(data) {
+            data.events = data.events.map(event => ({
+                timezone: 'America/Chicago',
+                status: 'confirmed',
+                transparency: 'busy',
+                exdates: [],
+                uid: `${event.id}@molaison`,
+                ...event
+            }));
+        }
+    },
+    {
+        version: 10,
+        description: 'Agency booking links',
+        up(data) {
+            data.businessData.molaisonAgency.bookingLinks = data.businessData.molaisonAgency.bookingLinks || [];
+        }
+    },
+    {
+        version: 11,
+        description: 'Phone call logs and SMS messages',
+        up(data) {
+            data.calls = data.calls || [];
+            data.smsMessages = data.smsMessages || [];
+        }
+    },
+    {
+        version: 12,
+        description: 'Saved research reports',
+        up(data) {
+            data.researchReports = data.researchReports || [];
+        }
+    },
+    {
+        version: 13,
+        description: 'Web scrapers, their runs and change alerts',
+        up(data) {
+            data.scrapers = data.scrapers || [];
+            data.scrapeRuns = data.scrapeRuns || [];
+            data.scrapeAlerts = data.scrapeAlerts || [];
+        }
+    },
+    {
+        version: 14,
+        description: 'Lead pipeline fields on agency leads',
+        up(data) {
+            data.businessData.molaisonAgency.leads = data.businessData.molaisonAgency.leads.map(lead => ({
+                company: null,
+                website: null,
+                interest: null,
+                message: null,
+                notes: null,
+                tags: [],
+                stageHistory: [{ stage: lead.stage || 'new', note: null, at: lead.createdAt, by: null }],
+                inquiries: [],
+                quoteAmount: null,
+                lostReason: null,
+                convertedAt: null,
+                lastActivityAt: lead.createdAt,
+                ...lead,
+                source: LEAD_SOURCES.includes(lead.source) ? lead.source : 'other',
+                stage: LEAD_STAGES.includes(lead.stage) ? lead.stage : 'new'
+            }));
+        }
+    },
+    {
+        version: 15,
+        description: 'GoHighLevel sync runs',
+        up(data) {
+            data.crmSyncRuns = data.crmSyncRuns || [];
+        }
+    },
+    {
+        version: 16,
+        description: 'Molaison AI product plans and customer subscriptions',
+        up(data) {
+            const ai = data.businessData.molaisonAI;
+            const now = new Date().toISOString();
+            ai.products = ai.products.map(product => typeof product === 'string'
+                ? { id: slugify(product), name: product, description: null, plans: [], active: true, createdAt: now, updatedAt: now }
+                : product);
+            ai.customers = ai.customers.map(customer => ({
+                company: null,
+                email: null,
+                phone: null,
+                website: null,
+                notes: null,
+                tags: [],
+                source: 'manual',
+                subscriptions: [],
+                ...customer
+            }));
+        }
+    },
+    {
+        version: 17,
+        description: 'Activity feed',
+        up(data) {
+            data.activity = data.activity || [];
         }
     }
+];
 
-    async generateViralCaption(req, res) {
+class JsonFileStore {
+    constructor(filePath, migrations) {
+        this.filePath = filePath;
+        this.migrations = migrations;
+        this.data = null;
+        this.pendingWrite = Promise.resolve();
+    }
+
+    async load() {
+        let raw = null;
         try {
-            const { business, audience, postType, hook } = req.body;
-            
-            const viralFormulas = {
-                controversy: `🔥 Unpopular opinion about ${business}...\n\nMost ${audience} think [common belief], but here's why that's completely wrong:\n\n[3 reasons why]\n\nThat's exactly why ${business} works differently.\n\nAgree or disagree? 👇`,
-                
-                story: `I used to be just like every other ${audience}...\n\nStruggling with [problem] until I discovered something that changed everything.\n\n[Short transformation story]\n\nThat's when ${business} became a game-changer.\n\nCan you relate? Drop a 💯 if yes!`,
-                
-                curiosity: `Why do 90% of ${audience} fail at [goal]?\n\n(It's not what you think...)\n\nMost people blame [common excuse]\n\nBut the real reason is [insight]\n\nThat's exactly what ${business} solves.\n\nWant to know how? Link in bio 👆`,
-                
-                educational: `🧠 3 things about [topic] that ${audience} never consider:\n\n1️⃣ [Insight 1]\n2️⃣ [Insight 2] \n3️⃣ [Insight 3]\n\nThis is exactly why ${business} works when everything else fails.\n\nWhich one surprised you most? 🤔`,
-                
-                social_proof: `"I can't believe the results I got with ${business}!"\n\n- Real ${audience} member\n\n[Specific result/transformation]\n\nThis is exactly what happens when ${audience} finally try the right approach.\n\nReady for your transformation? 🚀`
-            };
-            
-            const selectedFormula = viralFormulas[postType] || viralFormulas.story;
-            
-            // Generate optimal posting times based on audience
-            const optimalTimes = {
-                'business-owners': ['9:00 AM', '1:00 PM', '7:00 PM'],
-                'consumers': ['8:00 AM', '12:00 PM', '6:00 PM'],
-                'professionals': ['7:00 AM', '12:00 PM', '5:00 PM']
-            };
-            
-            res.json({
-                success: true,
-                caption: selectedFormula,
-                postType: postType,
-                optimalTimes: optimalTimes,
-                engagement_tips: [
-                    'Post when your audience is most active',
-                    'Use 3-5 relevant hashtags',
-                    'Include a clear call-to-action',
-                    'Respond to comments within 1 hour',
-                    'Add engaging visual content'
-                ],
-                hashtag_suggestions: [
-                    `#${business.replace(/\s+/g, '')}`,
-                    `#${audience.replace(/\s+/g, '')}`,
-                    '#Success',
-                    '#Transformation',
-                    '#Results'
-                ]
-            });
-            
+            raw = await fs.readFile(this.filePath, 'utf8');
         } catch (error) {
-            console.error('Viral caption error:', error);
-            res.status(500).json({
-                success: false,
-                error: 'Failed to generate viral caption'
-            });
+            if (error.code !== 'ENOENT') throw error;
         }
-    }
 
-    async getOptimalPostingTimes(req, res) {
         try {
-            const { audience, platform, timezone = 'US/Central' } = req.query;
-            
-            const optimalTimes = {
-                'Facebook': {
-                    'business-owners': {
-                        'Monday': ['9:00 AM', '3:00 PM'],
-                        'Tuesday': ['9:00 AM', '3:00 PM'],
-                        'Wednesday': ['9:00 AM', '3:00 PM'],
-                        'Thursday': ['9:00 AM', '3:00 PM'],
-                        'Friday': ['9:00 AM', '1:00 PM'],
-                        'Saturday': ['12:00 PM', '2:00 PM'],
-                        'Sunday': ['12:00 PM', '2:00 PM']
-                    },
-                    'consumers': {
-                        'Monday': ['1:00 PM', '8:00 PM'],
-                        'Tuesday': ['1:00 PM', '8:00 PM'],
-                        'Wednesday': ['1:00 PM', '8:00 PM'],
-                        'Thursday': ['1:00 PM', '8:00 PM'],
-                        'Friday': ['1:00 PM', '8:00 PM'],
-                        'Saturday': ['12:00 PM', '6:00 PM'],
-                        'Sunday': ['12:00 PM', '6:00 PM']
-                    }
-                },
-                'Instagram': {
-                    'business-owners': {
-                        'Monday': ['6:00 AM', '12:00 PM', '7:00 PM'],
-                        'Tuesday': ['6:00 AM', '12:00 PM', '7:00 PM'],
-                        'Wednesday': ['6:00 AM', '12:00 PM', '7:00 PM'],
-                        'Thursday': ['6:00 AM', '12:00 PM', '7:00 PM'],
-                        'Friday': ['6:00 AM', '12:00 PM', '5:00 PM'],
-                        'Saturday': ['10:00 AM', '2:00 PM'],
-                        'Sunday': ['10:00 AM', '2:00 PM']
-                    }
-                }
-            };
-            
-            const platformTimes = optimalTimes[platform] || optimalTimes['Facebook'];
-            const audienceTimes = platformTimes[audience] || platformTimes['business-owners'];
-            
-            res.json({
-                success: true,
-                platform: platform,
-                audience: audience,
-                timezone: timezone,
-                optimal_times: audienceTimes,
-                engagement_insights: {
-                    peak_days: ['Tuesday', 'Wednesday', 'Thursday'],
-                    avoid_times: ['Before 6 AM', 'After 10 PM'],
-                    best_performers: ['Educational content on Tuesday', 'Behind-the-scenes on Friday', 'User-generated content on weekends']
-                }
-            });
-            
+            this.data = raw ? JSON.parse(raw) : { schemaVersion: 0 };
         } catch (error) {
-            console.error('Optimal times error:', error);
-            res.status(500).json({
-                success: false,
-                error: 'Failed to get optimal posting times'
-            });
+            throw new Error(`Data file ${this.filePath} is corrupt: ${error.message}`);
+        }
+
+        const startVersion = this.data.schemaVersion || 0;
+        for (const migration of this.migrations) {
+            if (migration.version <= (this.data.schemaVersion || 0)) continue;
+            console.log(`💾 Migrating data store to v${migration.version}: ${migration.description}`);
+            migration.up(this.data);
+            this.data.schemaVersion = migration.version;
+        }
+
+        if (!raw || this.data.schemaVersion !== startVersion) {
+            await this.save();
         }
     }
-}
 
-// Assistant Module Classes (Placeholders - would be fully implemented)
-class EmailManager {
-    constructor(gmailConfig) {
-        this.config = gmailConfig;
+    save() {
+        // Chain writes so two requests never race on the temp file
+        this.pendingWrite = this.pendingWrite
+            .catch(() => {})
+            .then(() => this.writeAtomically());
+        return this.pendingWrite;
     }
-    
-    async handleRequest(intent, message) {
-        return `I'll help you manage your emails for both Molaison Agency and Molaison AI. What specific email task would you like me to handle?`;
+
+    async writeAtomically() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+        const tempPath = `${this.filePath}.${process.pid}.tmp`;
+        const handle = await fs.open(tempPath, 'w');
+        try {
+            await handle.writeFile(JSON.stringify(this.data, null, 2));
+            await handle.sync();
+        } finally {
+            await handle.close();
+        }
+        // rename() replaces the old file in one step, so a crash never leaves a half-written store
+        await fs.rename(tempPath, this.filePath);
     }
 }
 
-class CalendarAssistant {
-    async handleRequest(intent, message) {
-        return `I can help you schedule appointments, make reservations, and manage your calendar across both businesses. What would you like me to schedule?`;
+class Repository {
+    constructor(store, collectionPath) {
+        this.store = store;
+        this.collectionPath = collectionPath.split('.');
     }
-}
 
-class PhoneAssistant {
-    constructor(twilioConfig) {
-        this.config = twilioConfig;
+    get records() {
+        return this.collectionPath.reduce((node, key) => node[key], this.store.data);
     }
-    
-    async handleRequest(intent, message) {
-        return `I can make calls on your behalf for client outreach, follow-ups, or business development. Who would you like me to call?`;
+
+    all() {
+        return [...this.records];
     }
-}
 
-class ResearchAssistant {
-    constructor(perplexityConfig) {
-        this.config = perplexityConfig;
+    find(predicate) {
+        return this.records.filter(predicate);
     }
-    
-    async handleRequest(intent, message) {
-        return `I'll conduct comprehensive research using Perplexity AI. What topic or competitor would you like me to research?`;
+
+    findOne(predicate) {
+        return this.records.find(predicate) || null;
     }
-}
 
-class LifeCoach {
-    async handleRequest(intent, message) {
-        return `As your productivity coach, I can help you optimize your time, set goals, and balance running both Molaison Agency and Molaison AI. What area would you like to focus on?`;
+    findById(id) {
+        return this.findOne(record => record.id === id);
     }
-}
 
-class SocialMediaManager {
-    async handleRequest(intent, message) {
-        return `I'll manage social media for both your brands. Would you like me to create content, schedule posts, or analyze engagement?`;
+    count(predicate) {
+        return predicate ? this.records.filter(predicate).length : this.records.length;
     }
-}
 
-class WebScraper {
-    async handleRequest(intent, message) {
-        return `I can scrape data for competitive analysis, lead generation, or market research. What information do you need collected?`;
+    async insert(data) {
+        const now = new Date().toISOString();
+        const record = { id: uuidv4(), createdAt: now, updatedAt: now, ...data };
+        this.records.push(record);
+        await this.store.save();
+        return record;
     }
-}
 
-class TaskManager {
-    async handleRequest(intent, message) {
-        return `I'll help you prioritize and track tasks across both businesses and client projects. What tasks need my attention?`;
+    async update(id, changes) {
+        const record = this.findById(id);
+        if (!record) return null;
+
+        Object.assign(record, changes, { id: record.id, updatedAt: new Date().toISOString() });
+        await this.store.save();
+        return record;
     }
-}
 
-class ClientProjectManager {
-    async handleRequest(intent, message) {
-        return `I'll help manage your client projects and custom builds. What project updates or new client work do you need help with?`;
+    async remove(id) {
+        const index = this.records.findIndex(record => record.id === id);
+        if (index === -1) return false;
+
+        this.records.splice(index, 1);
+        await this.store.save();
+        return true;
     }
-}
 
-class BusinessIntelligence {
-    async handleRequest(intent, message, businessContext) {
-        return `I'll analyze business performance for both Molaison Agency and Molaison AI. What metrics or insights do you need?`;
+    // Adds several records with a single write
+    async insertMany(items) {
+        const now = new Date().toISOString();
+        const records = items.map(data => ({ id: uuidv4(), createdAt: now, updatedAt: now, ...data }));
+        if (records.length === 0) return records;
+
+        this.records.push(...records);
+        await this.store.save();
+        return records;
+    }
+
+    // Drops the oldest records so at most `limit` remain
+    async truncate(limit) {
+        const overflow = this.records.length - limit;
+        if (overflow <= 0) return;
+
+        this.records.splice(0, overflow);
+        await this.store.save();
     }
 }
 
-// Initialize and start the server
-const assistant = new MolaisonExecutiveAssistant();
+// Initialize and start the server when run directly; tests require the module without starting it
+if (require.main === module) {
+    const assistant = new MolaisonExecutiveAssistant();
 
-const PORT = process.env.PORT || 3003;
-assistant.app.listen(PORT, () => {
-    console.log(`🏢 Molaison Executive Assistant running on port ${PORT}`);
-    console.log('🎯 Managing Molaison Agency & Molaison AI operations');
-    console.log('💼 Client project management enabled');
-    console.log('🚀 Multi-business AI assistant ready!');
-});
+    const PORT = process.env.PORT || 3003;
+    assistant.app.listen(PORT, () => {
+        console.log(`🏢 Molaison Executive Assistant running on port ${PORT}`);
+        console.log('🎯 Managing Molaison Agency & Molaison AI operations');
+        console.log('💼 Client project management enabled');
+        console.log('🚀 Multi-business AI assistant ready!');
+    });
+}
 
-module.exports = assistant;
+module.exports = { MolaisonExecutiveAssistant, IntentClassifier, classifyByRules, classifyConfirmation, classifyCallReply, INTENT_CORPUS };
@@ -0,0 +1,44 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startAssistant } = require('./helpers');
+
+// Unfolded VTIMEZONE blocks of an iCalendar file, keyed by TZID
+function vtimezones(ics) {
+    const blocks = ics.replace(/\r\n[ \t]/g, '').match(/BEGIN:VTIMEZONE\r\n[\s\S]*?END:VTIMEZONE/g) || [];
+    return Object.fromEntries(blocks.map(block => [block.match(/^TZID:(.*)$/m)[1].trim(), block.split('\r\n')]));
+}
+
+test('calendar export', async t => {
+    const app = await startAssistant();
+    t.after(() => app.stop());
+
+    const schedule = event => app.api('post', '/api/calendar/events', { business: 'agency', durationMinutes: 30, ...event });
+    await schedule({ title: 'Weekly pipeline review', start: '2026-10-05T09:00', timezone: 'America/Chicago', recurrence: 'FREQ=WEEKLY;BYDAY=MO' });
+    await schedule({ title: 'Monthly check-in', start: '2026-10-07T10:00', timezone: 'Europe/London', recurrence: 'FREQ=MONTHLY' });
+    await schedule({ title: 'Phoenix standup', start: '2026-10-06T08:00', timezone: 'America/Phoenix', recurrence: 'FREQ=DAILY' });
+    await schedule({ title: 'One-off call', start: '2026-10-08T14:00', timezone: 'Asia/Tokyo' });
+
+    const response = await app.api('get', '/api/calendar/export.ics');
+    assert.strictEqual(response.status, 200);
+    const zones = vtimezones(response.data);
+
+    await t.test('every TZID a recurring event uses has a VTIMEZONE', () => {
+        assert.deepStrictEqual(Object.keys(zones).sort(), ['America/Chicago', 'America/Phoenix', 'Europe/London']);
+        assert.match(response.data, /DTSTART;TZID=America\/Chicago:20261005T090000/);
+    });
+
+    await t.test('DST changes become yearly weekday rules', () => {
+        assert.deepStrictEqual(zones['America/Chicago'].slice(2, -1), [
+            'BEGIN:DAYLIGHT', 'DTSTART:20260308T020000', 'RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=2SU', 'TZOFFSETFROM:-0600', 'TZOFFSETTO:-0500', 'END:DAYLIGHT',
+            'BEGIN:STANDARD', 'DTSTART:20261101T020000', 'RRULE:FREQ=YEARLY;BYMONTH=11;BYDAY=1SU', 'TZOFFSETFROM:-0500', 'TZOFFSETTO:-0600', 'END:STANDARD'
+        ]);
+        assert.ok(zones['Europe/London'].includes('RRULE:FREQ=YEARLY;BYMONTH=3;BYDAY=-1SU'));
+        assert.ok(zones['Europe/London'].includes('RRULE:FREQ=YEARLY;BYMONTH=10;BYDAY=-1SU'));
+    });
+
+    await t.test('a zone without DST has a single standard offset', () => {
+        assert.deepStrictEqual(zones['America/Phoenix'].slice(2, -1), [
+            'BEGIN:STANDARD', 'DTSTART:19700101T000000', 'TZOFFSETFROM:-0700', 'TZOFFSETTO:-0700', 'END:STANDARD'
+        ]);
+    });
+});
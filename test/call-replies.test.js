@@ -0,0 +1,31 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyCallReply } = require('../molaison-executive-assistant');
+
+const REPLIES = [
+    ['Yes', 'interested'],
+    ['yes, no problem', 'interested'],
+    ['sure, no rush', 'interested'],
+    ['No problem, sounds good', 'interested'],
+    ['Okay, let\'s do it', 'interested'],
+    ['no', 'not_interested'],
+    ['No thanks', 'not_interested'],
+    ['No, not interested', 'not_interested'],
+    ['No, I am not ready', 'not_interested'],
+    ['No, we are okay', 'not_interested'],
+    ['Nope, we\'re covered', 'not_interested'],
+    ['Please stop calling', 'not_interested'],
+    ['I am not sure', 'unclear'],
+    ['not sure yet', 'unclear'],
+    ['We\'re not ready', 'unclear'],
+    ['Hmm', 'unclear'],
+    ['', 'unclear'],
+    ['Yes, but call me back tomorrow', 'callback'],
+    ['I\'m driving right now', 'callback']
+];
+
+for (const [reply, expected] of REPLIES) {
+    test(`"${reply}" is ${expected}`, () => {
+        assert.strictEqual(classifyCallReply(reply), expected);
+    });
+}
@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { classifyConfirmation } = require('../molaison-executive-assistant');
+
+const REPLIES = [
+    ['yes', 'confirm'],
+    ['Yes please!', 'confirm'],
+    ['ok, go ahead', 'confirm'],
+    ['No problem, go ahead', 'confirm'],
+    ['no worries, do it', 'confirm'],
+    ['no', 'reject'],
+    ['Nope.', 'reject'],
+    ['no thanks', 'reject'],
+    ['cancel that', 'reject'],
+    ['never mind', 'reject'],
+    ['Yes, but don\'t send it yet', 'unclear'],
+    ['No, send it tomorrow instead', 'unclear'],
+    ['ok but change the time to 3pm', 'unclear'],
+    ['What tasks do I have today?', null],
+    ['Schedule a call with Dana', null]
+];
+
+for (const [reply, expected] of REPLIES) {
+    test(`"${reply}" is ${expected || 'not a decision'}`, () => {
+        assert.strictEqual(classifyConfirmation(reply), expected);
+    });
+}
@@ -0,0 +1,74 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startAssistant, listen, close, request } = require('./helpers');
+const { createMockGhlServer } = require('../mock-ghl-server');
+
+test('GoHighLevel sync against the mock API', async t => {
+    const mock = await listen(createMockGhlServer());
+    const app = await startAssistant({
+        GHL_API_URL: mock.url,
+        GHL_API_KEY: 'mock-ghl-key',
+        GHL_LOCATION_ID: 'mock-location',
+        GHL_CALENDAR_ID: 'mock-calendar'
+    });
+    t.after(async () => {
+        await app.stop();
+        await close(mock.server);
+    });
+
+    const sync = async () => (await app.api('post', '/api/crm/sync')).data.run;
+    const leadFor = async contactId => (await app.api('get', '/api/leads')).data.leads.find(lead => lead.ghl && lead.ghl.contactId === contactId);
+
+    await t.test('the first sync links every contact and appointment', async () => {
+        const run = await sync();
+        assert.strictEqual(run.status, 'completed');
+        assert.deepStrictEqual(run.pulled.contacts, { created: 3, updated: 0, unchanged: 0, invalid: 0 });
+        assert.deepStrictEqual(run.pulled.appointments, { created: 2, updated: 0, unchanged: 0, invalid: 0 });
+        assert.deepStrictEqual(run.conflicts, []);
+    });
+
+    await t.test('later syncs only pull what changed since the cursor', async () => {
+        const edited = (await request(mock.url, 'put', '/__mock/contacts/ghl-contact-2', { companyName: 'Thibodeaux Auto Body' })).data;
+
+        const run = await sync();
+        assert.strictEqual(run.cursors.contacts, edited.dateUpdated);
+        assert.strictEqual(run.pulled.contacts.updated, 1);
+        assert.strictEqual((await leadFor('ghl-contact-2')).company, 'Thibodeaux Auto Body');
+
+        // Only the contact at the cursor comes back, and it hasn't changed again
+        const next = await sync();
+        assert.deepStrictEqual(next.pulled.contacts, { created: 0, updated: 0, unchanged: 1, invalid: 0 });
+    });
+
+    await t.test('a field changed on both sides is a conflict the newer side wins', async () => {
+        const lead = await leadFor('ghl-contact-1');
+        await app.api('put', `/api/leads/${lead.id}`, { company: 'Broussard Events' });
+        await request(mock.url, 'put', '/__mock/contacts/ghl-contact-1', { companyName: 'Broussard Catering Co' });
+
+        const run = await sync();
+        assert.deepStrictEqual(run.conflicts, [{
+            resource: 'lead', id: lead.id, remoteId: 'ghl-contact-1',
+            field: 'company', local: 'Broussard Events', remote: 'Broussard Catering Co', kept: 'remote'
+        }]);
+        assert.strictEqual((await leadFor('ghl-contact-1')).company, 'Broussard Catering Co');
+    });
+
+    await t.test('tasks on a linked lead are pushed, and completing one closes it there', async () => {
+        const lead = await leadFor('ghl-contact-2');
+        const task = (await app.api('post', '/api/business/agency/task', {
+            title: 'Send the auto quote', leadId: lead.id, dueDate: '2026-11-02T15:00:00.000Z'
+        })).data.task;
+
+        const run = await sync();
+        assert.deepStrictEqual(run.pushed.tasks, { created: 1, updated: 0 });
+        let { tasks } = (await request(mock.url, 'get', '/__mock/state')).data;
+        assert.deepStrictEqual(tasks.map(remote => [remote.contactId, remote.title, remote.dueDate, remote.completed]), [
+            ['ghl-contact-2', 'Send the auto quote', '2026-11-02T15:00:00.000Z', false]
+        ]);
+
+        await app.api('post', `/api/tasks/${task.id}/status`, { status: 'completed' });
+        assert.deepStrictEqual((await sync()).pushed.tasks, { created: 0, updated: 1 });
+        ({ tasks } = (await request(mock.url, 'get', '/__mock/state')).data);
+        assert.strictEqual(tasks[0].completed, true);
+    });
+});
@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startAssistant, listen, close, request } = require('./helpers');
+const { createMockGmailServer } = require('../mock-gmail-server');
+
+test('Gmail reply approvals against the mock API', async t => {
+    const mock = await listen(createMockGmailServer());
+    const app = await startAssistant({
+        GMAIL_API_URL: `${mock.url}/gmail/v1`,
+        GMAIL_TOKEN_URL: `${mock.url}/token`,
+        GMAIL_CLIENT_ID: 'mock-client-id',
+        GMAIL_CLIENT_SECRET: 'mock-client-secret',
+        GMAIL_REFRESH_TOKEN: 'mock-refresh-token'
+    });
+    t.after(async () => {
+        await app.stop();
+        await close(mock.server);
+    });
+
+    await t.test('two concurrent approvals of one draft send it once', async () => {
+        const draft = (await app.api('post', '/api/emails/respond', { emailId: 'msg-ai-1' })).data.draft;
+        assert.strictEqual(draft.status, 'pending');
+
+        const approvals = await Promise.all([1, 2].map(() => app.api('post', `/api/emails/drafts/${draft.id}/approve`, {})));
+        assert.deepStrictEqual(approvals.map(response => response.status).sort(), [200, 409]);
+
+        const { sent } = (await request(mock.url, 'get', '/__mock/sent')).data;
+        assert.strictEqual(sent.length, 1);
+        assert.strictEqual(sent[0].threadId, draft.threadId);
+
+        const { drafts } = (await app.api('get', '/api/emails/drafts?status=sent')).data;
+        assert.deepStrictEqual(drafts.map(d => d.id), [draft.id]);
+    });
+});
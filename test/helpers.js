@@ -0,0 +1,78 @@
+/**
+ * Boots the assistant in-process for integration tests: a throwaway data directory, the offline model stub, an
+ * owner account and an ephemeral port. The port is taken before the assistant is built so webhook URLs and mock
+ * servers can be pointed at it through `env`, which may also be a function of the assistant's URL.
+ */
+
+const http = require('node:http');
+const fs = require('node:fs');
+const os = require('node:os');
+const path = require('node:path');
+const axios = require('axios');
+
+const OWNER = { email: 'owner@example.com', password: 'test-password' };
+
+async function listen(handler) {
+    const server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, url: `http://127.0.0.1:${server.address().port}` };
+}
+
+function close(server) {
+    server.closeAllConnections();
+    return new Promise(resolve => server.close(resolve));
+}
+
+// Polls until `check` returns something truthy; for effects that land after a response, like mock webhooks
+async function waitFor(check, { timeoutMs = 5000, intervalMs = 20 } = {}) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+        const result = await check();
+        if (result) return result;
+        if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+        await new Promise(resolve => setTimeout(resolve, intervalMs));
+    }
+}
+
+function request(baseUrl, method, route, body, headers = {}) {
+    return axios({ method, url: `${baseUrl}${route}`, data: body, headers, validateStatus: () => true });
+}
+
+async function startAssistant(env = {}) {
+    const { server, url } = await listen();
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'molaison-test-'));
+    Object.assign(process.env, {
+        DATA_DIR: dataDir,
+        PUBLIC_URL: url,
+        OWNER_EMAIL: OWNER.email,
+        OWNER_PASSWORD: OWNER.password,
+        JWT_SECRET: 'test-secret',
+        LLM_PROVIDER_ORDER: 'local'
+    }, typeof env === 'function' ? env(url) : env);
+
+    // Startup and request logs on stdout can interleave with the test runner's own stdout protocol and corrupt it
+    const log = console.log;
+    console.log = () => {};
+
+    const { MolaisonExecutiveAssistant } = require('../molaison-executive-assistant');
+    const assistant = new MolaisonExecutiveAssistant();
+    await assistant.ready;
+    server.on('request', assistant.app);
+
+    const login = await request(url, 'post', '/api/auth/login', OWNER);
+    const auth = { Authorization: `Bearer ${login.data.token}` };
+
+    return {
+        assistant,
+        url,
+        api: (method, route, body) => request(url, method, route, body, auth),
+        async stop() {
+            await close(server);
+            await assistant.store.pendingWrite.catch(() => {});
+            fs.rmSync(dataDir, { recursive: true, force: true });
+            console.log = log;
+        }
+    };
+}
+
+module.exports = { startAssistant, listen, close, request, waitFor };
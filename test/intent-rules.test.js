@@ -0,0 +1,22 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { IntentClassifier, classifyByRules, INTENT_CORPUS } = require('../molaison-executive-assistant');
+
+const MIN_ACCURACY = 0.9;
+
+test('rule classifier routes the labelled corpus', () => {
+    const evaluation = new IntentClassifier(null, null, {}).evaluate(INTENT_CORPUS);
+    const misrouted = evaluation.failures.map(f => `"${f.text}": expected ${f.expected}, got ${f.actual}`).join('\n');
+
+    assert.ok(evaluation.accuracy >= MIN_ACCURACY, `Accuracy ${evaluation.accuracy} is below ${MIN_ACCURACY}\n${misrouted}`);
+});
+
+test('explicit task requests outrank the domain nouns in them', () => {
+    assert.strictEqual(classifyByRules('Create an urgent task to renew the Smith auto policy by Friday').category, 'task');
+});
+
+test('messages without any rule match fall back to general', () => {
+    const result = classifyByRules('Hmm');
+    assert.strictEqual(result.category, 'general');
+    assert.deepStrictEqual(result.alternatives, []);
+});
@@ -0,0 +1,64 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startAssistant, listen, close, request } = require('./helpers');
+const { createMockScrapeServer } = require('../mock-scrape-server');
+
+test('web scraping against the mock site', async t => {
+    const site = await listen(createMockScrapeServer({ crawlDelay: 0 }));
+    const app = await startAssistant({ SCRAPER_ALLOW_PRIVATE_HOSTS: 'true', SCRAPER_DELAY_MS: '1' });
+    t.after(async () => {
+        await app.stop();
+        await close(site.server);
+    });
+
+    await t.test('pages robots.txt disallows are never fetched', async () => {
+        const response = await app.api('post', '/api/scrape', { url: `${site.url}/private/team` });
+        assert.strictEqual(response.status, 403);
+
+        const { requests } = (await request(site.url, 'get', '/__mock/requests')).data;
+        assert.deepStrictEqual(requests.map(r => r.path), ['/robots.txt']);
+    });
+
+    await t.test('a price change raises an alert', async () => {
+        const scraper = (await app.api('post', '/api/scrapers', {
+            name: 'Bayou SEO pricing',
+            url: `${site.url}/pricing`,
+            rules: [{ name: 'pro', selector: '[data-plan="pro"] .price', type: 'price' }]
+        })).data.scraper;
+
+        const baseline = (await app.api('post', `/api/scrapers/${scraper.id}/run`)).data.run;
+        assert.strictEqual(baseline.status, 'completed');
+        assert.deepStrictEqual(baseline.changes, []);
+
+        await request(site.url, 'post', '/__mock/pricing', { plan: 'pro', price: 129 });
+        const run = (await app.api('post', `/api/scrapers/${scraper.id}/run`)).data.run;
+        assert.strictEqual(run.changes.length, 1);
+        assert.ok(run.alertId);
+
+        const { alerts } = (await app.api('get', '/api/scraper-alerts?acknowledged=false')).data;
+        assert.deepStrictEqual(alerts.map(a => [a.id, a.scraperId]), [[run.alertId, scraper.id]]);
+        assert.strictEqual(alerts[0].changes[0].delta, 30);
+    });
+
+    await t.test('lead extraction follows pages and skips contacts it already has', async () => {
+        const scraper = (await app.api('post', '/api/scrapers', {
+            name: 'Agent directory',
+            url: `${site.url}/agents`,
+            mode: 'leads',
+            nextPageSelector: 'a.next',
+            maxPages: 5,
+            leadRules: { item: '.agent', fields: { name: '.name', company: '.agency' } }
+        })).data.scraper;
+
+        const first = (await app.api('post', `/api/scrapers/${scraper.id}/run`)).data.run;
+        assert.strictEqual(first.pages.length, 2);
+        assert.deepStrictEqual({ ...first.leads, leadIds: first.leads.leadIds.length }, { found: 6, created: 6, duplicates: 0, invalid: 0, leadIds: 6 });
+
+        const second = (await app.api('post', `/api/scrapers/${scraper.id}/run`)).data.run;
+        assert.deepStrictEqual({ ...second.leads, leadIds: second.leads.leadIds.length }, { found: 6, created: 0, duplicates: 6, invalid: 0, leadIds: 0 });
+
+        const { leads } = (await app.api('get', '/api/leads?source=scraper')).data;
+        assert.strictEqual(leads.length, 6);
+        assert.ok(leads.some(lead => lead.name === 'Renee Landry' && lead.company === 'Landry Benefits' && !lead.email));
+    });
+});
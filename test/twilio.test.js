@@ -0,0 +1,67 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { startAssistant, listen, close, request, waitFor } = require('./helpers');
+const { createMockTwilioServer } = require('../mock-twilio-server');
+
+const CLIENT_PHONE = '+15045550133';
+const LEAD_PHONE = '+15045550177';
+
+test('Twilio texting against the mock API', async t => {
+    // The mock posts webhooks to the assistant, whose URL is only known once its port is taken
+    let mockApp;
+    const mock = await listen((req, res) => mockApp(req, res));
+    const app = await startAssistant(url => {
+        mockApp = createMockTwilioServer({ webhookUrl: url });
+        return {
+            TWILIO_API_URL: `${mock.url}/2010-04-01`,
+            TWILIO_ACCOUNT_SID: 'ACmock',
+            TWILIO_AUTH_TOKEN: 'mock-auth-token',
+            TWILIO_PHONE_NUMBER: '+15045550100',
+            TWILIO_WEBHOOK_URL: url
+        };
+    });
+    t.after(async () => {
+        await app.stop();
+        await close(mock.server);
+    });
+
+    const client = (await app.api('post', '/api/clients', { name: 'Landry Dental', business: 'agency', phone: CLIENT_PHONE })).data.client;
+
+    await t.test('a signed inbound text is threaded to its client', async () => {
+        const webhook = await request(mock.url, 'post', '/__mock/inbound-sms', { from: CLIENT_PHONE, body: 'Can we move our review to Friday?' });
+        assert.strictEqual(webhook.data.status, 200);
+
+        const { thread } = (await app.api('get', `/api/sms/threads/${encodeURIComponent(CLIENT_PHONE)}`)).data;
+        assert.strictEqual(thread.clientId, client.id);
+        assert.deepStrictEqual(thread.messages.map(m => [m.direction, m.clientId, m.body]), [
+            ['inbound', client.id, 'Can we move our review to Friday?']
+        ]);
+    });
+
+    await t.test('a webhook with a bad signature is rejected', async () => {
+        const response = await request(app.url, 'post', '/twilio/sms',
+            new URLSearchParams({ From: CLIENT_PHONE, To: '+15045550100', Body: 'Spoofed', MessageSid: 'SM1', NumMedia: '0' }).toString(),
+            { 'Content-Type': 'application/x-www-form-urlencoded', 'X-Twilio-Signature': 'not-the-signature' });
+        assert.strictEqual(response.status, 403);
+
+        const { thread } = (await app.api('get', `/api/sms/threads/${encodeURIComponent(CLIENT_PHONE)}`)).data;
+        assert.ok(!thread.messages.some(m => m.body === 'Spoofed'));
+    });
+
+    await t.test('a text to an agency lead uses the number on the lead', async () => {
+        const lead = (await app.api('post', '/api/leads', { name: 'Dana Boudreaux', phone: LEAD_PHONE })).data.lead;
+        const sent = await app.api('post', '/api/sms/send', { leadId: lead.id, body: 'Thanks for reaching out!' });
+        assert.strictEqual(sent.status, 201);
+        assert.strictEqual(sent.data.message.leadId, lead.id);
+
+        const { messages } = (await request(mock.url, 'get', '/__mock/messages')).data;
+        assert.deepStrictEqual(messages.map(m => [m.to, m.body]), [[LEAD_PHONE, 'Thanks for reaching out!']]);
+
+        // The mock reports the text sent and then delivered through the status callback
+        const thread = await waitFor(async () => {
+            const { data } = await app.api('get', `/api/sms/threads/${encodeURIComponent(LEAD_PHONE)}`);
+            return data.thread.messages[0].status === 'delivered' && data.thread;
+        });
+        assert.strictEqual(thread.leadId, lead.id);
+    });
+});